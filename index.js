@@ -7,72 +7,168 @@
  * - Salesforce integration (fetching activities, saving summaries).
  * - OpenAI Assistants API V2 usage.
  * - Dynamic function schema loading (default or from request).
+ * - Validation of AI function output against the active schema, with repair and retry.
  * - Dynamic tool_choice to force specific function calls (monthly/quarterly).
  * - Conditional input method: Direct JSON in prompt (< threshold) or File Upload (>= threshold).
  * - Generates summaries per month and aggregates per relevant quarter individually.
+ * - Optional yearly tier that aggregates the quarterly summaries of each (fiscal) year.
+ * - Configurable fiscal year (start month, start/end year naming), per request or from the org's FiscalYearSettings.
+ * - Timezone-aware month bucketing (UTC by default; per request, or opt-in the requesting user's TimeZoneSidKey).
+ * - Incremental mode: only months whose activity fingerprint changed (and their quarters) are regenerated.
  * - Robust error handling and callback mechanism.
+ * - Job IDs with a status API (GET /jobs/:id, GET /jobs?accountId=) backed by a pluggable job store.
+ * - Durable job queue (Redis or local file backend) consumed by a separate worker process ("node index.js --worker").
+ * - Interrupted jobs resume from their last checkpoint after a restart.
+ * - Pluggable LLM providers: Assistants API, stateless Chat Completions with structured outputs
+ *   (any OpenAI-compatible base URL, e.g. Azure OpenAI), or a deterministic mock for offline testing.
+ * - Shared LLM concurrency pool with rate-limit-aware retries (Retry-After) and per-call timeouts.
+ * - Signed callbacks with retries; undelivered callbacks go to a dead-letter list that admins can replay.
+ * - Per-period save outcomes reported as Success / PartialSuccess / Failed; Bulk API 2.0 for large saves.
+ * - Existing summaries are found automatically (SOQL lookup or external ID upsert); summaryMap is an optional override.
+ * - Batch endpoint (POST /generatesummary/batch): many accounts under a shared concurrency cap, one consolidated callback.
+ * - Configurable activity fields sent to the model (nested relationship fields, renaming) and bucketing date field.
+ * - Optional PII redaction with stable placeholders (built-in detectors, regex and field rules), restorable on save.
+ * - Preview endpoint (POST /previewsummary): dry run for an optional date range, summaries returned without DML or callback.
+ * - Live job progress over Server-Sent Events (GET /jobs/:id/events).
+ * - Server-side Salesforce auth (JWT bearer, refresh token or client credentials) with re-auth on expired sessions, and a multi-org registry.
+ * - Inbound request auth (HMAC signatures with replay protection, or Salesforce token verification) and a callback host allowlist.
+ * - Prompt templates with account/period variables and conditionals, plus a stored template library (templateId).
+ * - Assistant config drift detection with in-place reconciliation (or check-only), and config versions traced per summary.
+ * - Token usage and cost accounting per period and job, with optional per-job token budgets.
+ * - Opt-in, encrypted content-addressed cache of AI results (Redis, local disk or memory) with a TTL and a per-request bypass.
  * - Temporary file management.
  */
 
 // --- Dependencies ---
 const express = require('express');
-const jsforce = require('jsforce');
-const dotenv = require('dotenv');
-const { OpenAI, NotFoundError } = require("openai");
+const { NotFoundError } = require("openai");
 const fs = require("fs-extra"); // Using fs-extra for promise-based file operations and JSON handling
 const path = require("path");
-const axios = require("axios");
-
-// --- Load Environment Variables ---
-dotenv.config();
-
-// --- Configuration Constants ---
-const SF_LOGIN_URL = process.env.SF_LOGIN_URL;
-const PORT = process.env.PORT || 3000;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-// --- Assistant IDs are now PREFERRED, creation is fallback ---
-const OPENAI_MONTHLY_ASSISTANT_ID_ENV = process.env.OPENAI_MONTHLY_ASSISTANT_ID;
-const OPENAI_QUARTERLY_ASSISTANT_ID_ENV = process.env.OPENAI_QUARTERLY_ASSISTANT_ID;
-
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o";
-const TIMELINE_SUMMARY_OBJECT_API_NAME = "Timeline_Summary__c"; // Salesforce object API name
-const DIRECT_INPUT_THRESHOLD = 2000; // Max activities for direct JSON input in prompt
-const PROMPT_LENGTH_THRESHOLD = 256000; // Character limit for direct prompt input
-const TEMP_FILE_DIR = path.join(__dirname, 'temp_files'); // Directory for temporary files
-
-// --- Environment Variable Validation (Essential Vars) ---
-if (!SF_LOGIN_URL || !OPENAI_API_KEY) {
-    console.error("FATAL ERROR: Missing required environment variables (SF_LOGIN_URL, OPENAI_API_KEY).");
-    process.exit(1);
-}
+const crypto = require("crypto");
+const os = require("os");
+
+const {
+    PORT, OPENAI_MONTHLY_ASSISTANT_ID_ENV, OPENAI_QUARTERLY_ASSISTANT_ID_ENV, OPENAI_YEARLY_ASSISTANT_ID_ENV,
+    OPENAI_MODEL, OPENAI_BASE_URL, OPENAI_CHAT_MODEL, LLM_PROVIDER, ASSISTANTS_ENABLED, ASSISTANT_RECONCILE,
+    TIMELINE_SUMMARY_OBJECT_API_NAME, DIRECT_INPUT_THRESHOLD, PROMPT_LENGTH_THRESHOLD, TEMP_FILE_DIR, JOB_STORE_TYPE,
+    JOB_STORE_DIR, QUEUE_BACKEND, QUEUE_DIR, IS_WORKER_PROCESS, EMBEDDED_WORKER, WORKER_CONCURRENCY,
+    QUEUE_POLL_INTERVAL_MS, QUEUE_LEASE_MS, QUEUE_MAX_ATTEMPTS, INCREMENTAL_SUMMARIES_DEFAULT,
+    ACTIVITY_FINGERPRINT_FIELD, YEARLY_SUMMARIES_DEFAULT, DEFAULT_YEARLY_PROMPT, DEFAULT_GRANULARITY,
+    DEFAULT_WEEKLY_PROMPT, DEFAULT_CHUNKING_STRATEGY, CHUNK_TOKEN_BUDGET, LLM_CONCURRENCY, LLM_MAX_RETRIES,
+    LLM_CALL_TIMEOUT_MS, CALLBACK_MAX_ATTEMPTS, CALLBACK_SIGNING_SECRET, DEAD_LETTER_STORE_TYPE, DEAD_LETTER_DIR,
+    INBOUND_AUTH, INBOUND_REPLAY_STORE_TYPE, CONFIG_VERSION_STORE_TYPE, CONFIG_VERSION_DIR,
+    SUMMARY_CONFIG_VERSION_FIELD, PROMPT_TEMPLATE_STORE_TYPE, PROMPT_TEMPLATE_DIR, CALLBACK_ALLOWED_HOSTS,
+    SUMMARY_UPSERT_MODE, SUMMARY_EXTERNAL_ID_FIELD, BULK_API_THRESHOLD, DEFAULT_ACTIVITY_FIELDS,
+    DEFAULT_ACTIVITY_DATE_FIELD, JOB_EVENTS_BACKEND, SSE_KEEPALIVE_MS, BATCH_MAX_ACCOUNTS, BATCH_CONCURRENCY,
+    DEFAULT_TOKEN_BUDGET, SUMMARY_PROMPT_TOKENS_FIELD, SUMMARY_COMPLETION_TOKENS_FIELD, SUMMARY_COST_FIELD,
+    AI_CACHE_STORE_TYPE, AI_CACHE_DIR, AI_CACHE_TTL_SECONDS
+} = require('./lib/config');
+const {
+    DEFAULT_FUNCTIONS_VERSION, validateCallbackUrl, parseFunctionSchemas, parseAccountIdList, parseDateRange,
+    isSalesforceId
+} = require('./lib/validation');
+const { createJobStore, createConfigVersionStore, createJobEventBus } = require('./lib/stores');
+const {
+    createJobQueue, createQueueEntry, openQueueSecret, sealCheckpointSecrets, openCheckpointSecrets
+} = require('./lib/queue');
+const {
+    orgRegistry, resolveOrgOptions, createSalesforceConnection, assertServerSessionAllowed, isSalesforceSessionError
+} = require('./lib/salesforce-auth');
+const {
+    requireBearerToken, requireAdminKey, requireInboundAuth, getInboundCaller, getJobOwner, isJobVisibleTo
+} = require('./lib/inbound-auth');
+const {
+    CALENDAR_FISCAL_CONFIG, getQuarterFromMonthIndex, getFiscalYear, getFiscalQuarterStartDate, parseFiscalYearOptions,
+    resolveFiscalYearConfig, getActivityDateParts, isValidTimeZone, resolveTimeZone, getIsoWeekInfo,
+    groupActivitiesByIsoWeek
+} = require('./lib/periods');
+const { llmPrices, TokenBudgetExceededError, sumUsage, createUsageMeter } = require('./lib/usage');
+const { hashFingerprint, computeMonthFingerprints } = require('./lib/incremental');
+const { aiResultCache } = require('./lib/ai-cache');
+const { parseRedactionOptions, createPiiRedactor, restorePiiPlaceholders, withPiiLeakCheck } = require('./lib/pii');
+const {
+    promptTemplateStore, PROMPT_TEMPLATE_FIELDS, PROMPT_TEMPLATE_ID_PATTERN, ACCOUNT_TEMPLATE_VARIABLES,
+    parsePromptTemplate, renderPromptTemplate, getPromptTemplateVariables, getSummaryText, getPeriodEndDate
+} = require('./lib/prompt-templates');
+const {
+    openai, generateValidatedSummary, CHUNKING_STRATEGIES, generateActivitySummary, LLM_PROVIDERS, getLlmProvider,
+    createConcurrencyLimiter
+} = require('./lib/llm');
+const { deadLetterStore, sendCallbackResponse, deliverCallback } = require('./lib/callbacks');
+
 
 // --- Global Variables for Final Assistant IDs ---
 // These will be populated during startup by createOrRetrieveAssistant
 let monthlyAssistantId = null;
 let quarterlyAssistantId = null;
+let yearlyAssistantId = null;
+// Configuration the assistants actually have after startup reconciliation ({ name, instructions, model, tools } per tier)
+const assistantConfigs = { monthly: null, quarterly: null, yearly: null };
+
+// --- Batch Account Pool ---
+// Caps the batch accounts in processSummary at once across every batch handled by this process (see runBatchJob)
+const batchAccountLimiter = createConcurrencyLimiter(BATCH_CONCURRENCY);
+
+// --- Summarizer Definitions ---
+// Name and instructions of each summary tier. The Assistants provider creates its assistants from these;
+// the chat provider sends the instructions as the system message.
+const SUMMARIZER_DEFINITIONS = {
+    monthly: {
+        name: "Salesforce Monthly Summarizer",
+        instructions: "You are an AI assistant specialized in analyzing raw Salesforce activity data for a single month and generating structured JSON summaries using the provided function 'generate_monthly_activity_summary'. Apply sub-theme segmentation within the activityMapping as described in the function schema. Focus on extracting key themes, tone, and recommended actions. Use file_search if data is provided as a file."
+    },
+    quarterly: {
+        name: "Salesforce Quarterly Summarizer",
+        instructions: "You are an AI assistant specialized in aggregating pre-summarized monthly Salesforce activity data (provided as JSON in the prompt) into a structured quarterly JSON summary for a specific quarter using the provided function 'generate_quarterly_activity_summary'. Consolidate insights and activity lists accurately based on the input monthly summaries."
+    },
+    yearly: {
+        name: "Salesforce Yearly Summarizer",
+        instructions: "You are an AI assistant specialized in aggregating pre-summarized quarterly Salesforce activity data (provided as JSON in the prompt) into a structured yearly JSON summary for a specific year using the provided function 'generate_yearly_activity_summary'. Consolidate insights across the quarters and describe how the relationship evolved over the year."
+    }
+};
+// Tools enabled on every assistant. These enable the *capabilities*; the specific function *schema* is passed during the run.
+const ASSISTANT_BASE_TOOLS = [
+    { type: "file_search" }, // Enable file searching capability
+    { type: "function" } // Enable function calling capability
+];
 
+// --- Job Store Initialization ---
+// Tracks the stage, per-period progress, timings and errors of every summary job
+const jobStore = createJobStore(JOB_STORE_TYPE);
 
+// --- Config Version Store Initialization ---
+// Every summarizer configuration (instructions, model, tools) that produced summaries, keyed by its content hash
+const configVersionStore = createConfigVersionStore(CONFIG_VERSION_STORE_TYPE);
 
-// --- OpenAI Client Initialization ---
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+// --- Job Event Bus Initialization ---
+// Carries live progress events from the process running a job to the /jobs/:id/events streams
+const jobEvents = createJobEventBus(JOB_EVENTS_BACKEND);
+
+// --- Job Queue Initialization ---
+// The web process enqueues jobs; worker processes claim and run them
+const summaryQueue = createJobQueue(QUEUE_BACKEND);
 
 // --- Express Application Setup ---
 const app = express();
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// The raw body is kept for inbound signature verification
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 app.use(express.static(path.join(__dirname, 'public'))); // Optional: For serving static files
 
 // --- Helper Function to Create or Retrieve Assistant ---
 /**
  * Attempts to retrieve an Assistant by the provided ID (from env var).
  * If not found or no ID provided, creates a new Assistant.
+ * A retrieved Assistant whose name, instructions, model or tools differ from the given ones is updated in place
+ * (ASSISTANT_RECONCILE=update) or only reported (check).
  * @param {OpenAI} openaiClient - The initialized OpenAI client.
  * @param {string|null} assistantIdEnvVar - The Assistant ID from environment variable (preferred).
  * @param {string} assistantName - Name for the Assistant (used if creating).
  * @param {string} assistantInstructions - Instructions for the Assistant (used if creating).
  * @param {Array<object>} assistantToolsConfig - Base tools configuration (e.g., [{ type: "file_search" }, { type: "function" }]). Specific function schemas are NOT passed here.
  * @param {string} assistantModel - Model name (e.g., "gpt-4o").
- * @returns {Promise<string>} The ID of the retrieved or created Assistant.
+ * @returns {Promise<{ id: string, config: object }>} The ID of the retrieved or created Assistant and the configuration it now has.
  * @throws {Error} If retrieval fails (non-404) or creation fails.
  */
 async function createOrRetrieveAssistant(
@@ -88,11 +184,9 @@ async function createOrRetrieveAssistant(
         try {
             const retrievedAssistant = await openaiClient.beta.assistants.retrieve(assistantIdEnvVar);
             console.log(`Successfully retrieved existing Assistant "${retrievedAssistant.name}" with ID: ${retrievedAssistant.id}`);
-            // Optional: Check if config matches expectations
-            // if (retrievedAssistant.model !== assistantModel) { console.warn(`Retrieved assistant ${assistantName} uses model ${retrievedAssistant.model}, expected ${assistantModel}`); }
-            // if (!retrievedAssistant.tools.some(tool => tool.type === 'function')) { console.warn(`Retrieved assistant ${assistantName} does not have function tool enabled.`); }
-            // if (!retrievedAssistant.tools.some(tool => tool.type === 'file_search')) { console.warn(`Retrieved assistant ${assistantName} does not have file_search tool enabled.`); }
-            return retrievedAssistant.id;
+            const desiredConfig = { name: assistantName, instructions: assistantInstructions, model: assistantModel, tools: assistantToolsConfig };
+            const assistant = await reconcileAssistant(openaiClient, retrievedAssistant, desiredConfig);
+            return { id: assistant.id, config: getAssistantConfig(assistant) };
         } catch (error) {
             if (error instanceof NotFoundError) {
                 console.warn(`Assistant with ID "${assistantIdEnvVar}" not found. Will proceed to create a new one for "${assistantName}".`);
@@ -119,7 +213,7 @@ async function createOrRetrieveAssistant(
         // Construct potential env var name dynamically for the warning message
         const envVarName = `OPENAI_${assistantName.toUpperCase().replace(/ /g, '_').replace('SALESFORCE_', '')}_ASSISTANT_ID`;
         console.warn(`--> IMPORTANT: Consider adding this ID to your .env file as ${envVarName}=${newAssistant.id} for future reuse.`);
-        return newAssistant.id;
+        return { id: newAssistant.id, config: getAssistantConfig(newAssistant) };
     } catch (creationError) {
         console.error(`Error creating Assistant "${assistantName}":`, creationError);
         throw new Error(`Failed to create Assistant ${assistantName}: ${creationError.message}`);
@@ -127,82 +221,344 @@ async function createOrRetrieveAssistant(
 }
 
 
+// --- Assistant Configuration Drift ---
+// Assistants keep the instructions, model and tools they were created with. Startup compares them with the
+// configuration in code (SUMMARIZER_DEFINITIONS, OPENAI_MODEL, ASSISTANT_BASE_TOOLS) and, per ASSISTANT_RECONCILE,
+// updates drifted assistants in place or only reports the differences. GET /admin/assistants/drift runs the check on demand.
+
+// The parts of an assistant that shape its summaries
+function getAssistantConfig(assistant) {
+    return {
+        name: assistant.name || null,
+        instructions: assistant.instructions || null,
+        model: assistant.model || null,
+        tools: (assistant.tools || []).map(tool => ({ type: tool.type }))
+    };
+}
+
+// Differences between an assistant and the desired configuration: [{ field, actual, expected }]
+function diffAssistantConfig(assistant, desired) {
+    const actual = getAssistantConfig(assistant);
+    const drift = ['name', 'model', 'instructions']
+        .filter(field => actual[field] !== desired[field])
+        .map(field => ({ field, actual: actual[field], expected: desired[field] }));
+    const actualTools = actual.tools.map(tool => tool.type).sort();
+    const expectedTools = desired.tools.map(tool => tool.type).sort();
+    if (actualTools.join(',') !== expectedTools.join(',')) {
+        drift.push({ field: 'tools', actual: actualTools, expected: expectedTools });
+    }
+    return drift;
+}
+
+// One line per difference; instructions are summarized by length and hash
+function describeAssistantDrift(drift) {
+    const describe = value => (typeof value === 'string' && value.length > 80)
+        ? `${value.length} chars, sha256 ${crypto.createHash('sha256').update(value).digest('hex').substring(0, 12)}`
+        : JSON.stringify(value);
+    return drift.map(({ field, actual, expected }) => `${field}: ${describe(actual)} -> ${describe(expected)}`).join('; ');
+}
+
+// Applies ASSISTANT_RECONCILE to a retrieved assistant and returns the assistant as it is afterwards.
+// A failed update is logged and the assistant keeps its current configuration.
+async function reconcileAssistant(openaiClient, assistant, desired) {
+    if (ASSISTANT_RECONCILE === 'off') return assistant;
+    const drift = diffAssistantConfig(assistant, desired);
+    if (drift.length === 0) {
+        console.log(`Assistant "${assistant.name}" matches the configured instructions, model and tools.`);
+        return assistant;
+    }
+    if (ASSISTANT_RECONCILE === 'check') {
+        console.warn(`Assistant "${assistant.name}" (${assistant.id}) differs from the configuration (check only, not updated): ${describeAssistantDrift(drift)}`);
+        return assistant;
+    }
+    try {
+        const updated = await openaiClient.beta.assistants.update(assistant.id, {
+            name: desired.name,
+            instructions: desired.instructions,
+            model: desired.model,
+            tools: desired.tools
+        });
+        console.log(`Updated Assistant "${updated.name}" (${updated.id}) to the configuration: ${describeAssistantDrift(drift)}`);
+        return updated;
+    } catch (error) {
+        console.error(`Failed to update drifted Assistant "${assistant.name}" (${assistant.id}); it keeps its current configuration: ${error.message}`);
+        return assistant;
+    }
+}
+
+
+// --- Summarizer Config Versions ---
+// Each distinct summarizer configuration gets a version ID (hash of provider, tier, name, instructions, model and tools)
+// and is kept in the config version store, so the configVersion of a summary leads back to what produced it.
+
+const recordedConfigVersions = new Set(); // Version IDs this process has already stored
+
+// Effective configuration of a summary tier under a provider. For assistants this is what the assistant has after
+// reconciliation (in check mode, possibly not what the code asks for); other providers use the definitions in code.
+function getSummarizerConfig(providerName, tier) {
+    const definition = SUMMARIZER_DEFINITIONS[tier];
+    if (providerName === 'assistants') {
+        const config = assistantConfigs[tier] || { name: definition.name, instructions: definition.instructions, model: OPENAI_MODEL, tools: ASSISTANT_BASE_TOOLS };
+        return { provider: providerName, tier, ...config };
+    }
+    return {
+        provider: providerName,
+        tier,
+        name: definition.name,
+        instructions: definition.instructions,
+        model: providerName === 'chat' ? OPENAI_CHAT_MODEL : null,
+        tools: []
+    };
+}
+
+function getConfigVersionId(config) {
+    const content = [config.provider, config.tier, config.name, config.instructions, config.model, config.tools.map(tool => tool.type)];
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').substring(0, 16);
+}
+
+// Stores a configuration the first time it is seen and returns its version ID. Storage failures are only logged.
+async function recordConfigVersion(config) {
+    const id = getConfigVersionId(config);
+    if (!recordedConfigVersions.has(id)) {
+        try {
+            await configVersionStore.add({ id, ...config, createdAt: new Date().toISOString() });
+            recordedConfigVersions.add(id);
+        } catch (error) {
+            console.error(`Failed to record summarizer config version ${id}: ${error.message}`);
+        }
+    }
+    return id;
+}
+
+// Config version IDs per summary category for a provider; weekly summaries come from the monthly summarizer
+async function resolveConfigVersions(providerName) {
+    const [monthly, quarterly, yearly] = await Promise.all(['monthly', 'quarterly', 'yearly']
+        .map(tier => recordConfigVersion(getSummarizerConfig(providerName, tier))));
+    return { Weekly: monthly, Monthly: monthly, Quarterly: quarterly, Yearly: yearly };
+}
+
+
 // --- Server Startup ---
-// Wrap startup in an async IIFE to allow await for assistant setup
-(async () => {
+// Sets up the assistants, then serves HTTP (or consumes the queue in a worker process).
+// Only runs when index.js is the entry point, so tests can require the module without starting the server.
+async function startServer() {
     try {
-        console.log("Initializing Assistants...");
         await fs.ensureDir(TEMP_FILE_DIR); // Ensure temp directory exists
+        if (ASSISTANTS_ENABLED) {
+            console.log("Initializing Assistants...");
 
-        // Define base tool configuration needed for assistants
-        // These enable the *capabilities*. The specific function *schema* is passed during the run.
-        const assistantBaseTools = [
-             { type: "file_search" }, // Enable file searching capability
-             { type: "function" }     // Enable function calling capability
-        ];
-
-        // --- Setup Monthly Assistant ---
-        monthlyAssistantId = await createOrRetrieveAssistant(
-            openai,
-            OPENAI_MONTHLY_ASSISTANT_ID_ENV,
-            "Salesforce Monthly Summarizer",
-            "You are an AI assistant specialized in analyzing raw Salesforce activity data for a single month and generating structured JSON summaries using the provided function 'generate_monthly_activity_summary'. Apply sub-theme segmentation within the activityMapping as described in the function schema. Focus on extracting key themes, tone, and recommended actions. Use file_search if data is provided as a file.",
-            assistantBaseTools, // Pass base tool config
-            OPENAI_MODEL
-        );
-
-        // --- Setup Quarterly Assistant ---
-        quarterlyAssistantId = await createOrRetrieveAssistant(
-            openai,
-            OPENAI_QUARTERLY_ASSISTANT_ID_ENV,
-            "Salesforce Quarterly Summarizer", // Corrected name
-            "You are an AI assistant specialized in aggregating pre-summarized monthly Salesforce activity data (provided as JSON in the prompt) into a structured quarterly JSON summary for a specific quarter using the provided function 'generate_quarterly_activity_summary'. Consolidate insights and activity lists accurately based on the input monthly summaries.",
-             assistantBaseTools, // Pass base tool config
-             OPENAI_MODEL
-        );
-
-        // Ensure both IDs were successfully obtained
-        if (!monthlyAssistantId || !quarterlyAssistantId) {
-             throw new Error("Failed to obtain valid IDs for one or more Assistants during startup.");
+            // --- Setup Monthly Assistant ---
+            ({ id: monthlyAssistantId, config: assistantConfigs.monthly } = await createOrRetrieveAssistant(
+                openai,
+                OPENAI_MONTHLY_ASSISTANT_ID_ENV,
+                SUMMARIZER_DEFINITIONS.monthly.name,
+                SUMMARIZER_DEFINITIONS.monthly.instructions,
+                ASSISTANT_BASE_TOOLS, // Pass base tool config
+                OPENAI_MODEL
+            ));
+
+            // --- Setup Quarterly Assistant ---
+            ({ id: quarterlyAssistantId, config: assistantConfigs.quarterly } = await createOrRetrieveAssistant(
+                openai,
+                OPENAI_QUARTERLY_ASSISTANT_ID_ENV,
+                SUMMARIZER_DEFINITIONS.quarterly.name,
+                SUMMARIZER_DEFINITIONS.quarterly.instructions,
+                ASSISTANT_BASE_TOOLS, // Pass base tool config
+                OPENAI_MODEL
+            ));
+
+            // --- Setup Yearly Assistant ---
+            ({ id: yearlyAssistantId, config: assistantConfigs.yearly } = await createOrRetrieveAssistant(
+                openai,
+                OPENAI_YEARLY_ASSISTANT_ID_ENV,
+                SUMMARIZER_DEFINITIONS.yearly.name,
+                SUMMARIZER_DEFINITIONS.yearly.instructions,
+                ASSISTANT_BASE_TOOLS, // Pass base tool config
+                OPENAI_MODEL
+            ));
+
+            // Ensure all IDs were successfully obtained
+            if (!monthlyAssistantId || !quarterlyAssistantId || !yearlyAssistantId) {
+                 throw new Error("Failed to obtain valid IDs for one or more Assistants during startup.");
+            }
+            const assistantVersions = await resolveConfigVersions('assistants');
+            console.log(`Assistant config versions: monthly ${assistantVersions.Monthly}, quarterly ${assistantVersions.Quarterly}, yearly ${assistantVersions.Yearly} (reconcile: ${ASSISTANT_RECONCILE})`);
+        } else {
+            console.log(`Assistants are not set up (default LLM provider: ${LLM_PROVIDER}).`);
+        }
+
+        // Worker processes only consume the queue; they do not serve HTTP
+        if (IS_WORKER_PROCESS) {
+            console.log("----------------------------------------------------");
+            console.log(`Worker process started (concurrency ${WORKER_CONCURRENCY}, queue backend: ${QUEUE_BACKEND})`);
+            console.log(`Default LLM provider: ${LLM_PROVIDER}`);
+            console.log(`Using Monthly Assistant ID: ${monthlyAssistantId}`);
+            console.log(`Using Quarterly Assistant ID: ${quarterlyAssistantId}`);
+            console.log(`Using Yearly Assistant ID: ${yearlyAssistantId}`);
+            console.log("----------------------------------------------------");
+            startQueueWorker();
+            return;
         }
 
         // Start the Express server only after assistants are ready
         app.listen(PORT, () => {
             console.log("----------------------------------------------------");
             console.log(`Server running on port ${PORT}`);
-            console.log(`Using OpenAI Model (for new Assistants): ${OPENAI_MODEL}`);
+            console.log(`Default LLM provider: ${LLM_PROVIDER}${OPENAI_BASE_URL ? ` (base URL ${OPENAI_BASE_URL})` : ''}`);
+            console.log(`Using OpenAI Model (for new Assistants): ${OPENAI_MODEL}, chat model: ${OPENAI_CHAT_MODEL}`);
             console.log(`Using Monthly Assistant ID: ${monthlyAssistantId}`);
             console.log(`Using Quarterly Assistant ID: ${quarterlyAssistantId}`);
+            console.log(`Using Yearly Assistant ID: ${yearlyAssistantId}`);
             console.log(`Direct JSON input threshold: ${DIRECT_INPUT_THRESHOLD} activities`);
             console.log(`Prompt length threshold for file upload: ${PROMPT_LENGTH_THRESHOLD} characters`);
+            console.log(`LLM calls: ${LLM_CONCURRENCY} concurrent per process, ${LLM_MAX_RETRIES} retries, ${LLM_CALL_TIMEOUT_MS}ms timeout`);
+            console.log(`Default chunking strategy for oversized periods: ${DEFAULT_CHUNKING_STRATEGY} (~${CHUNK_TOKEN_BUDGET} tokens per batch)`);
             console.log(`Temporary file directory: ${TEMP_FILE_DIR}`);
+            console.log(`Default function schemas version: ${DEFAULT_FUNCTIONS_VERSION}`);
+            console.log(`Job store: ${JOB_STORE_TYPE}${JOB_STORE_TYPE === 'file' ? ` (${JOB_STORE_DIR})` : ''}`);
+            console.log(`Salesforce orgs: ${Object.values(orgRegistry).map(org => `${org.key} (${org.authFlow})`).join(', ')}`);
+            console.log(`Job events: ${JOB_EVENTS_BACKEND}${JOB_EVENTS_BACKEND === 'memory' && !EMBEDDED_WORKER ? ' (streams only see jobs run in this process; set EMBEDDED_WORKER=true or use redis)' : ''}`);
+            console.log(`Job queue: ${QUEUE_BACKEND}${QUEUE_BACKEND === 'file' ? ` (${QUEUE_DIR})` : ''}, embedded worker: ${EMBEDDED_WORKER ? 'on' : 'off'}`);
+            console.log(`Batches: up to ${BATCH_MAX_ACCOUNTS} accounts, ${BATCH_CONCURRENCY} processed at once per worker process`);
+            console.log(`Existing summary matching: ${SUMMARY_UPSERT_MODE}${SUMMARY_UPSERT_MODE === 'external_id' ? ` (${SUMMARY_EXTERNAL_ID_FIELD})` : ''}, Bulk API 2.0 above ${BULK_API_THRESHOLD} records`);
+            console.log(`Token usage: ${Object.keys(llmPrices).length} priced models, default budget ${DEFAULT_TOKEN_BUDGET > 0 ? `${DEFAULT_TOKEN_BUDGET} tokens per job` : 'unlimited'}${SUMMARY_COST_FIELD ? `, cost saved to ${SUMMARY_COST_FIELD}` : ''}`);
+            console.log(`AI result cache: ${AI_CACHE_STORE_TYPE}${AI_CACHE_STORE_TYPE === 'file' ? ` (${AI_CACHE_DIR})` : ''}${aiResultCache ? `, TTL ${AI_CACHE_TTL_SECONDS}s` : ''}`);
+            console.log(`Config versions: ${CONFIG_VERSION_STORE_TYPE}${CONFIG_VERSION_STORE_TYPE === 'file' ? ` (${CONFIG_VERSION_DIR})` : ''}${SUMMARY_CONFIG_VERSION_FIELD ? `, saved to ${SUMMARY_CONFIG_VERSION_FIELD}` : ''}`);
+            console.log(`Prompt templates: ${PROMPT_TEMPLATE_STORE_TYPE}${PROMPT_TEMPLATE_STORE_TYPE === 'file' ? ` (${PROMPT_TEMPLATE_DIR})` : ''}`);
+            console.log(`Inbound auth: ${INBOUND_AUTH.join(' or ')}${INBOUND_AUTH.includes('hmac') ? ` (replay store: ${INBOUND_REPLAY_STORE_TYPE})` : ''}, callback hosts: ${CALLBACK_ALLOWED_HOSTS.length > 0 ? CALLBACK_ALLOWED_HOSTS.join(', ') : 'any'}`);
+            if (INBOUND_AUTH.includes('none')) {
+                console.warn("WARNING: INBOUND_AUTH=none - requests are not authenticated. Use this for local development only.");
+            }
+            console.log(`Callbacks: ${CALLBACK_MAX_ATTEMPTS} attempts, ${CALLBACK_SIGNING_SECRET ? 'signed' : 'unsigned'}, dead letters: ${DEAD_LETTER_STORE_TYPE}${DEAD_LETTER_STORE_TYPE === 'file' ? ` (${DEAD_LETTER_DIR})` : ''}`);
             console.log("----------------------------------------------------");
         });
+        if (EMBEDDED_WORKER) {
+            startQueueWorker();
+        }
 
     } catch (startupError) {
         console.error("FATAL STARTUP ERROR:", startupError.message);
         process.exit(1); // Exit if assistant setup fails
     }
-})();
+}
 
+if (require.main === module) {
+    startServer();
+}
 
-// --- Main API Endpoint ---
-app.post('/generatesummary', async (req, res) => {
-    console.log("Received /generatesummary request");
 
-    // --- Ensure Assistants are Ready ---
-    if (!monthlyAssistantId || !quarterlyAssistantId) {
+// --- Request Parsing Helpers ---
+// Shared by /generatesummary, /generatesummary/batch and /previewsummary
+
+// Fills the prompts a request leaves out from the stored template set named by templateId (request values win)
+// and checks the syntax of every prompt template. Returns { id, version } of the stored set, or null.
+// Unknown template IDs and malformed templates throw errors with statusCode 400.
+async function applyPromptTemplate(body) {
+    let template = null;
+    if (body.templateId) {
+        template = await promptTemplateStore.get(String(body.templateId));
+        if (!template) {
+            throw Object.assign(new Error(`Unknown templateId "${body.templateId}".`), { statusCode: 400 });
+        }
+        for (const field of PROMPT_TEMPLATE_FIELDS) {
+            if (!body[field] && template[field]) body[field] = template[field];
+        }
+    }
+    for (const field of PROMPT_TEMPLATE_FIELDS) {
+        if (!body[field]) continue;
+        try {
+            parsePromptTemplate(body[field], field);
+        } catch (error) {
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+    return template ? { id: template.id, version: template.version } : null;
+}
+
+// Middleware that applies the request's prompt templates (see applyPromptTemplate) before the handler reads the
+// prompts. Exposes { id, version } of the stored set, or null, as req.promptTemplate.
+async function resolvePromptTemplate(req, res, next) {
+    try {
+        req.promptTemplate = await applyPromptTemplate(req.body);
+    } catch (e) {
+        console.warn(`Prompt template error: ${e.message}`);
+        return res.status(e.statusCode || 500).send({ error: e.statusCode ? e.message : "Internal server error: Could not load the prompt template." });
+    }
+    next();
+}
+
+// Checks that a parsed summary request can run: the assistants provider needs the assistants created at startup,
+// and every function schema must have loaded. Otherwise sends the 500 response and returns false.
+function ensureGenerationReady(res, summaryOptions, { monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema }) {
+    if (summaryOptions.provider === 'assistants' && (!monthlyAssistantId || !quarterlyAssistantId || !yearlyAssistantId)) {
         console.error("Error: Assistants not initialized properly during startup.");
-        return res.status(500).json({ error: "Internal Server Error: Assistants not ready." });
+        res.status(500).json({ error: "Internal Server Error: Assistants not ready. Set ENABLE_ASSISTANTS=true to use the assistants provider when it is not the default." });
+        return false;
     }
+    if (!monthlyFuncSchema || !quarterlyFuncSchema || !yearlyFuncSchema) {
+        // Either the defaults were found or valid custom schemas were parsed, so this points at a broken deployment
+        console.error("FATAL: Function schemas could not be loaded or parsed correctly.");
+        res.status(500).send({ error: "Internal server error: Could not load function schemas."});
+        return false;
+    }
+    return true;
+}
 
-    // --- Authorization ---
-    const authHeader = req.headers["authorization"];
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-        console.warn("Unauthorized request: Missing or invalid Bearer token.");
-        return res.status(401).json({ error: "Unauthorized" });
+// Validates the optional per-request settings and fills in the configured defaults. Throws on invalid values.
+function parseSummaryOptions({ orgId, instanceUrl, fiscalYearStartMonth, fiscalYearNaming, timeZone, incremental, includeYearly, userPromptYear, granularity, userPromptWeek, chunkingStrategy, provider, activityFields, activityDateField, redactPii, piiRules, restorePii, tokenBudget, bypassCache }) {
+    const summaryOptions = {};
+    summaryOptions.salesforceOrg = resolveOrgOptions(orgId, instanceUrl);
+    summaryOptions.fiscalYear = parseFiscalYearOptions(fiscalYearStartMonth, fiscalYearNaming);
+    if (timeZone) {
+        if (timeZone !== 'user' && !isValidTimeZone(timeZone)) {
+            throw new Error(`Invalid timeZone "${timeZone}". Expected an IANA time zone name (e.g. "America/New_York") or "user".`);
+        }
+        summaryOptions.timeZone = timeZone;
+    }
+    summaryOptions.incremental = (incremental === undefined || incremental === null || incremental === '')
+        ? INCREMENTAL_SUMMARIES_DEFAULT
+        : (incremental === true || String(incremental).toLowerCase() === 'true' || incremental === 'Yes');
+    summaryOptions.includeYearly = !!userPromptYear || ((includeYearly === undefined || includeYearly === null || includeYearly === '')
+        ? YEARLY_SUMMARIES_DEFAULT
+        : (includeYearly === true || String(includeYearly).toLowerCase() === 'true' || includeYearly === 'Yes'));
+    summaryOptions.granularity = granularity || DEFAULT_GRANULARITY;
+    if (summaryOptions.granularity !== 'monthly' && summaryOptions.granularity !== 'weekly') {
+        throw new Error(`Invalid granularity "${granularity}". Expected "monthly" or "weekly".`);
+    }
+    if (summaryOptions.granularity === 'weekly' && userPromptWeek) {
+        summaryOptions.weeklyPromptTemplate = userPromptWeek;
+    }
+    summaryOptions.provider = provider || LLM_PROVIDER;
+    if (!LLM_PROVIDERS.includes(summaryOptions.provider)) {
+        throw new Error(`Invalid provider "${provider}". Expected one of: ${LLM_PROVIDERS.join(', ')}.`);
     }
-    const accessToken = authHeader.split(" ")[1];
+    if (summaryOptions.provider !== 'mock' && !openai) {
+        throw new Error(`The ${summaryOptions.provider} provider is not available: OPENAI_API_KEY is not configured.`);
+    }
+    summaryOptions.chunkingStrategy = chunkingStrategy || DEFAULT_CHUNKING_STRATEGY;
+    if (!CHUNKING_STRATEGIES.includes(summaryOptions.chunkingStrategy)) {
+        throw new Error(`Invalid chunkingStrategy "${chunkingStrategy}". Expected one of: ${CHUNKING_STRATEGIES.join(', ')}.`);
+    }
+    summaryOptions.activityProjection = resolveActivityProjection(activityFields, activityDateField);
+    summaryOptions.redaction = parseRedactionOptions(redactPii, piiRules, restorePii);
+    summaryOptions.tokenBudget = DEFAULT_TOKEN_BUDGET > 0 ? DEFAULT_TOKEN_BUDGET : null;
+    if (tokenBudget !== undefined && tokenBudget !== null && tokenBudget !== '') {
+        summaryOptions.tokenBudget = Number(tokenBudget);
+        if (!Number.isInteger(summaryOptions.tokenBudget) || summaryOptions.tokenBudget <= 0) {
+            throw new Error(`Invalid tokenBudget "${tokenBudget}". Expected a positive whole number of tokens.`);
+        }
+    }
+    summaryOptions.bypassCache = bypassCache === true || String(bypassCache).toLowerCase() === 'true' || bypassCache === 'Yes';
+    return summaryOptions;
+}
+
+
+// --- Main API Endpoint ---
+app.post('/generatesummary', requireBearerToken, requireInboundAuth, resolvePromptTemplate, async (req, res) => {
+    console.log("Received /generatesummary request");
+
+    const accessToken = req.accessToken;
 
     // --- Request Body Destructuring & Validation ---
     const {
@@ -210,249 +566,1099 @@ app.post('/generatesummary', async (req, res) => {
         callbackUrl,
         userPrompt, // Template for monthly prompt
         userPromptQtr, // Template for quarterly prompt
+        userPromptYear, // Optional template for yearly prompt (implies includeYearly)
         queryText, // SOQL query to fetch activities
-        summaryMap, // Optional JSON string map of existing summary records (e.g., {"Jan 2024": "recordId"})
+        summaryMap, // Optional JSON string map of existing summary records (e.g., {"Jan 2024": "recordId"}); overrides the automatic lookup
         loggedinUserId,
         sendCallback,
+        templateId, // Optional ID of a stored prompt template set (see /admin/templates); fills the prompts left out here
+        orgId, // Optional key of the org registry (org ID or alias); defaults to the SF_LOGIN_URL org
+        instanceUrl, // Optional instance URL of an unregistered org, used with the caller's session
         qtrJSON, // Optional override for quarterly function schema (JSON string)
-        monthJSON // Optional override for monthly function schema (JSON string)
+        monthJSON, // Optional override for monthly function schema (JSON string)
+        yearJSON, // Optional override for yearly function schema (JSON string)
+        includeYearly, // Optional: true to also generate yearly summaries from the quarterly ones
+        fiscalYearStartMonth, // Optional fiscal year start month (1-12), or "org" to use the org's FiscalYearSettings
+        fiscalYearNaming, // Optional fiscal year label: "end" (year the FY ends in) or "start" (year it starts in)
+        timeZone, // Optional IANA time zone for month bucketing (e.g. "America/New_York"), or "user"
+        incremental, // Optional: true to skip months/quarters whose activity fingerprint is unchanged
+        granularity, // Optional: "monthly" (default) or "weekly" for high-volume accounts
+        userPromptWeek, // Optional template for weekly prompts ({{Week}}, {{WeekStart}}); only used with granularity "weekly"
+        chunkingStrategy, // Optional: "map_reduce" or "file_search" for periods too large for a single prompt
+        provider, // Optional LLM provider: "assistants", "chat" or "mock" (defaults to LLM_PROVIDER)
+        activityFields, // Optional activity fields sent to the model: "Type,Who.Name:ContactName", an array, or a JSON array/object (see parseActivityFields)
+        activityDateField, // Optional field used to bucket activities into periods (e.g. "ActivityDate"; defaults to CreatedDate)
+        redactPii, // Optional: true to replace emails, phone, card and ID numbers with placeholders before data is sent to the LLM
+        piiRules, // Optional JSON rules (implies redactPii): { detectors: ["email", ...], patterns: [{ name, pattern, flags }], fields: ["Who.Name"] }
+        restorePii, // Optional: true to put the original values back into the summaries saved to Salesforce
+        tokenBudget, // Optional: max tokens the job may use; LLM calls that would exceed it are not started and the job fails
+        bypassCache // Optional: true to regenerate every summary instead of reusing cached AI results (fresh results are still cached)
     } = req.body;
 
     if (!accountId || !callbackUrl || !accessToken || !queryText || !userPrompt || !userPromptQtr || !loggedinUserId) {
         console.warn("Bad Request: Missing required parameters. accessToken : " + accessToken + " loggedinUserId : "+ loggedinUserId + " accountId : " + accountId + " callbackUrl : " + callbackUrl + " queryText : " + queryText + " userPrompt : " + userPrompt + " userPromptQtr : " + userPromptQtr);
         return res.status(400).send({ error: "Missing required parameters (accountId, callbackUrl, accessToken, queryText, userPrompt, userPromptQtr, loggedinUserId)" });
     }
+    try {
+        validateCallbackUrl(callbackUrl);
+    } catch (e) {
+        console.warn(`Bad Request: ${e.message}`);
+        return res.status(400).send({ error: e.message });
+    }
 
     // --- Parse Optional JSON Inputs & Function Schemas Safely ---
     let summaryRecordsMap = {};
-    // Find default schemas - these will be used unless overridden
-    //let monthlyFuncSchema = defaultFunctions.find(f => f.name === 'generate_monthly_activity_summary');
-    //let quarterlyFuncSchema = defaultFunctions.find(f => f.name === 'generate_quarterly_activity_summary');
-
+    let monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema;
     try {
         if (summaryMap) {
             summaryRecordsMap = Object.entries(JSON.parse(summaryMap)).map(([key, value]) => ({ key, value }));
         }
-        // --- Override default schemas if valid custom schemas are provided ---
-        if (monthJSON) {
-            const customMonthSchema = JSON.parse(monthJSON);
-            // Basic validation of the custom schema
-            if (!customMonthSchema || typeof customMonthSchema !== 'object' || !customMonthSchema.name || !customMonthSchema.parameters) {
-                throw new Error("Provided monthJSON schema is invalid or missing required 'name' or 'parameters' properties.");
-            }
-            // Optional: More rigorous validation if needed
-            monthlyFuncSchema = customMonthSchema; // Use the custom schema
-            console.log("Using custom monthly function schema from request.");
-        }
-         if (qtrJSON) {
-            const customQtrSchema = JSON.parse(qtrJSON);
-            // Basic validation
-            if (!customQtrSchema || typeof customQtrSchema !== 'object' || !customQtrSchema.name || !customQtrSchema.parameters) {
-                 throw new Error("Provided qtrJSON schema is invalid or missing required 'name' or 'parameters' properties.");
-            }
-            quarterlyFuncSchema = customQtrSchema; // Use the custom schema
-            console.log("Using custom quarterly function schema from request.");
-        }
+        ({ monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema } = parseFunctionSchemas(req.body));
+    } catch (e) {
+        console.error("Failed to parse JSON input from request body:", e);
+        return res.status(400).send({ error: `Invalid JSON provided in summaryMap, monthJSON, qtrJSON, or yearJSON. ${e.message}` });
+    }
+
+    // --- Per-Request Summary Options ---
+    let summaryOptions;
+    try {
+        summaryOptions = parseSummaryOptions(req.body);
+        summaryOptions.promptTemplate = req.promptTemplate;
+        summaryOptions.inboundCaller = getInboundCaller(req);
+        assertServerSessionAllowed(summaryOptions.salesforceOrg, summaryOptions.inboundCaller);
+    } catch (e) {
+        console.warn(`Bad Request: ${e.message}`);
+        return res.status(e.statusCode || 400).send({ error: e.message });
+    }
+
+    // --- Ensure Assistants and Schemas are Ready ---
+    if (!ensureGenerationReady(res, summaryOptions, { monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema })) return;
+
+    // --- Register Job ---
+    let job;
+    try {
+        job = await jobStore.create(createJobRecord(accountId, loggedinUserId, null, getJobOwner(summaryOptions.inboundCaller)));
+    } catch (jobError) {
+        console.error(`[${accountId}] Failed to register job:`, jobError);
+        return res.status(500).send({ error: "Internal server error: Could not register summary job." });
+    }
+
+    // --- Enqueue Job for the Worker ---
+    // Everything processSummary needs is persisted, so the job survives restarts of either process
+    try {
+        await summaryQueue.enqueue(createQueueEntry(job.id, {
+            accountId,
+            accessToken,
+            callbackUrl,
+            userPrompt,
+            userPromptQtr,
+            userPromptYear,
+            queryText,
+            summaryRecordsMap,
+            loggedinUserId,
+            monthlyFuncSchema, // The final schema (default or custom)
+            quarterlyFuncSchema, // The final schema (default or custom)
+            yearlyFuncSchema, // The final schema (default or custom)
+            sendCallback,
+            summaryOptions
+        }));
+    } catch (queueError) {
+        console.error(`[${accountId}] Failed to enqueue job ${job.id}:`, queueError);
+        await failJob(job.id, queueError);
+        return res.status(500).send({ error: "Internal server error: Could not enqueue summary job." });
+    }
+
+    // --- Acknowledge Request (202 Accepted) ---
+    res.status(202).json({ status: 'queued', jobId: job.id, statusUrl: `/jobs/${job.id}`, message: 'Summary generation initiated. You will receive a callback.' });
+    console.log(`Queued summary processing for Account ID: ${accountId} (Job ID: ${job.id})`);
+});
+
+
+// --- Batch API Endpoint ---
+// Summarizes many accounts with one shared prompt, query template and schemas. The accounts run under
+// BATCH_CONCURRENCY. Accounts never call back on their own; with sendCallback 'Yes' the caller receives one
+// consolidated callback listing every account's outcome.
+app.post('/generatesummary/batch', requireBearerToken, requireInboundAuth, resolvePromptTemplate, async (req, res) => {
+    console.log("Received /generatesummary/batch request");
+
+    const accessToken = req.accessToken;
+
+    // --- Request Body Destructuring & Validation ---
+    // Function schemas (monthJSON, qtrJSON, yearJSON) and summary options are accepted as in /generatesummary
+    const {
+        accountIds, // Account IDs: an array, a JSON array string or a comma-separated string
+        callbackUrl, // Receives the consolidated batch callback
+        userPrompt, // Template for monthly prompt
+        userPromptQtr, // Template for quarterly prompt
+        userPromptYear, // Optional template for yearly prompt (implies includeYearly)
+        queryText, // SOQL query template; {{AccountId}} is replaced with each account's ID
+        loggedinUserId,
+        sendCallback // 'Yes' for the consolidated batch callback
+    } = req.body;
+
+    if (!accountIds || !callbackUrl || !accessToken || !queryText || !userPrompt || !userPromptQtr || !loggedinUserId) {
+        console.warn("Bad Request: Missing required batch parameters. loggedinUserId : " + loggedinUserId + " callbackUrl : " + callbackUrl + " queryText : " + queryText);
+        return res.status(400).send({ error: "Missing required parameters (accountIds, callbackUrl, accessToken, queryText, userPrompt, userPromptQtr, loggedinUserId)" });
+    }
+    if (!queryText.includes('{{AccountId}}')) {
+        return res.status(400).send({ error: "queryText must contain the {{AccountId}} placeholder so each account fetches its own activities." });
+    }
+    try {
+        validateCallbackUrl(callbackUrl);
+    } catch (e) {
+        console.warn(`Bad Request: ${e.message}`);
+        return res.status(400).send({ error: e.message });
+    }
+
+    let batchAccountIds;
+    try {
+        batchAccountIds = parseAccountIdList(accountIds);
+    } catch (e) {
+        console.warn(`Bad Request: ${e.message}`);
+        return res.status(400).send({ error: e.message });
+    }
+
+    // --- Parse Function Schemas & Per-Request Summary Options ---
+    let monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema;
+    try {
+        ({ monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema } = parseFunctionSchemas(req.body));
     } catch (e) {
         console.error("Failed to parse JSON input from request body:", e);
-        return res.status(400).send({ error: `Invalid JSON provided in summaryMap, monthJSON, or qtrJSON. ${e.message}` });
+        return res.status(400).send({ error: `Invalid JSON provided in monthJSON, qtrJSON, or yearJSON. ${e.message}` });
+    }
+    let summaryOptions;
+    try {
+        summaryOptions = parseSummaryOptions(req.body);
+        summaryOptions.promptTemplate = req.promptTemplate;
+        summaryOptions.inboundCaller = getInboundCaller(req);
+        assertServerSessionAllowed(summaryOptions.salesforceOrg, summaryOptions.inboundCaller);
+    } catch (e) {
+        console.warn(`Bad Request: ${e.message}`);
+        return res.status(e.statusCode || 400).send({ error: e.message });
+    }
+
+    if (!ensureGenerationReady(res, summaryOptions, { monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema })) return;
+
+    // --- Register the Batch and One Job per Account ---
+    let batch;
+    try {
+        batch = createBatchRecord(batchAccountIds, loggedinUserId, getJobOwner(summaryOptions.inboundCaller));
+        for (const account of batch.accounts) {
+            const job = await jobStore.create(createJobRecord(account.accountId, loggedinUserId, batch.id, batch.owner));
+            account.jobId = job.id;
+        }
+        batch = await jobStore.create(batch);
+    } catch (jobError) {
+        console.error("Failed to register batch jobs:", jobError);
+        return res.status(500).send({ error: "Internal server error: Could not register batch jobs." });
     }
 
-     // --- Ensure Schemas are Available ---
-     if (!monthlyFuncSchema || !quarterlyFuncSchema) {
-         // This check ensures that either the defaults were found or valid custom schemas were parsed.
-         console.error("FATAL: Function schemas could not be loaded or parsed correctly.");
-         return res.status(500).send({ error: "Internal server error: Could not load function schemas."});
-     }
+    // --- Enqueue the Batch for the Worker ---
+    // The worker runs the accounts itself, so one queue entry (and its checkpoint) covers the whole batch
+    try {
+        await summaryQueue.enqueue(createQueueEntry(batch.id, {
+            type: 'batch',
+            accounts: batch.accounts,
+            accessToken,
+            callbackUrl,
+            userPrompt,
+            userPromptQtr,
+            userPromptYear,
+            queryText,
+            loggedinUserId,
+            monthlyFuncSchema,
+            quarterlyFuncSchema,
+            yearlyFuncSchema,
+            sendCallback,
+            summaryOptions
+        }));
+    } catch (queueError) {
+        console.error(`Failed to enqueue batch ${batch.id}:`, queueError);
+        await failJob(batch.id, queueError);
+        for (const { jobId } of batch.accounts) await failJob(jobId, queueError);
+        return res.status(500).send({ error: "Internal server error: Could not enqueue batch." });
+    }
 
     // --- Acknowledge Request (202 Accepted) ---
-    res.status(202).json({ status: 'processing', message: 'Summary generation initiated. You will receive a callback.' });
-    console.log(`Initiating summary processing for Account ID: ${accountId}`);
+    res.status(202).json({
+        status: 'queued',
+        batchId: batch.id,
+        statusUrl: `/jobs/${batch.id}`,
+        jobs: batch.accounts,
+        message: `Summary generation initiated for ${batch.accounts.length} account(s). ${sendCallback == 'Yes' ? 'You will receive one callback for the batch.' : 'Poll the status URL for the outcome.'}`
+    });
+    console.log(`Queued batch ${batch.id} for ${batch.accounts.length} account(s).`);
+});
+
+
+// --- Preview Endpoint ---
+// Dry run for prompt and schema tuning: fetches, groups and generates like /generatesummary, but writes nothing
+// to Salesforce and sends no callback. Waits for the summaries and returns them (wait=false returns 202 and
+// leaves them on GET /jobs/:id as job.preview). Runs in the web process, outside the durable queue.
+app.post('/previewsummary', requireBearerToken, requireInboundAuth, resolvePromptTemplate, async (req, res) => {
+    console.log("Received /previewsummary request");
 
-    // --- Start Asynchronous Processing ---
-    // Pass the globally stored, verified/created assistant IDs and the final function schemas
-    processSummary(
+    const accessToken = req.accessToken;
+
+    // --- Request Body Destructuring & Validation ---
+    // Function schemas (monthJSON, qtrJSON, yearJSON) and summary options are accepted as in /generatesummary
+    const {
+        accountId,
+        userPrompt, // Template for monthly prompt
+        userPromptQtr, // Template for quarterly prompt
+        userPromptYear, // Optional template for yearly prompt (implies includeYearly)
+        queryText, // SOQL query to fetch activities
+        loggedinUserId,
+        startDate, // Optional first day (YYYY-MM-DD) of activities to include, by activityDateField
+        endDate, // Optional last day (YYYY-MM-DD) of activities to include
+        wait // Optional: false to return 202 immediately and poll GET /jobs/:id for the preview
+    } = req.body;
+
+    if (!accountId || !accessToken || !queryText || !userPrompt || !userPromptQtr || !loggedinUserId) {
+        console.warn("Bad Request: Missing required preview parameters. loggedinUserId : " + loggedinUserId + " accountId : " + accountId + " queryText : " + queryText);
+        return res.status(400).send({ error: "Missing required parameters (accountId, accessToken, queryText, userPrompt, userPromptQtr, loggedinUserId)" });
+    }
+
+    // --- Parse Function Schemas & Per-Request Summary Options ---
+    let monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema;
+    try {
+        ({ monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema } = parseFunctionSchemas(req.body));
+    } catch (e) {
+        console.error("Failed to parse JSON input from request body:", e);
+        return res.status(400).send({ error: `Invalid JSON provided in monthJSON, qtrJSON, or yearJSON. ${e.message}` });
+    }
+    let summaryOptions;
+    try {
+        summaryOptions = parseSummaryOptions(req.body);
+        summaryOptions.promptTemplate = req.promptTemplate;
+        summaryOptions.dateRange = parseDateRange(startDate, endDate);
+        summaryOptions.inboundCaller = getInboundCaller(req);
+        assertServerSessionAllowed(summaryOptions.salesforceOrg, summaryOptions.inboundCaller);
+    } catch (e) {
+        console.warn(`Bad Request: ${e.message}`);
+        return res.status(e.statusCode || 400).send({ error: e.message });
+    }
+    summaryOptions.preview = true;
+    summaryOptions.incremental = false; // A preview always generates every period in range
+
+    if (!ensureGenerationReady(res, summaryOptions, { monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema })) return;
+
+    // --- Register Job ---
+    let job;
+    try {
+        job = await jobStore.create(createJobRecord(accountId, loggedinUserId, null, getJobOwner(summaryOptions.inboundCaller)));
+    } catch (jobError) {
+        console.error(`[${accountId}] Failed to register preview job:`, jobError);
+        return res.status(500).send({ error: "Internal server error: Could not register preview job." });
+    }
+    await updateJob(job.id, stored => { stored.status = 'processing'; });
+
+    // No callbackUrl: previews are returned, not called back
+    const run = processSummary({
         accountId,
         accessToken,
-        callbackUrl,
         userPrompt,
         userPromptQtr,
+        userPromptYear,
         queryText,
-        summaryRecordsMap,
         loggedinUserId,
-        monthlyFuncSchema, // Pass the final schema (default or custom)
-        quarterlyFuncSchema, // Pass the final schema (default or custom)
-        monthlyAssistantId, // Pass the ID obtained during startup
-        quarterlyAssistantId, // Pass the ID obtained during startup
-        sendCallback
-    ).catch(async (error) => {
-        console.error(`[${accountId}] Unhandled error during background processing:`, error);
-        try {
-            await sendCallbackResponse(accountId, callbackUrl, loggedinUserId, accessToken, "Failed", `Unhandled processing error: ${error.message}`);
-        } catch (callbackError) {
-            console.error(`[${accountId}] Failed to send error callback after unhandled exception:`, callbackError);
-        }
+        monthlyFuncSchema,
+        quarterlyFuncSchema,
+        yearlyFuncSchema,
+        summaryOptions,
+        jobId: job.id
     });
+
+    if (wait === false || String(wait).toLowerCase() === 'false') {
+        run.catch(error => console.error(`[${accountId}] Unhandled error during preview ${job.id}:`, error));
+        return res.status(202).json({ status: 'processing', jobId: job.id, statusUrl: `/jobs/${job.id}`, message: 'Preview started. The summaries will be on the job as "preview".' });
+    }
+    try {
+        const result = await run;
+        // A caller token rejected by Salesforce is the caller's problem, reported as their 401
+        res.status(result.unauthorized ? 401 : result.status === 'Failed' ? 502 : 200).json({
+            jobId: job.id,
+            status: result.status,
+            message: result.message,
+            dateRange: summaryOptions.dateRange,
+            generationFailures: (result.saveResults || []).filter(outcome => !outcome.success),
+            usage: result.usage,
+            salesforceIdentity: result.salesforceIdentity,
+            preview: result.preview
+        });
+    } catch (error) {
+        console.error(`[${accountId}] Unhandled error during preview ${job.id}:`, error);
+        await failJob(job.id, error);
+        res.status(500).json({ jobId: job.id, error: `Preview failed: ${error.message}` });
+    }
 });
 
 
-// --- Helper Function to Get Quarter from Month Index ---
-function getQuarterFromMonthIndex(monthIndex) {
-    if (monthIndex >= 0 && monthIndex <= 2) return 'Q1';
-    if (monthIndex >= 3 && monthIndex <= 5) return 'Q2';
-    if (monthIndex >= 6 && monthIndex <= 8) return 'Q3';
-    if (monthIndex >= 9 && monthIndex <= 11) return 'Q4';
-    return 'Unknown';
-}
+// --- Job Status Endpoints ---
+// Authenticated like the work endpoints (INBOUND_AUTH); callers only see the jobs they started (see getJobOwner).
+// Jobs of other callers are reported as not found.
+
+// Returns a single job with its stage, per-period progress, timings and errors
+app.get('/jobs/:id', requireBearerToken, requireInboundAuth, async (req, res) => {
+    try {
+        const job = await jobStore.get(req.params.id);
+        if (!job || !isJobVisibleTo(job, getInboundCaller(req))) {
+            return res.status(404).json({ error: `Job ${req.params.id} not found` });
+        }
+        res.json(job);
+    } catch (error) {
+        console.error(`Failed to read job ${req.params.id}:`, error);
+        res.status(500).json({ error: "Internal server error: Could not read job." });
+    }
+});
+
+// Streams a job's progress as Server-Sent Events: a "snapshot" of the job on connect, then "stage",
+// "records_fetched", "period_started", "period_completed" (with the period's summary), "period_failed",
+// "period_skipped", "saved" and "account_completed" (batches), ending with "completed" or "failed".
+// Like every job endpoint it takes the token from the Authorization header only (URLs end up in access logs),
+// so browsers read the stream with fetch() instead of EventSource, which cannot send headers.
+app.get('/jobs/:id/events', requireBearerToken, requireInboundAuth, async (req, res) => {
+    const jobId = req.params.id;
+    const bufferedEvents = [];
+    let send = event => bufferedEvents.push(event); // Events published while the snapshot is read are replayed after it
+    let unsubscribe = null;
+    try {
+        unsubscribe = await jobEvents.subscribe(jobId, event => send(event));
+        const job = await jobStore.get(jobId);
+        if (!job || !isJobVisibleTo(job, getInboundCaller(req))) {
+            unsubscribe();
+            return res.status(404).json({ error: `Job ${jobId} not found` });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering
+        });
+        let eventId = 0;
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+        const close = () => {
+            clearInterval(keepAlive);
+            unsubscribe();
+            res.end();
+        };
+        const write = (type, data) => res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        req.on('close', close);
+
+        write('snapshot', job);
+        if (job.status === 'completed' || job.status === 'failed') {
+            write(job.status, { jobId, outcome: job.outcome, error: job.error });
+            return close();
+        }
+        send = event => {
+            write(event.type, event.data);
+            if (event.type === 'completed' || event.type === 'failed') close();
+        };
+        bufferedEvents.splice(0).forEach(send);
+    } catch (error) {
+        console.error(`Failed to stream events for job ${jobId}:`, error);
+        if (unsubscribe) unsubscribe();
+        if (!res.headersSent) res.status(500).json({ error: "Internal server error: Could not stream job events." });
+        else res.end();
+    }
+});
+
+// Lists the caller's jobs, newest first, optionally filtered by accountId (?accountId=001...&limit=20)
+app.get('/jobs', requireBearerToken, requireInboundAuth, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    try {
+        const caller = getInboundCaller(req);
+        const jobs = await jobStore.list({ accountId: req.query.accountId, owner: caller.method === 'none' ? undefined : getJobOwner(caller), limit });
+        res.json({ jobs });
+    } catch (error) {
+        console.error("Failed to list jobs:", error);
+        res.status(500).json({ error: "Internal server error: Could not list jobs." });
+    }
+});
+
+
+// --- Admin Endpoints ---
+// Require ADMIN_API_KEY in the X-Admin-Key header (see requireAdminKey)
+
+// Lists undelivered callbacks, newest first (?accountId=001...&limit=20). Dead letters hold no access tokens
+// (records stored by older versions may, and theirs are not returned).
+app.get('/admin/callbacks/dead-letters', requireAdminKey, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    try {
+        const deadLetters = await deadLetterStore.list({ accountId: req.query.accountId, limit });
+        res.json({ deadLetters: deadLetters.map(({ accessToken, ...deadLetter }) => deadLetter) });
+    } catch (error) {
+        console.error("Failed to list dead-letter callbacks:", error);
+        res.status(500).json({ error: "Internal server error: Could not list dead-letter callbacks." });
+    }
+});
+
+// Re-sends a dead-lettered callback. Tokens are not kept with dead letters, so the bearer token is resolved now:
+// body { accessToken } (a current token of the callback's user), otherwise the callback goes out signed only
+// (CALLBACK_SIGNING_SECRET). Delivered callbacks are removed from the list; failures stay with the attempt recorded.
+app.post('/admin/callbacks/dead-letters/:id/replay', requireAdminKey, async (req, res) => {
+    try {
+        const deadLetter = await deadLetterStore.get(req.params.id);
+        if (!deadLetter) {
+            return res.status(404).json({ error: `Dead letter ${req.params.id} not found` });
+        }
+        const accessToken = req.body?.accessToken || null;
+        if (!accessToken && !CALLBACK_SIGNING_SECRET) {
+            return res.status(400).json({ error: "accessToken is required to replay a callback when CALLBACK_SIGNING_SECRET is not set." });
+        }
+        console.log(`[${deadLetter.accountId}] Replaying dead-letter callback ${deadLetter.id} to ${deadLetter.callbackUrl}`);
+        const delivery = await deliverCallback(deadLetter.callbackUrl, deadLetter.payload, accessToken, deadLetter.accountId || `Batch ${deadLetter.jobId}`, 1);
+        if (delivery.delivered) {
+            await deadLetterStore.remove(deadLetter.id);
+            return res.json({ status: 'delivered', id: deadLetter.id });
+        }
+        await deadLetterStore.update(deadLetter.id, entry => {
+            entry.attempts += delivery.attempts;
+            entry.lastError = delivery.error;
+            entry.lastAttemptAt = new Date().toISOString();
+            delete entry.accessToken; // Stored by older versions
+        });
+        res.status(502).json({ status: 'failed', id: deadLetter.id, error: delivery.error });
+    } catch (error) {
+        console.error(`Failed to replay dead-letter callback ${req.params.id}:`, error);
+        res.status(500).json({ error: "Internal server error: Could not replay callback." });
+    }
+});
+
+// Discards a dead-lettered callback without delivering it
+app.delete('/admin/callbacks/dead-letters/:id', requireAdminKey, async (req, res) => {
+    try {
+        const removed = await deadLetterStore.remove(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: `Dead letter ${req.params.id} not found` });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error(`Failed to delete dead-letter callback ${req.params.id}:`, error);
+        res.status(500).json({ error: "Internal server error: Could not delete callback." });
+    }
+});
+
+// Lists the stored prompt template sets, most recently updated first
+app.get('/admin/templates', requireAdminKey, async (req, res) => {
+    try {
+        res.json({ templates: await promptTemplateStore.list() });
+    } catch (error) {
+        console.error("Failed to list prompt templates:", error);
+        res.status(500).json({ error: "Internal server error: Could not list prompt templates." });
+    }
+});
+
+app.get('/admin/templates/:id', requireAdminKey, async (req, res) => {
+    try {
+        const template = await promptTemplateStore.get(req.params.id);
+        if (!template) {
+            return res.status(404).json({ error: `Prompt template ${req.params.id} not found` });
+        }
+        res.json(template);
+    } catch (error) {
+        console.error(`Failed to read prompt template ${req.params.id}:`, error);
+        res.status(500).json({ error: "Internal server error: Could not read prompt template." });
+    }
+});
+
+// Creates or replaces a template set. Body: { description, userPrompt, userPromptQtr, userPromptYear, userPromptWeek }.
+// Each save bumps the version recorded on the jobs that use it.
+app.put('/admin/templates/:id', requireAdminKey, async (req, res) => {
+    const id = req.params.id;
+    if (!PROMPT_TEMPLATE_ID_PATTERN.test(id)) {
+        return res.status(400).json({ error: "Template IDs may only contain letters, digits, '.', '_' and '-' (up to 80 characters)." });
+    }
+    const body = req.body || {};
+    if (!PROMPT_TEMPLATE_FIELDS.some(field => body[field])) {
+        return res.status(400).json({ error: `Provide at least one of: ${PROMPT_TEMPLATE_FIELDS.join(', ')}.` });
+    }
+    try {
+        for (const field of PROMPT_TEMPLATE_FIELDS) {
+            if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+                throw new Error(`${field} must be a string.`);
+            }
+            if (body[field]) parsePromptTemplate(body[field], field);
+        }
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const existing = await promptTemplateStore.get(id);
+        const now = new Date().toISOString();
+        const template = {
+            id,
+            description: body.description || null,
+            ...Object.fromEntries(PROMPT_TEMPLATE_FIELDS.map(field => [field, body[field] || null])),
+            version: (existing?.version || 0) + 1,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+        await promptTemplateStore.put(template);
+        console.log(`Saved prompt template ${id} (version ${template.version}).`);
+        res.status(existing ? 200 : 201).json(template);
+    } catch (error) {
+        console.error(`Failed to save prompt template ${id}:`, error);
+        res.status(500).json({ error: "Internal server error: Could not save prompt template." });
+    }
+});
+
+app.delete('/admin/templates/:id', requireAdminKey, async (req, res) => {
+    try {
+        const removed = await promptTemplateStore.remove(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: `Prompt template ${req.params.id} not found` });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error(`Failed to delete prompt template ${req.params.id}:`, error);
+        res.status(500).json({ error: "Internal server error: Could not delete prompt template." });
+    }
+});
+
+// Lists the summarizer config versions that produced summaries, newest first
+app.get('/admin/config-versions', requireAdminKey, async (req, res) => {
+    try {
+        res.json({ configVersions: await configVersionStore.list() });
+    } catch (error) {
+        console.error("Failed to list config versions:", error);
+        res.status(500).json({ error: "Internal server error: Could not list config versions." });
+    }
+});
+
+app.get('/admin/config-versions/:id', requireAdminKey, async (req, res) => {
+    try {
+        const record = await configVersionStore.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: `Config version ${req.params.id} not found` });
+        }
+        res.json(record);
+    } catch (error) {
+        console.error(`Failed to read config version ${req.params.id}:`, error);
+        res.status(500).json({ error: "Internal server error: Could not read config version." });
+    }
+});
+
+// Compares the assistants in use with the configuration in code without changing them
+app.get('/admin/assistants/drift', requireAdminKey, async (req, res) => {
+    if (!ASSISTANTS_ENABLED || !openai) {
+        return res.status(404).json({ error: "Assistants are not set up in this deployment." });
+    }
+    try {
+        const assistantIds = { monthly: monthlyAssistantId, quarterly: quarterlyAssistantId, yearly: yearlyAssistantId };
+        const assistants = await Promise.all(Object.entries(assistantIds).map(async ([tier, assistantId]) => {
+            const assistant = await openai.beta.assistants.retrieve(assistantId);
+            const desired = { ...SUMMARIZER_DEFINITIONS[tier], model: OPENAI_MODEL, tools: ASSISTANT_BASE_TOOLS };
+            const drift = diffAssistantConfig(assistant, desired);
+            return { tier, assistantId, inSync: drift.length === 0, drift };
+        }));
+        res.json({ reconcile: ASSISTANT_RECONCILE, assistants });
+    } catch (error) {
+        console.error("Failed to check assistant drift:", error);
+        res.status(502).json({ error: `Could not retrieve the assistants: ${error.message}` });
+    }
+});
 
 // --- Asynchronous Summary Processing Logic ---
-// Function signature now accepts the final assistant IDs and schemas
-async function processSummary(
+// Generates, saves and reports the summaries of one account. Options:
+// - accountId, accessToken (the caller's Salesforce token), loggedinUserId, queryText
+// - callbackUrl and sendCallback ('Yes' / 'No'); summaryRecordsMap (optional existing-record overrides)
+// - userPrompt, userPromptQtr, userPromptYear (prompt templates; DEFAULT_YEARLY_PROMPT is used when userPromptYear is empty)
+// - monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema (the resolved function schemas)
+// - assistantIds ({ monthly, quarterly, yearly }; defaults to the assistants set up at startup)
+// - summaryOptions: optional per-request settings { fiscalYear, timeZone, incremental, includeYearly, granularity, weeklyPromptTemplate, chunkingStrategy, provider, activityProjection, redaction, preview, dateRange, salesforceOrg, inboundCaller, promptTemplate, tokenBudget, bypassCache }
+// - jobId, checkpoint, saveCheckpoint, batchId: supplied by the queue worker
+// Resolves to { status, message, saveSummary, saveResults, preview, usage, salesforceIdentity, unauthorized } once the account is done
+// (status: 'Success', 'PartialSuccess' or 'Failed'; unauthorized: Salesforce rejected the caller's session)
+async function processSummary({
     accountId,
     accessToken,
-    callbackUrl,
-    userPromptMonthlyTemplate,
-    userPromptQuarterlyTemplate,
+    callbackUrl = null,
+    sendCallback = 'No',
+    userPrompt: userPromptMonthlyTemplate,
+    userPromptQtr: userPromptQuarterlyTemplate,
+    userPromptYear: userPromptYearlyTemplate,
     queryText,
-    summaryRecordsMap,
+    summaryRecordsMap = [],
     loggedinUserId,
-    finalMonthlyFuncSchema, // Receive the final schema to use
-    finalQuarterlyFuncSchema, // Receive the final schema to use
-    finalMonthlyAssistantId, // Receive the final ID
-    finalQuarterlyAssistantId, // Receive the final ID
-    sendCallback
-) {
-    console.log(`[${accountId}] Starting processSummary using Monthly Asst: ${finalMonthlyAssistantId}, Quarterly Asst: ${finalQuarterlyAssistantId}`);
-
-    const conn = new jsforce.Connection({
-        instanceUrl: SF_LOGIN_URL,
-        accessToken: accessToken,
-        maxRequest: 5,
-        version: '59.0' // Use a recent API version
-    });
-
+    monthlyFuncSchema: finalMonthlyFuncSchema,
+    quarterlyFuncSchema: finalQuarterlyFuncSchema,
+    yearlyFuncSchema: finalYearlyFuncSchema,
+    assistantIds = { monthly: monthlyAssistantId, quarterly: quarterlyAssistantId, yearly: yearlyAssistantId },
+    summaryOptions = {},
+    jobId = null,
+    checkpoint = {}, // Checkpointed progress from an interrupted run of the same job (empty on a first run)
+    saveCheckpoint = async () => {},
+    batchId = null
+}) {
+    const { monthly: finalMonthlyAssistantId, quarterly: finalQuarterlyAssistantId, yearly: finalYearlyAssistantId } = assistantIds;
+    const llmProvider = getLlmProvider(summaryOptions?.provider || LLM_PROVIDER);
+    // With redaction on, every outgoing prompt is checked against the vault of original values
+    const provider = summaryOptions?.redaction ? withPiiLeakCheck(llmProvider, () => checkpoint.piiVault) : llmProvider;
+    const activityProjection = summaryOptions?.activityProjection || resolveActivityProjection();
+    // Effective name, instructions and model of each tier (see getSummarizerConfig); the model is part of the AI result cache key
+    const summarizers = {
+        monthly: { ...getSummarizerConfig(provider.name, 'monthly'), assistantId: finalMonthlyAssistantId },
+        quarterly: { ...getSummarizerConfig(provider.name, 'quarterly'), assistantId: finalQuarterlyAssistantId },
+        yearly: { ...getSummarizerConfig(provider.name, 'yearly'), assistantId: finalYearlyAssistantId }
+    };
+    const bypassCache = !!summaryOptions?.bypassCache;
+    console.log(`[${accountId}] Starting processSummary using the ${provider.name} provider (Monthly Asst: ${finalMonthlyAssistantId}, Quarterly Asst: ${finalQuarterlyAssistantId})`);
+
+    checkpoint.monthlyResults = checkpoint.monthlyResults || {}; // { "January 2024": { year, month, result } }
+    checkpoint.quarterlyResults = checkpoint.quarterlyResults || {}; // { "2024-Q1": rawAiResult }
+    checkpoint.yearlyResults = checkpoint.yearlyResults || {}; // { "2024": rawAiResult }
+    checkpoint.weeklyResults = checkpoint.weeklyResults || {}; // { "2024-W05": { isoYear, week, weekStart, aiOutput, count } }
+    checkpoint.saveResults = checkpoint.saveResults || []; // Per-period outcomes of the stages already saved
+    checkpoint.usage = checkpoint.usage || {}; // Token usage so far, so a resumed job keeps counting against its budget
+    const usage = createUsageMeter(checkpoint.usage, summaryOptions?.tokenBudget || null, summary => updateJob(jobId, job => { job.usage = summary; }));
+
+    let conn = null;
+    let salesforceIdentity = null;
     try {
-        // 1. Fetch Salesforce Records
-        console.log(`[${accountId}] Fetching Salesforce records...`);
-        const groupedData = await fetchRecords(conn, queryText);
-        console.log(`[${accountId}] Fetched and grouped data by year/month. Total record count: ${Object.values(groupedData).flatMap(yearData => yearData.flatMap(monthObj => Object.values(monthObj)[0])).length}`);
+        // Connects as the caller, or as the org's integration user for signed requests to 'server' orgs
+        ({ conn, identity: salesforceIdentity } = await createSalesforceConnection(summaryOptions?.salesforceOrg, accessToken, accountId, summaryOptions?.inboundCaller));
+        const actingUser = salesforceIdentity.username || salesforceIdentity.userId;
+        console.log(`[${accountId}] Salesforce access as ${salesforceIdentity.identity === 'integration' ? 'the integration user' : 'the caller'}${actingUser ? ` ${actingUser}` : ''} of org ${salesforceIdentity.org} (request authenticated by ${salesforceIdentity.authenticatedBy}).`);
+        await updateJob(jobId, job => { job.salesforceIdentity = salesforceIdentity; });
+
+        // 0. Resolve the fiscal year used for quarter grouping
+        const fiscalConfig = await resolveFiscalYearConfig(conn, summaryOptions?.fiscalYear, accountId);
+        console.log(`[${accountId}] Using fiscal year starting in month ${fiscalConfig.startMonth} (named by ${fiscalConfig.naming} year).`);
+        const timeZone = await resolveTimeZone(conn, summaryOptions?.timeZone, loggedinUserId, accountId);
+        const weekly = summaryOptions?.granularity === 'weekly';
+        console.log(`[${accountId}] Bucketing activities by ${weekly ? 'ISO week' : 'month'} of ${activityProjection.dateField} in time zone ${timeZone}.`);
+        const configVersions = await resolveConfigVersions(provider.name);
+        await updateJob(jobId, job => {
+            job.timeZone = timeZone;
+            job.provider = provider.name;
+            job.promptTemplate = summaryOptions?.promptTemplate || null;
+            job.configVersions = configVersions;
+        });
+
+        // Prompt templates: account variables are read once, and only when a template uses them
+        const promptTemplates = {
+            Weekly: summaryOptions?.weeklyPromptTemplate || DEFAULT_WEEKLY_PROMPT,
+            Monthly: userPromptMonthlyTemplate,
+            Quarterly: userPromptQuarterlyTemplate,
+            Yearly: userPromptYearlyTemplate || DEFAULT_YEARLY_PROMPT
+        };
+        const templateVariables = Object.fromEntries(Object.entries(promptTemplates).map(([category, template]) => [category, getPromptTemplateVariables(template)]));
+        const usesPreviousSummary = category => templateVariables[category].has('PreviousSummary');
+        const accountContext = Object.values(templateVariables).some(variables => ACCOUNT_TEMPLATE_VARIABLES.some(name => variables.has(name)))
+            ? await fetchAccountContext(conn, accountId)
+            : {};
+        const renderPrompt = (category, periodVariables) => renderPromptTemplate(promptTemplates[category], { AccountId: accountId, ...accountContext, ...periodVariables });
+
+        // Incremental mode: load the fingerprints stored on existing summary records.
+        // {{PreviousSummary}} falls back to these records for periods outside this run.
+        const incremental = !!summaryOptions?.incremental;
+        let existingSummaries = { Monthly: {}, Quarterly: {}, Yearly: {} };
+        if (incremental || ['Monthly', 'Quarterly', 'Yearly'].some(usesPreviousSummary)) {
+            console.log(`[${accountId}] Loading existing summaries${incremental ? ' and their fingerprints' : ''}...`);
+            existingSummaries = await fetchExistingSummaries(conn, accountId, incremental);
+        }
+        // Stored summaries have their PII restored, so they are redacted again before going back to the model
+        const redactStoredOutput = aiOutput => {
+            if (!aiOutput || !summaryOptions?.redaction) return aiOutput;
+            checkpoint.piiVault = checkpoint.piiVault || { values: {}, counters: {} };
+            return createPiiRedactor(summaryOptions.redaction, activityProjection, checkpoint.piiVault).redactStored(aiOutput);
+        };
+        const previousSummaryFromRecord = existing => redactStoredOutput(getSummaryText(existing?.aiOutput));
+
+        // 1. Fetch Salesforce Records (skipped when a resumed job already saved its monthly summaries)
+        let groupedData = {};
+        let monthFingerprints = {}; // { "January 2024": sha256 of the month's activity IDs + LastModifiedDate }
+        if (checkpoint.monthlySaved) {
+            console.log(`[${accountId}] Resuming job ${jobId}: monthly summaries already saved, skipping fetch and monthly generation.`);
+        } else {
+            console.log(`[${accountId}] Fetching Salesforce records...`);
+            await setJobStage(jobId, 'fetching');
+            let records = await fetchRecords(conn, queryText);
+            if (summaryOptions?.dateRange) {
+                records = filterRecordsByDateRange(records, activityProjection.dateField, summaryOptions.dateRange, timeZone);
+                console.log(`[${accountId}] ${records.length} record(s) within ${summaryOptions.dateRange.startDate || '…'} to ${summaryOptions.dateRange.endDate || '…'}.`);
+            }
+            groupedData = groupRecordsByMonthYear(records, timeZone, weekly ? 'weekly' : 'monthly', activityProjection);
+            monthFingerprints = computeMonthFingerprints(groupedData, records);
+            const totalRecordCount = Object.values(groupedData).flatMap(yearData => yearData.flatMap(monthObj => Object.values(monthObj)[0])).length;
+            console.log(`[${accountId}] Fetched and grouped data by year/month. Total record count: ${totalRecordCount}`);
+            await updateJob(jobId, job => { job.recordCount = totalRecordCount; });
+            await publishJobEvent(jobId, 'records_fetched', { recordCount: totalRecordCount });
+
+            // PII redaction: activities only leave for the LLM with sensitive values replaced by placeholders.
+            // The vault of originals is checkpointed so a resumed job reuses the same placeholders.
+            if (summaryOptions?.redaction) {
+                const redactor = createPiiRedactor(summaryOptions.redaction, activityProjection, checkpoint.piiVault);
+                for (const year in groupedData) {
+                    for (const monthObj of groupedData[year]) {
+                        for (const month in monthObj) {
+                            monthObj[month] = monthObj[month].map(activity => redactor.redactActivity(activity));
+                        }
+                    }
+                }
+                checkpoint.piiVault = redactor.vault;
+                await saveCheckpoint(checkpoint);
+                console.log(`[${accountId}] Redacted PII before generation: ${JSON.stringify(redactor.vault.counters)}`);
+                await updateJob(jobId, job => { job.piiRedactions = { ...redactor.vault.counters }; });
+            }
+        }
+        // Original values to restore in the saved summaries (restorePii), or null to save the placeholders
+        const piiVault = summaryOptions?.redaction?.restore ? checkpoint.piiVault || null : null;
+
+        // Saves one category of summaries; preview mode keeps them for the response instead (no DML)
+        const preview = !!summaryOptions?.preview;
+        const previewResults = {}; // { Monthly: [{ period, startdate, count, summary }], ... }
+        const saveSummaries = async (summaries, category) => {
+            for (const year in summaries) {
+                for (const periodKey in summaries[year]) {
+                    summaries[year][periodKey].configVersion = configVersions[category];
+                    summaries[year][periodKey].usage = usage.getPeriod(category, category === 'Yearly' ? year : `${periodKey} ${year}`);
+                }
+            }
+            if (preview) {
+                previewResults[category] = buildPreviewEntries(summaries, category, piiVault);
+                console.log(`[${accountId}] Preview: ${previewResults[category].length} ${category} summaries returned instead of saved.`);
+                return [];
+            }
+            const results = await createTimileSummarySalesforceRecords(conn, summaries, accountId, category, summaryRecordsMap, loggedinUserId, piiVault);
+            await publishJobEvent(jobId, 'saved', { category, saveSummary: summarizeSaveResults(results) });
+            return results;
+        };
 
         // 2. Generate Monthly Summaries (PARALLELIZED)
+        await setJobStage(jobId, 'monthly');
         const finalMonthlySummaries = {};
         const monthMap = { january: 0, february: 1, march: 2, april: 3, may: 4, june: 5, july: 6, august: 7, september: 8, october: 9, november: 10, december: 11 };
+        const monthNames = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
         const monthlySummaryPromises = [];
+        const monthlyTasks = {}; // periodKey -> promise of the month's result, awaited by the next month's {{PreviousSummary}}
+
+        // Summary text of the month before (generated in this run, or the stored record)
+        const previousMonthlySummary = async (year, monthIndex) => {
+            const previous = new Date(Date.UTC(year, monthIndex - 1, 1));
+            const previousKey = `${monthNames[previous.getUTCMonth()]} ${previous.getUTCFullYear()}`;
+            const previousResult = monthlyTasks[previousKey] ? await monthlyTasks[previousKey].catch(() => null) : null;
+            return getSummaryText(previousResult?.result?.aiOutput) || previousSummaryFromRecord(existingSummaries.Monthly[previousKey.toLowerCase()]);
+        };
+
+        // Weekly granularity: summarizes each ISO week of a month with the monthly assistant, then rolls the weeks up into the month
+        const summarizeMonthByWeeks = async (periodKey, activities, userPromptMonthly) => {
+            const weekBuckets = groupActivitiesByIsoWeek(activities, timeZone, activityProjection.dateKey);
+            const weeks = await Promise.all(weekBuckets.map(async ({ isoYear, week, weekStart, activities: weekActivities }) => {
+                const weekKey = `${isoYear}-${week}`;
+                if (checkpoint.weeklyResults[weekKey]) {
+                    console.log(`[${accountId}] Reusing checkpointed weekly summary for ${weekKey}.`);
+                    return checkpoint.weeklyResults[weekKey];
+                }
+                const userPromptWeekly = renderPrompt('Weekly', {
+                    Week: `${week} ${isoYear}`,
+                    WeekStart: weekStart,
+                    Year: isoYear,
+                    ActivityCount: weekActivities.length,
+                    PeriodStart: weekStart,
+                    PeriodEnd: getPeriodEndDate(weekStart, 0, 7)
+                });
+                const aiOutput = await trackJobPeriod(jobId, 'Weekly', `${week} ${isoYear}`, () => generateActivitySummary(
+                    weekActivities,
+                    provider,
+                    summarizers.monthly,
+                    `${userPromptWeekly} Use startdate ${weekStart} in the output.`,
+                    finalMonthlyFuncSchema,
+                    summaryOptions?.chunkingStrategy,
+                    usage.forPeriod('Weekly', `${week} ${isoYear}`),
+                    bypassCache
+                ));
+                const weeklyResult = { isoYear, week, weekStart, aiOutput, count: weekActivities.length };
+                checkpoint.weeklyResults[weekKey] = weeklyResult;
+                await saveCheckpoint(checkpoint);
+                return weeklyResult;
+            }));
+            const weeklyInputDataString = JSON.stringify(weeks.map(({ week, weekStart, aiOutput }) => ({ week, weekStart, ...aiOutput })), null, 2);
+            const userPromptRollup = `${userPromptMonthly}\n\nAggregate the following weekly summary data provided below for ${periodKey}:\n\`\`\`json\n${weeklyInputDataString}\n\`\`\``;
+            const aiOutput = await trackJobPeriod(jobId, 'Monthly', periodKey, () => generateValidatedSummary(
+                null,
+                provider,
+                summarizers.monthly,
+                userPromptRollup,
+                finalMonthlyFuncSchema,
+                usage.forPeriod('Monthly', periodKey),
+                bypassCache
+            ));
+            return { aiOutput, weeks };
+        };
 
         for (const year in groupedData) {
             finalMonthlySummaries[year] = {};
-            for (const monthObj of groupedData[year]) {
+            // Chronological, so each month's task exists before the following month looks it up
+            const monthObjs = [...groupedData[year]].sort((a, b) => monthMap[Object.keys(a)[0].toLowerCase()] - monthMap[Object.keys(b)[0].toLowerCase()]);
+            for (const monthObj of monthObjs) {
                 for (const month in monthObj) {
                     const activities = monthObj[month];
                     if (activities.length === 0) continue;
                     const monthIndex = monthMap[month.toLowerCase()];
                     if (monthIndex === undefined) continue;
                     const startDate = new Date(Date.UTC(year, monthIndex, 1));
-                    const userPromptMonthly = userPromptMonthlyTemplate.replace('{{YearMonth}}', `${month} ${year}`);
-                    monthlySummaryPromises.push(
-                        generateSummary(
-                            activities,
-                            openai,
-                            finalMonthlyAssistantId,
-                            userPromptMonthly,
-                            finalMonthlyFuncSchema
-                        ).then(monthlySummaryResult => ({
+                    const periodKey = `${month} ${year}`;
+                    if (checkpoint.monthlyResults[periodKey]) {
+                        console.log(`[${accountId}] Reusing checkpointed monthly summary for ${periodKey}.`);
+                        monthlyTasks[periodKey] = Promise.resolve(checkpoint.monthlyResults[periodKey]);
+                        monthlySummaryPromises.push(monthlyTasks[periodKey]);
+                        continue;
+                    }
+                    const fingerprint = monthFingerprints[periodKey] || null;
+                    const existingMonth = existingSummaries.Monthly[periodKey.toLowerCase()];
+                    if (incremental && fingerprint && existingMonth?.fingerprint === fingerprint && existingMonth.aiOutput) {
+                        // Unchanged month: reuse the stored summary as quarterly input, do not regenerate or save it
+                        console.log(`[${accountId}] Skipping unchanged month ${periodKey} (fingerprint ${fingerprint.substring(0, 12)}...).`);
+                        await markJobPeriodSkipped(jobId, 'Monthly', periodKey);
+                        const skippedResult = {
                             year,
                             month,
                             result: {
-                                aiOutput: monthlySummaryResult,
+                                aiOutput: redactStoredOutput(existingMonth.aiOutput),
                                 count: activities.length,
                                 startdate: startDate.toISOString().split('T')[0],
                                 year: parseInt(year),
-                                monthIndex
+                                monthIndex,
+                                fingerprint,
+                                skipped: true
                             }
-                        }))
-                    );
+                        };
+                        checkpoint.monthlyResults[periodKey] = skippedResult;
+                        monthlyTasks[periodKey] = Promise.resolve(skippedResult);
+                        monthlySummaryPromises.push(monthlyTasks[periodKey]);
+                        continue;
+                    }
+                    const renderMonthlyPrompt = async () => renderPrompt('Monthly', {
+                        YearMonth: periodKey,
+                        Month: month,
+                        Year: year,
+                        ActivityCount: activities.length,
+                        PeriodStart: startDate.toISOString().split('T')[0],
+                        PeriodEnd: getPeriodEndDate(startDate.toISOString().split('T')[0], 1),
+                        PreviousSummary: usesPreviousSummary('Monthly') ? await previousMonthlySummary(parseInt(year), monthIndex) : ''
+                    });
+                    const monthTask = renderMonthlyPrompt().then(userPromptMonthly => weekly
+                        ? summarizeMonthByWeeks(periodKey, activities, userPromptMonthly)
+                        : trackJobPeriod(jobId, 'Monthly', periodKey, () => generateActivitySummary(
+                            activities,
+                            provider,
+                            summarizers.monthly,
+                            userPromptMonthly,
+                            finalMonthlyFuncSchema,
+                            summaryOptions?.chunkingStrategy,
+                            usage.forPeriod('Monthly', periodKey),
+                            bypassCache
+                        )).then(aiOutput => ({ aiOutput, weeks: null })));
+                    monthlyTasks[periodKey] = monthTask.then(({ aiOutput, weeks }) => ({
+                        year,
+                        month,
+                        result: {
+                            aiOutput,
+                            count: activities.length,
+                            startdate: startDate.toISOString().split('T')[0],
+                            year: parseInt(year),
+                            monthIndex,
+                            fingerprint,
+                            weeks // Weekly granularity only: [{ isoYear, week, weekStart, aiOutput, count }]
+                        }
+                    })).then(async monthlyResult => {
+                        checkpoint.monthlyResults[periodKey] = monthlyResult;
+                        await saveCheckpoint(checkpoint);
+                        return monthlyResult;
+                    })
+                    .catch(error => {
+                        if (error instanceof TokenBudgetExceededError) throw error; // Stops the job instead of failing one period
+                        console.error(`[${accountId}] Failed to generate monthly summary for ${periodKey}:`, error);
+                        return { year, month, result: null, error: error.message };
+                    });
+                    monthlySummaryPromises.push(monthlyTasks[periodKey]);
                 }
             }
         }
 
         // Wait for all monthly summaries in parallel
-        const monthlyResults = await Promise.all(monthlySummaryPromises);
-        for (const { year, month, result } of monthlyResults) {
+        const monthlyResults = checkpoint.monthlySaved
+            ? Object.values(checkpoint.monthlyResults) // Resumed: reuse the saved monthly outputs for the quarterly step
+            : await Promise.all(monthlySummaryPromises);
+        const skippedPeriods = { Monthly: [], Quarterly: [], Yearly: [] }; // Unchanged periods (incremental mode), reported in the callback
+        // Periods whose summary could not be generated, reported like failed saves.
+        // Failed months are checkpointed with the monthly saves, so a resumed job still reports them.
+        const generationFailures = [...(checkpoint.monthlyFailures || [])];
+        for (const { year, month, result, error } of monthlyResults) {
+            if (error) {
+                generationFailures.push(createSaveOutcome('Monthly', `${month} ${year}`, 'generate', false, null, [error]));
+                continue;
+            }
             if (!finalMonthlySummaries[year]) finalMonthlySummaries[year] = {};
             finalMonthlySummaries[year][month] = result;
+            if (result.skipped) skippedPeriods.Monthly.push(`${month} ${year}`);
         }
 
-        // 3. Save Monthly Summaries to Salesforce
+        // 3. Save Weekly (weekly granularity only) and Monthly Summaries to Salesforce
         const monthlyForSalesforce = {};
+        const weeklyForSalesforce = {}; // { isoYear: { "W05": {...} } }
         for (const year in finalMonthlySummaries) {
             monthlyForSalesforce[year] = {};
             for (const month in finalMonthlySummaries[year]) {
                 const monthData = finalMonthlySummaries[year][month];
+                if (monthData.skipped) continue; // Unchanged: the existing record is already up to date
+                for (const weekData of monthData.weeks || []) {
+                    if (!weeklyForSalesforce[weekData.isoYear]) weeklyForSalesforce[weekData.isoYear] = {};
+                    weeklyForSalesforce[weekData.isoYear][weekData.week] = {
+                        summary: JSON.stringify(weekData.aiOutput),
+                        summaryDetails: weekData.aiOutput?.summary || '',
+                        count: weekData.count,
+                        startdate: weekData.weekStart // Monday of the ISO week
+                    };
+                }
                 const aiSummary = monthData.aiOutput?.summary || '';
                 monthlyForSalesforce[year][month] = {
                     summary: JSON.stringify(monthData.aiOutput),
                     summaryDetails: aiSummary,
                     count: monthData.count,
-                    startdate: monthData.startdate
+                    startdate: monthData.startdate,
+                    fingerprint: incremental ? monthData.fingerprint : null
                 };
             }
         }
-        if (Object.keys(monthlyForSalesforce).length > 0 && Object.values(monthlyForSalesforce).some(year => Object.keys(year).length > 0)) {
+        if (!checkpoint.monthlySaved && Object.keys(weeklyForSalesforce).length > 0) {
+            console.log(`[${accountId}] Saving weekly summaries to Salesforce...`);
+            await setJobStage(jobId, 'saving_weekly');
+            checkpoint.saveResults.push(...await saveSummaries(weeklyForSalesforce, 'Weekly'));
+            console.log(`[${accountId}] Weekly summaries saved.`);
+        }
+        if (checkpoint.monthlySaved) {
+            console.log(`[${accountId}] Monthly summaries were saved before the job was interrupted.`);
+        } else if (Object.keys(monthlyForSalesforce).length > 0 && Object.values(monthlyForSalesforce).some(year => Object.keys(year).length > 0)) {
             console.log(`[${accountId}] Saving monthly summaries to Salesforce...`);
-            await createTimileSummarySalesforceRecords(conn, monthlyForSalesforce, accountId, 'Monthly', summaryRecordsMap,loggedinUserId);
+            await setJobStage(jobId, 'saving_monthly');
+            checkpoint.saveResults.push(...await saveSummaries(monthlyForSalesforce, 'Monthly'));
             console.log(`[${accountId}] Monthly summaries saved.`);
         } else {
             console.log(`[${accountId}] No monthly summaries generated to save.`);
         }
+        if (!checkpoint.monthlySaved) {
+            checkpoint.monthlySaved = true;
+            checkpoint.monthlyFailures = generationFailures;
+            await saveCheckpoint(checkpoint);
+        }
 
-        // 4. Group Monthly Summaries by Quarter
+        // 4. Group Monthly Summaries by (Fiscal) Quarter
         console.log(`[${accountId}] Grouping monthly summaries by quarter...`);
         const quarterlyInputGroups = {};
+        const quarterPeriods = {}; // quarterKey -> { year, quarter, startdate } in fiscal terms
+        const quarterMonthFingerprints = {}; // quarterKey -> ["January 2024:<fingerprint>", ...]
+        const quarterActivityCounts = {}; // quarterKey -> activities of its months, for {{ActivityCount}}
         for (const year in finalMonthlySummaries) {
             for (const month in finalMonthlySummaries[year]) {
                 const monthData = finalMonthlySummaries[year][month];
-                const quarter = getQuarterFromMonthIndex(monthData.monthIndex);
-                const quarterKey = `${year}-${quarter}`;
+                const quarter = getQuarterFromMonthIndex(monthData.monthIndex, fiscalConfig.startMonth);
+                const fiscalYear = getFiscalYear(parseInt(year), monthData.monthIndex, fiscalConfig);
+                const quarterKey = `${fiscalYear}-${quarter}`;
                 if (!quarterlyInputGroups[quarterKey]) {
                     quarterlyInputGroups[quarterKey] = [];
+                    quarterPeriods[quarterKey] = { year: fiscalYear, quarter, startdate: getFiscalQuarterStartDate(fiscalYear, quarter, fiscalConfig) };
+                    quarterMonthFingerprints[quarterKey] = [];
+                    quarterActivityCounts[quarterKey] = 0;
                 }
+                quarterActivityCounts[quarterKey] += monthData.count || 0;
                 quarterlyInputGroups[quarterKey].push(monthData.aiOutput);
+                quarterMonthFingerprints[quarterKey].push(`${month} ${year}:${monthData.fingerprint || ''}`);
             }
         }
         console.log(`[${accountId}] Identified ${Object.keys(quarterlyInputGroups).length} quarters with data.`);
 
+        // A quarter's fingerprint covers its member months, so it changes when any month changes
+        const quarterFingerprints = {};
+        for (const [quarterKey, memberFingerprints] of Object.entries(quarterMonthFingerprints)) {
+            quarterFingerprints[quarterKey] = memberFingerprints.every(entry => !entry.endsWith(':'))
+                ? hashFingerprint(memberFingerprints.sort())
+                : null;
+        }
+
         // 5. Generate Quarterly Summary for EACH Quarter (PARALLELIZED)
-        const quarterlySummaryPromises = Object.entries(quarterlyInputGroups).map(([quarterKey, monthlySummariesForQuarter]) => {
+        await setJobStage(jobId, 'quarterly');
+        const quarterlyTasks = {}; // quarterKey -> promise of the quarter's result, awaited by the next quarter's {{PreviousSummary}}
+        const previousQuarterlySummary = async quarterKey => {
+            const { year, quarter } = quarterPeriods[quarterKey];
+            const quarterNumber = parseInt(quarter.substring(1), 10);
+            const previous = quarterNumber === 1 ? { year: year - 1, quarter: 'Q4' } : { year, quarter: `Q${quarterNumber - 1}` };
+            const previousKey = `${previous.year}-${previous.quarter}`;
+            const previousResult = quarterlyTasks[previousKey] ? await quarterlyTasks[previousKey] : null;
+            return getSummaryText(previousResult?.result) || previousSummaryFromRecord(existingSummaries.Quarterly[`${previous.quarter} ${previous.year}`.toLowerCase()]);
+        };
+        const summarizeQuarter = async (quarterKey, monthlySummariesForQuarter) => {
             if (!monthlySummariesForQuarter || monthlySummariesForQuarter.length === 0) {
                 return Promise.resolve({ quarterKey, result: null });
             }
+            if (checkpoint.quarterlyResults[quarterKey]) {
+                console.log(`[${accountId}] Reusing checkpointed quarterly summary for ${quarterKey}.`);
+                return Promise.resolve({ quarterKey, result: checkpoint.quarterlyResults[quarterKey] });
+            }
+            const existingQuarter = existingSummaries.Quarterly[`${quarterPeriods[quarterKey].quarter} ${quarterPeriods[quarterKey].year}`.toLowerCase()];
+            if (incremental && quarterFingerprints[quarterKey] && existingQuarter?.fingerprint === quarterFingerprints[quarterKey]) {
+                console.log(`[${accountId}] Skipping unchanged quarter ${quarterKey}.`);
+                return markJobPeriodSkipped(jobId, 'Quarterly', `${quarterPeriods[quarterKey].quarter} ${quarterPeriods[quarterKey].year}`)
+                    .then(() => ({ quarterKey, result: null, skipped: true }));
+            }
             const quarterlyInputDataString = JSON.stringify(monthlySummariesForQuarter, null, 2);
-            const [year, quarter] = quarterKey.split('-');
-            const userPromptQuarterly = `${userPromptQuarterlyTemplate.replace('{{Quarter}}', quarter).replace('{{Year}}', year)}\n\nAggregate the following monthly summary data provided below for ${quarterKey}:\n\`\`\`json\n${quarterlyInputDataString}\n\`\`\``;
-            return generateSummary(
+            const { year, quarter, startdate } = quarterPeriods[quarterKey];
+            // Non-calendar fiscal years: state the period explicitly so the model does not assume calendar quarters
+            const fiscalNote = fiscalConfig.startMonth !== 1
+                ? ` (fiscal quarter ${quarter} of fiscal year ${year}, starting ${startdate}; use year ${year}, quarter ${quarter} and startdate ${startdate} in the output)`
+                : '';
+            const quarterPrompt = renderPrompt('Quarterly', {
+                Quarter: quarter,
+                Year: year,
+                ActivityCount: quarterActivityCounts[quarterKey],
+                PeriodStart: startdate,
+                PeriodEnd: getPeriodEndDate(startdate, 3),
+                PreviousSummary: usesPreviousSummary('Quarterly') ? await previousQuarterlySummary(quarterKey) : ''
+            });
+            const userPromptQuarterly = `${quarterPrompt}\n\nAggregate the following monthly summary data provided below for ${quarterKey}${fiscalNote}:\n\`\`\`json\n${quarterlyInputDataString}\n\`\`\``;
+            return trackJobPeriod(jobId, 'Quarterly', `${quarter} ${year}`, () => generateValidatedSummary(
                 null,
-                openai,
-                finalQuarterlyAssistantId,
+                provider,
+                summarizers.quarterly,
                 userPromptQuarterly,
-                finalQuarterlyFuncSchema
-            ).then(quarterlySummaryResult => ({ quarterKey, result: quarterlySummaryResult }))
+                finalQuarterlyFuncSchema,
+                usage.forPeriod('Quarterly', `${quarter} ${year}`),
+                bypassCache
+            )).then(async quarterlySummaryResult => {
+                checkpoint.quarterlyResults[quarterKey] = quarterlySummaryResult;
+                await saveCheckpoint(checkpoint);
+                return { quarterKey, result: quarterlySummaryResult };
+            })
             .catch(error => {
+                if (error instanceof TokenBudgetExceededError) throw error; // Stops the job instead of failing one period
                 console.error(`[${accountId}] Failed to generate quarterly summary for ${quarterKey}:`, error);
-                return { quarterKey, result: null };
+                return { quarterKey, result: null, error: error.message };
             });
-        });
-        const quarterlyResults = await Promise.all(quarterlySummaryPromises);
+        };
+        // Chronological, so each quarter's task exists before the following quarter looks it up
+        for (const quarterKey of Object.keys(quarterlyInputGroups).sort()) {
+            quarterlyTasks[quarterKey] = summarizeQuarter(quarterKey, quarterlyInputGroups[quarterKey]);
+        }
+        const quarterlyResults = await Promise.all(Object.values(quarterlyTasks));
         const allQuarterlyRawResults = {};
-        for (const { quarterKey, result } of quarterlyResults) {
+        for (const { quarterKey, result, skipped, error } of quarterlyResults) {
             if (result) allQuarterlyRawResults[quarterKey] = result;
+            if (error) generationFailures.push(createSaveOutcome('Quarterly', `${quarterPeriods[quarterKey].quarter} ${quarterPeriods[quarterKey].year}`, 'generate', false, null, [error]));
+            if (skipped) skippedPeriods.Quarterly.push(`${quarterPeriods[quarterKey].quarter} ${quarterPeriods[quarterKey].year}`);
         }
 
         // 6. Transform and Consolidate ALL Quarterly Results
         console.log(`[${accountId}] Transforming ${Object.keys(allQuarterlyRawResults).length} generated quarterly summaries...`);
         const finalQuarterlyDataForSalesforce = {};
         for (const [quarterKey, rawAiResult] of Object.entries(allQuarterlyRawResults)) {
-            const transformedResult = transformQuarterlyStructure(rawAiResult);
+            const transformedResult = transformQuarterlyStructure(rawAiResult, quarterPeriods[quarterKey]);
             for (const year in transformedResult) {
+                for (const quarter in transformedResult[year]) {
+                    transformedResult[year][quarter].fingerprint = incremental ? quarterFingerprints[quarterKey] : null;
+                }
                 if (!finalQuarterlyDataForSalesforce[year]) {
                     finalQuarterlyDataForSalesforce[year] = {};
                 }
@@ -467,218 +1673,200 @@ async function processSummary(
         }
 
         // 7. Save ALL Generated Quarterly Summaries to Salesforce
-        if (Object.keys(finalQuarterlyDataForSalesforce).length > 0 && Object.values(finalQuarterlyDataForSalesforce).some(year => Object.keys(year).length > 0)) {
+        if (checkpoint.quarterlySaved) {
+            console.log(`[${accountId}] Quarterly summaries were saved before the job was interrupted.`);
+        } else if (Object.keys(finalQuarterlyDataForSalesforce).length > 0 && Object.values(finalQuarterlyDataForSalesforce).some(year => Object.keys(year).length > 0)) {
             const totalQuarterlyRecords = Object.values(finalQuarterlyDataForSalesforce).reduce((sum, year) => sum + Object.keys(year).length, 0);
             console.log(`[${accountId}] Saving ${totalQuarterlyRecords} quarterly summaries to Salesforce...`);
-            await createTimileSummarySalesforceRecords(conn, finalQuarterlyDataForSalesforce, accountId, 'Quarterly', summaryRecordsMap,loggedinUserId);
+            await setJobStage(jobId, 'saving_quarterly');
+            checkpoint.saveResults.push(...await saveSummaries(finalQuarterlyDataForSalesforce, 'Quarterly'));
             console.log(`[${accountId}] Quarterly summaries saved.`);
         } else {
             console.log(`[${accountId}] No quarterly summaries generated or transformed to save.`);
         }
-
-        // 8. Send Success Callback
-        console.log(`[${accountId}] Process completed.`);
-        console.log(`sendCallback Before sendCallbackResponse is [${sendCallback}]`);
-        if(sendCallback == 'Yes') {
-            console.log(`Inside sendCallbackResponse success if block, value is [${sendCallback}]`);
-            await sendCallbackResponse(accountId, callbackUrl, loggedinUserId, accessToken, "Success", "Summary Processed Successfully");
+        if (!checkpoint.quarterlySaved) {
+            checkpoint.quarterlySaved = true;
+            await saveCheckpoint(checkpoint);
         }
 
-    } catch (error) {
-        console.error(`[${accountId}] Error during summary processing:`, error);
-        await sendCallbackResponse(accountId, callbackUrl, loggedinUserId, accessToken, "Failed", `Processing error: ${error.message}`);
-    }
-}
-
-
-// --- OpenAI Summary Generation Function ---
-// This function handles the core interaction with the OpenAI Assistant for a single summary task.
-// It accepts the specific Assistant ID and the detailed function schema for the run.
-async function generateSummary(
-    activities, // Array of activities or null (if data is in prompt)
-    openaiClient,
-    assistantId, // The ID of the specific Assistant to use (monthly or quarterly)
-    userPrompt,
-    functionSchema // The detailed schema for the function to be called in THIS run
-) {
-    let fileId = null;
-    let thread = null;
-    let filePath = null;
-    let inputMethod = "prompt";
-
-    try {
-        // Ensure TEMP_FILE_DIR exists before attempting to write
-        await fs.ensureDir(TEMP_FILE_DIR);
-
-        // 1. Create a new Thread for this interaction
-        thread = await openaiClient.beta.threads.create();
-        console.log(`[Thread ${thread.id}] Created for Assistant ${assistantId}`);
-
-        let finalUserPrompt = userPrompt;
-        let messageAttachments = [];
-
-        // 2. Determine input method: direct prompt vs. file upload
-        if (activities && Array.isArray(activities) && activities.length > 0) {
-            let potentialFullPrompt;
-            let activitiesJsonString;
-            try {
-                 activitiesJsonString = JSON.stringify(activities, null, 2);
-                 potentialFullPrompt = `${userPrompt}\n\nHere is the activity data to process:\n\`\`\`json\n${activitiesJsonString}\n\`\`\``;
-                 console.log(`[Thread ${thread.id}] Potential prompt length with direct JSON: ${potentialFullPrompt.length} characters.`);
-            } catch(stringifyError) {
-                console.error(`[Thread ${thread.id}] Error stringifying activities for length check:`, stringifyError);
-                throw new Error("Failed to stringify activity data for processing.");
+        // 8. Generate and Save Yearly Summaries from the Quarterly Outputs (optional)
+        if (summaryOptions?.includeYearly) {
+            // Collect each fiscal year's quarterly outputs (generated now, or stored ones for quarters skipped as unchanged)
+            const yearlyInputGroups = {}; // fiscalYear -> [quarterData, ...] in quarter order
+            const yearQuarterFingerprints = {}; // fiscalYear -> ["Q1:<fingerprint>", ...]
+            for (const quarterKey of Object.keys(quarterPeriods).sort()) {
+                const { year, quarter } = quarterPeriods[quarterKey];
+                const generatedQuarter = finalQuarterlyDataForSalesforce[year]?.[quarter];
+                const quarterData = generatedQuarter
+                    ? JSON.parse(generatedQuarter.summaryJson)
+                    : redactStoredOutput(existingSummaries.Quarterly[`${quarter} ${year}`.toLowerCase()]?.aiOutput);
+                if (!quarterData) {
+                    console.warn(`[${accountId}] No quarterly summary available for ${quarter} ${year}; it is left out of the yearly summary.`);
+                    continue;
+                }
+                if (!yearlyInputGroups[year]) {
+                    yearlyInputGroups[year] = [];
+                    yearQuarterFingerprints[year] = [];
+                }
+                // The fiscal quarter the summary was generated for wins over the quarter named in the AI output
+                yearlyInputGroups[year].push({ ...quarterData, quarter });
+                yearQuarterFingerprints[year].push(`${quarter}:${quarterFingerprints[quarterKey] || ''}`);
             }
-
-            // Check if direct JSON input is feasible based on thresholds
-            if (potentialFullPrompt.length < PROMPT_LENGTH_THRESHOLD && activities.length <= DIRECT_INPUT_THRESHOLD) {
-                inputMethod = "direct JSON";
-                finalUserPrompt = potentialFullPrompt;
-                console.log(`[Thread ${thread.id}] Using direct JSON input (Prompt length ${potentialFullPrompt.length} < ${PROMPT_LENGTH_THRESHOLD}, Activities ${activities.length} <= ${DIRECT_INPUT_THRESHOLD}).`);
-            } else {
-                // Use file upload if thresholds are exceeded
-                inputMethod = "file upload";
-                console.log(`[Thread ${thread.id}] Using file upload (Prompt length ${potentialFullPrompt.length} >= ${PROMPT_LENGTH_THRESHOLD} or Activities ${activities.length} > ${DIRECT_INPUT_THRESHOLD}).`);
-                finalUserPrompt = userPrompt; // Use original prompt when uploading file
-
-                // Convert activities to Plain Text for better file_search compatibility
-                let activitiesText = activities.map((activity, index) => {
-                    let activityLines = [`Activity ${index + 1}:`];
-                    for (const [key, value] of Object.entries(activity)) {
-                        let displayValue = value === null || value === undefined ? 'N/A' :
-                                           typeof value === 'object' ? JSON.stringify(value) : String(value);
-                        activityLines.push(`  ${key}: ${displayValue}`);
-                    }
-                    return activityLines.join('\n');
-                }).join('\n\n---\n\n');
-
-                // Create temporary file in the designated directory
-                const timestamp = new Date().toISOString().replace(/[:.-]/g, "_");
-                const filename = `salesforce_activities_${timestamp}_${thread.id}.txt`; // Use .txt extension
-                filePath = path.join(TEMP_FILE_DIR, filename);
-
-                await fs.writeFile(filePath, activitiesText);
-                console.log(`[Thread ${thread.id}] Temporary text file generated: ${filePath}`);
-
-                // Upload file to OpenAI
-                const uploadResponse = await openaiClient.files.create({
-                    file: fs.createReadStream(filePath),
-                    purpose: "assistants", // Use 'assistants' purpose for Assistants API v2
+            console.log(`[${accountId}] Identified ${Object.keys(yearlyInputGroups).length} years with quarterly data.`);
+
+            await setJobStage(jobId, 'yearly');
+            const yearlyTasks = {}; // year -> promise of the year's result, awaited by the next year's {{PreviousSummary}}
+            const previousYearlySummary = async year => {
+                const previousYear = String(Number(year) - 1);
+                const previousResult = yearlyTasks[previousYear] ? await yearlyTasks[previousYear] : null;
+                return getSummaryText(previousResult?.result) || previousSummaryFromRecord(existingSummaries.Yearly[previousYear]);
+            };
+            const summarizeYear = async (year, quarterlySummariesForYear) => {
+                const yearStartDate = getFiscalQuarterStartDate(Number(year), 'Q1', fiscalConfig);
+                const activityCount = quarterlySummariesForYear.reduce((sum, quarterData) => sum + (quarterData.activityCount || 0), 0);
+                const yearFingerprint = yearQuarterFingerprints[year].every(entry => !entry.endsWith(':')) ? hashFingerprint(yearQuarterFingerprints[year]) : null;
+                const periodInfo = { year, startdate: yearStartDate, count: activityCount, fingerprint: yearFingerprint };
+
+                if (checkpoint.yearlyResults[year]) {
+                    console.log(`[${accountId}] Reusing checkpointed yearly summary for ${year}.`);
+                    return Promise.resolve({ ...periodInfo, result: checkpoint.yearlyResults[year] });
+                }
+                if (incremental && yearFingerprint && existingSummaries.Yearly[String(year)]?.fingerprint === yearFingerprint) {
+                    console.log(`[${accountId}] Skipping unchanged year ${year}.`);
+                    return markJobPeriodSkipped(jobId, 'Yearly', year).then(() => ({ ...periodInfo, result: null, skipped: true }));
+                }
+                const yearlyInputDataString = JSON.stringify(quarterlySummariesForYear, null, 2);
+                const yearPrompt = renderPrompt('Yearly', {
+                    Year: year,
+                    ActivityCount: activityCount,
+                    PeriodStart: yearStartDate,
+                    PeriodEnd: getPeriodEndDate(yearStartDate, 12),
+                    PreviousSummary: usesPreviousSummary('Yearly') ? await previousYearlySummary(year) : ''
+                });
+                const userPromptYearly = `${yearPrompt}\n\nAggregate the following quarterly summary data provided below for ${year} (year starting ${yearStartDate}; use year ${year} and startdate ${yearStartDate} in the output):\n\`\`\`json\n${yearlyInputDataString}\n\`\`\``;
+                return trackJobPeriod(jobId, 'Yearly', year, () => generateValidatedSummary(
+                    null,
+                    provider,
+                    summarizers.yearly,
+                    userPromptYearly,
+                    finalYearlyFuncSchema,
+                    usage.forPeriod('Yearly', year),
+                    bypassCache
+                )).then(async yearlySummaryResult => {
+                    checkpoint.yearlyResults[year] = yearlySummaryResult;
+                    await saveCheckpoint(checkpoint);
+                    return { ...periodInfo, result: yearlySummaryResult };
+                })
+                .catch(error => {
+                    if (error instanceof TokenBudgetExceededError) throw error;
+                    console.error(`[${accountId}] Failed to generate yearly summary for ${year}:`, error);
+                    return { ...periodInfo, result: null, error: error.message };
                 });
-                fileId = uploadResponse.id;
-                console.log(`[Thread ${thread.id}] File uploaded to OpenAI: ${fileId}`);
+            };
+            for (const year of Object.keys(yearlyInputGroups).sort()) {
+                yearlyTasks[year] = summarizeYear(year, yearlyInputGroups[year]);
+            }
+            const yearlyResults = await Promise.all(Object.values(yearlyTasks));
+
+            // Structure: { year: { Year: { summary, summaryDetails, count, startdate, fingerprint } } }
+            const yearlyForSalesforce = {};
+            for (const { year, startdate, count, fingerprint, result, skipped, error } of yearlyResults) {
+                if (skipped) skippedPeriods.Yearly.push(String(year));
+                if (error) generationFailures.push(createSaveOutcome('Yearly', String(year), 'generate', false, null, [error]));
+                if (!result) continue;
+                yearlyForSalesforce[year] = {
+                    Year: {
+                        summary: JSON.stringify(result),
+                        summaryDetails: result.summary || '',
+                        count,
+                        startdate, // Computed fiscal year start; not taken from the AI output
+                        fingerprint: incremental ? fingerprint : null
+                    }
+                };
+            }
 
-                // Attach file to the message using the file_search tool type
-                messageAttachments.push({ file_id: fileId, tools: [{ type: "file_search" }] });
-                console.log(`[Thread ${thread.id}] Attaching file ${fileId} with file_search tool.`);
+            if (checkpoint.yearlySaved) {
+                console.log(`[${accountId}] Yearly summaries were saved before the job was interrupted.`);
+            } else if (Object.keys(yearlyForSalesforce).length > 0) {
+                console.log(`[${accountId}] Saving ${Object.keys(yearlyForSalesforce).length} yearly summaries to Salesforce...`);
+                await setJobStage(jobId, 'saving_yearly');
+                checkpoint.saveResults.push(...await saveSummaries(yearlyForSalesforce, 'Yearly'));
+                console.log(`[${accountId}] Yearly summaries saved.`);
+            } else {
+                console.log(`[${accountId}] No yearly summaries generated to save.`);
             }
-        } else {
-             console.log(`[Thread ${thread.id}] No activities array provided or array is empty. Using prompt content as is.`);
-        }
-
-        // 3. Add the User Message to the Thread
-        const messagePayload = { role: "user", content: finalUserPrompt };
-        if (messageAttachments.length > 0) {
-            messagePayload.attachments = messageAttachments;
-        }
-        const message = await openaiClient.beta.threads.messages.create(thread.id, messagePayload);
-        console.log(`[Thread ${thread.id}] Message added (using ${inputMethod}). ID: ${message.id}`);
-
-        // 4. Run the Assistant, providing the specific function schema and forcing its use
-        console.log(`[Thread ${thread.id}] Starting run, forcing function: ${functionSchema.name}`);
-        const run = await openaiClient.beta.threads.runs.createAndPoll(thread.id, {
-            assistant_id: assistantId,
-            // Pass the *detailed function schema* for THIS specific run.
-            // This tells the assistant the exact structure of the function it can call now.
-            tools: [{ type: "function", function: functionSchema }],
-            // Force the assistant to use THIS specific function.
-            tool_choice: { type: "function", function: { name: functionSchema.name } },
-        });
-        console.log(`[Thread ${thread.id}] Run status: ${run.status}`);
-
-        // 5. Process the Run Outcome
-        if (run.status === 'requires_action') {
-            const toolCalls = run.required_action?.submit_tool_outputs?.tool_calls;
-            if (!toolCalls || toolCalls.length === 0) {
-                 console.error(`[Thread ${thread.id}] Run requires action, but tool call data is missing.`, run);
-                 throw new Error("Function call was expected but not provided by the Assistant.");
-             }
-             // We forced a specific function, so expect only one tool call matching it
-             const toolCall = toolCalls[0];
-             if (toolCall.type !== 'function' || toolCall.function.name !== functionSchema.name) {
-                  console.error(`[Thread ${thread.id}] Assistant required action for unexpected tool. Expected: ${functionSchema.name}, Got: ${toolCall.function?.name || toolCall.type}`);
-                  throw new Error(`Assistant required action for unexpected tool: ${toolCall.function?.name || toolCall.type}`);
-             }
+            if (!checkpoint.yearlySaved) {
+                checkpoint.yearlySaved = true;
+                await saveCheckpoint(checkpoint);
+            }
+        }
 
-             const rawArgs = toolCall.function.arguments;
-             console.log(`[Thread ${thread.id}] Function call arguments received for ${toolCall.function.name}. Raw (truncated): ${rawArgs.substring(0, 200)}...`);
-             try {
-                 const summaryObj = JSON.parse(rawArgs);
-                 console.log(`[Thread ${thread.id}] Successfully parsed function arguments.`);
-                 // We return the parsed arguments directly as the desired output.
-                 // No need to submit tool outputs back in this workflow.
-                 return summaryObj;
-             } catch (parseError) {
-                 console.error(`[Thread ${thread.id}] Failed to parse function call arguments JSON:`, parseError);
-                 console.error(`[Thread ${thread.id}] Raw arguments received:`, rawArgs);
-                 throw new Error(`Failed to parse function call arguments from AI: ${parseError.message}`);
-             }
-         } else if (run.status === 'completed') {
-              // This state is unexpected when tool_choice mandates a function call.
-              console.warn(`[Thread ${thread.id}] Run completed without requiring function call action, despite tool_choice forcing ${functionSchema.name}. This might indicate an issue with the Assistant's setup or the prompt.`);
-              const messages = await openaiClient.beta.threads.messages.list(run.thread_id, { limit: 1 });
-              const lastMessageContent = messages.data[0]?.content[0]?.text?.value || "No text content found.";
-              console.warn(`[Thread ${thread.id}] Last message content from Assistant: ${lastMessageContent}`);
-              throw new Error(`Assistant run completed without making the required function call to ${functionSchema.name}.`);
-         } else {
-             // Handle other terminal statuses: failed, cancelled, expired
-             console.error(`[Thread ${thread.id}] Run failed or ended unexpectedly. Status: ${run.status}`, run.last_error);
-             const errorMessage = run.last_error ? `${run.last_error.code}: ${run.last_error.message}` : 'Unknown error';
-             throw new Error(`Assistant run failed. Status: ${run.status}. Error: ${errorMessage}`);
-         }
+        // 9. Send Success / PartialSuccess / Failed Callback based on the per-period outcomes
+        console.log(`[${accountId}] Process completed.`);
+        const skippedCount = skippedPeriods.Monthly.length + skippedPeriods.Quarterly.length + skippedPeriods.Yearly.length;
+        const saveResults = [...checkpoint.saveResults, ...generationFailures];
+        const saveSummary = summarizeSaveResults(saveResults);
+        console.log(`[${accountId}] Outcome: ${saveSummary.status} (${saveSummary.succeeded} saved, ${saveSummary.failed} failed).`);
+        const usageSummary = usage.summary();
+        console.log(`[${accountId}] Token usage: ${usageSummary.totalTokens} tokens in ${usageSummary.calls} call(s), $${usageSummary.cost}, ${usageSummary.cacheHits} cached result(s) reused${usageSummary.unpricedModels.length > 0 ? ` (no price for ${usageSummary.unpricedModels.join(', ')})` : ''}.`);
+        await updateJob(jobId, job => {
+            job.usage = usageSummary;
+            job.skippedPeriods = skippedPeriods;
+            if (preview) job.preview = previewResults;
+            job.outcome = saveSummary.status;
+            job.saveSummary = saveSummary;
+            job.saveResults = saveResults;
+        });
+        if (saveSummary.status === 'Failed') {
+            await failJob(jobId, new Error(`All ${saveSummary.failed} summary record(s) failed to save.`));
+        } else {
+            await completeJob(jobId);
+        }
+        let resultMessage = saveSummary.status === 'Success' ? "Summary Processed Successfully"
+            : saveSummary.status === 'PartialSuccess' ? `Summary Processed with Errors (${saveSummary.failed} of ${saveSummary.total} period(s) failed)`
+            : `Summary Processing Failed (${saveSummary.failed} period(s) failed to save)`;
+        if (skippedCount > 0) resultMessage += ` (${skippedCount} unchanged period(s) skipped)`;
+        console.log(`sendCallback Before sendCallbackResponse is [${sendCallback}]`);
+        if(sendCallback == 'Yes') {
+            console.log(`Inside sendCallbackResponse success if block, value is [${sendCallback}]`);
+            await sendCallbackResponse(accountId, callbackUrl, loggedinUserId, accessToken, saveSummary.status, resultMessage, { jobId, skippedPeriods, saveSummary, saveResults, configVersions, usage: usageSummary, salesforceIdentity });
+        }
+        return { status: saveSummary.status, message: resultMessage, saveSummary, saveResults, preview: preview ? previewResults : null, usage: usageSummary, salesforceIdentity };
 
     } catch (error) {
-        console.error(`[Thread ${thread?.id || 'N/A'}] Error in generateSummary: ${error.message}`, error);
-        throw error; // Re-throw to be caught by the calling function (processSummary)
-    } finally {
-        // 6. Cleanup: Delete temporary file and OpenAI file
-        if (filePath) {
-            try {
-                await fs.unlink(filePath);
-                console.log(`[Thread ${thread?.id || 'N/A'}] Deleted temporary file: ${filePath}`);
-            } catch (unlinkError) {
-                console.error(`[Thread ${thread?.id || 'N/A'}] Error deleting temporary file ${filePath}:`, unlinkError);
-            }
-        }
-        if (fileId) { // If a file was uploaded to OpenAI
-            try {
-                await openaiClient.files.del(fileId);
-                console.log(`[Thread ${thread?.id || 'N/A'}] Deleted OpenAI file: ${fileId}`);
-            } catch (deleteError) {
-                 // Ignore 404 errors as the file might have been deleted already
-                 if (!(deleteError instanceof NotFoundError || deleteError?.status === 404)) {
-                    console.error(`[Thread ${thread?.id || 'N/A'}] Error deleting OpenAI file ${fileId}:`, deleteError.message || deleteError);
-                 } else {
-                     console.log(`[Thread ${thread?.id || 'N/A'}] OpenAI file ${fileId} already deleted or not found.`);
-                 }
-            }
+        console.error(`[${accountId}] Error during summary processing:`, error);
+        await failJob(jobId, error);
+        // Accounts of a batch are reported in the batch's consolidated callback instead; previews never call back
+        if (!batchId && !summaryOptions?.preview) {
+            await sendCallbackResponse(accountId, callbackUrl, loggedinUserId, accessToken, "Failed", `Processing error: ${error.message}`, { jobId, usage: usage.summary(), salesforceIdentity });
         }
-        // Optional: Delete the thread if resource management is critical
-        // if (thread) { try { await openaiClient.beta.threads.del(thread.id); console.log(`[Thread ${thread.id}] Deleted thread.`); } catch (e) { /* ignore */ } }
+        return { status: 'Failed', message: `Processing error: ${error.message}`, saveSummary: null, saveResults: null, preview: null, usage: usage.summary(), salesforceIdentity, unauthorized: isSalesforceSessionError(error) };
     }
 }
 
 
 // --- Salesforce Record Creation/Update Function ---
-// Uses Bulk API for efficiency
-async function createTimileSummarySalesforceRecords(conn, summaries, parentId, summaryCategory, summaryRecordsMap,loggedinUserId) {
+// Uses the sObject Collections REST API, or Bulk API 2.0 above BULK_API_THRESHOLD records.
+// Existing records are matched by the caller's summaryMap first, then per SUMMARY_UPSERT_MODE:
+// 'query' looks them up by Parent_Id__c / category / period, 'external_id' upserts on SUMMARY_EXTERNAL_ID_FIELD.
+// Returns one outcome per period: [{ category, period, operation, success, recordId, errors }]
+async function createTimileSummarySalesforceRecords(conn, summaries, parentId, summaryCategory, summaryRecordsMap,loggedinUserId, piiVault = null) {
     console.log(`[${parentId}] Preparing to save ${summaryCategory} summaries...`);
     let recordsToCreate = [];
     let recordsToUpdate = [];
+    let recordsToUpsert = []; // 'external_id' mode: records without a known Id
+    let createKeys = []; // Period (map key) of each record in recordsToCreate
+    let updateKeys = [];
+    let upsertKeys = [];
+    const saveResults = [];
+    const useExternalId = SUMMARY_UPSERT_MODE === 'external_id';
+    const existingRecordIds = SUMMARY_UPSERT_MODE === 'query'
+        ? await fetchExistingSummaryIds(conn, parentId, summaryCategory)
+        : new Map();
 
     // Iterate through the summaries structure { year: { periodKey: { summaryJson, summaryDetails, count, startdate } } }
     for (const year in summaries) {
-        for (const periodKey in summaries[year]) { // periodKey is 'MonthName' or 'Q1', 'Q2' etc.
+        for (const periodKey in summaries[year]) { // periodKey is 'MonthName', 'Q1', 'Q2' etc., 'W05' etc. (Weekly), or 'Year'
             const summaryData = summaries[year][periodKey];
 
             // Extract data
@@ -698,14 +1886,19 @@ async function createTimileSummarySalesforceRecords(conn, summaries, parentId, s
                  }
             }
 
+            // restorePii: swap the redaction placeholders back for the original values
+            if (piiVault) {
+                summaryJsonString = summaryJsonString && restorePiiPlaceholders(summaryJsonString, piiVault, 'json');
+                summaryDetailsHtml = restorePiiPlaceholders(summaryDetailsHtml, piiVault, 'html');
+            }
+
             // Determine Salesforce field values
             let fyQuarterValue = (summaryCategory === 'Quarterly') ? periodKey : '';
             let monthValue = (summaryCategory === 'Monthly') ? periodKey : '';
-            let shortMonth = monthValue ? monthValue.substring(0, 3) : ''; // Abbreviated month for map key
-            let summaryMapKey = (summaryCategory === 'Quarterly') ? `${fyQuarterValue} ${year}` : `${shortMonth} ${year}`;
+            let summaryMapKey = getSummaryMapKey(summaryCategory, periodKey, year);
 
-            // Check if an existing record ID was provided
-            let existingRecordId = getValueByKey(summaryRecordsMap, summaryMapKey);
+            // Existing record: an ID provided by the caller wins over one found in Salesforce
+            let existingRecordId = getValueByKey(summaryRecordsMap, summaryMapKey) || existingRecordIds.get(summaryMapKey.toLowerCase()) || null;
 
             // --- Prepare Salesforce Record Payload ---
             // !!! CRITICAL: Verify these API names match your Salesforce object !!!
@@ -716,7 +1909,7 @@ async function createTimileSummarySalesforceRecords(conn, summaries, parentId, s
                 Month__c: monthValue || null, // Text field for month name (null if quarterly)
                 Year__c: String(year), // Text or Number field for year
                 Summary_Category__c: summaryCategory,
-                Requested_By__c: loggedinUserId, // Picklist ('Monthly', 'Quarterly')
+                Requested_By__c: loggedinUserId, // Picklist ('Weekly', 'Monthly', 'Quarterly', 'Yearly')
                 Type__c: 'Activity',
                 Summary__c: summaryJsonString ? summaryJsonString.substring(0, 131072) : null, // Long Text Area (check SF limit)
                 Summary_Details__c: summaryDetailsHtml ? summaryDetailsHtml.substring(0, 131072) : null, // Rich Text Area (check SF limit)
@@ -726,10 +1919,26 @@ async function createTimileSummarySalesforceRecords(conn, summaries, parentId, s
                 // Add other relevant fields like OwnerId, etc.
                 // OwnerId: loggedinUserId // Example: Assign to the user initiating the request
             };
+            // Activity fingerprint (incremental mode only, so orgs without the field are unaffected)
+            if (summaryData.fingerprint) {
+                recordPayload[ACTIVITY_FINGERPRINT_FIELD] = summaryData.fingerprint;
+            }
+            if (SUMMARY_CONFIG_VERSION_FIELD && summaryData.configVersion) {
+                recordPayload[SUMMARY_CONFIG_VERSION_FIELD] = summaryData.configVersion;
+            }
+            if (summaryData.usage) {
+                if (SUMMARY_PROMPT_TOKENS_FIELD) recordPayload[SUMMARY_PROMPT_TOKENS_FIELD] = summaryData.usage.promptTokens;
+                if (SUMMARY_COMPLETION_TOKENS_FIELD) recordPayload[SUMMARY_COMPLETION_TOKENS_FIELD] = summaryData.usage.completionTokens;
+                if (SUMMARY_COST_FIELD) recordPayload[SUMMARY_COST_FIELD] = summaryData.usage.cost;
+            }
+            if (useExternalId) {
+                recordPayload[SUMMARY_EXTERNAL_ID_FIELD] = getSummaryExternalId(parentId, summaryCategory, summaryMapKey);
+            }
 
              // Basic validation before adding
              if (!recordPayload.Summary_Category__c || !recordPayload.Month_Date__c) {
                  console.warn(`[${parentId}] Skipping record for ${summaryMapKey} due to missing Category, or Start Date.`);
+                 saveResults.push(createSaveOutcome(summaryCategory, summaryMapKey, existingRecordId ? 'update' : 'create', false, existingRecordId || null, ['Missing Summary_Category__c or Month_Date__c']));
                  continue;
              }
 
@@ -737,66 +1946,190 @@ async function createTimileSummarySalesforceRecords(conn, summaries, parentId, s
             if (existingRecordId) {
                 console.log(`[${parentId}]   Queueing update for ${summaryMapKey} (ID: ${existingRecordId})`);
                 recordsToUpdate.push({ Id: existingRecordId, ...recordPayload });
+                updateKeys.push(summaryMapKey);
+            } else if (useExternalId) {
+                console.log(`[${parentId}]   Queueing upsert for ${summaryMapKey} (${recordPayload[SUMMARY_EXTERNAL_ID_FIELD]})`);
+                recordsToUpsert.push(recordPayload);
+                upsertKeys.push(summaryMapKey);
             } else {
                 console.log(`[${parentId}]   Queueing create for ${summaryMapKey}`);
                 recordsToCreate.push(recordPayload);
+                createKeys.push(summaryMapKey);
             }
         }
     }
 
-    // --- Perform Bulk DML Operations ---
+    // --- Perform DML Operations ---
+    // Record-level failures (validation rules, field errors) are returned as outcomes; only request-level errors throw
+    const useBulkApi = recordsToCreate.length + recordsToUpdate.length + recordsToUpsert.length > BULK_API_THRESHOLD;
     try {
-        const options = { allOrNone: false }; // Process records independently, allow partial success
+        const options = { allOrNone: false, allowRecursive: true }; // Process records independently, allow partial success; split >200 records into batches
 
         if (recordsToCreate.length > 0) {
-            console.log(`[${parentId}] Creating ${recordsToCreate.length} new ${summaryCategory} summary records...`);
-            //const createResults = await conn.bulk.load(TIMELINE_SUMMARY_OBJECT_API_NAME, "insert", options, recordsToCreate);
-            const createResults = await conn.sobject(TIMELINE_SUMMARY_OBJECT_API_NAME).create(recordsToCreate);
-            //handleBulkResults(createResults, recordsToCreate, 'create', parentId);
+            console.log(`[${parentId}] Creating ${recordsToCreate.length} new ${summaryCategory} summary records${useBulkApi ? ' via Bulk API 2.0' : ''}...`);
+            const createResults = useBulkApi
+                ? await saveWithBulkApi2(conn, 'insert', recordsToCreate, parentId)
+                : await conn.sobject(TIMELINE_SUMMARY_OBJECT_API_NAME).create(recordsToCreate, options);
+            saveResults.push(...handleBulkResults(createResults, recordsToCreate, 'create', parentId, summaryCategory, createKeys));
         } else {
             console.log(`[${parentId}] No new ${summaryCategory} records to create.`);
         }
 
         if (recordsToUpdate.length > 0) {
-            console.log(`[${parentId}] Updating ${recordsToUpdate.length} existing ${summaryCategory} summary records...`);
-             //const updateResults = await conn.bulk.load(TIMELINE_SUMMARY_OBJECT_API_NAME, "update", options, recordsToUpdate);
-            const updateResults = await conn.sobject(TIMELINE_SUMMARY_OBJECT_API_NAME).update(recordsToUpdate);
-             //handleBulkResults(updateResults, recordsToUpdate, 'update', parentId);
+            console.log(`[${parentId}] Updating ${recordsToUpdate.length} existing ${summaryCategory} summary records${useBulkApi ? ' via Bulk API 2.0' : ''}...`);
+            const updateResults = useBulkApi
+                ? await saveWithBulkApi2(conn, 'update', recordsToUpdate, parentId)
+                : await conn.sobject(TIMELINE_SUMMARY_OBJECT_API_NAME).update(recordsToUpdate, options);
+            saveResults.push(...handleBulkResults(updateResults, recordsToUpdate, 'update', parentId, summaryCategory, updateKeys));
         } else {
             console.log(`[${parentId}] No existing ${summaryCategory} records to update.`);
         }
+
+        if (recordsToUpsert.length > 0) {
+            console.log(`[${parentId}] Upserting ${recordsToUpsert.length} ${summaryCategory} summary records on ${SUMMARY_EXTERNAL_ID_FIELD}${useBulkApi ? ' via Bulk API 2.0' : ''}...`);
+            const upsertResults = useBulkApi
+                ? await saveWithBulkApi2(conn, 'upsert', recordsToUpsert, parentId)
+                : await conn.sobject(TIMELINE_SUMMARY_OBJECT_API_NAME).upsert(recordsToUpsert, SUMMARY_EXTERNAL_ID_FIELD, options);
+            saveResults.push(...handleBulkResults(upsertResults, recordsToUpsert, 'upsert', parentId, summaryCategory, upsertKeys));
+        }
     } catch (err) {
-        console.error(`[${parentId}] Failed to save ${summaryCategory} records to Salesforce using Bulk API: ${err.message}`, err);
+        console.error(`[${parentId}] Failed to save ${summaryCategory} records to Salesforce: ${err.message}`, err);
         // Throw error to be caught by processSummary and trigger failure callback
         throw new Error(`Salesforce save operation failed: ${err.message}`);
     }
+    return saveResults;
 }
 
-// Helper to log bulk API results
-function handleBulkResults(results, originalPayloads, operationType, parentId) {
-    console.log(`[${parentId}] Bulk ${operationType} results received (${results.length}).`);
+// Maps save results (aligned with originalPayloads) to per-period outcomes and logs failures
+function handleBulkResults(results, originalPayloads, operationType, parentId, summaryCategory, periodKeys) {
+    const resultList = Array.isArray(results) ? results : [results];
+    console.log(`[${parentId}] Bulk ${operationType} results received (${resultList.length}).`);
     let successes = 0;
-    let failures = 0;
-    results.forEach((res, index) => {
-        // Attempt to identify the record for logging purposes
-        const recordIdentifier = originalPayloads[index].Id ||
-                                 `${originalPayloads[index].Month__c || originalPayloads[index].FY_Quarter__c || 'N/A'} ${originalPayloads[index].Year__c || 'N/A'}`;
-        if (!res.success) {
-            failures++;
-            // Log the specific error details from Salesforce
-            console.error(`[${parentId}] Error ${operationType} record ${index + 1} (${recordIdentifier}): ${JSON.stringify(res.errors)}`);
-        } else {
+    const outcomes = originalPayloads.map((payload, index) => {
+        const result = resultList[index];
+        const period = periodKeys[index];
+        if (!result) {
+            return createSaveOutcome(summaryCategory, period, operationType, false, payload.Id || null, ['No save result returned by Salesforce']);
+        }
+        if (result.success) {
             successes++;
-            // Optional: Log success ID
-            // console.log(`[${parentId}] Successfully ${operationType}d record ${index + 1} (ID: ${res.id})`);
+            return createSaveOutcome(summaryCategory, period, operationType, true, result.id || payload.Id || null, []);
+        }
+        const errors = (result.errors || []).map(error => (typeof error === 'string'
+            ? error
+            : `${error.statusCode || error.errorCode || 'ERROR'}: ${error.message}${error.fields?.length ? ` (${error.fields.join(', ')})` : ''}`));
+        console.error(`[${parentId}]   ${summaryCategory} ${period} ${operationType} failed: ${errors.join('; ')}`);
+        return createSaveOutcome(summaryCategory, period, operationType, false, payload.Id || null, errors);
+    });
+    console.log(`[${parentId}] ${summaryCategory} ${operationType}: ${successes} succeeded, ${outcomes.length - successes} failed.`);
+    return outcomes;
+}
+
+// Map keys: "Jan 2024" (Monthly), "Q1 2024" (Quarterly), "W05 2024" (Weekly, ISO week-year), "2024" (Yearly)
+function getSummaryMapKey(summaryCategory, periodKey, year) {
+    if (summaryCategory === 'Quarterly' || summaryCategory === 'Weekly') return `${periodKey} ${year}`;
+    if (summaryCategory === 'Yearly') return String(year);
+    return `${String(periodKey).substring(0, 3)} ${year}`; // Abbreviated month
+}
+
+// Composite external ID for 'external_id' mode, e.g. "001xx000003DGb2AAG:Monthly:Jan 2024"
+function getSummaryExternalId(parentId, summaryCategory, summaryMapKey) {
+    return `${parentId}:${summaryCategory}:${summaryMapKey}`;
+}
+
+// Finds the existing summary records of one category for a parent, for 'query' upsert mode.
+// Returns Map(lower-case map key -> record Id); the most recently modified record wins when duplicates exist.
+async function fetchExistingSummaryIds(conn, parentId, summaryCategory) {
+    const existingIds = new Map();
+    if (!isSalesforceId(parentId)) {
+        console.warn(`[${parentId}] Parent ID is not a valid Salesforce ID; existing ${summaryCategory} summaries are not looked up.`);
+        return existingIds;
+    }
+    const soql = `SELECT Id, Month__c, FY_Quarter__c, Year__c, Month_Date__c FROM ${TIMELINE_SUMMARY_OBJECT_API_NAME} ` +
+        `WHERE Parent_Id__c = '${parentId}' AND Summary_Category__c = '${summaryCategory}' ORDER BY LastModifiedDate DESC`;
+    const records = await fetchRecords(conn, soql);
+    for (const record of records) {
+        let periodKey = summaryCategory === 'Monthly' ? record.Month__c
+            : summaryCategory === 'Quarterly' ? record.FY_Quarter__c
+            : 'Year';
+        let year = record.Year__c;
+        if (summaryCategory === 'Weekly') {
+            // Weekly records store the Monday of the ISO week in Month_Date__c
+            const [weekYear, weekMonth, weekDay] = String(record.Month_Date__c || '').split('-').map(Number);
+            if (!weekYear || !weekMonth || !weekDay) continue;
+            ({ week: periodKey, isoYear: year } = getIsoWeekInfo(weekYear, weekMonth - 1, weekDay));
+        }
+        if (!periodKey || !year) continue;
+        const key = getSummaryMapKey(summaryCategory, periodKey, year).toLowerCase();
+        if (!existingIds.has(key)) existingIds.set(key, record.Id);
+    }
+    console.log(`[${parentId}] Found ${existingIds.size} existing ${summaryCategory} summary records.`);
+    return existingIds;
+}
+
+function createSaveOutcome(category, period, operation, success, recordId, errors) {
+    return { category, period, operation, success, recordId, errors };
+}
+
+// Preview mode: the summaries that would have been saved, one entry per period with the AI output parsed
+function buildPreviewEntries(summaries, summaryCategory, piiVault) {
+    const entries = [];
+    for (const year in summaries) {
+        for (const periodKey in summaries[year]) {
+            const { summaryJson, summary, count, startdate, configVersion, usage } = summaries[year][periodKey];
+            const restored = restorePiiPlaceholders(summaryJson || summary, piiVault, 'json');
+            let parsed = null;
+            try {
+                parsed = restored ? JSON.parse(restored) : null;
+            } catch (e) {
+                parsed = restored; // Keep the raw text if it is not JSON
+            }
+            entries.push({ period: getSummaryMapKey(summaryCategory, periodKey, year), startdate, count, configVersion, usage: usage || null, summary: parsed });
         }
+    }
+    return entries.sort((a, b) => String(a.startdate).localeCompare(String(b.startdate)));
+}
+
+// Overall status of a run: Success when every period saved, Failed when none did, PartialSuccess otherwise.
+// A run with nothing to save (e.g. every period unchanged) is a Success.
+function summarizeSaveResults(saveResults) {
+    const total = saveResults.length;
+    const succeeded = saveResults.filter(result => result.success).length;
+    const failed = total - succeeded;
+    const status = failed === 0 ? 'Success' : succeeded === 0 ? 'Failed' : 'PartialSuccess';
+    return { status, total, succeeded, failed };
+}
+
+// Runs an ingest job with Bulk API 2.0 and returns save results aligned with `records`
+// ({ id, success, errors }), matching rows by Id (update), external ID (upsert) or category + start date (insert)
+async function saveWithBulkApi2(conn, operation, records, parentId) {
+    const rowKey = row => (operation === 'update' ? String(row.Id || row.sf__Id || '').substring(0, 15)
+        : operation === 'upsert' ? String(row[SUMMARY_EXTERNAL_ID_FIELD] || '')
+        : `${row.Summary_Category__c}|${String(row.Month_Date__c || '').substring(0, 10)}`);
+    const { successfulResults, failedResults, unprocessedRecords } = await conn.bulk2.loadAndWaitForResults({
+        object: TIMELINE_SUMMARY_OBJECT_API_NAME,
+        operation,
+        ...(operation === 'upsert' && { externalIdFieldName: SUMMARY_EXTERNAL_ID_FIELD }),
+        input: records,
+        pollInterval: 5000,
+        pollTimeout: 10 * 60 * 1000
     });
-    console.log(`[${parentId}] Bulk ${operationType} summary: ${successes} succeeded, ${failures} failed.`);
+    const resultsByKey = new Map();
+    for (const row of successfulResults) {
+        resultsByKey.set(rowKey(row), { id: row.sf__Id, success: true, errors: [] });
+    }
+    for (const row of failedResults) {
+        resultsByKey.set(rowKey(row), { id: row.sf__Id || null, success: false, errors: [row.sf__Error] });
+    }
+    const unprocessedCount = Array.isArray(unprocessedRecords) ? unprocessedRecords.length : 0;
+    console.log(`[${parentId}] Bulk API 2.0 ${operation}: ${successfulResults.length} succeeded, ${failedResults.length} failed, ${unprocessedCount} unprocessed.`);
+    return records.map(record => resultsByKey.get(rowKey(record))
+        || { id: null, success: false, errors: ['Record was not processed by the Bulk API 2.0 job'] });
 }
 
 
 // --- Salesforce Data Fetching with Pagination ---
-// Recursively fetches all records for a given SOQL query using queryMore
+// Recursively fetches all records for a given SOQL query using queryMore and returns the raw records
 async function fetchRecords(conn, queryOrUrl, allRecords = [], isFirstIteration = true) {
     try {
         const logPrefix = isFirstIteration ? `Initial Query (${(queryOrUrl || '').substring(0, 100)}...)` : "Fetching next batch";
@@ -821,9 +2154,9 @@ async function fetchRecords(conn, queryOrUrl, allRecords = [], isFirstIteration
             await new Promise(resolve => setTimeout(resolve, 200)); // 200ms delay
             return fetchRecords(conn, queryResult.nextRecordsUrl, allRecords, false);
         } else {
-            // All records fetched, proceed to grouping
-            console.log(`[SF Fetch] Finished fetching. Total records retrieved: ${allRecords.length}. Grouping...`);
-            return groupRecordsByMonthYear(allRecords); // Group after all records are fetched
+            // All records fetched; the caller groups them
+            console.log(`[SF Fetch] Finished fetching. Total records retrieved: ${allRecords.length}.`);
+            return allRecords;
         }
     } catch (error) {
         console.error(`[SF Fetch] Error fetching Salesforce activities: ${error.message}`, error);
@@ -833,29 +2166,52 @@ async function fetchRecords(conn, queryOrUrl, allRecords = [], isFirstIteration
 }
 
 
+// Account fields for prompt templates ({{AccountName}}, {{Industry}}, {{OwnerName}}).
+// A failed lookup (e.g. no access to Account) only leaves those variables empty.
+async function fetchAccountContext(conn, accountId) {
+    if (!isSalesforceId(accountId)) {
+        console.warn(`[${accountId}] accountId is not a valid Salesforce ID; account variables in prompt templates will be empty.`);
+        return {};
+    }
+    try {
+        const result = await conn.query(`SELECT Name, Industry, Owner.Name FROM Account WHERE Id = '${accountId}'`);
+        const account = result.records?.[0] || {};
+        return { AccountName: account.Name || '', Industry: account.Industry || '', OwnerName: account.Owner?.Name || '' };
+    } catch (error) {
+        console.warn(`[${accountId}] Could not read account details for prompt templates: ${error.message}`);
+        return {};
+    }
+}
+
+
 // --- Data Grouping Helper Function ---
-// Groups fetched Salesforce records by Year and then by Month Name
-function groupRecordsByMonthYear(records) {
+// Groups fetched Salesforce records by Year and then by Month Name, as seen in the given IANA time zone.
+// With granularity 'weekly', activities are bucketed by ISO week and each week goes to the month containing its Thursday.
+function groupRecordsByMonthYear(records, timeZone = 'UTC', granularity = 'monthly', projection = resolveActivityProjection()) {
     const groupedData = {}; // { year: [ { MonthName: [activityObj, ...] }, ... ], ... }
     const monthNames = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+    const { fields, dateField } = projection;
 
     records.forEach(activity => {
-        // Validate essential CreatedDate field
-        if (!activity.CreatedDate) {
-            console.warn(`Skipping activity (ID: ${activity.Id || 'Unknown'}) due to missing CreatedDate.`);
+        // Validate the essential date field used for bucketing
+        const dateValue = getFieldValue(activity, dateField);
+        if (!dateValue) {
+            console.warn(`Skipping activity (ID: ${activity.Id || 'Unknown'}) due to missing ${dateField}.`);
             return; // Skip record if date is missing
         }
         try {
-            // Attempt to parse the date. Handle potential invalid date strings.
-            const date = new Date(activity.CreatedDate);
-             if (isNaN(date.getTime())) {
-                 console.warn(`Skipping activity (ID: ${activity.Id || 'Unknown'}) due to invalid CreatedDate format: ${activity.CreatedDate}`);
-                 return;
-             }
-
-            // Use UTC methods consistently to avoid timezone issues during grouping
-            const year = date.getUTCFullYear();
-            const monthIndex = date.getUTCMonth(); // 0-11
+            // Bucket by the local calendar month in the requested time zone, so an evening activity on the
+            // last day of a month stays in that month for users west of UTC. Date-only fields are taken as is.
+            const dateParts = getActivityDateParts(dateValue, timeZone);
+            if (!dateParts) {
+                console.warn(`Skipping activity (ID: ${activity.Id || 'Unknown'}) due to invalid ${dateField} format: ${dateValue}`);
+                return;
+            }
+            let { year, monthIndex, day } = dateParts; // monthIndex 0-11
+            if (granularity === 'weekly') {
+                // Keep whole weeks together: a week spanning two months belongs to the one holding most of its days
+                ({ rollupYear: year, rollupMonthIndex: monthIndex } = getIsoWeekInfo(year, monthIndex, day));
+            }
             const month = monthNames[monthIndex]; // Get month name
 
             // Initialize year array if it doesn't exist
@@ -870,70 +2226,566 @@ function groupRecordsByMonthYear(records) {
                 groupedData[year].push(monthEntry);
             }
 
-            // Add the relevant activity details to the month's array
-            // Select only necessary fields needed for the AI prompt/function
-            monthEntry[month].push({
-                Id: activity.Id,
-                Description: activity.Description || null, // Use null for missing values if preferred
-                Subject: activity.Subject || null,
-                CreatedDate: activity.CreatedDate // Keep original format if needed elsewhere
-                // Add other fields from the SOQL query if required by the AI prompt/function schemas
-                // e.g., Type: activity.Type, Status: activity.Status
-            });
+            // Add the projected activity fields (see resolveActivityProjection) to the month's array
+            monthEntry[month].push(projectActivity(activity, fields));
         } catch(dateError) {
              // Catch potential errors during date processing (though basic validation is done above)
-             console.warn(`Skipping activity (ID: ${activity.Id || 'Unknown'}) due to date processing error: ${dateError.message}. Date value: ${activity.Createddate}`);
+             console.warn(`Skipping activity (ID: ${activity.Id || 'Unknown'}) due to date processing error: ${dateError.message}. Date value: ${dateValue}`);
         }
     });
-    console.log("Finished grouping records by year and month.");
+    console.log(`Finished grouping records by year and month (time zone ${timeZone}, ${granularity} granularity).`);
     return groupedData;
 }
 
 
-// --- Callback Sending Function ---
-// Sends the final status back to the specified Salesforce URL
-async function sendCallbackResponse(accountId, callbackUrl, loggedinUserId, accessToken, status, message) {
-    // Truncate long messages for logging clarity
-    console.log(`Inside sendCallbackResponse method block, sending to sfdc`);
-    const logMessage = message.length > 500 ? message.substring(0, 500) + '...' : message;
-    console.log(`[${accountId}] Sending callback to ${callbackUrl}. Status: ${status}, Message: ${logMessage}`);
+// Keeps the records whose bucketing date falls within { startDate, endDate } (inclusive YYYY-MM-DD, either optional)
+function filterRecordsByDateRange(records, dateField, { startDate, endDate }, timeZone) {
+    return records.filter(record => {
+        const parts = getActivityDateParts(getFieldValue(record, dateField), timeZone);
+        if (!parts) return false;
+        const day = `${parts.year}-${String(parts.monthIndex + 1).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+        return (!startDate || day >= startDate) && (!endDate || day <= endDate);
+    });
+}
+
+
+// --- Activity Field Projection ---
+// Decides which fields of each queried activity reach the model and under which names. Fields are
+// "Field" or "Relationship.Field" paths; nested values are flattened into one key (the path itself,
+// e.g. "Who.Name", unless renamed). A relationship path such as "Who" forwards the whole related object.
+
+const FIELD_PATH_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+// Normalizes the activityFields / activityDateField request options.
+// Returns { fields: [{ field, as }], dateField, dateKey }; Id and the date field are always forwarded.
+function resolveActivityProjection(activityFields, activityDateField) {
+    const fields = parseActivityFields(activityFields ?? DEFAULT_ACTIVITY_FIELDS);
+    const dateField = activityDateField || DEFAULT_ACTIVITY_DATE_FIELD;
+    if (typeof dateField !== 'string' || !FIELD_PATH_PATTERN.test(dateField)) {
+        throw new Error(`Invalid activityDateField "${activityDateField}". Expected a field path such as "ActivityDate".`);
+    }
+
+    const idEntry = fields.find(entry => entry.field.toLowerCase() === 'id');
+    if (idEntry && idEntry.as !== 'Id') {
+        throw new Error(`activityFields cannot rename Id (to "${idEntry.as}"); it identifies activities across runs.`);
+    }
+    if (!idEntry) fields.unshift({ field: 'Id', as: 'Id' });
+    let dateEntry = fields.find(entry => entry.field.toLowerCase() === dateField.toLowerCase());
+    if (!dateEntry) {
+        dateEntry = { field: dateField, as: dateField };
+        fields.push(dateEntry);
+    }
+
+    const outputKeys = new Set();
+    for (const { as } of fields) {
+        if (outputKeys.has(as)) throw new Error(`activityFields maps more than one field to "${as}".`);
+        outputKeys.add(as);
+    }
+    return { fields, dateField, dateKey: dateEntry.as };
+}
+
+// Accepts an array (of "Path", "Path:Name" or { field, as } entries), an object map ({ "Who.Name": "ContactName" }),
+// or a string holding a comma-separated list or either of those as JSON. Returns [{ field, as }].
+function parseActivityFields(value) {
+    let entries = value;
+    if (typeof entries === 'string') {
+        const trimmed = entries.trim();
+        entries = trimmed.startsWith('[') || trimmed.startsWith('{') ? JSON.parse(trimmed) : trimmed.split(',');
+    }
+    if (entries && !Array.isArray(entries) && typeof entries === 'object') {
+        entries = Object.entries(entries).map(([field, as]) => ({ field, as }));
+    }
+    if (!Array.isArray(entries)) {
+        throw new Error("activityFields must be a list of field paths.");
+    }
+
+    const fields = entries.filter(entry => !(typeof entry === 'string' && !entry.trim())).map(entry => {
+        let field = entry;
+        let as = null;
+        if (typeof entry === 'string') {
+            [field, as = null] = entry.split(':').map(part => part.trim());
+        } else if (entry && typeof entry === 'object') {
+            ({ field, as = null } = entry);
+        }
+        if (typeof field !== 'string' || !FIELD_PATH_PATTERN.test(field)) {
+            throw new Error(`Invalid activityFields entry ${JSON.stringify(entry)}. Expected a field path such as "Who.Name".`);
+        }
+        if (as !== null && (typeof as !== 'string' || !as.trim())) {
+            throw new Error(`Invalid output name in activityFields entry ${JSON.stringify(entry)}.`);
+        }
+        return { field, as: as || field };
+    });
+    if (fields.length === 0) {
+        throw new Error("activityFields must contain at least one field.");
+    }
+    return fields;
+}
+
+// Builds the activity object sent to the model from a queried record
+function projectActivity(record, fields) {
+    const projected = {};
+    for (const { field, as } of fields) {
+        projected[as] = getFieldValue(record, field);
+    }
+    return projected;
+}
+
+// Reads a (possibly nested) field path from a Salesforce record. Matching is case-insensitive because the
+// REST API returns fields in their describe casing, not as written in queryText. Missing values are null.
+function getFieldValue(record, fieldPath) {
+    let value = record;
+    for (const part of fieldPath.split('.')) {
+        if (value === null || typeof value !== 'object') return null;
+        const key = part in value ? part : Object.keys(value).find(candidate => candidate.toLowerCase() === part.toLowerCase());
+        value = key === undefined ? undefined : value[key];
+    }
+    return value === undefined ? null : stripRecordAttributes(value);
+}
+
+// Removes the "attributes" metadata (type, url) that the REST API adds to every record and related record
+function stripRecordAttributes(value) {
+    if (Array.isArray(value)) return value.map(stripRecordAttributes);
+    if (value === null || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value)
+        .filter(([key]) => key !== 'attributes')
+        .map(([key, nested]) => [key, stripRecordAttributes(nested)]));
+}
+
+
+// --- Incremental Summary Helpers ---
+// Loads the existing monthly/quarterly summary records of an account, with their stored fingerprints when withFingerprints
+// is set (incremental mode; ACTIVITY_FINGERPRINT_FIELD is only queried then, so orgs without the field can use {{PreviousSummary}}).
+// Returns { Monthly: { "january 2024": { id, fingerprint, aiOutput } }, Quarterly: { "q1 2024": {...} }, Yearly: { "2024": {...} } } (lower-case keys)
+async function fetchExistingSummaries(conn, accountId, withFingerprints) {
+    const existing = { Monthly: {}, Quarterly: {}, Yearly: {} };
+    if (!isSalesforceId(accountId)) {
+        console.warn(`[${accountId}] accountId is not a valid Salesforce ID; incremental mode will regenerate every period.`);
+        return existing;
+    }
+    const fields = ['Id', 'Summary_Category__c', 'Month__c', 'FY_Quarter__c', 'Year__c', 'Summary__c', ...(withFingerprints ? [ACTIVITY_FINGERPRINT_FIELD] : [])];
+    const soql = `SELECT ${fields.join(', ')} ` +
+        `FROM ${TIMELINE_SUMMARY_OBJECT_API_NAME} ` +
+        `WHERE Parent_Id__c = '${accountId}' AND Summary_Category__c IN ('Monthly', 'Quarterly', 'Yearly') ` +
+        `ORDER BY LastModifiedDate DESC`;
+    const records = await fetchRecords(conn, soql);
+    for (const record of records) {
+        const category = record.Summary_Category__c;
+        const period = category === 'Monthly' ? record.Month__c : category === 'Quarterly' ? record.FY_Quarter__c : null;
+        const key = (period ? `${period} ${record.Year__c}` : String(record.Year__c)).toLowerCase();
+        if (!existing[category] || existing[category][key]) continue; // Newest record wins
+        let aiOutput = null;
+        try {
+            aiOutput = record.Summary__c ? JSON.parse(record.Summary__c) : null;
+        } catch (e) {
+            // Truncated or non-JSON summary: the period is regenerated
+        }
+        existing[category][key] = { id: record.Id, fingerprint: record[ACTIVITY_FINGERPRINT_FIELD] || null, aiOutput };
+    }
+    console.log(`[${accountId}] Found ${Object.keys(existing.Monthly).length} monthly, ${Object.keys(existing.Quarterly).length} quarterly and ${Object.keys(existing.Yearly).length} yearly existing summaries.`);
+    return existing;
+}
+
+
+// --- Job Tracking Helpers ---
+// Job updates are best-effort: a failing job store is logged but never fails the summary process itself.
+
+const JOB_STAGES = ['queued', 'fetching', 'monthly', 'saving_weekly', 'saving_monthly', 'quarterly', 'saving_quarterly', 'yearly', 'saving_yearly', 'completed', 'failed'];
+
+// Builds the initial record stored for a new summary job
+function createJobRecord(accountId, loggedinUserId, batchId = null, owner = null) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        accountId,
+        loggedinUserId,
+        owner, // Caller that started the job (see getJobOwner); only they can read it from /jobs
+        batchId, // Set when the job is one account of a /generatesummary/batch request
+        status: 'queued', // 'queued' | 'processing' | 'completed' | 'failed'
+        stage: 'queued', // One of JOB_STAGES
+        attempts: 0, // Number of times a worker has claimed the job
+        recordCount: null,
+        timeZone: null, // Time zone used for month bucketing, once resolved
+        provider: null, // LLM provider used for generation
+        promptTemplate: null, // { id, version } of the stored prompt template set used (templateId)
+        salesforceIdentity: null, // { org, identity: 'caller' | 'integration', userId, username, authenticatedBy } whose session read and wrote Salesforce
+        configVersions: null, // { Weekly, Monthly, Quarterly, Yearly } summarizer config version IDs (see /admin/config-versions)
+        usage: null, // { calls, promptTokens, cachedPromptTokens, completionTokens, totalTokens, cost, cacheHits (results reused from the AI result cache), unpricedModels, currency, tokenBudget, periods: { "Monthly January 2024": {...} } }
+        piiRedactions: null, // { EMAIL: 3, PHONE: 1 } distinct values replaced by placeholders (redactPii only)
+        skippedPeriods: null, // { Monthly: [...], Quarterly: [...], Yearly: [...] } unchanged periods in incremental mode
+        outcome: null, // 'Success' | 'PartialSuccess' | 'Failed', from the per-period save results
+        saveSummary: null, // { status, total, succeeded, failed }
+        saveResults: null, // [{ category, period, operation, success, recordId, errors }]
+        preview: null, // /previewsummary only: { Monthly: [{ period, startdate, count, summary }], Quarterly: [...], ... }
+        progress: {
+            Weekly: { total: 0, completed: 0, failed: 0 }, // Weekly granularity only
+            Monthly: { total: 0, completed: 0, failed: 0 },
+            Quarterly: { total: 0, completed: 0, failed: 0 },
+            Yearly: { total: 0, completed: 0, failed: 0 }
+        },
+        periods: {}, // { "Monthly January 2024": { category, period, status, startedAt, completedAt, durationMs, error } }
+        timings: {}, // { stage: { startedAt, completedAt, durationMs } }
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null
+    };
+}
+
+// Publishes a live progress event for /jobs/:id/events subscribers; like updateJob, failures are only logged
+async function publishJobEvent(jobId, type, data = {}) {
+    if (!jobId) return;
+    try {
+        await jobEvents.publish(jobId, { type, data: { jobId, at: new Date().toISOString(), ...data } });
+    } catch (error) {
+        console.error(`[Job ${jobId}] Failed to publish ${type} event: ${error.message}`);
+    }
+}
+
+// Builds the record stored for a /generatesummary/batch request. It lives in the job store next to the
+// per-account jobs (accounts[].jobId) and collects each account's outcome as it finishes.
+function createBatchRecord(accountIds, loggedinUserId, owner = null) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        type: 'batch',
+        accountId: null,
+        loggedinUserId,
+        owner, // Caller that started the batch (see getJobOwner)
+        status: 'queued', // 'queued' | 'processing' | 'completed' | 'failed'
+        stage: 'queued', // 'queued' until the batch finishes
+        attempts: 0,
+        accounts: accountIds.map(accountId => ({ accountId, jobId: null })),
+        outcome: null, // 'Success' | 'PartialSuccess' | 'Failed' across all accounts
+        progress: {
+            Accounts: { total: accountIds.length, completed: 0, failed: 0 }
+        },
+        results: [], // [{ accountId, jobId, status, message, saveSummary }] in completion order
+        timings: {},
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null
+    };
+}
+
+// Applies a mutation to the stored job, logging (not throwing) on failure
+async function updateJob(jobId, mutator) {
+    if (!jobId) return;
+    try {
+        await jobStore.update(jobId, job => {
+            mutator(job);
+            job.updatedAt = new Date().toISOString();
+        });
+    } catch (error) {
+        console.error(`[Job ${jobId}] Failed to update job store: ${error.message}`);
+    }
+}
+
+// Closes the timing of the current stage and opens the timing of the next one
+function transitionJobStage(job, nextStage) {
+    const now = new Date();
+    const currentTiming = job.timings[job.stage];
+    if (currentTiming && !currentTiming.completedAt) {
+        currentTiming.completedAt = now.toISOString();
+        currentTiming.durationMs = now - new Date(currentTiming.startedAt);
+    }
+    job.stage = nextStage;
+    if (nextStage !== 'completed' && nextStage !== 'failed') {
+        job.timings[nextStage] = { startedAt: now.toISOString(), completedAt: null, durationMs: null };
+    }
+}
+
+async function setJobStage(jobId, stage) {
+    if (!JOB_STAGES.includes(stage)) {
+        console.warn(`[Job ${jobId}] Unknown job stage "${stage}" ignored.`);
+        return;
+    }
+    await updateJob(jobId, job => transitionJobStage(job, stage));
+    await publishJobEvent(jobId, 'stage', { stage });
+}
+
+async function completeJob(jobId) {
+    let outcome = null;
+    await updateJob(jobId, job => {
+        transitionJobStage(job, 'completed');
+        job.status = 'completed';
+        job.completedAt = new Date().toISOString();
+        outcome = job.outcome;
+    });
+    await publishJobEvent(jobId, 'completed', { outcome });
+}
+
+async function failJob(jobId, error) {
+    let firstFailure = false;
+    await updateJob(jobId, job => {
+        if (job.status === 'failed') return; // Keep the first recorded failure
+        job.error = { stage: job.stage, message: error?.message || String(error) };
+        transitionJobStage(job, 'failed');
+        job.status = 'failed';
+        job.completedAt = new Date().toISOString();
+        firstFailure = true;
+    });
+    if (firstFailure) await publishJobEvent(jobId, 'failed', { error: error?.message || String(error) });
+}
+
+// Records a period that was not regenerated because its activities did not change
+async function markJobPeriodSkipped(jobId, category, period) {
+    await updateJob(jobId, job => {
+        const now = new Date().toISOString();
+        job.periods[`${category} ${period}`] = { category, period, status: 'skipped', startedAt: now, completedAt: now, durationMs: 0, error: null };
+    });
+    await publishJobEvent(jobId, 'period_skipped', { category, period });
+}
+
+// Runs a single period's generation task, recording its start, outcome and duration on the job
+async function trackJobPeriod(jobId, category, period, task) {
+    const periodId = `${category} ${period}`;
+    const startedAt = new Date();
+    await updateJob(jobId, job => {
+        job.progress[category].total++;
+        job.periods[periodId] = { category, period, status: 'running', startedAt: startedAt.toISOString(), completedAt: null, durationMs: null, error: null };
+    });
+    await publishJobEvent(jobId, 'period_started', { category, period });
     try {
-        // Ensure status reflects the *process* outcome ('Success' or 'Failed')
-        const processStatus = (status === "Success" || status === "Failed") ? status : "Failed"; // Default to Failed if status is unexpected
-
-        await axios.post(callbackUrl,
-            {
-                // Payload structure expected by the callback receiver (e.g., an Apex REST service)
-                accountId: accountId,
-                loggedinUserId: loggedinUserId,
-                status: "Completed", // Status of the *callback itself*
-                processResult: processStatus, // Overall result ('Success' or 'Failed') of the summary generation
-                message: message // Detailed message or error string
-            },
-            {
-                headers: {
-                    "Content-Type": "application/json",
-                    // Use the provided session ID/access token for authenticating the callback request to Salesforce
-                    "Authorization": `Bearer ${accessToken}`
-                },
-                timeout: 30000 // Increased timeout (30 seconds) for potentially slow callback endpoint
+        const result = await task();
+        await updateJob(jobId, job => {
+            job.progress[category].completed++;
+            Object.assign(job.periods[periodId], { status: 'completed', completedAt: new Date().toISOString(), durationMs: new Date() - startedAt });
+        });
+        await publishJobEvent(jobId, 'period_completed', { category, period, durationMs: new Date() - startedAt, summary: result });
+        return result;
+    } catch (error) {
+        await updateJob(jobId, job => {
+            job.progress[category].failed++;
+            Object.assign(job.periods[periodId], { status: 'failed', completedAt: new Date().toISOString(), durationMs: new Date() - startedAt, error: error.message });
+        });
+        await publishJobEvent(jobId, 'period_failed', { category, period, error: error.message });
+        throw error;
+    }
+}
+
+
+// --- Queue Worker ---
+// Claims queued jobs and runs processSummary for each, up to WORKER_CONCURRENCY at a time.
+// Runs in the "worker" process type, or inside the web process when EMBEDDED_WORKER=true.
+function startQueueWorker() {
+    const workerId = `${process.env.DYNO || os.hostname()}-${process.pid}`;
+    const activeJobIds = new Set();
+    let stopping = false;
+
+    const poll = async () => {
+        if (stopping) return;
+        try {
+            const recovered = await summaryQueue.recoverExpired();
+            if (recovered > 0) {
+                console.warn(`[Worker ${workerId}] Re-queued ${recovered} interrupted job(s) with expired leases.`);
+            }
+            while (!stopping && activeJobIds.size < WORKER_CONCURRENCY) {
+                const entry = await summaryQueue.claim(workerId, QUEUE_LEASE_MS);
+                if (!entry) break;
+                activeJobIds.add(entry.id);
+                runQueuedJob(entry, workerId).finally(() => activeJobIds.delete(entry.id));
+            }
+        } catch (error) {
+            console.error(`[Worker ${workerId}] Queue poll failed: ${error.message}`);
+        }
+        setTimeout(poll, QUEUE_POLL_INTERVAL_MS);
+    };
+
+    // On shutdown (e.g. a Heroku dyno restart) hand in-flight jobs back to the queue so another worker resumes them
+    const shutdown = async signal => {
+        if (stopping) return;
+        stopping = true;
+        console.warn(`[Worker ${workerId}] ${signal} received. Releasing ${activeJobIds.size} in-flight job(s) back to the queue.`);
+        for (const jobId of activeJobIds) {
+            try {
+                await summaryQueue.release(jobId);
+                await updateJob(jobId, job => { job.status = 'queued'; });
+            } catch (error) {
+                console.error(`[Worker ${workerId}] Failed to release job ${jobId}: ${error.message}`);
             }
-        );
-        console.log(`[${accountId}] Callback sent successfully.`);
+        }
+        process.exit(0);
+    };
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+
+    console.log(`[Worker ${workerId}] Polling ${QUEUE_BACKEND} queue every ${QUEUE_POLL_INTERVAL_MS}ms.`);
+    poll();
+}
+
+// Runs one claimed queue entry, renewing its lease until processing finishes
+async function runQueuedJob(entry, workerId) {
+    const { payload } = entry;
+    const accountId = payload.accountId;
+    let accessToken = null;
+    const heartbeat = setInterval(() => {
+        summaryQueue.heartbeat(entry.id, workerId, QUEUE_LEASE_MS)
+            .catch(error => console.error(`[Job ${entry.id}] Failed to renew queue lease: ${error.message}`));
+    }, Math.max(1000, Math.floor(QUEUE_LEASE_MS / 3)));
+
+    try {
+        if (payload.type === 'batch') {
+            await runBatchJob(entry);
+            return;
+        }
+        accessToken = openQueueSecret(payload.accessToken);
+        if (entry.attempts > QUEUE_MAX_ATTEMPTS) {
+            const error = new Error(`Job was interrupted ${entry.attempts - 1} times and exceeded the maximum of ${QUEUE_MAX_ATTEMPTS} attempts.`);
+            console.error(`[${accountId}] ${error.message} (Job ID: ${entry.id})`);
+            await failJob(entry.id, error);
+            await sendCallbackResponse(accountId, payload.callbackUrl, payload.loggedinUserId, accessToken, "Failed", `Processing error: ${error.message}`, { jobId: entry.id });
+            return;
+        }
+        if (entry.attempts > 1) {
+            console.warn(`[${accountId}] Resuming interrupted job ${entry.id} (attempt ${entry.attempts} of ${QUEUE_MAX_ATTEMPTS}).`);
+        }
+        await updateJob(entry.id, job => {
+            job.status = 'processing';
+            job.attempts = entry.attempts;
+        });
+
+        await processSummary({
+            accountId,
+            accessToken,
+            callbackUrl: payload.callbackUrl,
+            sendCallback: payload.sendCallback,
+            userPrompt: payload.userPrompt,
+            userPromptQtr: payload.userPromptQtr,
+            userPromptYear: payload.userPromptYear,
+            queryText: payload.queryText,
+            summaryRecordsMap: payload.summaryRecordsMap,
+            loggedinUserId: payload.loggedinUserId,
+            monthlyFuncSchema: payload.monthlyFuncSchema,
+            quarterlyFuncSchema: payload.quarterlyFuncSchema,
+            yearlyFuncSchema: payload.yearlyFuncSchema,
+            summaryOptions: payload.summaryOptions,
+            jobId: entry.id,
+            checkpoint: openCheckpointSecrets(entry.checkpoint),
+            saveCheckpoint: checkpoint => summaryQueue.saveCheckpoint(entry.id, sealCheckpointSecrets(checkpoint))
+                .catch(error => console.error(`[Job ${entry.id}] Failed to save checkpoint: ${error.message}`))
+        });
     } catch (error) {
-        let errorMessage = `Failed to send callback to ${callbackUrl}. `;
-        if (error.response) {
-            // Include response details from the callback endpoint if available
-            errorMessage += `Status: ${error.response.status}, Data: ${JSON.stringify(error.response.data)}, Message: ${error.message}`;
-        } else if (error.request) {
-            // Error sending the request (e.g., network issue, DNS lookup failure)
-            errorMessage += `No response received. ${error.message}`;
-        } else {
-            // Other errors (e.g., setting up the request)
-            errorMessage += `Error: ${error.message}`;
+        console.error(`[${accountId}] Unhandled error during background processing:`, error);
+        await failJob(entry.id, error);
+        try {
+            await sendCallbackResponse(accountId, payload.callbackUrl, payload.loggedinUserId, accessToken, "Failed", `Unhandled processing error: ${error.message}`, { jobId: entry.id });
+        } catch (callbackError) {
+            console.error(`[${accountId}] Failed to send error callback after unhandled exception:`, callbackError);
+        }
+    } finally {
+        clearInterval(heartbeat);
+        await summaryQueue.complete(entry.id)
+            .catch(error => console.error(`[Job ${entry.id}] Failed to remove job from queue: ${error.message}`));
+    }
+}
+
+// Runs the accounts of a batch entry under the shared batchAccountLimiter, then sends the consolidated callback
+// when the batch asked for one (sendCallback 'Yes').
+// The entry checkpoint holds each finished account's result and the processSummary checkpoint of each running one,
+// so a resumed batch skips finished accounts and resumes interrupted ones where they stopped.
+async function runBatchJob(entry) {
+    const { payload } = entry;
+    const batchId = entry.id;
+    const checkpoint = entry.checkpoint;
+    checkpoint.results = checkpoint.results || {}; // { accountId: { accountId, jobId, status, message, saveSummary, usage } }
+    checkpoint.accounts = checkpoint.accounts || {}; // { accountId: processSummary checkpoint }
+    Object.values(checkpoint.accounts).forEach(openCheckpointSecrets);
+    const accessToken = openQueueSecret(payload.accessToken);
+    const saveBatchCheckpoint = () => summaryQueue.saveCheckpoint(batchId, {
+        ...checkpoint,
+        accounts: Object.fromEntries(Object.entries(checkpoint.accounts).map(([accountId, accountCheckpoint]) => [accountId, sealCheckpointSecrets(accountCheckpoint)]))
+    }).catch(error => console.error(`[Batch ${batchId}] Failed to save checkpoint: ${error.message}`));
+
+    const recordResult = async result => {
+        checkpoint.results[result.accountId] = result;
+        delete checkpoint.accounts[result.accountId];
+        await saveBatchCheckpoint();
+        await updateJob(batchId, batch => {
+            batch.results.push(result);
+            if (result.status === 'Failed') batch.progress.Accounts.failed++;
+            else batch.progress.Accounts.completed++;
+        });
+        await publishJobEvent(batchId, 'account_completed', result);
+    };
+
+    const pendingAccounts = payload.accounts.filter(({ accountId }) => !checkpoint.results[accountId]);
+    if (entry.attempts > QUEUE_MAX_ATTEMPTS) {
+        const error = new Error(`Batch was interrupted ${entry.attempts - 1} times and exceeded the maximum of ${QUEUE_MAX_ATTEMPTS} attempts.`);
+        console.error(`[Batch ${batchId}] ${error.message}`);
+        for (const { accountId, jobId } of pendingAccounts) {
+            await failJob(jobId, error);
+            await recordResult({ accountId, jobId, status: 'Failed', message: `Processing error: ${error.message}`, saveSummary: null });
         }
-        console.error(`[${accountId}] ${errorMessage}`);
-        // Depending on requirements, implement retry logic or log for manual intervention
+    } else {
+        if (entry.attempts > 1) {
+            console.warn(`[Batch ${batchId}] Resuming interrupted batch (attempt ${entry.attempts} of ${QUEUE_MAX_ATTEMPTS}); ${pendingAccounts.length} of ${payload.accounts.length} account(s) left.`);
+        }
+        await updateJob(batchId, batch => {
+            batch.status = 'processing';
+            batch.attempts = entry.attempts;
+        });
+        console.log(`[Batch ${batchId}] Processing ${pendingAccounts.length} account(s), ${BATCH_CONCURRENCY} at a time.`);
+
+        await Promise.all(pendingAccounts.map(({ accountId, jobId }) => batchAccountLimiter.run(async () => {
+            await updateJob(jobId, job => {
+                job.status = 'processing';
+                job.attempts = entry.attempts;
+            });
+            checkpoint.accounts[accountId] = checkpoint.accounts[accountId] || {};
+            let result;
+            try {
+                // No summaryMap (existing records are found automatically per account) and no callback of its own,
+                // not even on failure (the account is reported in the consolidated callback instead)
+                result = await processSummary({
+                    accountId,
+                    accessToken,
+                    callbackUrl: payload.callbackUrl,
+                    userPrompt: payload.userPrompt,
+                    userPromptQtr: payload.userPromptQtr,
+                    userPromptYear: payload.userPromptYear,
+                    queryText: payload.queryText.replaceAll('{{AccountId}}', accountId),
+                    loggedinUserId: payload.loggedinUserId,
+                    monthlyFuncSchema: payload.monthlyFuncSchema,
+                    quarterlyFuncSchema: payload.quarterlyFuncSchema,
+                    yearlyFuncSchema: payload.yearlyFuncSchema,
+                    sendCallback: 'No',
+                    summaryOptions: payload.summaryOptions,
+                    jobId,
+                    checkpoint: checkpoint.accounts[accountId],
+                    saveCheckpoint: saveBatchCheckpoint,
+                    batchId
+                });
+            } catch (error) {
+                console.error(`[${accountId}] Unhandled error during batch processing:`, error);
+                await failJob(jobId, error);
+                result = { status: 'Failed', message: `Unhandled processing error: ${error.message}`, saveSummary: null, usage: null };
+            }
+            await recordResult({ accountId, jobId, status: result.status, message: result.message, saveSummary: result.saveSummary, usage: result.usage || null });
+        })));
+    }
+
+    // Consolidated outcome: Success when every account succeeded, Failed when none did
+    const results = payload.accounts.map(({ accountId }) => checkpoint.results[accountId]);
+    const counts = {
+        total: results.length,
+        succeeded: results.filter(result => result.status === 'Success').length,
+        partial: results.filter(result => result.status === 'PartialSuccess').length,
+        failed: results.filter(result => result.status === 'Failed').length
+    };
+    const status = counts.failed === 0 && counts.partial === 0 ? 'Success' : counts.failed === counts.total ? 'Failed' : 'PartialSuccess';
+    console.log(`[Batch ${batchId}] Outcome: ${status} (${counts.succeeded} succeeded, ${counts.partial} partial, ${counts.failed} failed).`);
+    await updateJob(batchId, batch => { batch.outcome = status; });
+    if (status === 'Failed') {
+        await failJob(batchId, new Error(`All ${counts.total} account(s) failed.`));
+    } else {
+        await completeJob(batchId);
+    }
+
+    if (payload.sendCallback == 'Yes') {
+        const message = status === 'Success' ? `Batch Processed Successfully (${counts.total} account(s))`
+            : `Batch Processed with Errors (${counts.failed} failed, ${counts.partial} partially saved, ${counts.succeeded} succeeded of ${counts.total} account(s))`;
+        await sendCallbackResponse(null, payload.callbackUrl, payload.loggedinUserId, accessToken, status, message, { batchId, accountCounts: counts, usage: sumUsage(results.map(result => result.usage)), results });
     }
 }
 
@@ -949,7 +2801,9 @@ function getValueByKey(recordsArray, searchKey) {
 
 // Transforms the AI's quarterly output structure (for a single quarter)
 // into the format needed for Salesforce saving.
-function transformQuarterlyStructure(quarterlyAiOutput) {
+// expectedPeriod ({ year, quarter, startdate }), when given, is the fiscal period the quarter was requested for
+// and takes precedence over the identifiers returned by the AI.
+function transformQuarterlyStructure(quarterlyAiOutput, expectedPeriod) {
     const result = {}; // { year: { QX: { summaryDetails, summaryJson, count, startdate } } }
 
     // Add more robust validation for the expected nested structure
@@ -965,11 +2819,19 @@ function transformQuarterlyStructure(quarterlyAiOutput) {
 
     // Process the first year entry (quarterly AI should only return one year/quarter per call in this design)
     const yearData = quarterlyAiOutput.yearlySummary[0];
-    const year = yearData.year;
+    let year = yearData.year;
 
     // Process the first quarter entry within that year
     const quarterData = yearData.quarters[0];
-    const quarter = quarterData.quarter;
+    let quarter = quarterData.quarter;
+
+    if (expectedPeriod) {
+        if (String(year) !== String(expectedPeriod.year) || String(quarter).toUpperCase() !== expectedPeriod.quarter) {
+            console.warn(`[Transform] Quarterly AI output identifies ${quarter} ${year}, expected ${expectedPeriod.quarter} ${expectedPeriod.year}. Using the expected period.`);
+        }
+        year = expectedPeriod.year;
+        quarter = expectedPeriod.quarter;
+    }
 
     // Validate essential quarter data
     if (!year || !quarter || typeof quarter !== 'string' || !quarter.match(/^Q[1-4]$/i)) {
@@ -986,9 +2848,14 @@ function transformQuarterlyStructure(quarterlyAiOutput) {
     const activityCount = (typeof quarterData.activityCount === 'number' && quarterData.activityCount >= 0) ? quarterData.activityCount : 0;
      // Get start date, calculating a default if missing or invalid format
     let startDate = quarterData.startdate;
-    if (!startDate || typeof startDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+    if (expectedPeriod) {
+        if (startDate !== expectedPeriod.startdate) {
+            console.warn(`[Transform] Quarterly AI output startdate '${startDate}' for ${quarter} ${year} does not match the fiscal quarter start ${expectedPeriod.startdate}. Using the fiscal quarter start.`);
+        }
+        startDate = expectedPeriod.startdate;
+    } else if (!startDate || typeof startDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
         console.warn(`[Transform] Missing or invalid startdate format ('${startDate}') in quarterly AI output for ${quarter} ${year}. Calculating default.`);
-        startDate = `${year}-${getQuarterStartMonth(quarter)}-01`;
+        startDate = getFiscalQuarterStartDate(year, quarter, CALENDAR_FISCAL_CONFIG);
     }
 
     // Initialize year object if not already present
@@ -1008,19 +2875,4 @@ function transformQuarterlyStructure(quarterlyAiOutput) {
     return result;
 }
 
-// Helper to get the starting month number (01, 04, 07, 10) for a quarter string ('Q1'-'Q4')
-function getQuarterStartMonth(quarter) {
-    if (!quarter || typeof quarter !== 'string') {
-        console.warn(`Invalid quarter identifier "${quarter}" provided to getQuarterStartMonth. Defaulting to Q1.`);
-        return '01';
-    }
-    switch (quarter.toUpperCase()) { // Ensure comparison is case-insensitive
-        case 'Q1': return '01';
-        case 'Q2': return '04';
-        case 'Q3': return '07';
-        case 'Q4': return '10';
-        default:
-            console.warn(`Unrecognized quarter identifier "${quarter}" provided to getQuarterStartMonth. Defaulting to Q1.`);
-            return '01'; // Fallback to '01' for safety
-    }
-}
+module.exports = { app, processSummary, parseSummaryOptions, getLlmProvider, runQueuedJob, reconcileAssistant };
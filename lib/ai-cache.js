@@ -0,0 +1,49 @@
+/*
+ * Content-addressed cache of AI results, read and written through the configured cache store.
+ */
+
+const crypto = require("crypto");
+const { AI_CACHE_STORE_TYPE, AI_CACHE_TTL_SECONDS } = require('./config');
+const { createAiResultCache } = require('./stores');
+const { sealQueueSecret, openQueueSecret } = require('./queue');
+
+
+// --- AI Result Cache Initialization ---
+// Generated summaries keyed by a hash of their input (see getAiResultCacheKey); null when AI_CACHE_STORE=off
+const aiResultCache = createAiResultCache(AI_CACHE_STORE_TYPE);
+
+
+// --- AI Result Cache ---
+// Results are keyed by a hash of everything that determines them: provider, model, instructions, function schema,
+// rendered prompt and activity payload. Re-running an account with unchanged input (e.g. after a failed save) reuses
+// them instead of paying for identical runs. Cache failures are logged and treated as misses.
+// Results hold customer data, so entries are sealed with the queue key like queued secrets (see Queue Secrets); an
+// entry that no configured QUEUE_ENCRYPTION_KEY opens is a miss.
+
+function getAiResultCacheKey(activities, provider, summarizer, userPrompt, functionSchema) {
+    const content = [provider.name, summarizer.model || null, summarizer.instructions || null, functionSchema, userPrompt, activities || null];
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+async function readCachedAiResult(key) {
+    try {
+        const sealed = await aiResultCache.get(key);
+        if (typeof sealed !== 'string') return null; // Missing, or cached unencrypted by an older version
+        return JSON.parse(openQueueSecret(sealed));
+    } catch (error) {
+        console.warn(`[Cache] Could not read cached result ${key.substring(0, 12)}: ${error.message}`);
+        return null;
+    }
+}
+
+async function storeCachedAiResult(key, entry) {
+    try {
+        const sealed = sealQueueSecret(JSON.stringify({ ...entry, createdAt: new Date().toISOString() }));
+        await aiResultCache.set(key, sealed, AI_CACHE_TTL_SECONDS);
+    } catch (error) {
+        console.warn(`[Cache] Could not cache result ${key.substring(0, 12)}: ${error.message}`);
+    }
+}
+
+
+module.exports = { aiResultCache, getAiResultCacheKey, readCachedAiResult, storeCachedAiResult };
@@ -0,0 +1,129 @@
+/*
+ * Delivery of the completion callback to the caller's callbackUrl, with signing, retries and a dead-letter store for
+ * callbacks that could not be delivered.
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const {
+    CALLBACK_MAX_ATTEMPTS, CALLBACK_RETRY_BASE_DELAY_MS, CALLBACK_SIGNING_SECRET, DEAD_LETTER_STORE_TYPE
+} = require('./config');
+const { createDeadLetterStore } = require('./stores');
+
+
+// --- Callback Dead-Letter Store Initialization ---
+// Callbacks that could not be delivered after all retries, kept for inspection and replay
+const deadLetterStore = createDeadLetterStore(DEAD_LETTER_STORE_TYPE);
+
+
+// --- Callback Sending Function ---
+// Sends the final status back to the specified Salesforce URL
+// details: optional extra payload fields (e.g. { skippedPeriods })
+// accessToken must be the caller's own token (or null): the callbackUrl is chosen by the caller, so a token minted
+// server-side is never sent there. It is not stored with dead letters either.
+async function sendCallbackResponse(accountId, callbackUrl, loggedinUserId, accessToken, status, message, details = {}) {
+    // Truncate long messages for logging clarity
+    console.log(`Inside sendCallbackResponse method block, sending to sfdc`);
+    const logMessage = message.length > 500 ? message.substring(0, 500) + '...' : message;
+    const logPrefix = accountId || `Batch ${details.batchId}`; // Batch callbacks have no single account
+    console.log(`[${logPrefix}] Sending callback to ${callbackUrl}. Status: ${status}, Message: ${logMessage}`);
+
+    // Ensure status reflects the *process* outcome ('Success', 'PartialSuccess' or 'Failed')
+    const processStatus = ["Success", "PartialSuccess", "Failed"].includes(status) ? status : "Failed"; // Default to Failed if status is unexpected
+    const payload = {
+        // Payload structure expected by the callback receiver (e.g., an Apex REST service)
+        accountId: accountId,
+        loggedinUserId: loggedinUserId,
+        status: "Completed", // Status of the *callback itself*
+        processResult: processStatus, // Overall result ('Success', 'PartialSuccess' or 'Failed') of the summary generation
+        message: message, // Detailed message or error string
+        ...details
+    };
+
+    const delivery = await deliverCallback(callbackUrl, payload, accessToken, logPrefix);
+    if (delivery.delivered) {
+        console.log(`[${logPrefix}] Callback sent successfully.`);
+        return;
+    }
+
+    // Keep the undelivered callback so it can be replayed from /admin/callbacks/dead-letters
+    try {
+        const deadLetter = await deadLetterStore.add({
+            id: crypto.randomUUID(),
+            jobId: details.jobId || details.batchId || null,
+            accountId,
+            loggedinUserId,
+            callbackUrl,
+            payload,
+            attempts: delivery.attempts,
+            lastError: delivery.error,
+            createdAt: new Date().toISOString(),
+            lastAttemptAt: new Date().toISOString()
+        });
+        console.error(`[${logPrefix}] Callback undeliverable after ${delivery.attempts} attempt(s); stored as dead letter ${deadLetter.id}.`);
+    } catch (storeError) {
+        console.error(`[${logPrefix}] Callback undeliverable and could not be stored as a dead letter: ${storeError.message}`);
+    }
+}
+
+// POSTs a callback payload, retrying network errors, 408/429 and 5xx responses with exponential backoff.
+// Returns { delivered, attempts, error }.
+async function deliverCallback(callbackUrl, payload, accessToken, logPrefix, maxAttempts = CALLBACK_MAX_ATTEMPTS) {
+    const body = JSON.stringify(payload);
+    let lastError = null;
+    let attemptsMade = 0;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        attemptsMade = attempt;
+        try {
+            await axios.post(callbackUrl, body, {
+                headers: {
+                    "Content-Type": "application/json",
+                    // Use the caller's session ID/access token for authenticating the callback request to Salesforce
+                    ...(accessToken && { "Authorization": `Bearer ${accessToken}` }),
+                    ...signCallbackBody(body)
+                },
+                timeout: 30000 // Increased timeout (30 seconds) for potentially slow callback endpoint
+            });
+            return { delivered: true, attempts: attempt, error: null };
+        } catch (error) {
+            let errorMessage = `Failed to send callback to ${callbackUrl} (attempt ${attempt} of ${maxAttempts}). `;
+            if (error.response) {
+                // Include response details from the callback endpoint if available
+                errorMessage += `Status: ${error.response.status}, Data: ${JSON.stringify(error.response.data)}, Message: ${error.message}`;
+            } else if (error.request) {
+                // Error sending the request (e.g., network issue, DNS lookup failure)
+                errorMessage += `No response received. ${error.message}`;
+            } else {
+                // Other errors (e.g., setting up the request)
+                errorMessage += `Error: ${error.message}`;
+            }
+            console.error(`[${logPrefix}] ${errorMessage}`);
+            lastError = { status: error.response?.status || null, message: error.message };
+
+            const responseStatus = error.response?.status;
+            const retryable = !error.response || responseStatus === 408 || responseStatus === 429 || responseStatus >= 500;
+            if (!retryable || attempt >= maxAttempts) break;
+            const retryAfterSeconds = Number(error.response?.headers?.['retry-after']);
+            const delayMs = Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0
+                ? Math.min(retryAfterSeconds * 1000, 60000)
+                : Math.min(CALLBACK_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), 60000);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+    return { delivered: false, attempts: attemptsMade, error: lastError };
+}
+
+// Signature headers for a callback body: HMAC-SHA256 of "<timestamp>.<body>" with CALLBACK_SIGNING_SECRET.
+// Receivers recompute it over the raw request body and reject stale timestamps.
+function signCallbackBody(body) {
+    if (!CALLBACK_SIGNING_SECRET) return {};
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', CALLBACK_SIGNING_SECRET).update(`${timestamp}.${body}`).digest('hex');
+    return {
+        "X-Callback-Timestamp": timestamp,
+        "X-Callback-Signature": `sha256=${signature}`
+    };
+}
+
+
+module.exports = { deadLetterStore, sendCallbackResponse, deliverCallback };
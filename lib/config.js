@@ -0,0 +1,179 @@
+/*
+ * Configuration read from the environment (.env is loaded here), with the startup checks of the essential values.
+ */
+
+const dotenv = require('dotenv');
+const path = require("path");
+
+
+// --- Load Environment Variables ---
+dotenv.config();
+
+// --- Configuration Constants ---
+const ROOT_DIR = path.join(__dirname, '..'); // Application root (schemas, data and temp_files live here)
+const SF_LOGIN_URL = process.env.SF_LOGIN_URL; // Instance URL of the default org
+const SF_AUTH_FLOW = process.env.SF_AUTH_FLOW || 'session'; // Default org: 'session' (caller's token only), 'jwt' (OAuth 2.0 JWT bearer), 'refresh_token' or 'client_credentials'
+const SF_SESSION_MODE = process.env.SF_SESSION_MODE || 'caller'; // 'caller' (the caller's token; an expired session fails the job) or 'server' (integration user via SF_AUTH_FLOW; signed requests only)
+const SF_OAUTH_LOGIN_URL = process.env.SF_OAUTH_LOGIN_URL || 'https://login.salesforce.com'; // Token endpoint host (https://test.salesforce.com for sandboxes; the My Domain URL for client_credentials)
+const SF_CLIENT_ID = process.env.SF_CLIENT_ID; // Connected app consumer key
+const SF_CLIENT_SECRET = process.env.SF_CLIENT_SECRET; // Connected app consumer secret (client_credentials flow; refresh_token flow when the app requires it)
+const SF_USERNAME = process.env.SF_USERNAME; // Integration user (jwt flow)
+const SF_PRIVATE_KEY = process.env.SF_PRIVATE_KEY; // PEM private key of the connected app certificate (jwt flow; "\n" escapes allowed)
+const SF_PRIVATE_KEY_FILE = process.env.SF_PRIVATE_KEY_FILE; // Alternative to SF_PRIVATE_KEY
+const SF_REFRESH_TOKEN = process.env.SF_REFRESH_TOKEN; // refresh_token flow
+const SF_ORGS = process.env.SF_ORGS; // Org registry as JSON: { "<orgId or alias>": { instanceUrl, authFlow, clientId, ... } } (see loadOrgRegistry)
+const SF_ORGS_FILE = process.env.SF_ORGS_FILE; // Org registry JSON file, used when SF_ORGS is not set
+const SF_INSTANCE_HOST_SUFFIXES = (process.env.SF_INSTANCE_HOST_SUFFIXES || '.salesforce.com,.force.com,.cloudforce.com').split(',').map(suffix => suffix.trim()).filter(Boolean); // Hosts accepted as a per-request instanceUrl
+const PORT = process.env.PORT || 3000;
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// --- Assistant IDs are now PREFERRED, creation is fallback ---
+const OPENAI_MONTHLY_ASSISTANT_ID_ENV = process.env.OPENAI_MONTHLY_ASSISTANT_ID;
+const OPENAI_QUARTERLY_ASSISTANT_ID_ENV = process.env.OPENAI_QUARTERLY_ASSISTANT_ID;
+const OPENAI_YEARLY_ASSISTANT_ID_ENV = process.env.OPENAI_YEARLY_ASSISTANT_ID;
+
+const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o";
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL; // OpenAI-compatible endpoint (Azure OpenAI, self-hosted gateway); defaults to api.openai.com
+const OPENAI_API_VERSION = process.env.OPENAI_API_VERSION; // Sent as ?api-version= and enables the api-key header (Azure OpenAI)
+const OPENAI_CHAT_MODEL = process.env.OPENAI_CHAT_MODEL || OPENAI_MODEL; // Model (or Azure deployment name) used by the chat provider
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'assistants'; // Default provider: 'assistants', 'chat' or 'mock'
+const ASSISTANTS_ENABLED = LLM_PROVIDER === 'assistants' || process.env.ENABLE_ASSISTANTS === 'true'; // Set up Assistants even when another provider is the default
+const ASSISTANT_RECONCILE = process.env.ASSISTANT_RECONCILE || 'update'; // Existing assistants that drifted from the config in code: 'update' in place, 'check' (report only) or 'off'
+const TIMELINE_SUMMARY_OBJECT_API_NAME = "Timeline_Summary__c"; // Salesforce object API name
+const DIRECT_INPUT_THRESHOLD = 2000; // Max activities for direct JSON input in prompt
+const PROMPT_LENGTH_THRESHOLD = 256000; // Character limit for direct prompt input
+const TEMP_FILE_DIR = path.join(ROOT_DIR, 'temp_files'); // Directory for temporary files
+const DEFAULT_FUNCTIONS_FILE = path.join(ROOT_DIR, 'schemas', 'default_functions.json'); // Bundled default function schemas
+const REDIS_URL = process.env.REDIS_URL; // Shared by the web and worker dynos when set
+const REDIS_TLS_INSECURE = process.env.REDIS_TLS_INSECURE === 'true'; // Skip certificate verification for rediss:// (self-signed certificates, e.g. Heroku Redis)
+const JOB_STORE_TYPE = process.env.JOB_STORE || (REDIS_URL ? 'redis' : 'file'); // 'redis', 'file' or 'memory'
+const JOB_STORE_DIR = process.env.JOB_STORE_DIR || path.join(ROOT_DIR, 'data', 'jobs'); // Directory for the file job store
+const QUEUE_BACKEND = process.env.QUEUE_BACKEND || (REDIS_URL ? 'redis' : 'file'); // 'redis' or 'file' (local, single machine)
+const QUEUE_DIR = process.env.QUEUE_DIR || path.join(ROOT_DIR, 'data', 'queue'); // Directory for the file queue backend
+const IS_WORKER_PROCESS = process.argv.includes('--worker'); // Set by the "worker" entry in the Procfile
+const EMBEDDED_WORKER = process.env.EMBEDDED_WORKER === 'true'; // Also consume the queue inside the web process (single dyno / local runs)
+const WORKER_CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY || '2', 10); // Jobs processed at once per worker process
+const QUEUE_POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '2000', 10);
+const QUEUE_LEASE_MS = parseInt(process.env.QUEUE_LEASE_MS || '60000', 10); // A claimed job returns to the queue if its worker stops renewing the lease
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '3', 10); // Claims allowed before an interrupted job is failed for good
+const QUEUE_ENCRYPTION_KEYS = (process.env.QUEUE_ENCRYPTION_KEY || '').split(',').map(key => key.trim()).filter(Boolean); // Required: encrypts access tokens and PII vaults in queued jobs; comma-separate to rotate (the first one encrypts)
+const DEFAULT_FISCAL_YEAR_START_MONTH = process.env.FISCAL_YEAR_START_MONTH || '1'; // 1-12, or 'org' to read the org's FiscalYearSettings
+const DEFAULT_FISCAL_YEAR_NAMING = process.env.FISCAL_YEAR_NAMING || 'end'; // 'end' (Salesforce default) or 'start'
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC'; // IANA zone, or 'user' to opt in to the requesting user's TimeZoneSidKey
+const INCREMENTAL_SUMMARIES_DEFAULT = process.env.INCREMENTAL_SUMMARIES === 'true'; // Default for the per-request 'incremental' flag
+const ACTIVITY_FINGERPRINT_FIELD = process.env.ACTIVITY_FINGERPRINT_FIELD || 'Activity_Fingerprint__c'; // Text(64) field on Timeline_Summary__c
+const YEARLY_SUMMARIES_DEFAULT = process.env.YEARLY_SUMMARIES === 'true'; // Default for the per-request 'includeYearly' flag
+const DEFAULT_YEARLY_PROMPT = "Generate a yearly summary of the account's Salesforce activities for {{Year}}."; // Used when userPromptYear is not provided
+const DEFAULT_GRANULARITY = process.env.SUMMARY_GRANULARITY || 'monthly'; // 'monthly', or 'weekly' to summarize ISO weeks and roll them up into months
+const DEFAULT_WEEKLY_PROMPT = "Generate a summary of the account's Salesforce activities for the week starting {{WeekStart}} ({{Week}})."; // Used when userPromptWeek is not provided
+const DEFAULT_CHUNKING_STRATEGY = process.env.CHUNKING_STRATEGY || 'map_reduce'; // Oversized periods: 'map_reduce' (batch + merge) or 'file_search' (upload)
+const CHUNK_TOKEN_BUDGET = parseInt(process.env.CHUNK_TOKEN_BUDGET || '30000', 10); // Approximate input tokens per map/reduce batch
+const LLM_CONCURRENCY = parseInt(process.env.LLM_CONCURRENCY || '4', 10); // LLM calls in flight at once, shared by all jobs in this process
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '5', 10); // Retries of a rate-limited, failed or timed-out LLM call
+const LLM_RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '2000', 10); // First backoff delay; doubles per retry
+const LLM_RETRY_MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '60000', 10); // Cap for backoff and Retry-After delays
+const LLM_CALL_TIMEOUT_MS = parseInt(process.env.LLM_CALL_TIMEOUT_MS || '300000', 10); // A call (incl. Assistant run polling) is cancelled after this
+const CALLBACK_MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS || '5', 10); // Delivery attempts before a callback is dead-lettered
+const CALLBACK_RETRY_BASE_DELAY_MS = parseInt(process.env.CALLBACK_RETRY_BASE_DELAY_MS || '2000', 10); // First retry delay; doubles per attempt
+const CALLBACK_SIGNING_SECRET = process.env.CALLBACK_SIGNING_SECRET; // When set, callbacks carry an HMAC-SHA256 signature header
+const DEAD_LETTER_STORE_TYPE = process.env.DEAD_LETTER_STORE || JOB_STORE_TYPE; // 'redis', 'file' or 'memory'
+const DEAD_LETTER_DIR = process.env.DEAD_LETTER_DIR || path.join(ROOT_DIR, 'data', 'dead-letters'); // Directory for the file dead-letter store
+const INBOUND_AUTH = (process.env.INBOUND_AUTH || '').split(',').map(method => method.trim()).filter(Boolean); // Required: requests must pass one of 'hmac', 'salesforce'; 'none' (local development only) turns inbound auth off
+const INBOUND_SIGNING_SECRETS = (process.env.INBOUND_SIGNING_SECRET || '').split(',').map(secret => secret.trim()).filter(Boolean); // HMAC secret(s) for 'hmac'; comma-separate to rotate
+const INBOUND_SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.INBOUND_SIGNATURE_TOLERANCE_SECONDS || '300', 10); // Max clock skew of X-Request-Timestamp
+const INBOUND_REPLAY_STORE_TYPE = process.env.INBOUND_REPLAY_STORE || (REDIS_URL ? 'redis' : 'memory'); // Seen signatures: 'redis' (across dynos) or 'memory'
+const INBOUND_ALLOWED_ORG_IDS = (process.env.INBOUND_ALLOWED_ORG_IDS || '').split(',').map(id => id.trim()).filter(Boolean); // 'salesforce': org IDs whose users may call the service (required with INBOUND_AUTH=salesforce)
+const SF_TOKEN_VERIFY_CACHE_SECONDS = parseInt(process.env.SF_TOKEN_VERIFY_CACHE_SECONDS || '300', 10); // 'salesforce': how long a verified token is trusted
+const CONFIG_VERSION_STORE_TYPE = process.env.CONFIG_VERSION_STORE || JOB_STORE_TYPE; // Summarizer config versions: 'redis', 'file' or 'memory'
+const CONFIG_VERSION_DIR = process.env.CONFIG_VERSION_DIR || path.join(ROOT_DIR, 'data', 'config-versions'); // Directory for the file config version store
+const SUMMARY_CONFIG_VERSION_FIELD = process.env.SUMMARY_CONFIG_VERSION_FIELD; // Optional Text(16) field on Timeline_Summary__c that receives the config version
+const PROMPT_TEMPLATE_STORE_TYPE = process.env.PROMPT_TEMPLATE_STORE || JOB_STORE_TYPE; // Named template library: 'redis', 'file' or 'memory'
+const PROMPT_TEMPLATE_DIR = process.env.PROMPT_TEMPLATE_DIR || path.join(ROOT_DIR, 'data', 'prompt-templates'); // Directory for the file template store
+const CALLBACK_ALLOWED_HOSTS = (process.env.CALLBACK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean); // callbackUrl hosts ("*.my.salesforce.com" for subdomains); required unless INBOUND_AUTH=none
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Required in the X-Admin-Key header by /admin endpoints (disabled when unset)
+const SUMMARY_UPSERT_MODE = process.env.SUMMARY_UPSERT_MODE || 'query'; // Finding existing summaries: 'query', 'external_id' or 'off' (summaryMap only)
+const SUMMARY_EXTERNAL_ID_FIELD = process.env.SUMMARY_EXTERNAL_ID_FIELD || 'Summary_Key__c'; // External ID text field for 'external_id' mode
+const BULK_API_THRESHOLD = parseInt(process.env.BULK_API_THRESHOLD || '200', 10); // Saves of more records than this use Bulk API 2.0
+const DEFAULT_ACTIVITY_FIELDS = process.env.ACTIVITY_FIELDS || 'Id,Description,Subject,CreatedDate'; // Activity fields forwarded to the model ("Who.Name:ContactName" renames)
+const DEFAULT_ACTIVITY_DATE_FIELD = process.env.ACTIVITY_DATE_FIELD || 'CreatedDate'; // Activity field used to bucket activities into periods (e.g. ActivityDate)
+const PII_REDACTION_DEFAULT = process.env.PII_REDACTION === 'true'; // Default for the per-request 'redactPii' flag
+const PII_DETECTORS_DEFAULT = process.env.PII_DETECTORS || 'email,card,ssn,iban,phone'; // Built-in detectors used when piiRules does not list any
+const PII_RESTORE_DEFAULT = process.env.PII_RESTORE === 'true'; // Default for 'restorePii': put original values back into the saved summaries
+const JOB_EVENTS_BACKEND = process.env.JOB_EVENTS_BACKEND || (REDIS_URL ? 'redis' : 'memory'); // 'redis' (across dynos) or 'memory' (jobs run in the web process)
+const SSE_KEEPALIVE_MS = parseInt(process.env.SSE_KEEPALIVE_MS || '15000', 10); // Comment line sent on idle event streams so proxies keep them open
+const BATCH_MAX_ACCOUNTS = parseInt(process.env.BATCH_MAX_ACCOUNTS || '500', 10); // Accounts accepted by one /generatesummary/batch request
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '3', 10); // Batch accounts summarized at once, shared by all batches in a worker process
+const SCHEMA_VALIDATION_MAX_RETRIES = parseInt(process.env.SCHEMA_VALIDATION_MAX_RETRIES || '1', 10); // Extra AI runs when output fails schema validation
+const LLM_PRICES = process.env.LLM_PRICES; // Price table as JSON: { "<model>": { input, cachedInput, output } } in USD per million tokens, on top of DEFAULT_LLM_PRICES
+const LLM_PRICES_FILE = process.env.LLM_PRICES_FILE; // Price table JSON file, used when LLM_PRICES is not set
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.DEFAULT_TOKEN_BUDGET || '0', 10); // Tokens a job may use when the request sets no tokenBudget (0 = unlimited)
+const COMPLETION_TOKEN_ESTIMATE = parseInt(process.env.COMPLETION_TOKEN_ESTIMATE || '2000', 10); // Output tokens assumed per LLM call when checking a token budget
+const SUMMARY_PROMPT_TOKENS_FIELD = process.env.SUMMARY_PROMPT_TOKENS_FIELD; // Optional Number field on Timeline_Summary__c that receives the period's prompt tokens
+const SUMMARY_COMPLETION_TOKENS_FIELD = process.env.SUMMARY_COMPLETION_TOKENS_FIELD; // Optional Number field that receives the period's completion tokens
+const SUMMARY_COST_FIELD = process.env.SUMMARY_COST_FIELD; // Optional Number(12, 6) field that receives the period's cost in USD
+const AI_CACHE_STORE_TYPE = process.env.AI_CACHE_STORE || (REDIS_URL ? 'redis' : 'off'); // Cache of AI results: 'redis', 'file' (local disk), 'memory' or 'off'
+const AI_CACHE_DIR = process.env.AI_CACHE_DIR || path.join(ROOT_DIR, 'data', 'ai-cache'); // Directory for the file AI result cache
+const AI_CACHE_TTL_SECONDS = parseInt(process.env.AI_CACHE_TTL_SECONDS || '604800', 10); // How long a cached AI result is reused (default 7 days)
+
+// --- Environment Variable Validation (Essential Vars) ---
+if ((!SF_LOGIN_URL && SF_AUTH_FLOW === 'session') || (!OPENAI_API_KEY && LLM_PROVIDER !== 'mock')) {
+    console.error("FATAL ERROR: Missing required environment variables (SF_LOGIN_URL, OPENAI_API_KEY).");
+    process.exit(1);
+}
+
+const unknownInboundAuth = INBOUND_AUTH.filter(method => !['none', 'hmac', 'salesforce'].includes(method));
+if (unknownInboundAuth.length > 0 || (INBOUND_AUTH.includes('hmac') && INBOUND_SIGNING_SECRETS.length === 0)) {
+    console.error(`FATAL ERROR: Invalid INBOUND_AUTH "${INBOUND_AUTH.join(',')}". Supported values: none, hmac, salesforce (hmac requires INBOUND_SIGNING_SECRET).`);
+    process.exit(1);
+}
+// Fail closed: the web process does not start without inbound auth, a callback host allowlist and, for Salesforce
+// token verification, an org allowlist.
+// The worker serves no requests and only calls back to URLs the web process accepted.
+if (!IS_WORKER_PROCESS) {
+    if (INBOUND_AUTH.length === 0 || (INBOUND_AUTH.includes('none') && INBOUND_AUTH.length > 1)) {
+        console.error("FATAL ERROR: Set INBOUND_AUTH to hmac and/or salesforce. INBOUND_AUTH=none (on its own) disables inbound auth and is for local development only.");
+        process.exit(1);
+    }
+    if (!INBOUND_AUTH.includes('none') && CALLBACK_ALLOWED_HOSTS.length === 0) {
+        console.error("FATAL ERROR: CALLBACK_ALLOWED_HOSTS is required (e.g. \"*.my.salesforce.com\"); only INBOUND_AUTH=none allows any callback host.");
+        process.exit(1);
+    }
+    if (INBOUND_AUTH.includes('salesforce') && INBOUND_ALLOWED_ORG_IDS.length === 0) {
+        console.error("FATAL ERROR: INBOUND_ALLOWED_ORG_IDS is required with INBOUND_AUTH=salesforce (the org IDs whose users may call the service).");
+        process.exit(1);
+    }
+}
+
+if (QUEUE_ENCRYPTION_KEYS.length === 0) {
+    console.error("FATAL ERROR: QUEUE_ENCRYPTION_KEY is required. Access tokens and PII vaults are encrypted with it before they are queued.");
+    process.exit(1);
+}
+
+if (!['update', 'check', 'off'].includes(ASSISTANT_RECONCILE)) {
+    console.error(`FATAL ERROR: Invalid ASSISTANT_RECONCILE "${ASSISTANT_RECONCILE}". Supported values: update, check, off.`);
+    process.exit(1);
+}
+
+
+module.exports = {
+    SF_LOGIN_URL, SF_AUTH_FLOW, SF_SESSION_MODE, SF_OAUTH_LOGIN_URL, SF_CLIENT_ID, SF_CLIENT_SECRET, SF_USERNAME,
+    SF_PRIVATE_KEY, SF_PRIVATE_KEY_FILE, SF_REFRESH_TOKEN, SF_ORGS, SF_ORGS_FILE, SF_INSTANCE_HOST_SUFFIXES, PORT,
+    OPENAI_API_KEY, OPENAI_MONTHLY_ASSISTANT_ID_ENV, OPENAI_QUARTERLY_ASSISTANT_ID_ENV, OPENAI_YEARLY_ASSISTANT_ID_ENV,
+    OPENAI_MODEL, OPENAI_BASE_URL, OPENAI_API_VERSION, OPENAI_CHAT_MODEL, LLM_PROVIDER, ASSISTANTS_ENABLED,
+    ASSISTANT_RECONCILE, TIMELINE_SUMMARY_OBJECT_API_NAME, DIRECT_INPUT_THRESHOLD, PROMPT_LENGTH_THRESHOLD,
+    TEMP_FILE_DIR, DEFAULT_FUNCTIONS_FILE, REDIS_URL, REDIS_TLS_INSECURE, JOB_STORE_TYPE, JOB_STORE_DIR, QUEUE_BACKEND,
+    QUEUE_DIR, IS_WORKER_PROCESS, EMBEDDED_WORKER, WORKER_CONCURRENCY, QUEUE_POLL_INTERVAL_MS, QUEUE_LEASE_MS,
+    QUEUE_MAX_ATTEMPTS, QUEUE_ENCRYPTION_KEYS, DEFAULT_FISCAL_YEAR_START_MONTH, DEFAULT_FISCAL_YEAR_NAMING,
+    DEFAULT_TIMEZONE, INCREMENTAL_SUMMARIES_DEFAULT, ACTIVITY_FINGERPRINT_FIELD, YEARLY_SUMMARIES_DEFAULT,
+    DEFAULT_YEARLY_PROMPT, DEFAULT_GRANULARITY, DEFAULT_WEEKLY_PROMPT, DEFAULT_CHUNKING_STRATEGY, CHUNK_TOKEN_BUDGET,
+    LLM_CONCURRENCY, LLM_MAX_RETRIES, LLM_RETRY_BASE_DELAY_MS, LLM_RETRY_MAX_DELAY_MS, LLM_CALL_TIMEOUT_MS,
+    CALLBACK_MAX_ATTEMPTS, CALLBACK_RETRY_BASE_DELAY_MS, CALLBACK_SIGNING_SECRET, DEAD_LETTER_STORE_TYPE,
+    DEAD_LETTER_DIR, INBOUND_AUTH, INBOUND_SIGNING_SECRETS, INBOUND_SIGNATURE_TOLERANCE_SECONDS,
+    INBOUND_REPLAY_STORE_TYPE, INBOUND_ALLOWED_ORG_IDS, SF_TOKEN_VERIFY_CACHE_SECONDS, CONFIG_VERSION_STORE_TYPE,
+    CONFIG_VERSION_DIR, SUMMARY_CONFIG_VERSION_FIELD, PROMPT_TEMPLATE_STORE_TYPE, PROMPT_TEMPLATE_DIR,
+    CALLBACK_ALLOWED_HOSTS, ADMIN_API_KEY, SUMMARY_UPSERT_MODE, SUMMARY_EXTERNAL_ID_FIELD, BULK_API_THRESHOLD,
+    DEFAULT_ACTIVITY_FIELDS, DEFAULT_ACTIVITY_DATE_FIELD, PII_REDACTION_DEFAULT, PII_DETECTORS_DEFAULT,
+    PII_RESTORE_DEFAULT, JOB_EVENTS_BACKEND, SSE_KEEPALIVE_MS, BATCH_MAX_ACCOUNTS, BATCH_CONCURRENCY,
+    SCHEMA_VALIDATION_MAX_RETRIES, LLM_PRICES, LLM_PRICES_FILE, DEFAULT_TOKEN_BUDGET, COMPLETION_TOKEN_ESTIMATE,
+    SUMMARY_PROMPT_TOKENS_FIELD, SUMMARY_COMPLETION_TOKENS_FIELD, SUMMARY_COST_FIELD, AI_CACHE_STORE_TYPE, AI_CACHE_DIR,
+    AI_CACHE_TTL_SECONDS
+};
@@ -0,0 +1,172 @@
+/*
+ * Authentication of inbound requests (bearer token, HMAC signatures, Salesforce token verification), the admin key
+ * check and the job ownership derived from the caller.
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const {
+    INBOUND_AUTH, INBOUND_SIGNING_SECRETS, INBOUND_SIGNATURE_TOLERANCE_SECONDS, INBOUND_REPLAY_STORE_TYPE,
+    INBOUND_ALLOWED_ORG_IDS, SF_TOKEN_VERIFY_CACHE_SECONDS, ADMIN_API_KEY
+} = require('./config');
+const { createReplayGuard } = require('./stores');
+const { orgRegistry, resolveOrgOptions } = require('./salesforce-auth');
+
+
+// --- Inbound Replay Guard Initialization ---
+// Remembers the signatures of accepted signed requests until their timestamp expires, so they cannot be replayed
+const replayGuard = INBOUND_AUTH.includes('hmac') ? createReplayGuard(INBOUND_REPLAY_STORE_TYPE) : null;
+const verifiedTokenCache = new Map(); // sha256(access token) -> { identity, expiresAt }, for 'salesforce' inbound auth
+
+
+// --- Authorization Middleware ---
+// Requires an "Authorization: Bearer <token>" header and exposes the token as req.accessToken
+function requireBearerToken(req, res, next) {
+    const authHeader = req.headers["authorization"];
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+        console.warn("Unauthorized request: Missing or invalid Bearer token.");
+        return res.status(401).json({ error: "Unauthorized" });
+    }
+    req.accessToken = authHeader.split(" ")[1];
+    next();
+}
+
+// Require ADMIN_API_KEY in the X-Admin-Key header; disabled when ADMIN_API_KEY is not configured
+function requireAdminKey(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(404).json({ error: "Admin endpoints are disabled (ADMIN_API_KEY is not set)." });
+    }
+    const providedKey = Buffer.from(String(req.headers["x-admin-key"] || ''));
+    const expectedKey = Buffer.from(ADMIN_API_KEY);
+    if (providedKey.length !== expectedKey.length || !crypto.timingSafeEqual(providedKey, expectedKey)) {
+        console.warn("Unauthorized admin request: missing or invalid X-Admin-Key.");
+        return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+}
+
+// --- Inbound Request Authentication ---
+// The bearer token alone only proves the caller holds *some* string. Work-accepting and job endpoints additionally
+// require, per INBOUND_AUTH, one of:
+// - 'hmac': X-Request-Timestamp (unix seconds) and X-Request-Signature ("sha256=<hex>", HMAC-SHA256 with
+//   INBOUND_SIGNING_SECRET of "<timestamp>.<METHOD>.<path and query as sent>.<raw body>", e.g.
+//   "1700000000.POST./generatesummary.{...}" or "1700000000.GET./jobs/<id>?orgId=00D....", with an empty body for
+//   GET). Signing the method and URL keeps a signature from being replayed against another endpoint or job.
+//   Stale timestamps and repeated signatures are rejected.
+// - 'salesforce': the bearer token is checked against the target org's userinfo endpoint and must belong to an
+//   org in INBOUND_ALLOWED_ORG_IDS. Results are cached for SF_TOKEN_VERIFY_CACHE_SECONDS.
+// - 'none': no check at all. For local development only; it is also the only setting that allows an empty
+//   CALLBACK_ALLOWED_HOSTS. The web process refuses to start when INBOUND_AUTH is unset.
+// The verified caller is exposed as req.inboundAuth. GET requests name their target org in the query (?orgId=).
+async function requireInboundAuth(req, res, next) {
+    if (INBOUND_AUTH.includes('none')) return next();
+
+    const failures = [];
+    for (const method of INBOUND_AUTH) {
+        try {
+            req.inboundAuth = method === 'hmac'
+                ? await verifyRequestSignature(req)
+                : await verifySalesforceToken(req.accessToken, (req.method === 'GET' ? req.query : req.body) || {});
+            return next();
+        } catch (error) {
+            if (error.statusCode === 400) {
+                return res.status(400).json({ error: error.message });
+            }
+            failures.push(`${method}: ${error.message}`);
+        }
+    }
+    console.warn(`Unauthorized request to ${req.path}: ${failures.join('; ')}`);
+    res.status(401).json({ error: "Unauthorized" });
+}
+
+// How a request was authenticated, stored with its job: { method: 'hmac' | 'salesforce' | 'none', orgId, userId, username }.
+// Only 'salesforce' identifies a user; an HMAC signature vouches for the calling system.
+function getInboundCaller(req) {
+    const { method = 'none', orgId = null, userId = null, username = null } = req.inboundAuth || {};
+    return { method, orgId, userId, username };
+}
+
+// Owner key stored on the jobs a caller starts: "salesforce:<orgId>:<userId>" for a verified Salesforce user,
+// "hmac" for the signing system, null when inbound auth is off
+function getJobOwner(inboundCaller) {
+    if (inboundCaller?.method === 'salesforce') return `salesforce:${inboundCaller.orgId}:${inboundCaller.userId}`;
+    return inboundCaller?.method === 'hmac' ? 'hmac' : null;
+}
+
+// Every job is visible when inbound auth is off ('none'); otherwise only the caller's own
+function isJobVisibleTo(job, inboundCaller) {
+    return inboundCaller.method === 'none' || (!!job.owner && job.owner === getJobOwner(inboundCaller));
+}
+
+// Checks the HMAC signature and timestamp of a request and claims its signature so it cannot be replayed
+async function verifyRequestSignature(req) {
+    const timestamp = String(req.headers["x-request-timestamp"] || '');
+    const signatureHeader = String(req.headers["x-request-signature"] || '');
+    if (!/^\d+$/.test(timestamp) || !signatureHeader.startsWith('sha256=')) {
+        throw new Error("missing X-Request-Timestamp or X-Request-Signature");
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10)) > INBOUND_SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error("stale X-Request-Timestamp");
+    }
+    const provided = Buffer.from(signatureHeader.substring('sha256='.length), 'hex');
+    const signedPayload = Buffer.concat([
+        Buffer.from(`${timestamp}.${req.method}.${req.originalUrl}.`), req.rawBody || Buffer.alloc(0)
+    ]);
+    const secretIndex = INBOUND_SIGNING_SECRETS.findIndex(secret => {
+        const expected = crypto.createHmac('sha256', secret).update(signedPayload).digest();
+        return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    });
+    if (secretIndex === -1) {
+        throw new Error("invalid X-Request-Signature");
+    }
+    // Signatures older than the tolerance window are rejected above, so they only need to be remembered that long
+    if (!(await replayGuard.claim(signatureHeader, INBOUND_SIGNATURE_TOLERANCE_SECONDS * 2))) {
+        throw new Error("replayed request signature");
+    }
+    return { method: 'hmac', secretIndex };
+}
+
+// Verifies the bearer token with the userinfo endpoint of the org the request targets.
+// Returns { method, orgId, userId, username }; throws when the token is invalid or its org is not allowed.
+async function verifySalesforceToken(accessToken, { orgId, instanceUrl }) {
+    let baseUrl;
+    try {
+        const target = resolveOrgOptions(orgId, instanceUrl);
+        const org = target?.orgKey ? orgRegistry[target.orgKey] : orgRegistry.default;
+        baseUrl = target?.instanceUrl || org.instanceUrl || org.loginUrl;
+    } catch (error) {
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const cacheKey = crypto.createHash('sha256').update(`${baseUrl} ${accessToken}`).digest('hex');
+    const cached = verifiedTokenCache.get(cacheKey);
+    let identity = cached && cached.expiresAt > Date.now() ? cached.identity : null;
+    if (!identity) {
+        try {
+            const response = await axios.get(`${baseUrl}/services/oauth2/userinfo`, {
+                headers: { "Authorization": `Bearer ${accessToken}` },
+                timeout: 10000
+            });
+            identity = { method: 'salesforce', orgId: response.data.organization_id, userId: response.data.user_id, username: response.data.preferred_username };
+        } catch (error) {
+            throw new Error(`token rejected by ${baseUrl} (${error.response?.status || error.message})`);
+        }
+        // Expired entries are dropped on insert so the cache stays bounded by the number of live sessions
+        for (const [key, entry] of verifiedTokenCache) {
+            if (entry.expiresAt <= Date.now()) verifiedTokenCache.delete(key);
+        }
+        verifiedTokenCache.set(cacheKey, { identity, expiresAt: Date.now() + SF_TOKEN_VERIFY_CACHE_SECONDS * 1000 });
+    }
+
+    // Fails closed: a token is only accepted from the listed orgs, whichever org the request targets
+    if (!INBOUND_ALLOWED_ORG_IDS.some(id => id.substring(0, 15) === String(identity.orgId).substring(0, 15))) {
+        throw new Error(`org ${identity.orgId} is not allowed`);
+    }
+    return identity;
+}
+
+
+module.exports = {
+    requireBearerToken, requireAdminKey, requireInboundAuth, getInboundCaller, getJobOwner, isJobVisibleTo
+};
@@ -0,0 +1,35 @@
+/*
+ * Activity fingerprints that let incremental runs skip the periods whose activities did not change.
+ */
+
+const crypto = require("crypto");
+
+
+// --- Incremental Summary Helpers ---
+
+// SHA-256 over the given strings; stored in ACTIVITY_FINGERPRINT_FIELD
+function hashFingerprint(parts) {
+    return crypto.createHash('sha256').update(parts.join('\n')).digest('hex');
+}
+
+// Fingerprints each grouped month from its activity IDs and LastModifiedDate values
+// Returns { "January 2024": fingerprint }
+function computeMonthFingerprints(groupedData, records) {
+    const modstamps = new Map(records.map(record => [record.Id, record.LastModifiedDate || record.SystemModstamp || '']));
+    if (records.length > 0 && !records.some(record => record.LastModifiedDate || record.SystemModstamp)) {
+        console.warn("queryText does not select LastModifiedDate; fingerprints will only detect added or removed activities.");
+    }
+    const fingerprints = {};
+    for (const year in groupedData) {
+        for (const monthObj of groupedData[year]) {
+            for (const month in monthObj) {
+                const parts = monthObj[month].map(activity => `${activity.Id}:${modstamps.get(activity.Id) || ''}`).sort();
+                fingerprints[`${month} ${year}`] = hashFingerprint(parts);
+            }
+        }
+    }
+    return fingerprints;
+}
+
+
+module.exports = { hashFingerprint, computeMonthFingerprints };
@@ -0,0 +1,681 @@
+/*
+ * LLM providers (Assistants API, chat completions or a mock) and the summary generation built on them, with schema
+ * validation retries, map-reduce chunking of oversized periods and a shared concurrency pool with rate-limit retries
+ * and timeouts.
+ */
+
+const { OpenAI, NotFoundError, APIConnectionError } = require("openai");
+const fs = require("fs-extra");
+const path = require("path");
+const {
+    OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_API_VERSION, OPENAI_CHAT_MODEL, DIRECT_INPUT_THRESHOLD,
+    PROMPT_LENGTH_THRESHOLD, TEMP_FILE_DIR, DEFAULT_CHUNKING_STRATEGY, CHUNK_TOKEN_BUDGET, LLM_CONCURRENCY,
+    LLM_MAX_RETRIES, LLM_RETRY_BASE_DELAY_MS, LLM_RETRY_MAX_DELAY_MS, LLM_CALL_TIMEOUT_MS,
+    SCHEMA_VALIDATION_MAX_RETRIES
+} = require('./config');
+const { SchemaValidationError, validateAndRepairSummary, resolveSchemaRef } = require('./validation');
+const { readOpenAiUsage, estimateCallTokens } = require('./usage');
+const { hashFingerprint } = require('./incremental');
+const { aiResultCache, getAiResultCacheKey, readCachedAiResult, storeCachedAiResult } = require('./ai-cache');
+
+
+// --- OpenAI Client Initialization ---
+// Not created for mock-only setups without an API key
+const openai = OPENAI_API_KEY ? new OpenAI({
+    apiKey: OPENAI_API_KEY,
+    maxRetries: 0, // Retries are handled by runLlmCall so they respect the shared concurrency pool
+    baseURL: OPENAI_BASE_URL || undefined,
+    ...(OPENAI_API_VERSION && { defaultQuery: { 'api-version': OPENAI_API_VERSION }, defaultHeaders: { 'api-key': OPENAI_API_KEY } })
+}) : null;
+
+// --- LLM Concurrency Pool ---
+// Caps the LLM calls in flight across every job handled by this process (see runLlmCall)
+const llmCallLimiter = createConcurrencyLimiter(LLM_CONCURRENCY);
+
+
+// --- OpenAI Summary Generation Function ---
+// This function handles the core interaction with the OpenAI Assistant for a single summary task (the 'assistants' provider).
+// It accepts the specific Assistant ID and the detailed function schema for the run.
+async function generateSummary(
+    activities, // Array of activities or null (if data is in prompt)
+    openaiClient,
+    assistantId, // The ID of the specific Assistant to use (monthly or quarterly)
+    userPrompt,
+    functionSchema, // The detailed schema for the function to be called in THIS run
+    signal = undefined, // AbortSignal from runLlmCall; aborting cancels the run
+    usage = null // Usage meter that receives the run's token counts
+) {
+    let fileId = null;
+    let thread = null;
+    let filePath = null;
+    let inputMethod = "prompt";
+
+    try {
+        // Ensure TEMP_FILE_DIR exists before attempting to write
+        await fs.ensureDir(TEMP_FILE_DIR);
+
+        // 1. Create a new Thread for this interaction
+        thread = await openaiClient.beta.threads.create({}, { signal });
+        console.log(`[Thread ${thread.id}] Created for Assistant ${assistantId}`);
+
+        let finalUserPrompt = userPrompt;
+        let messageAttachments = [];
+
+        // 2. Determine input method: direct prompt vs. file upload
+        if (activities && Array.isArray(activities) && activities.length > 0) {
+            let potentialFullPrompt;
+            let activitiesJsonString;
+            try {
+                 activitiesJsonString = JSON.stringify(activities, null, 2);
+                 potentialFullPrompt = `${userPrompt}\n\nHere is the activity data to process:\n\`\`\`json\n${activitiesJsonString}\n\`\`\``;
+                 console.log(`[Thread ${thread.id}] Potential prompt length with direct JSON: ${potentialFullPrompt.length} characters.`);
+            } catch(stringifyError) {
+                console.error(`[Thread ${thread.id}] Error stringifying activities for length check:`, stringifyError);
+                throw new Error("Failed to stringify activity data for processing.");
+            }
+
+            // Check if direct JSON input is feasible based on thresholds
+            if (potentialFullPrompt.length < PROMPT_LENGTH_THRESHOLD && activities.length <= DIRECT_INPUT_THRESHOLD) {
+                inputMethod = "direct JSON";
+                finalUserPrompt = potentialFullPrompt;
+                console.log(`[Thread ${thread.id}] Using direct JSON input (Prompt length ${potentialFullPrompt.length} < ${PROMPT_LENGTH_THRESHOLD}, Activities ${activities.length} <= ${DIRECT_INPUT_THRESHOLD}).`);
+            } else {
+                // Use file upload if thresholds are exceeded
+                inputMethod = "file upload";
+                console.log(`[Thread ${thread.id}] Using file upload (Prompt length ${potentialFullPrompt.length} >= ${PROMPT_LENGTH_THRESHOLD} or Activities ${activities.length} > ${DIRECT_INPUT_THRESHOLD}).`);
+                finalUserPrompt = userPrompt; // Use original prompt when uploading file
+
+                // Convert activities to Plain Text for better file_search compatibility
+                let activitiesText = activities.map((activity, index) => {
+                    let activityLines = [`Activity ${index + 1}:`];
+                    for (const [key, value] of Object.entries(activity)) {
+                        let displayValue = value === null || value === undefined ? 'N/A' :
+                                           typeof value === 'object' ? JSON.stringify(value) : String(value);
+                        activityLines.push(`  ${key}: ${displayValue}`);
+                    }
+                    return activityLines.join('\n');
+                }).join('\n\n---\n\n');
+
+                // Create temporary file in the designated directory
+                const timestamp = new Date().toISOString().replace(/[:.-]/g, "_");
+                const filename = `salesforce_activities_${timestamp}_${thread.id}.txt`; // Use .txt extension
+                filePath = path.join(TEMP_FILE_DIR, filename);
+
+                await fs.writeFile(filePath, activitiesText);
+                console.log(`[Thread ${thread.id}] Temporary text file generated: ${filePath}`);
+
+                // Upload file to OpenAI
+                const uploadResponse = await openaiClient.files.create({
+                    file: fs.createReadStream(filePath),
+                    purpose: "assistants", // Use 'assistants' purpose for Assistants API v2
+                }, { signal });
+                fileId = uploadResponse.id;
+                console.log(`[Thread ${thread.id}] File uploaded to OpenAI: ${fileId}`);
+
+                // Attach file to the message using the file_search tool type
+                messageAttachments.push({ file_id: fileId, tools: [{ type: "file_search" }] });
+                console.log(`[Thread ${thread.id}] Attaching file ${fileId} with file_search tool.`);
+            }
+        } else {
+             console.log(`[Thread ${thread.id}] No activities array provided or array is empty. Using prompt content as is.`);
+        }
+
+        // 3. Add the User Message to the Thread
+        const messagePayload = { role: "user", content: finalUserPrompt };
+        if (messageAttachments.length > 0) {
+            messagePayload.attachments = messageAttachments;
+        }
+        const message = await openaiClient.beta.threads.messages.create(thread.id, messagePayload, { signal });
+        console.log(`[Thread ${thread.id}] Message added (using ${inputMethod}). ID: ${message.id}`);
+
+        // 4. Run the Assistant, providing the specific function schema and forcing its use
+        console.log(`[Thread ${thread.id}] Starting run, forcing function: ${functionSchema.name}`);
+        let run = await openaiClient.beta.threads.runs.create(thread.id, {
+            assistant_id: assistantId,
+            // Pass the *detailed function schema* for THIS specific run.
+            // This tells the assistant the exact structure of the function it can call now.
+            tools: [{ type: "function", function: functionSchema }],
+            // Force the assistant to use THIS specific function.
+            tool_choice: { type: "function", function: { name: functionSchema.name } },
+        }, { signal });
+        try {
+            run = await openaiClient.beta.threads.runs.poll(thread.id, run.id, { signal });
+        } catch (pollError) {
+            if (signal?.aborted) {
+                // Timed out: cancel the run so it stops consuming tokens (best-effort)
+                await openaiClient.beta.threads.runs.cancel(thread.id, run.id)
+                    .then(() => console.warn(`[Thread ${thread.id}] Cancelled run ${run.id} after timeout.`))
+                    .catch(cancelError => console.warn(`[Thread ${thread.id}] Could not cancel run ${run.id}: ${cancelError.message}`));
+                throw signal.reason || pollError;
+            }
+            throw pollError;
+        }
+        console.log(`[Thread ${thread.id}] Run status: ${run.status}`);
+        if (run.usage) {
+            usage?.record(run.model, readOpenAiUsage(run.usage)); // Failed runs are billed too
+        }
+
+        // 5. Process the Run Outcome
+        if (run.status === 'requires_action') {
+            const toolCalls = run.required_action?.submit_tool_outputs?.tool_calls;
+            if (!toolCalls || toolCalls.length === 0) {
+                 console.error(`[Thread ${thread.id}] Run requires action, but tool call data is missing.`, run);
+                 throw new Error("Function call was expected but not provided by the Assistant.");
+             }
+             // We forced a specific function, so expect only one tool call matching it
+             const toolCall = toolCalls[0];
+             if (toolCall.type !== 'function' || toolCall.function.name !== functionSchema.name) {
+                  console.error(`[Thread ${thread.id}] Assistant required action for unexpected tool. Expected: ${functionSchema.name}, Got: ${toolCall.function?.name || toolCall.type}`);
+                  throw new Error(`Assistant required action for unexpected tool: ${toolCall.function?.name || toolCall.type}`);
+             }
+
+             const rawArgs = toolCall.function.arguments;
+             console.log(`[Thread ${thread.id}] Function call arguments received for ${toolCall.function.name}. Raw (truncated): ${rawArgs.substring(0, 200)}...`);
+             // We return the validated arguments directly as the desired output.
+             // No need to submit tool outputs back in this workflow.
+             return parseFunctionArguments(rawArgs, functionSchema, `Thread ${thread.id}`);
+         } else if (run.status === 'completed') {
+              // This state is unexpected when tool_choice mandates a function call.
+              console.warn(`[Thread ${thread.id}] Run completed without requiring function call action, despite tool_choice forcing ${functionSchema.name}. This might indicate an issue with the Assistant's setup or the prompt.`);
+              const messages = await openaiClient.beta.threads.messages.list(run.thread_id, { limit: 1 });
+              const lastMessageContent = messages.data[0]?.content[0]?.text?.value || "No text content found.";
+              console.warn(`[Thread ${thread.id}] Last message content from Assistant: ${lastMessageContent}`);
+              throw new Error(`Assistant run completed without making the required function call to ${functionSchema.name}.`);
+         } else {
+             // Handle other terminal statuses: failed, cancelled, expired
+             console.error(`[Thread ${thread.id}] Run failed or ended unexpectedly. Status: ${run.status}`, run.last_error);
+             const errorMessage = run.last_error ? `${run.last_error.code}: ${run.last_error.message}` : 'Unknown error';
+             const runError = new Error(`Assistant run failed. Status: ${run.status}. Error: ${errorMessage}`);
+             runError.code = run.last_error?.code; // e.g. 'rate_limit_exceeded', checked by isRetryableLlmError
+             throw runError;
+         }
+
+    } catch (error) {
+        console.error(`[Thread ${thread?.id || 'N/A'}] Error in generateSummary: ${error.message}`, error);
+        throw error; // Re-throw to be caught by the calling function (processSummary)
+    } finally {
+        // 6. Cleanup: Delete temporary file and OpenAI file
+        if (filePath) {
+            try {
+                await fs.unlink(filePath);
+                console.log(`[Thread ${thread?.id || 'N/A'}] Deleted temporary file: ${filePath}`);
+            } catch (unlinkError) {
+                console.error(`[Thread ${thread?.id || 'N/A'}] Error deleting temporary file ${filePath}:`, unlinkError);
+            }
+        }
+        if (fileId) { // If a file was uploaded to OpenAI
+            try {
+                await openaiClient.files.del(fileId);
+                console.log(`[Thread ${thread?.id || 'N/A'}] Deleted OpenAI file: ${fileId}`);
+            } catch (deleteError) {
+                 // Ignore 404 errors as the file might have been deleted already
+                 if (!(deleteError instanceof NotFoundError || deleteError?.status === 404)) {
+                    console.error(`[Thread ${thread?.id || 'N/A'}] Error deleting OpenAI file ${fileId}:`, deleteError.message || deleteError);
+                 } else {
+                     console.log(`[Thread ${thread?.id || 'N/A'}] OpenAI file ${fileId} already deleted or not found.`);
+                 }
+            }
+        }
+        // Delete the thread so finished runs do not accumulate on the OpenAI account
+        if (thread) {
+            try {
+                await openaiClient.beta.threads.del(thread.id);
+                console.log(`[Thread ${thread.id}] Deleted thread.`);
+            } catch (deleteError) {
+                console.warn(`[Thread ${thread.id}] Could not delete thread: ${deleteError.message || deleteError}`);
+            }
+        }
+    }
+}
+
+
+// Parses raw function arguments (JSON text) from any provider and checks them against the active schema,
+// repairing what can be repaired safely. Throws SchemaValidationError so generateValidatedSummary can retry.
+function parseFunctionArguments(rawArgs, functionSchema, logPrefix) {
+    let summaryObj;
+    try {
+        summaryObj = JSON.parse(rawArgs);
+        console.log(`[${logPrefix}] Successfully parsed function arguments.`);
+    } catch (parseError) {
+        console.error(`[${logPrefix}] Failed to parse function call arguments JSON:`, parseError);
+        console.error(`[${logPrefix}] Raw arguments received:`, rawArgs);
+        throw new SchemaValidationError(`Failed to parse function call arguments from AI: ${parseError.message}`, [`$: invalid JSON (${parseError.message})`]);
+    }
+
+    const { value, errors, repaired } = validateAndRepairSummary(summaryObj, functionSchema);
+    if (errors.length > 0) {
+        console.error(`[${logPrefix}] Function arguments failed schema validation for ${functionSchema.name}: ${errors.join('; ')}`);
+        throw new SchemaValidationError(`AI output does not match schema ${functionSchema.name}`, errors);
+    }
+    if (repaired) {
+        console.warn(`[${logPrefix}] Function arguments for ${functionSchema.name} were repaired to match the schema.`);
+    }
+    return value;
+}
+
+
+// --- Validated Summary Generation ---
+// Runs the provider and re-runs it when the returned arguments do not match the schema.
+// The retry prompt lists the validation errors so the model can correct its output.
+// Valid results are cached under the original prompt, so a later run with the same input reuses them without a call.
+async function generateValidatedSummary(
+    activities,
+    provider, // From getLlmProvider()
+    summarizer, // { name, instructions, assistantId } of the summary tier
+    userPrompt,
+    functionSchema,
+    usage = null, // Optional usage meter of the period (see createUsageMeter)
+    bypassCache = false // true to skip the cache lookup; the fresh result is still cached
+) {
+    const cacheKey = aiResultCache ? getAiResultCacheKey(activities, provider, summarizer, userPrompt, functionSchema) : null;
+    if (cacheKey && !bypassCache) {
+        const cached = await readCachedAiResult(cacheKey);
+        if (cached) {
+            console.log(`[Cache] Reusing ${functionSchema.name} result ${cacheKey.substring(0, 12)} cached at ${cached.createdAt}.`);
+            usage?.recordCacheHit();
+            return cached.result;
+        }
+    }
+    let prompt = userPrompt;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const result = await runLlmCall(
+                `${provider.name} ${functionSchema.name}`,
+                signal => {
+                    // Throws TokenBudgetExceededError before the call when the job's budget cannot cover it
+                    const release = usage ? usage.reserve(estimateCallTokens(activities, summarizer, prompt, functionSchema), functionSchema.name) : () => {};
+                    return provider.generate(activities, summarizer, prompt, functionSchema, { signal, usage }).finally(release);
+                }
+            );
+            if (cacheKey) {
+                await storeCachedAiResult(cacheKey, { provider: provider.name, model: summarizer.model || null, functionName: functionSchema.name, result });
+            }
+            return result;
+        } catch (error) {
+            if (!(error instanceof SchemaValidationError) || attempt >= SCHEMA_VALIDATION_MAX_RETRIES) {
+                throw error;
+            }
+            console.warn(`[Schema] Retrying ${functionSchema.name} (attempt ${attempt + 2} of ${SCHEMA_VALIDATION_MAX_RETRIES + 1}) after invalid output.`);
+            prompt = `${userPrompt}\n\nIMPORTANT: A previous attempt called ${functionSchema.name} with arguments that did not match its schema:\n- ${error.validationErrors.slice(0, 20).join('\n- ')}\nCall the function again and include every required property with the correct type.`;
+        }
+    }
+}
+
+
+// --- Chunked (Map-Reduce) Summary Generation ---
+// Periods too large for a single prompt are split into token-budgeted batches that are summarized separately (map),
+// then merged into one summary with the same schema (reduce). Unlike file_search, every activity is read by the model.
+
+const CHUNKING_STRATEGIES = ['map_reduce', 'file_search'];
+
+// Summarizes a period's raw activities, using the chunking strategy when they exceed the direct input limits
+async function generateActivitySummary(
+    activities,
+    provider,
+    summarizer,
+    userPrompt,
+    functionSchema,
+    chunkingStrategy = DEFAULT_CHUNKING_STRATEGY,
+    usage = null,
+    bypassCache = false
+) {
+    // Providers without file_search (chat, mock) always chunk oversized periods
+    const useMapReduce = chunkingStrategy === 'map_reduce' || !provider.supportsFileSearch;
+    if (useMapReduce && Array.isArray(activities) && exceedsDirectInputLimits(activities, userPrompt)) {
+        return generateMapReduceSummary(activities, provider, summarizer, userPrompt, functionSchema, usage, bypassCache);
+    }
+    // 'file_search' (or small enough for one prompt): generateSummary uploads the activities when needed
+    return generateValidatedSummary(activities, provider, summarizer, userPrompt, functionSchema, usage, bypassCache);
+}
+
+// Mirrors the direct-input check in generateSummary
+function exceedsDirectInputLimits(activities, userPrompt) {
+    if (activities.length > DIRECT_INPUT_THRESHOLD) return true;
+    return userPrompt.length + JSON.stringify(activities, null, 2).length + 64 >= PROMPT_LENGTH_THRESHOLD;
+}
+
+// Character budget for one batch of JSON input (tokens are estimated at ~4 characters each)
+function getChunkCharBudget(userPrompt) {
+    return Math.max(Math.min(CHUNK_TOKEN_BUDGET * 4, PROMPT_LENGTH_THRESHOLD) - userPrompt.length - 1000, 1000);
+}
+
+// Splits items into consecutive batches whose serialized size stays within charBudget (and maxItems per batch).
+// An item larger than the whole budget is passed through shrinkItem before being placed in a batch of its own.
+function splitIntoBatches(items, charBudget, maxItems = Infinity, shrinkItem = item => item) {
+    const batches = [];
+    let current = [];
+    let currentSize = 0;
+    for (let item of items) {
+        let size = JSON.stringify(item, null, 2).length + 2;
+        if (size > charBudget) {
+            item = shrinkItem(item, charBudget);
+            size = JSON.stringify(item, null, 2).length + 2;
+        }
+        if (current.length > 0 && (currentSize + size > charBudget || current.length >= maxItems)) {
+            batches.push(current);
+            current = [];
+            currentSize = 0;
+        }
+        current.push(item);
+        currentSize += size;
+    }
+    if (current.length > 0) batches.push(current);
+    return batches;
+}
+
+// Shortens the Description of a single activity that does not fit in a batch on its own
+function truncateActivity(activity, charBudget) {
+    if (typeof activity.Description !== 'string') return activity;
+    const overflow = JSON.stringify(activity, null, 2).length - charBudget + 100;
+    const keep = Math.max(activity.Description.length - overflow, 0);
+    console.warn(`[MapReduce] Truncating Description of activity ${activity.Id || 'Unknown'} to ${keep} characters to fit one batch.`);
+    return { ...activity, Description: `${activity.Description.substring(0, keep)} [truncated]` };
+}
+
+async function generateMapReduceSummary(activities, provider, summarizer, userPrompt, functionSchema, usage = null, bypassCache = false) {
+    const charBudget = getChunkCharBudget(userPrompt);
+    const batches = splitIntoBatches(activities, charBudget, DIRECT_INPUT_THRESHOLD, truncateActivity);
+    console.log(`[MapReduce] Summarizing ${activities.length} activities in ${batches.length} batches for ${functionSchema.name}.`);
+
+    // Map: summarize each batch independently
+    let partials = await Promise.all(batches.map((batch, index) => generateValidatedSummary(
+        batch,
+        provider,
+        summarizer,
+        `${userPrompt}\n\nThis is batch ${index + 1} of ${batches.length} of the activities for this period. Summarize only the activities provided in this batch.`,
+        functionSchema,
+        usage,
+        bypassCache
+    )));
+
+    // Reduce: merge partial summaries, in rounds when they do not fit in one prompt together
+    while (partials.length > 1) {
+        const groups = splitIntoBatches(partials, charBudget);
+        if (groups.length === partials.length) {
+            // Every partial fills a batch on its own; pair them up so each round still halves the count
+            groups.splice(0, groups.length, ...Array.from({ length: Math.ceil(partials.length / 2) }, (_, i) => partials.slice(i * 2, i * 2 + 2)));
+        }
+        console.log(`[MapReduce] Merging ${partials.length} partial summaries in ${groups.length} group(s).`);
+        partials = await Promise.all(groups.map(group => group.length === 1 ? group[0] : generateValidatedSummary(
+            null,
+            provider,
+            summarizer,
+            `${userPrompt}\n\nMerge the following ${group.length} partial summaries of the same period into one summary. ` +
+            `Combine sub-themes that describe the same topic, keep every activity ID, and set activityCount to the sum of the partial counts:\n\`\`\`json\n${JSON.stringify(group, null, 2)}\n\`\`\``,
+            functionSchema,
+            usage,
+            bypassCache
+        )));
+    }
+    return partials[0];
+}
+
+
+// --- LLM Provider Implementations ---
+// Every provider exposes: name, supportsFileSearch, and
+// generate(activities, summarizer, userPrompt, functionSchema, { signal, usage }) -> function arguments validated against functionSchema.
+// Providers make a single attempt; pooling, retries and timeouts are applied by runLlmCall. They report the tokens
+// of every call to usage.record(model, tokens) when a usage meter is given.
+
+const LLM_PROVIDERS = ['assistants', 'chat', 'mock'];
+const llmProviders = new Map(); // name -> provider, created on first use
+
+function getLlmProvider(name) {
+    if (!llmProviders.has(name)) {
+        llmProviders.set(name, createLlmProvider(name));
+    }
+    return llmProviders.get(name);
+}
+
+function createLlmProvider(name) {
+    switch (name) {
+        case 'assistants':
+            return createAssistantsProvider(openai);
+        case 'chat':
+            return createChatCompletionsProvider(openai, OPENAI_CHAT_MODEL);
+        case 'mock':
+            return createMockProvider();
+        default:
+            throw new Error(`Unknown LLM provider "${name}". Expected one of: ${LLM_PROVIDERS.join(', ')}.`);
+    }
+}
+
+// Assistants API v2: a thread and run per summary, with the function forced via tool_choice
+function createAssistantsProvider(openaiClient) {
+    return {
+        name: 'assistants',
+        supportsFileSearch: true,
+        async generate(activities, summarizer, userPrompt, functionSchema, { signal, usage } = {}) {
+            if (!summarizer.assistantId) {
+                throw new Error(`No assistant is configured for "${summarizer.name}". Set ENABLE_ASSISTANTS=true or use another provider.`);
+            }
+            return generateSummary(activities, openaiClient, summarizer.assistantId, userPrompt, functionSchema, signal, usage);
+        }
+    };
+}
+
+// Stateless Chat Completions with JSON-schema structured outputs. Works against any OpenAI-compatible base URL.
+function createChatCompletionsProvider(openaiClient, model) {
+    return {
+        name: 'chat',
+        supportsFileSearch: false,
+        async generate(activities, summarizer, userPrompt, functionSchema, { signal, usage } = {}) {
+            const prompt = (Array.isArray(activities) && activities.length > 0)
+                ? `${userPrompt}\n\nHere is the activity data to process:\n\`\`\`json\n${JSON.stringify(activities, null, 2)}\n\`\`\``
+                : userPrompt;
+            console.log(`[Chat] Requesting ${functionSchema.name} from ${model} (prompt length ${prompt.length} characters).`);
+            const completion = await openaiClient.chat.completions.create({
+                model,
+                messages: [
+                    { role: 'system', content: `${summarizer.instructions}\nRespond only with the JSON arguments of '${functionSchema.name}'.` },
+                    { role: 'user', content: prompt }
+                ],
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: {
+                        name: functionSchema.name,
+                        description: functionSchema.description,
+                        schema: functionSchema.parameters,
+                        strict: false // Custom schemas from the request need not meet strict-mode rules; output is validated below
+                    }
+                }
+            }, { signal });
+            usage?.record(completion.model || model, readOpenAiUsage(completion.usage));
+            const choice = completion.choices?.[0];
+            if (choice?.message?.refusal) {
+                throw new Error(`Model refused to generate ${functionSchema.name}: ${choice.message.refusal}`);
+            }
+            if (!choice?.message?.content) {
+                throw new Error(`Chat completion returned no content for ${functionSchema.name} (finish reason: ${choice?.finish_reason || 'unknown'}).`);
+            }
+            return parseFunctionArguments(choice.message.content, functionSchema, `Chat ${completion.id}`);
+        }
+    };
+}
+
+// Deterministic offline provider: builds schema-conformant output from the input, without network calls
+function createMockProvider() {
+    return {
+        name: 'mock',
+        supportsFileSearch: false,
+        async generate(activities, summarizer, userPrompt, functionSchema, { usage } = {}) {
+            const activityIds = (activities || []).map(activity => activity.Id).filter(Boolean);
+            const createdDates = (activities || []).map(activity => String(activity.CreatedDate || '').substring(0, 10)).filter(Boolean).sort();
+            const context = {
+                activityIds,
+                // Aggregate tiers receive their input summaries as JSON in the prompt
+                count: activities ? activities.length : [...userPrompt.matchAll(/"activityCount":\s*(\d+)/g)].reduce((sum, match) => sum + Number(match[1]), 0),
+                // Prompts of the aggregate tiers state the period start; raw activities carry their own dates
+                startdate: userPrompt.match(/\d{4}-\d{2}-\d{2}/)?.[0] || createdDates[0] || '1970-01-01',
+                digest: hashFingerprint([functionSchema.name, userPrompt, ...activityIds]).substring(0, 12)
+            };
+            const output = buildMockValue(functionSchema.parameters, functionSchema.parameters, context, null);
+            // Token counts estimated from the text sizes, so budgets can be tried out offline
+            usage?.record('mock', {
+                promptTokens: Math.ceil((userPrompt.length + JSON.stringify(activities || []).length) / 4),
+                cachedPromptTokens: 0,
+                completionTokens: Math.ceil(JSON.stringify(output).length / 4)
+            });
+            return parseFunctionArguments(JSON.stringify(output), functionSchema, `Mock ${context.digest}`);
+        }
+    };
+}
+
+// Fills a JSON schema with values derived only from the mock context, so identical input gives identical output
+function buildMockValue(schema, rootSchema, context, key) {
+    schema = resolveSchemaRef(schema || {}, rootSchema);
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+    const type = Array.isArray(schema.type) ? schema.type[0] : (schema.type || (schema.properties ? 'object' : 'string'));
+    switch (type) {
+        case 'object': {
+            const value = {};
+            for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+                value[property] = buildMockValue(propertySchema, rootSchema, context, property);
+            }
+            return value;
+        }
+        case 'array':
+            if (key === 'activityIds') return [...context.activityIds];
+            return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () => buildMockValue(schema.items, rootSchema, context, key));
+        case 'integer':
+        case 'number':
+            if (key === 'year') return parseInt(context.startdate.substring(0, 4), 10);
+            return /count/i.test(key || '') ? context.count : 0;
+        case 'boolean':
+            return false;
+        case 'string':
+            if (/date/i.test(key || '')) return context.startdate;
+            return key === 'summary'
+                ? `<p>Mock summary ${context.digest} of ${context.count} activities.</p>`
+                : `Mock ${key || 'value'} ${context.digest}`;
+        default:
+            return null;
+    }
+}
+
+
+// --- LLM Call Pooling, Retries and Timeouts ---
+
+class LlmTimeoutError extends Error {
+    constructor(label, timeoutMs) {
+        super(`${label} timed out after ${timeoutMs}ms`);
+        this.name = 'LlmTimeoutError';
+    }
+}
+
+// Runs one LLM call through the shared pool with a per-attempt timeout, retrying transient failures with
+// exponential backoff (or the delay the API asked for). The pool slot is released while waiting to retry.
+async function runLlmCall(label, task) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await llmCallLimiter.run(() => runWithTimeout(task, LLM_CALL_TIMEOUT_MS, label));
+        } catch (error) {
+            if (!isRetryableLlmError(error) || attempt >= LLM_MAX_RETRIES) {
+                throw error;
+            }
+            const delayMs = getLlmRetryDelayMs(error, attempt);
+            console.warn(`[LLM] ${label} failed (${error.status || error.code || error.name}: ${error.message}). Retrying in ${delayMs}ms (attempt ${attempt + 2} of ${LLM_MAX_RETRIES + 1}).`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+}
+
+// Calls task(signal) and aborts the signal when timeoutMs elapses
+async function runWithTimeout(task, timeoutMs, label) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new LlmTimeoutError(label, timeoutMs);
+            controller.abort(error);
+            reject(error);
+        }, timeoutMs);
+    });
+    try {
+        return await Promise.race([task(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Rate limits, timeouts, connection failures and server errors are retried; request and quota errors are not
+function isRetryableLlmError(error) {
+    if (error instanceof LlmTimeoutError || error instanceof APIConnectionError) return true;
+    if (error?.code === 'insufficient_quota') return false;
+    if (error?.code === 'rate_limit_exceeded' || error?.code === 'server_error') return true; // Failed Assistant runs
+    const status = error?.status;
+    return status === 408 || status === 409 || status === 429 || (status >= 500 && status < 600);
+}
+
+// Delay before the next retry: Retry-After / retry-after-ms / x-ratelimit-reset-* headers or the
+// "try again in 20s" hint of a failed run when present, otherwise exponential backoff with jitter
+function getLlmRetryDelayMs(error, attempt) {
+    const headers = error?.headers || {};
+    const header = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) || null;
+    const hints = [];
+
+    const retryAfterMs = parseFloat(header('retry-after-ms'));
+    if (retryAfterMs >= 0) hints.push(retryAfterMs);
+    const retryAfter = header('retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        hints.push(Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now());
+    }
+    for (const name of ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens']) {
+        const reset = parseRateLimitDuration(header(name));
+        if (reset !== null && (error?.status === 429 || error?.code === 'rate_limit_exceeded')) hints.push(reset);
+    }
+    const messageHint = String(error?.message || '').match(/try again in ([\d.]+)\s*(ms|s)\b/i);
+    if (messageHint) hints.push(parseFloat(messageHint[1]) * (messageHint[2].toLowerCase() === 'ms' ? 1 : 1000));
+
+    const validHints = hints.filter(ms => Number.isFinite(ms) && ms >= 0);
+    if (validHints.length > 0) {
+        return Math.min(Math.ceil(Math.max(...validHints)) + 250, LLM_RETRY_MAX_DELAY_MS);
+    }
+    const backoff = Math.min(LLM_RETRY_BASE_DELAY_MS * 2 ** attempt, LLM_RETRY_MAX_DELAY_MS);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+// Parses OpenAI reset durations such as "20ms", "1.5s" or "6m0s" into milliseconds
+function parseRateLimitDuration(value) {
+    if (!value) return null;
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    let total = 0;
+    let matched = false;
+    for (const [, amount, unit] of String(value).matchAll(/([\d.]+)(ms|h|m|s)/g)) {
+        total += parseFloat(amount) * units[unit];
+        matched = true;
+    }
+    return matched ? total : null;
+}
+
+// FIFO limiter: run(task) starts task once fewer than `limit` tasks are running
+function createConcurrencyLimiter(limit) {
+    const waiting = [];
+    let active = 0;
+    const next = () => {
+        if (active >= limit || waiting.length === 0) return;
+        active++;
+        const { task, resolve, reject } = waiting.shift();
+        Promise.resolve().then(task).then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+    return {
+        run(task) {
+            return new Promise((resolve, reject) => {
+                waiting.push({ task, resolve, reject });
+                next();
+            });
+        },
+        get active() { return active; },
+        get pending() { return waiting.length; }
+    };
+}
+
+
+module.exports = {
+    openai, generateValidatedSummary, CHUNKING_STRATEGIES, generateActivitySummary, LLM_PROVIDERS, getLlmProvider,
+    createConcurrencyLimiter
+};
@@ -0,0 +1,191 @@
+/*
+ * Period helpers used to bucket activities: fiscal years and quarters, time zones and ISO weeks.
+ */
+
+const { DEFAULT_FISCAL_YEAR_START_MONTH, DEFAULT_FISCAL_YEAR_NAMING, DEFAULT_TIMEZONE } = require('./config');
+const { isSalesforceId } = require('./validation');
+
+
+// --- Fiscal Year Helpers ---
+// A fiscal config is { startMonth: 1-12, naming: 'start' | 'end' }. With naming 'end' a fiscal year is labelled
+// by the calendar year it ends in (Salesforce's default); with 'start', by the year it starts in.
+const CALENDAR_FISCAL_CONFIG = { startMonth: 1, naming: 'end' };
+
+// Gets the fiscal quarter ('Q1'-'Q4') for a calendar month index (0-11)
+function getQuarterFromMonthIndex(monthIndex, fiscalStartMonth = 1) {
+    if (!(monthIndex >= 0 && monthIndex <= 11)) return 'Unknown';
+    const offset = (monthIndex - (fiscalStartMonth - 1) + 12) % 12;
+    return `Q${Math.floor(offset / 3) + 1}`;
+}
+
+// Gets the fiscal year label for a calendar year and month index (0-11)
+function getFiscalYear(calendarYear, monthIndex, fiscalConfig) {
+    const startMonthIndex = fiscalConfig.startMonth - 1;
+    const startYear = monthIndex >= startMonthIndex ? calendarYear : calendarYear - 1;
+    return (fiscalConfig.naming === 'start' || startMonthIndex === 0) ? startYear : startYear + 1;
+}
+
+// Gets the calendar start date (YYYY-MM-DD) of a fiscal quarter ('Q1'-'Q4') in a fiscal year
+function getFiscalQuarterStartDate(fiscalYear, quarter, fiscalConfig) {
+    let quarterNumber = parseInt(String(quarter || '').replace(/^Q/i, ''), 10);
+    if (!(quarterNumber >= 1 && quarterNumber <= 4)) {
+        console.warn(`Unrecognized quarter identifier "${quarter}" provided to getFiscalQuarterStartDate. Defaulting to Q1.`);
+        quarterNumber = 1;
+    }
+    const startMonthIndex = fiscalConfig.startMonth - 1;
+    const fiscalStartYear = (fiscalConfig.naming === 'start' || startMonthIndex === 0) ? fiscalYear : fiscalYear - 1;
+    // Date.UTC rolls month indexes past 11 into the following year
+    return new Date(Date.UTC(fiscalStartYear, startMonthIndex + (quarterNumber - 1) * 3, 1)).toISOString().split('T')[0];
+}
+
+// Validates the fiscal year request parameters. Returns { startMonth, naming } with undefined for values not supplied.
+function parseFiscalYearOptions(startMonth, naming) {
+    const options = { startMonth: undefined, naming: undefined };
+    if (startMonth !== undefined && startMonth !== null && startMonth !== '') {
+        if (String(startMonth).toLowerCase() === 'org') {
+            options.startMonth = 'org';
+        } else {
+            const month = Number(startMonth);
+            if (!Number.isInteger(month) || month < 1 || month > 12) {
+                throw new Error(`Invalid fiscalYearStartMonth "${startMonth}". Expected 1-12 or "org".`);
+            }
+            options.startMonth = month;
+        }
+    }
+    if (naming !== undefined && naming !== null && naming !== '') {
+        if (naming !== 'start' && naming !== 'end') {
+            throw new Error(`Invalid fiscalYearNaming "${naming}". Expected "start" or "end".`);
+        }
+        options.naming = naming;
+    }
+    return options;
+}
+
+// Resolves the fiscal config for a job: request values first, then the env defaults.
+// A start month of 'org' reads FiscalYearStartMonth / UsesStartDateAsFiscalYearName from the Organization record.
+async function resolveFiscalYearConfig(conn, requested, accountId) {
+    const defaults = parseFiscalYearOptions(DEFAULT_FISCAL_YEAR_START_MONTH, DEFAULT_FISCAL_YEAR_NAMING);
+    const startMonth = requested?.startMonth ?? defaults.startMonth;
+    let naming = requested?.naming ?? defaults.naming;
+
+    if (startMonth !== 'org') {
+        return { startMonth: startMonth || 1, naming: naming || 'end' };
+    }
+
+    console.log(`[${accountId}] Reading fiscal year settings from the org...`);
+    const result = await conn.query("SELECT FiscalYearStartMonth, UsesStartDateAsFiscalYearName FROM Organization LIMIT 1");
+    const org = result.records?.[0];
+    if (!org || !org.FiscalYearStartMonth) {
+        throw new Error("Could not read FiscalYearStartMonth from the Organization record.");
+    }
+    // An explicit naming in the request wins over the org setting
+    if (!requested?.naming) {
+        naming = org.UsesStartDateAsFiscalYearName ? 'start' : 'end';
+    }
+    return { startMonth: org.FiscalYearStartMonth, naming };
+}
+
+
+// --- Time Zone Helpers ---
+
+const zonedDateFormatters = new Map(); // timeZone -> Intl.DateTimeFormat (creating formatters is relatively expensive)
+
+// Returns { year, monthIndex (0-11), day } of an activity date value, or null when it cannot be parsed.
+// Date-only values (e.g. ActivityDate "2024-01-31") are calendar dates and are not shifted by the time zone.
+function getActivityDateParts(value, timeZone) {
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (dateOnly) {
+        return { year: parseInt(dateOnly[1], 10), monthIndex: parseInt(dateOnly[2], 10) - 1, day: parseInt(dateOnly[3], 10) };
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : getZonedDateParts(date, timeZone);
+}
+
+// Returns { year, monthIndex (0-11), day } of the instant in the given IANA time zone
+function getZonedDateParts(date, timeZone) {
+    let formatter = zonedDateFormatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' });
+        zonedDateFormatters.set(timeZone, formatter);
+    }
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+    return { year: parseInt(parts.year, 10), monthIndex: parseInt(parts.month, 10) - 1, day: parseInt(parts.day, 10) };
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Resolves the time zone for a job: the request value, else DEFAULT_TIMEZONE.
+// 'user' reads the requesting user's TimeZoneSidKey; falls back to UTC if it cannot be read.
+async function resolveTimeZone(conn, requestedTimeZone, loggedinUserId, accountId) {
+    const timeZone = requestedTimeZone || DEFAULT_TIMEZONE;
+    if (timeZone !== 'user') {
+        if (isValidTimeZone(timeZone)) return timeZone;
+        console.warn(`[${accountId}] Invalid time zone "${timeZone}". Falling back to UTC.`);
+        return 'UTC';
+    }
+    if (!isSalesforceId(loggedinUserId)) {
+        console.warn(`[${accountId}] loggedinUserId "${loggedinUserId}" is not a valid Salesforce ID. Falling back to UTC.`);
+        return 'UTC';
+    }
+    try {
+        const result = await conn.query(`SELECT TimeZoneSidKey FROM User WHERE Id = '${loggedinUserId}' LIMIT 1`);
+        const userTimeZone = result.records?.[0]?.TimeZoneSidKey;
+        if (userTimeZone && isValidTimeZone(userTimeZone)) {
+            return userTimeZone;
+        }
+        console.warn(`[${accountId}] User ${loggedinUserId} has no usable TimeZoneSidKey ("${userTimeZone}"). Falling back to UTC.`);
+    } catch (error) {
+        console.warn(`[${accountId}] Could not read TimeZoneSidKey for user ${loggedinUserId}: ${error.message}. Falling back to UTC.`);
+    }
+    return 'UTC';
+}
+
+
+// --- Weekly Granularity Helpers ---
+
+// ISO 8601 week of a local calendar date: weeks start on Monday and belong to the year (and, for roll-ups, the month) of their Thursday.
+// Returns { isoYear, week ('W01'-'W53'), weekStart (YYYY-MM-DD), rollupYear, rollupMonthIndex }
+function getIsoWeekInfo(year, monthIndex, day) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const date = new Date(Date.UTC(year, monthIndex, day));
+    const weekStart = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * dayMs); // Monday
+    const thursday = new Date(weekStart.getTime() + 3 * dayMs);
+    const isoYear = thursday.getUTCFullYear();
+    const weekNumber = Math.floor((thursday - Date.UTC(isoYear, 0, 1)) / dayMs / 7) + 1;
+    return {
+        isoYear,
+        week: `W${String(weekNumber).padStart(2, '0')}`,
+        weekStart: weekStart.toISOString().split('T')[0],
+        rollupYear: isoYear,
+        rollupMonthIndex: thursday.getUTCMonth()
+    };
+}
+
+// Splits a month's grouped activities into ISO weeks, in date order (dateKey: projected name of the bucketing date field)
+// Returns [{ isoYear, week, weekStart, activities: [...] }]
+function groupActivitiesByIsoWeek(activities, timeZone = 'UTC', dateKey = 'CreatedDate') {
+    const weeks = new Map(); // weekStart -> bucket
+    for (const activity of activities) {
+        const { year, monthIndex, day } = getActivityDateParts(activity[dateKey], timeZone);
+        const { isoYear, week, weekStart } = getIsoWeekInfo(year, monthIndex, day);
+        if (!weeks.has(weekStart)) {
+            weeks.set(weekStart, { isoYear, week, weekStart, activities: [] });
+        }
+        weeks.get(weekStart).activities.push(activity);
+    }
+    return [...weeks.values()].sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+}
+
+
+module.exports = {
+    CALENDAR_FISCAL_CONFIG, getQuarterFromMonthIndex, getFiscalYear, getFiscalQuarterStartDate, parseFiscalYearOptions,
+    resolveFiscalYearConfig, getActivityDateParts, isValidTimeZone, resolveTimeZone, getIsoWeekInfo,
+    groupActivitiesByIsoWeek
+};
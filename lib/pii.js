@@ -0,0 +1,182 @@
+/*
+ * Redaction of PII before activities reach the LLM: detectors, field and regex rules, stable placeholders and their
+ * restoration, and the check of outgoing prompts against the vault.
+ */
+
+const { PII_REDACTION_DEFAULT, PII_DETECTORS_DEFAULT, PII_RESTORE_DEFAULT } = require('./config');
+
+
+// --- PII Redaction ---
+// Replaces sensitive values in activities with stable placeholders (e.g. "[EMAIL_1]") before they are sent to
+// the LLM, in prompts and uploaded files alike. Within a job the same value always maps to the same placeholder.
+// The vault { values: { "[EMAIL_1]": "jane@example.com" }, counters: { EMAIL: 1 } } holds the originals.
+
+// Built-in detectors, applied in this order (cards and ID numbers before the looser phone pattern)
+const PII_DETECTORS = {
+    email: { label: 'EMAIL', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+    card: { label: 'CARD', pattern: /(?<![\d-])(?:\d[ -]?){12,18}\d(?![\d-])/g, validate: passesLuhnCheck },
+    ssn: { label: 'SSN', pattern: /(?<![\d-])\d{3}-\d{2}-\d{4}(?![\d-])/g },
+    iban: { label: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g },
+    phone: { label: 'PHONE', pattern: /(?<![\w+])\+?\(?\d{1,4}\)?(?:[ .-]?\(?\d{2,4}\)?){2,5}(?!\w)/g, validate: looksLikePhoneNumber }
+};
+
+const PII_PLACEHOLDER_PATTERN = /\[[A-Z][A-Z0-9_]*_\d+\]/g;
+
+// Normalizes the redactPii / piiRules / restorePii request options. Returns null when redaction is off,
+// otherwise { detectors: [...], patterns: [{ name, pattern, flags }], fields: [...], restore }.
+function parseRedactionOptions(redactPii, piiRules, restorePii) {
+    const enabled = !!piiRules || ((redactPii === undefined || redactPii === null || redactPii === '')
+        ? PII_REDACTION_DEFAULT
+        : (redactPii === true || String(redactPii).toLowerCase() === 'true' || redactPii === 'Yes'));
+    if (!enabled) return null;
+
+    const rules = typeof piiRules === 'string' ? JSON.parse(piiRules) : (piiRules || {});
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error("piiRules must be a JSON object: { detectors, patterns, fields }.");
+    }
+    const detectors = rules.detectors || PII_DETECTORS_DEFAULT.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = [].concat(detectors).filter(name => !PII_DETECTORS[name]);
+    if (!Array.isArray(detectors) || unknown.length > 0) {
+        throw new Error(`Invalid piiRules.detectors ${JSON.stringify(unknown)}. Expected any of: ${Object.keys(PII_DETECTORS).join(', ')}.`);
+    }
+    const patterns = (rules.patterns || []).map(rule => {
+        if (!rule || typeof rule.name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(rule.name) || typeof rule.pattern !== 'string') {
+            throw new Error(`Invalid piiRules pattern ${JSON.stringify(rule)}. Expected { name: "ACCOUNT_NO", pattern: "ACC-\\\\d{6}", flags: "i" }.`);
+        }
+        const flags = (rule.flags || '').replace('g', '') + 'g';
+        try {
+            new RegExp(rule.pattern, flags);
+        } catch (e) {
+            throw new Error(`Invalid piiRules pattern "${rule.name}": ${e.message}`);
+        }
+        return { name: rule.name.toUpperCase(), pattern: rule.pattern, flags };
+    });
+    const fields = rules.fields || [];
+    if (!Array.isArray(fields) || fields.some(field => typeof field !== 'string')) {
+        throw new Error("piiRules.fields must be a list of activity field names or paths.");
+    }
+    return {
+        detectors,
+        patterns,
+        fields,
+        restore: (restorePii === undefined || restorePii === null || restorePii === '')
+            ? PII_RESTORE_DEFAULT
+            : (restorePii === true || String(restorePii).toLowerCase() === 'true' || restorePii === 'Yes')
+    };
+}
+
+// Builds the redactor for one job. Custom patterns run first, then the built-in detectors; fields listed in
+// redaction.fields (projected name or source path) are replaced as a whole. Id and the bucketing date are never touched.
+function createPiiRedactor(redaction, projection, vault = { values: {}, counters: {} }) {
+    const placeholders = new Map(Object.entries(vault.values)
+        .map(([placeholder, value]) => [`${placeholder.slice(1, placeholder.lastIndexOf('_'))}\u0000${value}`, placeholder]));
+    const placeholderFor = (label, value) => {
+        const key = `${label}\u0000${value}`;
+        if (!placeholders.has(key)) {
+            vault.counters[label] = (vault.counters[label] || 0) + 1;
+            const placeholder = `[${label}_${vault.counters[label]}]`;
+            vault.values[placeholder] = value;
+            placeholders.set(key, placeholder);
+        }
+        return placeholders.get(key);
+    };
+
+    const rules = [
+        ...redaction.patterns.map(({ name, pattern, flags }) => ({ label: name, pattern: new RegExp(pattern, flags) })),
+        ...redaction.detectors.map(name => PII_DETECTORS[name])
+    ];
+    const redactText = text => rules.reduce((result, { label, pattern, validate }) => result.replace(pattern, match =>
+        (!validate || validate(match)) ? placeholderFor(label, match) : match), text);
+    const redactValue = (value, fieldLabel) => {
+        if (typeof value === 'string') return fieldLabel ? placeholderFor(fieldLabel, value) : redactText(value);
+        if (typeof value === 'number' && fieldLabel) return placeholderFor(fieldLabel, String(value));
+        if (Array.isArray(value)) return value.map(item => redactValue(item, fieldLabel));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, redactValue(nested, fieldLabel)]));
+        }
+        return value;
+    };
+
+    const protectedKeys = new Set(['Id', projection.dateKey]);
+    const fieldRules = new Set(redaction.fields.map(field => field.toLowerCase()));
+    const fieldLabels = new Map(projection.fields.map(({ field, as }) => [as,
+        fieldRules.has(as.toLowerCase()) || fieldRules.has(field.toLowerCase()) ? as.replace(/[^A-Za-z0-9]+/g, '_').toUpperCase() : null]));
+
+    // Summaries read back from Salesforce had their placeholders restored: values already in the vault are swapped
+    // back first (longest first), so whole-field originals the detectors would not find are covered as well
+    const redactKnownValues = text => Object.entries(vault.values)
+        .sort(([, a], [, b]) => b.length - a.length)
+        .reduce((result, [placeholder, original]) => original ? result.split(original).join(placeholder) : result, text);
+    const redactStored = value => {
+        if (typeof value === 'string') return redactText(redactKnownValues(value));
+        if (Array.isArray(value)) return value.map(redactStored);
+        if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, redactStored(nested)]));
+        return value;
+    };
+
+    return {
+        vault,
+        redactText,
+        redactStored,
+        redactActivity(activity) {
+            return Object.fromEntries(Object.entries(activity).map(([key, value]) =>
+                [key, protectedKeys.has(key) ? value : redactValue(value, fieldLabels.get(key))]));
+        }
+    };
+}
+
+// Replaces the placeholders in generated text with their original values.
+// format: 'json' escapes values for use inside JSON strings, 'html' escapes markup characters.
+function restorePiiPlaceholders(text, vault, format = 'text') {
+    if (!text || !vault) return text;
+    return text.replace(PII_PLACEHOLDER_PATTERN, placeholder => {
+        const original = vault.values[placeholder];
+        if (original === undefined) return placeholder;
+        if (format === 'json') return JSON.stringify(original).slice(1, -1);
+        if (format === 'html') return original.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return original;
+    });
+}
+
+// Wraps a provider so no prompt leaves with an original value from the job's vault in it.
+// getVault is read per call, since the vault grows while the job runs.
+function withPiiLeakCheck(provider, getVault) {
+    return {
+        ...provider,
+        generate(activities, summarizer, userPrompt, functionSchema, options) {
+            const originals = Object.entries(getVault()?.values || {}).filter(([, original]) => original);
+            if (originals.length > 0) {
+                const outgoing = `${userPrompt || ''}\n${activities ? JSON.stringify(activities) : ''}`;
+                const leaked = originals.find(([, original]) => outgoing.includes(original) || outgoing.includes(JSON.stringify(original).slice(1, -1)));
+                if (leaked) {
+                    return Promise.reject(new Error(`PII redaction check failed: the ${functionSchema.name} prompt contains the original value of ${leaked[0]}.`));
+                }
+            }
+            return provider.generate(activities, summarizer, userPrompt, functionSchema, options);
+        }
+    };
+}
+
+// Luhn checksum, so order numbers and other long digit runs are not mistaken for card numbers
+function passesLuhnCheck(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Phone numbers have 9-15 digits; excludes dates and timestamps such as "2024-01-31 10"
+function looksLikePhoneNumber(value) {
+    const digitCount = value.replace(/\D/g, '').length;
+    return digitCount >= 9 && digitCount <= 15 && !/^\d{4}-\d{2}-\d{2}/.test(value);
+}
+
+
+module.exports = { parseRedactionOptions, createPiiRedactor, restorePiiPlaceholders, withPiiLeakCheck };
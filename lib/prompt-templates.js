@@ -0,0 +1,111 @@
+/*
+ * Prompt templates with account and period variables and conditionals, and the stored template library.
+ */
+
+const { PROMPT_TEMPLATE_STORE_TYPE } = require('./config');
+const { createPromptTemplateStore } = require('./stores');
+
+
+// --- Prompt Template Store Initialization ---
+// Named prompt template sets managed through /admin/templates and referenced by requests as templateId
+const promptTemplateStore = createPromptTemplateStore(PROMPT_TEMPLATE_STORE_TYPE);
+
+
+// --- Prompt Templates ---
+// Prompts are rendered per period with a small template language:
+//   {{Name}}                              a variable; every occurrence is replaced, unknown names render empty
+//   {{#if Name}}...{{else}}...{{/if}}     kept when the variable is set (not empty, 0 or "false")
+//   {{#unless Name}}...{{/unless}}        the inverse
+// Period variables: YearMonth, Month, Week, WeekStart, Quarter, Year, ActivityCount, PeriodStart, PeriodEnd and
+// PreviousSummary (summary text of the preceding period of the same tier; not set for weeks).
+// Account variables: AccountId, AccountName, Industry, OwnerName.
+
+const PROMPT_TEMPLATE_FIELDS = ['userPrompt', 'userPromptQtr', 'userPromptYear', 'userPromptWeek'];
+const PROMPT_TEMPLATE_ID_PATTERN = /^[A-Za-z0-9._-]{1,80}$/;
+const PROMPT_TEMPLATE_TAG = /\{\{\s*(#if\b|#unless\b|else\b|\/if\b|\/unless\b)?\s*([A-Za-z_][A-Za-z0-9_]*)?\s*\}\}/g;
+const ACCOUNT_TEMPLATE_VARIABLES = ['AccountName', 'Industry', 'OwnerName'];
+
+// Parses a template into nodes: { text } | { variable } | { block: 'if' | 'unless', variable, then: [...], otherwise: [...] }.
+// Throws on empty, unbalanced or misplaced tags; label names the template in the message.
+function parsePromptTemplate(template, label = 'template') {
+    const source = String(template);
+    const root = { then: [] };
+    const stack = [root];
+    const target = () => {
+        const open = stack[stack.length - 1];
+        return open.inElse ? open.otherwise : open.then;
+    };
+    let position = 0;
+    for (const match of source.matchAll(PROMPT_TEMPLATE_TAG)) {
+        const [tag, keyword, name] = match;
+        if (match.index > position) target().push({ text: source.slice(position, match.index) });
+        position = match.index + tag.length;
+        const open = stack[stack.length - 1];
+        if (!keyword) {
+            if (!name) throw new Error(`${label}: empty tag ${tag}.`);
+            target().push({ variable: name });
+        } else if (keyword === '#if' || keyword === '#unless') {
+            if (!name) throw new Error(`${label}: ${tag} needs a variable name.`);
+            const block = { block: keyword.substring(1), variable: name, then: [], otherwise: [] };
+            target().push(block);
+            stack.push(block);
+        } else if (keyword === 'else') {
+            if (stack.length === 1 || open.inElse || name) throw new Error(`${label}: unexpected ${tag}.`);
+            open.inElse = true;
+        } else {
+            if (stack.length === 1 || keyword !== `/${open.block}` || name) throw new Error(`${label}: unexpected ${tag}.`);
+            delete open.inElse;
+            stack.pop();
+        }
+    }
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`${label}: {{#${open.block} ${open.variable}}} is not closed.`);
+    }
+    if (position < source.length) target().push({ text: source.slice(position) });
+    return root.then;
+}
+
+// Renders a template with the given variables (see parsePromptTemplate)
+function renderPromptTemplate(template, variables) {
+    const isSet = value => value !== undefined && value !== null && value !== '' && value !== 0 && value !== false && String(value).toLowerCase() !== 'false';
+    const render = nodes => nodes.map(node => {
+        if (node.block) return render((node.block === 'if') === isSet(variables[node.variable]) ? node.then : node.otherwise);
+        if (node.variable) return variables[node.variable] === undefined || variables[node.variable] === null ? '' : String(variables[node.variable]);
+        return node.text;
+    }).join('');
+    return render(parsePromptTemplate(template));
+}
+
+// Names of the variables a template uses, including those tested by conditionals
+function getPromptTemplateVariables(template) {
+    const names = new Set();
+    const collect = nodes => nodes.forEach(node => {
+        if (node.variable) names.add(node.variable);
+        if (node.block) {
+            collect(node.then);
+            collect(node.otherwise);
+        }
+    });
+    collect(parsePromptTemplate(template));
+    return names;
+}
+
+// Narrative summary text of a monthly, quarterly or yearly AI output (default schemas), or ''
+function getSummaryText(aiOutput) {
+    return aiOutput?.summary || aiOutput?.yearlySummary?.[0]?.quarters?.[0]?.summary || '';
+}
+
+// Last day (YYYY-MM-DD) of a period starting on startdate and lasting the given months and days
+function getPeriodEndDate(startdate, months, days = 0) {
+    const end = new Date(`${startdate}T00:00:00Z`);
+    end.setUTCMonth(end.getUTCMonth() + months);
+    end.setUTCDate(end.getUTCDate() + days - 1);
+    return end.toISOString().split('T')[0];
+}
+
+
+module.exports = {
+    promptTemplateStore, PROMPT_TEMPLATE_FIELDS, PROMPT_TEMPLATE_ID_PATTERN, ACCOUNT_TEMPLATE_VARIABLES,
+    parsePromptTemplate, renderPromptTemplate, getPromptTemplateVariables, getSummaryText, getPeriodEndDate
+};
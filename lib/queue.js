@@ -0,0 +1,263 @@
+/*
+ * Durable job queue (file or Redis backend) and the encryption of the secrets its entries carry.
+ */
+
+const fs = require("fs-extra");
+const path = require("path");
+const crypto = require("crypto");
+const { QUEUE_DIR, QUEUE_LEASE_MS, QUEUE_ENCRYPTION_KEYS } = require('./config');
+const { getRedisClient, createKeyedSerializer, writeJsonAtomic, readJsonIfExists } = require('./storage');
+
+
+// --- Job Queue Implementations ---
+// Every queue exposes: enqueue(entry), claim(workerId, leaseMs), heartbeat(id, workerId, leaseMs),
+// saveCheckpoint(id, checkpoint), complete(id), release(id), recoverExpired().
+// A claimed entry carries a lease; entries whose lease expires (worker crashed or restarted) are re-queued
+// by recoverExpired() and resume from their saved checkpoint.
+
+function createJobQueue(backend) {
+    switch (backend) {
+        case 'file': return createFileJobQueue(QUEUE_DIR);
+        case 'redis': return createRedisJobQueue(getRedisClient());
+        default:
+            console.error(`FATAL ERROR: Unknown QUEUE_BACKEND "${backend}". Supported values: redis, file.`);
+            process.exit(1);
+    }
+}
+
+// Builds a new queue entry; the payload holds everything processSummary needs (the access token encrypted)
+function createQueueEntry(jobId, payload) {
+    return {
+        id: jobId,
+        payload: { ...payload, accessToken: sealQueueSecret(payload.accessToken) },
+        attempts: 0,
+        checkpoint: {},
+        workerId: null,
+        leaseExpiresAt: null,
+        enqueuedAt: Date.now()
+    };
+}
+
+// Local queue for a single machine (development, tests, single-dyno deployments).
+// Layout: <dir>/pending/<enqueuedAt>-<id>.json and <dir>/active/<id>.json.
+// Claiming renames a pending file into active/, which is atomic, so several worker processes can share the directory.
+function createFileJobQueue(dir) {
+    const pendingDir = path.join(dir, 'pending');
+    const activeDir = path.join(dir, 'active');
+    fs.ensureDirSync(pendingDir);
+    fs.ensureDirSync(activeDir);
+    const serialize = createKeyedSerializer();
+    const activePath = id => path.join(activeDir, `${path.basename(String(id))}.json`);
+    const pendingPath = entry => path.join(pendingDir, `${String(entry.enqueuedAt).padStart(15, '0')}-${path.basename(String(entry.id))}.json`);
+
+    // Read-modify-write of an active entry owned by this process
+    const updateActive = (id, mutator) => serialize(id, async () => {
+        const entry = await readJsonIfExists(activePath(id));
+        if (!entry) return null;
+        mutator(entry);
+        await writeJsonAtomic(activePath(id), entry);
+        return entry;
+    });
+
+    return {
+        async enqueue(entry) {
+            await writeJsonAtomic(pendingPath(entry), entry);
+            return entry;
+        },
+        async claim(workerId, leaseMs) {
+            const pendingFiles = (await fs.readdir(pendingDir)).filter(file => file.endsWith('.json')).sort();
+            for (const file of pendingFiles) {
+                const id = file.substring(file.indexOf('-') + 1, file.length - '.json'.length);
+                try {
+                    await fs.rename(path.join(pendingDir, file), activePath(id));
+                } catch (error) {
+                    if (error.code === 'ENOENT') continue; // Claimed by another worker
+                    throw error;
+                }
+                return updateActive(id, entry => {
+                    entry.attempts++;
+                    entry.workerId = workerId;
+                    entry.leaseExpiresAt = Date.now() + leaseMs;
+                });
+            }
+            return null;
+        },
+        async heartbeat(id, workerId, leaseMs) {
+            await updateActive(id, entry => {
+                if (entry.workerId === workerId) entry.leaseExpiresAt = Date.now() + leaseMs;
+            });
+        },
+        async saveCheckpoint(id, checkpoint) {
+            await updateActive(id, entry => { entry.checkpoint = checkpoint; });
+        },
+        complete(id) {
+            return serialize(id, () => fs.remove(activePath(id)));
+        },
+        release(id) {
+            return serialize(id, async () => {
+                const entry = await readJsonIfExists(activePath(id));
+                if (!entry) return;
+                entry.workerId = null;
+                entry.leaseExpiresAt = null;
+                await writeJsonAtomic(activePath(id), entry);
+                await fs.rename(activePath(id), pendingPath(entry));
+            });
+        },
+        async recoverExpired() {
+            let recovered = 0;
+            const activeFiles = (await fs.readdir(activeDir)).filter(file => file.endsWith('.json'));
+            for (const file of activeFiles) {
+                const filePath = path.join(activeDir, file);
+                try {
+                    const [entry, stat] = await Promise.all([readJsonIfExists(filePath), fs.stat(filePath)]);
+                    // Entries without a lease were claimed but never stamped (worker died mid-claim); use the rename time
+                    const expiresAt = entry?.leaseExpiresAt || stat.ctimeMs + QUEUE_LEASE_MS;
+                    if (!entry || expiresAt > Date.now()) continue;
+                    await fs.rename(filePath, pendingPath(entry));
+                    recovered++;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error; // ENOENT: completed or recovered concurrently
+                }
+            }
+            return recovered;
+        }
+    };
+}
+
+// Hosted queue for multi-dyno deployments. Keys:
+// summary:queue:pending (list of IDs), summary:queue:active (sorted set scored by lease expiry),
+// summary:queue:entry:<id> (entry JSON). Claiming and recovery run as Lua scripts so they are atomic.
+function createRedisJobQueue(redis) {
+    const pendingKey = 'summary:queue:pending';
+    const activeKey = 'summary:queue:active';
+    const entryKey = id => `summary:queue:entry:${id}`;
+    const serialize = createKeyedSerializer();
+
+    redis.defineCommand('claimQueueEntry', {
+        numberOfKeys: 2,
+        lua: `local id = redis.call('RPOP', KEYS[1])
+              if id then redis.call('ZADD', KEYS[2], ARGV[1], id) end
+              return id`
+    });
+    redis.defineCommand('recoverQueueEntries', {
+        numberOfKeys: 2,
+        lua: `local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+              for _, id in ipairs(ids) do
+                  redis.call('ZREM', KEYS[1], id)
+                  redis.call('RPUSH', KEYS[2], id)
+              end
+              return #ids`
+    });
+
+    const readEntry = async id => {
+        const json = await redis.get(entryKey(id));
+        return json ? JSON.parse(json) : null;
+    };
+    const updateEntry = (id, mutator) => serialize(id, async () => {
+        const entry = await readEntry(id);
+        if (!entry) return null;
+        mutator(entry);
+        await redis.set(entryKey(id), JSON.stringify(entry));
+        return entry;
+    });
+
+    return {
+        async enqueue(entry) {
+            await redis.multi().set(entryKey(entry.id), JSON.stringify(entry)).lpush(pendingKey, entry.id).exec();
+            return entry;
+        },
+        async claim(workerId, leaseMs) {
+            const leaseExpiresAt = Date.now() + leaseMs;
+            const id = await redis.claimQueueEntry(pendingKey, activeKey, leaseExpiresAt);
+            if (!id) return null;
+            const entry = await updateEntry(id, claimed => {
+                claimed.attempts++;
+                claimed.workerId = workerId;
+                claimed.leaseExpiresAt = leaseExpiresAt;
+            });
+            if (!entry) {
+                await redis.zrem(activeKey, id); // Orphaned ID without an entry
+            }
+            return entry;
+        },
+        async heartbeat(id, workerId, leaseMs) {
+            const leaseExpiresAt = Date.now() + leaseMs;
+            await redis.zadd(activeKey, 'XX', leaseExpiresAt, id); // XX: only renew entries that are still active
+            await updateEntry(id, entry => {
+                if (entry.workerId === workerId) entry.leaseExpiresAt = leaseExpiresAt;
+            });
+        },
+        async saveCheckpoint(id, checkpoint) {
+            await updateEntry(id, entry => { entry.checkpoint = checkpoint; });
+        },
+        complete(id) {
+            return serialize(id, () => redis.multi().zrem(activeKey, id).del(entryKey(id)).exec());
+        },
+        async release(id) {
+            await updateEntry(id, entry => {
+                entry.workerId = null;
+                entry.leaseExpiresAt = null;
+            });
+            await redis.multi().zrem(activeKey, id).rpush(pendingKey, id).exec();
+        },
+        recoverExpired() {
+            return redis.recoverQueueEntries(activeKey, pendingKey, Date.now());
+        }
+    };
+}
+
+
+// --- Queue Secrets ---
+// Queue entries and their checkpoints sit in data/queue or Redis for as long as a job runs, so the caller's access
+// token and the PII vault (original values of the redaction placeholders) are stored encrypted with AES-256-GCM,
+// under a key derived from QUEUE_ENCRYPTION_KEY. Sealed values look like "enc:v1:<iv>.<tag>.<ciphertext>" (base64url).
+
+const SEALED_SECRET_PREFIX = 'enc:v1:';
+
+function getQueueEncryptionKey(secret) {
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+function sealQueueSecret(value) {
+    if (value === null || value === undefined) return value;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getQueueEncryptionKey(QUEUE_ENCRYPTION_KEYS[0]), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return `${SEALED_SECRET_PREFIX}${[iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.')}`;
+}
+
+// Decrypts with any of the configured keys, so entries sealed before a key rotation still open.
+// Throws when no key fits (e.g. the entry was queued with a key that has since been removed).
+function openQueueSecret(value) {
+    if (typeof value !== 'string' || !value.startsWith(SEALED_SECRET_PREFIX)) return value; // Not sealed (null, or queued by an older version)
+    const [iv, tag, ciphertext] = value.substring(SEALED_SECRET_PREFIX.length).split('.').map(part => Buffer.from(part, 'base64url'));
+    for (const secret of QUEUE_ENCRYPTION_KEYS) {
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', getQueueEncryptionKey(secret), iv);
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+        } catch (e) {
+            // Wrong key: try the next one
+        }
+    }
+    throw new Error("Queued secret could not be decrypted with any QUEUE_ENCRYPTION_KEY.");
+}
+
+// Copy of a processSummary checkpoint as it is persisted, with the PII vault sealed
+function sealCheckpointSecrets(checkpoint) {
+    if (!checkpoint?.piiVault) return checkpoint;
+    return { ...checkpoint, piiVault: sealQueueSecret(JSON.stringify(checkpoint.piiVault)) };
+}
+
+// Restores the PII vault of a checkpoint read from the queue (in place)
+function openCheckpointSecrets(checkpoint) {
+    if (typeof checkpoint?.piiVault === 'string') {
+        checkpoint.piiVault = JSON.parse(openQueueSecret(checkpoint.piiVault));
+    }
+    return checkpoint;
+}
+
+
+module.exports = {
+    createJobQueue, createQueueEntry, sealQueueSecret, openQueueSecret, sealCheckpointSecrets, openCheckpointSecrets
+};
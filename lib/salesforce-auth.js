@@ -0,0 +1,245 @@
+/*
+ * Salesforce org registry, server-side OAuth flows and the connections jobs use.
+ */
+
+const jsforce = require('jsforce');
+const fs = require("fs-extra");
+const axios = require("axios");
+const crypto = require("crypto");
+const {
+    SF_LOGIN_URL, SF_AUTH_FLOW, SF_SESSION_MODE, SF_OAUTH_LOGIN_URL, SF_CLIENT_ID, SF_CLIENT_SECRET, SF_USERNAME,
+    SF_PRIVATE_KEY, SF_PRIVATE_KEY_FILE, SF_REFRESH_TOKEN, SF_ORGS, SF_ORGS_FILE, SF_INSTANCE_HOST_SUFFIXES
+} = require('./config');
+const { isSalesforceId } = require('./validation');
+
+
+// --- Salesforce Org Registry Initialization ---
+// The default org (SF_* variables) plus the orgs of SF_ORGS / SF_ORGS_FILE, with their server-side credentials
+const SF_AUTH_FLOWS = ['session', 'jwt', 'refresh_token', 'client_credentials'];
+const orgRegistry = loadOrgRegistry();
+const serverTokenCache = new Map(); // org key -> Promise of { accessToken, instanceUrl }
+
+
+// --- Salesforce Connections & Org Registry ---
+// Jobs reach Salesforce through createSalesforceConnection. The org is picked per request (orgId, a registry key,
+// or instanceUrl with the caller's session) and defaults to SF_LOGIN_URL.
+// - sessionMode 'caller': the job runs as the caller. Their token is never swapped for a server token, so a token
+//   that is invalid or expires (INVALID_SESSION_ID, 401) fails the job and the 401 is reported back.
+// - sessionMode 'server': the job runs as the org's integration user (JWT bearer, refresh token or client credentials
+//   flow), which jsforce re-authenticates on a 401. Only requests authenticated by their HMAC signature may use it,
+//   since the bearer token of such a request is not what proves the caller's identity.
+// The identity used is recorded on the job as salesforceIdentity.
+
+// Builds the registry: "default" from the SF_* variables, plus every entry of SF_ORGS / SF_ORGS_FILE:
+// { "00D...": { instanceUrl, loginUrl, authFlow, sessionMode, clientId, clientSecret, username, privateKey | privateKeyFile, refreshToken, audience } }
+function loadOrgRegistry() {
+    try {
+        const registry = {
+            default: normalizeOrgConfig('default', {
+                instanceUrl: SF_LOGIN_URL,
+                loginUrl: SF_OAUTH_LOGIN_URL,
+                authFlow: SF_AUTH_FLOW,
+                sessionMode: SF_SESSION_MODE,
+                clientId: SF_CLIENT_ID,
+                clientSecret: SF_CLIENT_SECRET,
+                username: SF_USERNAME,
+                privateKey: SF_PRIVATE_KEY,
+                privateKeyFile: SF_PRIVATE_KEY_FILE,
+                refreshToken: SF_REFRESH_TOKEN
+            })
+        };
+        const configured = SF_ORGS ? JSON.parse(SF_ORGS) : SF_ORGS_FILE ? fs.readJsonSync(SF_ORGS_FILE) : {};
+        for (const [key, config] of Object.entries(configured)) {
+            registry[key] = normalizeOrgConfig(key, config);
+        }
+        return registry;
+    } catch (error) {
+        console.error(`FATAL ERROR: Invalid Salesforce org configuration. ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Validates one registry entry and fills in its defaults. Throws on missing credentials.
+function normalizeOrgConfig(key, config) {
+    const org = {
+        key,
+        instanceUrl: config.instanceUrl ? config.instanceUrl.replace(/\/+$/, '') : null,
+        loginUrl: (config.loginUrl || SF_OAUTH_LOGIN_URL).replace(/\/+$/, ''),
+        authFlow: config.authFlow || 'session',
+        sessionMode: config.sessionMode || 'caller',
+        clientId: config.clientId || null,
+        clientSecret: config.clientSecret || null,
+        username: config.username || null,
+        privateKey: config.privateKeyFile ? fs.readFileSync(config.privateKeyFile, 'utf8') : (config.privateKey || '').replace(/\\n/g, '\n') || null,
+        refreshToken: config.refreshToken || null,
+        audience: config.audience || null // JWT "aud"; defaults to loginUrl
+    };
+    if (!SF_AUTH_FLOWS.includes(org.authFlow)) {
+        throw new Error(`Org "${key}": unknown authFlow "${org.authFlow}". Expected one of: ${SF_AUTH_FLOWS.join(', ')}.`);
+    }
+    if (org.sessionMode !== 'caller' && org.sessionMode !== 'server') {
+        throw new Error(`Org "${key}": unknown sessionMode "${org.sessionMode}". Expected "caller" or "server".`);
+    }
+    if (org.sessionMode === 'server' && org.authFlow === 'session') {
+        throw new Error(`Org "${key}": sessionMode "server" requires server-side credentials (authFlow ${SF_AUTH_FLOWS.filter(flow => flow !== 'session').join(', ')}).`);
+    }
+    if (org.sessionMode === 'caller' && !org.instanceUrl && key !== 'default') {
+        throw new Error(`Org "${key}": instanceUrl is required unless sessionMode is "server".`);
+    }
+    if (org.authFlow === 'jwt' && (!org.clientId || !org.username || !org.privateKey)) {
+        throw new Error(`Org "${key}": the jwt flow requires clientId, username and privateKey (or privateKeyFile).`);
+    }
+    if (org.authFlow === 'refresh_token' && (!org.clientId || !org.refreshToken)) {
+        throw new Error(`Org "${key}": the refresh_token flow requires clientId and refreshToken.`);
+    }
+    if (org.authFlow === 'client_credentials' && (!org.clientId || !org.clientSecret)) {
+        throw new Error(`Org "${key}": the client_credentials flow requires clientId and clientSecret.`);
+    }
+    return org;
+}
+
+// Resolves the orgId / instanceUrl request options. Returns null for the default org, { orgKey } for a registered org,
+// or { instanceUrl } for an unregistered org reached with the caller's session. Throws on unknown or disallowed targets.
+function resolveOrgOptions(orgId, instanceUrl) {
+    if (orgId) {
+        // 15 and 18 character forms of an org ID both match
+        const orgKey = Object.keys(orgRegistry).find(key => key === orgId || (isSalesforceId(key) && isSalesforceId(orgId) && key.substring(0, 15) === orgId.substring(0, 15)));
+        if (!orgKey) {
+            throw new Error(`Unknown orgId "${orgId}". Register the org in SF_ORGS or SF_ORGS_FILE.`);
+        }
+        return orgKey === 'default' ? null : { orgKey };
+    }
+    if (!instanceUrl) return null;
+
+    let url;
+    try {
+        url = new URL(instanceUrl);
+    } catch (e) {
+        throw new Error(`Invalid instanceUrl "${instanceUrl}".`);
+    }
+    const registered = Object.values(orgRegistry).find(org => org.instanceUrl && new URL(org.instanceUrl).origin === url.origin);
+    if (registered) {
+        return registered.key === 'default' ? null : { orgKey: registered.key };
+    }
+    // The caller's token is sent to this host, so only Salesforce domains are accepted
+    if (url.protocol !== 'https:' || !SF_INSTANCE_HOST_SUFFIXES.some(suffix => url.hostname.endsWith(suffix))) {
+        throw new Error(`instanceUrl "${instanceUrl}" is not an https Salesforce domain (${SF_INSTANCE_HOST_SUFFIXES.join(', ')}) or a registered org.`);
+    }
+    return { instanceUrl: url.origin };
+}
+
+// Creates the jsforce connection for a job, as the caller (sessionMode 'caller', no re-authentication) or as the
+// org's integration user ('server'). inboundCaller is how the request was authenticated (see getInboundCaller).
+// Returns { conn, identity }, identity being { org, identity: 'caller' | 'integration', userId, username, authenticatedBy }.
+async function createSalesforceConnection(salesforceOrg, callerAccessToken, logPrefix, inboundCaller = null) {
+    const connectionOptions = { maxRequest: 5, version: '59.0' }; // Use a recent API version
+    const authenticatedBy = inboundCaller?.method || 'none';
+    const callerIdentity = { identity: 'caller', userId: inboundCaller?.userId || null, username: inboundCaller?.username || null, authenticatedBy };
+    if (salesforceOrg?.instanceUrl) {
+        return {
+            conn: new jsforce.Connection({ ...connectionOptions, instanceUrl: salesforceOrg.instanceUrl, accessToken: callerAccessToken }),
+            identity: { org: salesforceOrg.instanceUrl, ...callerIdentity }
+        };
+    }
+    const org = orgRegistry[salesforceOrg?.orgKey || 'default'];
+    if (!org) {
+        throw new Error(`Salesforce org "${salesforceOrg.orgKey}" is no longer registered.`);
+    }
+    if (org.sessionMode !== 'server') {
+        return {
+            conn: new jsforce.Connection({ ...connectionOptions, instanceUrl: org.instanceUrl, accessToken: callerAccessToken }),
+            identity: { org: org.key, ...callerIdentity }
+        };
+    }
+
+    assertServerSessionAllowed(salesforceOrg, inboundCaller);
+    const token = await getServerAccessToken(org);
+    const conn = new jsforce.Connection({
+        ...connectionOptions,
+        instanceUrl: token.instanceUrl,
+        accessToken: token.accessToken,
+        refreshFn: (connection, callback) => {
+            console.warn(`[${logPrefix}] Salesforce session expired; re-authenticating org ${org.key} with the ${org.authFlow} flow.`);
+            getServerAccessToken(org, connection.accessToken)
+                .then(fresh => {
+                    connection.instanceUrl = fresh.instanceUrl || connection.instanceUrl;
+                    callback(null, fresh.accessToken, fresh);
+                }, error => callback(error));
+        }
+    });
+    return { conn, identity: { org: org.key, identity: 'integration', userId: token.userId || null, username: org.username, authenticatedBy } };
+}
+
+// The integration user of a 'server' org only acts for requests whose HMAC signature was verified.
+// Throws an error with statusCode 403 otherwise; checked when the request arrives and again when the job connects.
+function assertServerSessionAllowed(salesforceOrg, inboundCaller) {
+    const org = salesforceOrg?.instanceUrl ? null : orgRegistry[salesforceOrg?.orgKey || 'default'];
+    if (org?.sessionMode === 'server' && inboundCaller?.method !== 'hmac') {
+        const error = new Error(`Org "${org.key}" runs jobs as its integration user, which requires a signed (hmac) request.`);
+        error.statusCode = 403;
+        throw error;
+    }
+}
+
+// True for the error jsforce raises when Salesforce rejects the session (expired or invalid token)
+function isSalesforceSessionError(error) {
+    return error?.errorCode === 'INVALID_SESSION_ID' || error?.errorCode === 'ERROR_HTTP_401';
+}
+
+// Returns a cached server-side token for the org, requesting a new one when there is none or when the cached
+// token is the one that just expired. Concurrent callers share a single token request.
+async function getServerAccessToken(org, expiredAccessToken = null) {
+    const cached = serverTokenCache.get(org.key);
+    if (cached) {
+        const token = await cached.catch(() => null);
+        if (token && token.accessToken !== expiredAccessToken) return token;
+        if (serverTokenCache.get(org.key) !== cached) return getServerAccessToken(org, expiredAccessToken); // Renewed meanwhile
+    }
+    const request = requestServerAccessToken(org);
+    serverTokenCache.set(org.key, request);
+    request.catch(() => {
+        if (serverTokenCache.get(org.key) === request) serverTokenCache.delete(org.key);
+    });
+    return request;
+}
+
+// Calls the org's OAuth token endpoint with a JWT bearer assertion, the refresh token or the client credentials
+// (which Salesforce only accepts on the org's My Domain, so loginUrl must be that URL). Returns { accessToken, instanceUrl, userId }.
+async function requestServerAccessToken(org) {
+    const params = org.authFlow === 'jwt'
+        ? { grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion: buildJwtAssertion(org) }
+        : org.authFlow === 'client_credentials'
+            ? { grant_type: 'client_credentials', client_id: org.clientId, client_secret: org.clientSecret }
+            : { grant_type: 'refresh_token', client_id: org.clientId, refresh_token: org.refreshToken, ...(org.clientSecret && { client_secret: org.clientSecret }) };
+    try {
+        const response = await axios.post(`${org.loginUrl}/services/oauth2/token`, new URLSearchParams(params).toString(), {
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            timeout: 30000
+        });
+        console.log(`[Org ${org.key}] Obtained a Salesforce access token with the ${org.authFlow} flow.`);
+        // "id" is the identity URL of the authenticated user: https://login.salesforce.com/id/<orgId>/<userId>
+        return { accessToken: response.data.access_token, instanceUrl: response.data.instance_url || org.instanceUrl, userId: String(response.data.id || '').split('/').pop() || null };
+    } catch (error) {
+        const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+        throw new Error(`Salesforce ${org.authFlow} authentication failed for org ${org.key}: ${reason}`);
+    }
+}
+
+// Signed JWT for the OAuth 2.0 JWT bearer flow (RS256, valid for 3 minutes)
+function buildJwtAssertion(org) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const claims = {
+        iss: org.clientId,
+        sub: org.username,
+        aud: org.audience || org.loginUrl,
+        exp: Math.floor(Date.now() / 1000) + 180
+    };
+    const unsigned = `${encode({ alg: 'RS256' })}.${encode(claims)}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(org.privateKey, 'base64url');
+    return `${unsigned}.${signature}`;
+}
+
+
+module.exports = {
+    orgRegistry, resolveOrgOptions, createSalesforceConnection, assertServerSessionAllowed, isSalesforceSessionError
+};
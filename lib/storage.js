@@ -0,0 +1,57 @@
+/*
+ * Shared storage plumbing for the file and Redis backends of the stores and the job queue.
+ */
+
+const fs = require("fs-extra");
+const Redis = require("ioredis");
+const { REDIS_URL, REDIS_TLS_INSECURE } = require('./config');
+
+
+let redisClient = null; // Created lazily by getRedisClient() when a Redis backend is configured
+
+
+// --- Storage Helpers ---
+
+// Returns the shared Redis client, creating it on first use (Heroku Redis uses self-signed TLS certificates)
+function getRedisClient() {
+    if (!redisClient) {
+        if (!REDIS_URL) {
+            console.error("FATAL ERROR: REDIS_URL is required for the redis job store / queue backend.");
+            process.exit(1);
+        }
+        const options = REDIS_URL.startsWith('rediss://') ? { tls: REDIS_TLS_INSECURE ? { rejectUnauthorized: false } : {} } : {};
+        redisClient = new Redis(REDIS_URL, options);
+        redisClient.on('error', error => console.error(`[Redis] ${error.message}`));
+    }
+    return redisClient;
+}
+
+// Returns a function run(key, operation) that runs operations for the same key one after another
+function createKeyedSerializer() {
+    const tails = new Map(); // key -> tail of the pending operation chain
+    return (key, operation) => {
+        const next = (tails.get(key) || Promise.resolve()).catch(() => {}).then(operation);
+        tails.set(key, next);
+        next.finally(() => { if (tails.get(key) === next) tails.delete(key); }).catch(() => {});
+        return next;
+    };
+}
+
+// Writes JSON via a temp file + rename so readers never see a partially written file
+async function writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, data, { spaces: 2 });
+    await fs.rename(tempPath, filePath);
+}
+
+async function readJsonIfExists(filePath) {
+    try {
+        return await fs.readJson(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+
+module.exports = { getRedisClient, createKeyedSerializer, writeJsonAtomic, readJsonIfExists };
@@ -0,0 +1,598 @@
+/*
+ * Job, dead-letter, config version, AI result cache, prompt template, job event and replay guard stores.
+ * Each factory returns the implementation for its configured backend (memory, file or redis).
+ */
+
+const fs = require("fs-extra");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { JOB_STORE_DIR, DEAD_LETTER_DIR, CONFIG_VERSION_DIR, PROMPT_TEMPLATE_DIR, AI_CACHE_DIR } = require('./config');
+const { getRedisClient, createKeyedSerializer, writeJsonAtomic, readJsonIfExists } = require('./storage');
+
+
+// --- Job Store Implementations ---
+// Every store exposes: create(job), get(id), update(id, mutator), list({ accountId, owner, limit }).
+// update() applies the mutator to the latest stored copy; writes for the same job are serialized.
+
+function createJobStore(type) {
+    switch (type) {
+        case 'memory': return createMemoryJobStore();
+        case 'file': return createFileJobStore(JOB_STORE_DIR);
+        case 'redis': return createRedisJobStore(getRedisClient());
+        default:
+            console.error(`FATAL ERROR: Unknown JOB_STORE "${type}". Supported values: redis, file, memory.`);
+            process.exit(1);
+    }
+}
+
+// Keeps jobs in process memory; lost on restart. Useful for local development.
+function createMemoryJobStore() {
+    const jobs = new Map();
+    const clone = job => JSON.parse(JSON.stringify(job));
+    return {
+        async create(job) {
+            jobs.set(job.id, clone(job));
+            return clone(job);
+        },
+        async get(id) {
+            return jobs.has(id) ? clone(jobs.get(id)) : null;
+        },
+        async update(id, mutator) {
+            const job = jobs.get(id);
+            if (!job) throw new Error(`Job ${id} not found`);
+            mutator(job);
+            return clone(job);
+        },
+        async list({ accountId, owner, limit } = {}) {
+            return [...jobs.values()]
+                .filter(job => (!accountId || job.accountId === accountId) && (!owner || job.owner === owner))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, limit || undefined)
+                .map(clone);
+        }
+    };
+}
+
+// Persists each job as a JSON file (<dir>/<jobId>.json), written atomically via a temp file + rename
+function createFileJobStore(dir) {
+    fs.ensureDirSync(dir);
+    const enqueue = createKeyedSerializer();
+    const jobFilePath = id => path.join(dir, `${path.basename(String(id))}.json`);
+
+    const writeJob = job => writeJsonAtomic(jobFilePath(job.id), job);
+    const readJob = id => readJsonIfExists(jobFilePath(id));
+
+    return {
+        async create(job) {
+            await enqueue(job.id, () => writeJob(job));
+            return job;
+        },
+        get: readJob,
+        update(id, mutator) {
+            return enqueue(id, async () => {
+                const job = await readJob(id);
+                if (!job) throw new Error(`Job ${id} not found`);
+                mutator(job);
+                await writeJob(job);
+                return job;
+            });
+        },
+        async list({ accountId, owner, limit } = {}) {
+            const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+            const jobs = [];
+            for (const file of files) {
+                const job = await readJob(path.basename(file, '.json'));
+                if (job && (!accountId || job.accountId === accountId) && (!owner || job.owner === owner)) jobs.push(job);
+            }
+            return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, limit || undefined);
+        }
+    };
+}
+
+// Stores each job as a JSON string (summary:job:<id>) with sorted-set indexes by creation time (all jobs,
+// per account and per owner), so the web and worker dynos share one view of every job
+function createRedisJobStore(redis) {
+    const enqueue = createKeyedSerializer();
+    const jobKey = id => `summary:job:${id}`;
+    const indexKey = accountId => (accountId ? `summary:jobs:account:${accountId}` : 'summary:jobs');
+    const ownerIndexKey = owner => `summary:jobs:owner:${owner}`;
+    const LIST_PAGE_SIZE = 200;
+
+    const readJob = async id => {
+        const json = await redis.get(jobKey(id));
+        return json ? JSON.parse(json) : null;
+    };
+
+    return {
+        async create(job) {
+            const score = new Date(job.createdAt).getTime();
+            await redis.multi()
+                .set(jobKey(job.id), JSON.stringify(job))
+                .zadd(indexKey(), score, job.id)
+                .zadd(indexKey(job.accountId), score, job.id)
+                .zadd(ownerIndexKey(job.owner || 'none'), score, job.id)
+                .exec();
+            return job;
+        },
+        get: readJob,
+        update(id, mutator) {
+            return enqueue(id, async () => {
+                const job = await readJob(id);
+                if (!job) throw new Error(`Job ${id} not found`);
+                mutator(job);
+                await redis.set(jobKey(id), JSON.stringify(job));
+                return job;
+            });
+        },
+        async list({ accountId, owner, limit } = {}) {
+            if (!accountId || !owner) {
+                const ids = await redis.zrevrange(owner ? ownerIndexKey(owner) : indexKey(accountId), 0, (limit || 0) - 1);
+                if (ids.length === 0) return [];
+                const values = await redis.mget(ids.map(jobKey));
+                return values.filter(Boolean).map(json => JSON.parse(json));
+            }
+            // Both filters: page through the account's index and keep the owner's jobs
+            const jobs = [];
+            for (let start = 0; !limit || jobs.length < limit; start += LIST_PAGE_SIZE) {
+                const ids = await redis.zrevrange(indexKey(accountId), start, start + LIST_PAGE_SIZE - 1);
+                if (ids.length === 0) break;
+                const values = await redis.mget(ids.map(jobKey));
+                jobs.push(...values.filter(Boolean).map(json => JSON.parse(json)).filter(job => job.owner === owner));
+            }
+            return limit ? jobs.slice(0, limit) : jobs;
+        }
+    };
+}
+
+
+// --- Dead-Letter Store Implementations ---
+// Every store exposes: add(entry), get(id), update(id, mutator), remove(id) -> boolean, list({ accountId, limit }).
+
+function createDeadLetterStore(type) {
+    switch (type) {
+        case 'memory': return createMemoryDeadLetterStore();
+        case 'file': return createFileDeadLetterStore(DEAD_LETTER_DIR);
+        case 'redis': return createRedisDeadLetterStore(getRedisClient());
+        default:
+            console.error(`FATAL ERROR: Unknown DEAD_LETTER_STORE "${type}". Supported values: redis, file, memory.`);
+            process.exit(1);
+    }
+}
+
+// Keeps dead letters in process memory; lost on restart. Useful for local development.
+function createMemoryDeadLetterStore() {
+    const entries = new Map();
+    const clone = entry => JSON.parse(JSON.stringify(entry));
+    return {
+        async add(entry) {
+            entries.set(entry.id, clone(entry));
+            return clone(entry);
+        },
+        async get(id) {
+            return entries.has(id) ? clone(entries.get(id)) : null;
+        },
+        async update(id, mutator) {
+            const entry = entries.get(id);
+            if (!entry) throw new Error(`Dead letter ${id} not found`);
+            mutator(entry);
+            return clone(entry);
+        },
+        async remove(id) {
+            return entries.delete(id);
+        },
+        async list({ accountId, limit } = {}) {
+            return [...entries.values()]
+                .filter(entry => !accountId || entry.accountId === accountId)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, limit || undefined)
+                .map(clone);
+        }
+    };
+}
+
+// Persists each dead letter as a JSON file (<dir>/<id>.json); same layout and atomic writes as the file job store
+function createFileDeadLetterStore(dir) {
+    const store = createFileJobStore(dir);
+    return {
+        add: entry => store.create(entry),
+        get: store.get,
+        update: store.update,
+        list: store.list,
+        async remove(id) {
+            const filePath = path.join(dir, `${path.basename(String(id))}.json`);
+            if (!(await fs.pathExists(filePath))) return false;
+            await fs.remove(filePath);
+            return true;
+        }
+    };
+}
+
+// Stores each dead letter as a JSON string (summary:callback:dead:<id>) indexed by creation time
+function createRedisDeadLetterStore(redis) {
+    const enqueue = createKeyedSerializer();
+    const entryKey = id => `summary:callback:dead:${id}`;
+    const indexKey = accountId => (accountId ? `summary:callbacks:dead:account:${accountId}` : 'summary:callbacks:dead');
+
+    const readEntry = async id => {
+        const json = await redis.get(entryKey(id));
+        return json ? JSON.parse(json) : null;
+    };
+
+    return {
+        async add(entry) {
+            const score = new Date(entry.createdAt).getTime();
+            await redis.multi()
+                .set(entryKey(entry.id), JSON.stringify(entry))
+                .zadd(indexKey(), score, entry.id)
+                .zadd(indexKey(entry.accountId), score, entry.id)
+                .exec();
+            return entry;
+        },
+        get: readEntry,
+        update(id, mutator) {
+            return enqueue(id, async () => {
+                const entry = await readEntry(id);
+                if (!entry) throw new Error(`Dead letter ${id} not found`);
+                mutator(entry);
+                await redis.set(entryKey(id), JSON.stringify(entry));
+                return entry;
+            });
+        },
+        async remove(id) {
+            const entry = await readEntry(id);
+            if (!entry) return false;
+            await redis.multi()
+                .del(entryKey(id))
+                .zrem(indexKey(), id)
+                .zrem(indexKey(entry.accountId), id)
+                .exec();
+            return true;
+        },
+        async list({ accountId, limit } = {}) {
+            const ids = await redis.zrevrange(indexKey(accountId), 0, (limit || 0) - 1);
+            if (ids.length === 0) return [];
+            const values = await redis.mget(ids.map(entryKey));
+            return values.filter(Boolean).map(json => JSON.parse(json));
+        }
+    };
+}
+
+
+// --- Config Version Store Implementations ---
+// Every store exposes: add(record) (keeps the first record of an ID), get(id), list() (newest first).
+
+function createConfigVersionStore(type) {
+    switch (type) {
+        case 'memory': return createMemoryConfigVersionStore();
+        case 'file': return createFileConfigVersionStore(CONFIG_VERSION_DIR);
+        case 'redis': return createRedisConfigVersionStore(getRedisClient());
+        default:
+            console.error(`FATAL ERROR: Unknown CONFIG_VERSION_STORE "${type}". Supported values: redis, file, memory.`);
+            process.exit(1);
+    }
+}
+
+const sortByCreation = records => records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+// Keeps config versions in process memory; lost on restart. Useful for local development.
+function createMemoryConfigVersionStore() {
+    const records = new Map();
+    const clone = record => JSON.parse(JSON.stringify(record));
+    return {
+        async add(record) {
+            if (!records.has(record.id)) records.set(record.id, clone(record));
+            return clone(records.get(record.id));
+        },
+        async get(id) {
+            return records.has(id) ? clone(records.get(id)) : null;
+        },
+        async list() {
+            return sortByCreation([...records.values()].map(clone));
+        }
+    };
+}
+
+// Persists each config version as <dir>/<id>.json; existing files are never rewritten
+function createFileConfigVersionStore(dir) {
+    fs.ensureDirSync(dir);
+    const recordFilePath = id => path.join(dir, `${path.basename(String(id))}.json`);
+    return {
+        async add(record) {
+            const existing = await readJsonIfExists(recordFilePath(record.id));
+            if (existing) return existing;
+            await writeJsonAtomic(recordFilePath(record.id), record);
+            return record;
+        },
+        get: id => readJsonIfExists(recordFilePath(id)),
+        async list() {
+            const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+            const records = await Promise.all(files.map(file => readJsonIfExists(path.join(dir, file))));
+            return sortByCreation(records.filter(Boolean));
+        }
+    };
+}
+
+// Stores all config versions in one hash (summary:config-versions, field = version ID); HSETNX keeps the first record
+function createRedisConfigVersionStore(redis) {
+    const hashKey = 'summary:config-versions';
+    return {
+        async add(record) {
+            await redis.hsetnx(hashKey, record.id, JSON.stringify(record));
+            return JSON.parse(await redis.hget(hashKey, record.id));
+        },
+        async get(id) {
+            const json = await redis.hget(hashKey, id);
+            return json ? JSON.parse(json) : null;
+        },
+        async list() {
+            return sortByCreation((await redis.hvals(hashKey)).map(json => JSON.parse(json)));
+        }
+    };
+}
+
+// --- AI Result Cache Implementations ---
+// Every cache exposes: get(key) (null when missing or expired), set(key, entry, ttlSeconds).
+
+function createAiResultCache(type) {
+    switch (type) {
+        case 'file': return createFileAiResultCache(AI_CACHE_DIR);
+        case 'redis': return createRedisAiResultCache(getRedisClient());
+        case 'memory': return createMemoryAiResultCache();
+        case 'off': return null;
+        default:
+            console.error(`FATAL ERROR: Unknown AI_CACHE_STORE "${type}". Supported values: file, redis, memory, off.`);
+            process.exit(1);
+    }
+}
+
+// Keeps results in process memory; lost on restart
+function createMemoryAiResultCache() {
+    const entries = new Map(); // key -> { entry, expiresAt }
+    return {
+        async get(key) {
+            const cached = entries.get(key);
+            if (!cached) return null;
+            if (cached.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return JSON.parse(JSON.stringify(cached.entry));
+        },
+        async set(key, entry, ttlSeconds) {
+            entries.set(key, { entry: JSON.parse(JSON.stringify(entry)), expiresAt: Date.now() + ttlSeconds * 1000 });
+        }
+    };
+}
+
+// Stores each result as <dir>/<key>.json with its expiry; expired files are removed when next read
+function createFileAiResultCache(dir) {
+    fs.ensureDirSync(dir);
+    const entryFilePath = key => path.join(dir, `${path.basename(key)}.json`);
+    return {
+        async get(key) {
+            const cached = await readJsonIfExists(entryFilePath(key));
+            if (!cached) return null;
+            if (new Date(cached.expiresAt).getTime() <= Date.now()) {
+                await fs.remove(entryFilePath(key));
+                return null;
+            }
+            return cached.entry;
+        },
+        async set(key, entry, ttlSeconds) {
+            await writeJsonAtomic(entryFilePath(key), { entry, expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString() });
+        }
+    };
+}
+
+// One key per result (summary:ai-cache:<key>) that Redis expires after the TTL
+function createRedisAiResultCache(redis) {
+    const entryKey = key => `summary:ai-cache:${key}`;
+    return {
+        async get(key) {
+            const json = await redis.get(entryKey(key));
+            return json ? JSON.parse(json) : null;
+        },
+        async set(key, entry, ttlSeconds) {
+            await redis.set(entryKey(key), JSON.stringify(entry), 'EX', ttlSeconds);
+        }
+    };
+}
+
+// --- Prompt Template Store Implementations ---
+// Every store exposes: get(id), put(template), remove(id) -> boolean, list() (most recently updated first).
+
+function createPromptTemplateStore(type) {
+    switch (type) {
+        case 'memory': return createMemoryPromptTemplateStore();
+        case 'file': return createFilePromptTemplateStore(PROMPT_TEMPLATE_DIR);
+        case 'redis': return createRedisPromptTemplateStore(getRedisClient());
+        default:
+            console.error(`FATAL ERROR: Unknown PROMPT_TEMPLATE_STORE "${type}". Supported values: redis, file, memory.`);
+            process.exit(1);
+    }
+}
+
+const sortTemplatesByUpdate = templates => templates.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+// Keeps templates in process memory; lost on restart. Useful for local development.
+function createMemoryPromptTemplateStore() {
+    const templates = new Map();
+    const clone = template => JSON.parse(JSON.stringify(template));
+    return {
+        async get(id) {
+            return templates.has(id) ? clone(templates.get(id)) : null;
+        },
+        async put(template) {
+            templates.set(template.id, clone(template));
+            return template;
+        },
+        async remove(id) {
+            return templates.delete(id);
+        },
+        async list() {
+            return sortTemplatesByUpdate([...templates.values()].map(clone));
+        }
+    };
+}
+
+// Persists each template as <dir>/<id>.json with atomic writes
+function createFilePromptTemplateStore(dir) {
+    fs.ensureDirSync(dir);
+    const templateFilePath = id => path.join(dir, `${path.basename(String(id))}.json`);
+    return {
+        get: id => readJsonIfExists(templateFilePath(id)),
+        async put(template) {
+            await writeJsonAtomic(templateFilePath(template.id), template);
+            return template;
+        },
+        async remove(id) {
+            const filePath = templateFilePath(id);
+            if (!(await fs.pathExists(filePath))) return false;
+            await fs.remove(filePath);
+            return true;
+        },
+        async list() {
+            const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+            const templates = await Promise.all(files.map(file => readJsonIfExists(path.join(dir, file))));
+            return sortTemplatesByUpdate(templates.filter(Boolean));
+        }
+    };
+}
+
+// Stores all templates in one hash (summary:prompt-templates, field = template ID)
+function createRedisPromptTemplateStore(redis) {
+    const hashKey = 'summary:prompt-templates';
+    return {
+        async get(id) {
+            const json = await redis.hget(hashKey, id);
+            return json ? JSON.parse(json) : null;
+        },
+        async put(template) {
+            await redis.hset(hashKey, template.id, JSON.stringify(template));
+            return template;
+        },
+        async remove(id) {
+            return (await redis.hdel(hashKey, id)) > 0;
+        },
+        async list() {
+            return sortTemplatesByUpdate((await redis.hvals(hashKey)).map(json => JSON.parse(json)));
+        }
+    };
+}
+
+// --- Job Event Bus Implementations ---
+// Every bus exposes: publish(jobId, event), subscribe(jobId, listener) -> unsubscribe().
+// Events are fire-and-forget: subscribers only see events published while they are connected.
+
+function createJobEventBus(type) {
+    switch (type) {
+        case 'memory': return createMemoryJobEventBus();
+        case 'redis': return createRedisJobEventBus(getRedisClient());
+        default:
+            console.error(`FATAL ERROR: Unknown JOB_EVENTS_BACKEND "${type}". Supported values: redis, memory.`);
+            process.exit(1);
+    }
+}
+
+// Single process: only sees jobs run by this process (EMBEDDED_WORKER=true, previews)
+function createMemoryJobEventBus() {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0); // One listener per open stream
+    return {
+        async publish(jobId, event) {
+            emitter.emit(jobId, event);
+        },
+        async subscribe(jobId, listener) {
+            emitter.on(jobId, listener);
+            return () => emitter.off(jobId, listener);
+        }
+    };
+}
+
+// Redis pub/sub on summary:job:events:<id>, so streams served by a web dyno see jobs run by worker dynos.
+// Subscriptions share one dedicated connection (a subscribed connection cannot run other commands).
+function createRedisJobEventBus(redis) {
+    const channel = jobId => `summary:job:events:${jobId}`;
+    const listeners = new Map(); // channel -> Set of listeners
+    let subscriber = null;
+
+    const getSubscriber = () => {
+        if (!subscriber) {
+            subscriber = redis.duplicate();
+            subscriber.on('error', error => console.error(`[Redis events] ${error.message}`));
+            subscriber.on('message', (eventChannel, message) => {
+                const channelListeners = listeners.get(eventChannel);
+                if (!channelListeners) return;
+                const event = JSON.parse(message);
+                channelListeners.forEach(listener => listener(event));
+            });
+        }
+        return subscriber;
+    };
+
+    return {
+        async publish(jobId, event) {
+            await redis.publish(channel(jobId), JSON.stringify(event));
+        },
+        async subscribe(jobId, listener) {
+            const key = channel(jobId);
+            if (!listeners.has(key)) {
+                listeners.set(key, new Set());
+                await getSubscriber().subscribe(key);
+            }
+            listeners.get(key).add(listener);
+            return () => {
+                const channelListeners = listeners.get(key);
+                if (!channelListeners || !channelListeners.delete(listener) || channelListeners.size > 0) return;
+                listeners.delete(key);
+                getSubscriber().unsubscribe(key).catch(error => console.error(`[Redis events] Failed to unsubscribe from ${key}: ${error.message}`));
+            };
+        }
+    };
+}
+
+
+// --- Replay Guard Implementations ---
+// A guard exposes: claim(key, ttlSeconds) -> true the first time a key is seen within its TTL, false afterwards.
+
+function createReplayGuard(type) {
+    switch (type) {
+        case 'memory': return createMemoryReplayGuard();
+        case 'redis': return createRedisReplayGuard(getRedisClient());
+        default:
+            console.error(`FATAL ERROR: Unknown INBOUND_REPLAY_STORE "${type}". Supported values: redis, memory.`);
+            process.exit(1);
+    }
+}
+
+// Per-process memory; with several web dynos use the redis guard
+function createMemoryReplayGuard() {
+    const seen = new Map(); // key -> expiresAt (ms)
+    return {
+        async claim(key, ttlSeconds) {
+            const now = Date.now();
+            for (const [seenKey, expiresAt] of seen) {
+                if (expiresAt <= now) seen.delete(seenKey);
+            }
+            if (seen.has(key)) return false;
+            seen.set(key, now + ttlSeconds * 1000);
+            return true;
+        }
+    };
+}
+
+// SET NX with an expiry, so the first dyno to see a signature wins
+function createRedisReplayGuard(redis) {
+    return {
+        async claim(key, ttlSeconds) {
+            const result = await redis.set(`summary:inbound:seen:${key}`, '1', 'EX', ttlSeconds, 'NX');
+            return result === 'OK';
+        }
+    };
+}
+
+
+module.exports = {
+    createJobStore, createDeadLetterStore, createConfigVersionStore, createAiResultCache, createPromptTemplateStore,
+    createJobEventBus, createReplayGuard
+};
@@ -0,0 +1,185 @@
+/*
+ * Token usage and cost accounting of LLM calls: the price table, token estimates and the per-job usage meter
+ * with its token budget.
+ */
+
+const fs = require("fs-extra");
+const { LLM_PRICES, LLM_PRICES_FILE, COMPLETION_TOKEN_ESTIMATE } = require('./config');
+
+
+// --- LLM Price Table Initialization ---
+// USD per million tokens; cachedInput applies to prompt tokens served from the prompt cache. Models are matched exactly
+// or by the longest entry they extend ("gpt-4o-2024-08-06" uses "gpt-4o"). LLM_PRICES / LLM_PRICES_FILE add entries or
+// replace these (check them against current pricing; Azure deployment names need their own entries).
+const DEFAULT_LLM_PRICES = {
+    'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10 },
+    'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6 },
+    'gpt-4.1': { input: 2, cachedInput: 0.5, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, cachedInput: 0.1, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, cachedInput: 0.025, output: 0.4 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    mock: { input: 0, output: 0 }
+};
+const llmPrices = loadLlmPrices();
+
+
+// --- Token Usage & Cost Accounting ---
+// Providers report the tokens of every LLM call to the job's usage meter, which rolls them up per period and per job and
+// prices them with the LLM price table. With a token budget (tokenBudget), a call is not started when its estimated size,
+// plus the tokens already used and those reserved by calls in progress, would exceed the budget; the job then fails.
+
+class TokenBudgetExceededError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenBudgetExceededError';
+    }
+}
+
+// DEFAULT_LLM_PRICES with the entries of LLM_PRICES / LLM_PRICES_FILE on top
+function loadLlmPrices() {
+    try {
+        const configured = LLM_PRICES ? JSON.parse(LLM_PRICES) : LLM_PRICES_FILE ? fs.readJsonSync(LLM_PRICES_FILE) : {};
+        for (const [model, price] of Object.entries(configured)) {
+            if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output)) {
+                throw new Error(`Model "${model}": input and output prices (USD per million tokens) are required.`);
+            }
+        }
+        return { ...DEFAULT_LLM_PRICES, ...configured };
+    } catch (error) {
+        console.error(`FATAL ERROR: Invalid LLM price table. ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Price entry of a model: exact match, else the longest entry the model name extends. Null when unpriced.
+function getModelPrice(model) {
+    if (llmPrices[model]) return llmPrices[model];
+    const baseModel = Object.keys(llmPrices)
+        .filter(key => String(model).startsWith(`${key}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    return baseModel ? llmPrices[baseModel] : null;
+}
+
+function createEmptyUsage() {
+    return { calls: 0, promptTokens: 0, cachedPromptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, cacheHits: 0, unpricedModels: [] };
+}
+
+// Token counts of a chat completion's or Assistant run's usage object
+function readOpenAiUsage(usage) {
+    return {
+        promptTokens: usage?.prompt_tokens || 0,
+        cachedPromptTokens: usage?.prompt_tokens_details?.cached_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0
+    };
+}
+
+// Input tokens of a call estimated from its text (~4 characters per token, as for CHUNK_TOKEN_BUDGET), plus the expected output
+function estimateCallTokens(activities, summarizer, userPrompt, functionSchema) {
+    const inputChars = userPrompt.length + (summarizer.instructions || '').length + JSON.stringify(functionSchema).length
+        + (Array.isArray(activities) ? JSON.stringify(activities, null, 2).length : 0);
+    return Math.ceil(inputChars / 4) + COMPLETION_TOKEN_ESTIMATE;
+}
+
+// Copy of a usage record with the cost rounded to micro-dollars
+function roundUsage(usage) {
+    return { ...usage, cost: Number(usage.cost.toFixed(6)), unpricedModels: [...usage.unpricedModels] };
+}
+
+// Adds up usage records (e.g. the accounts of a batch); null entries are ignored
+function sumUsage(usages) {
+    const total = createEmptyUsage();
+    for (const usage of usages.filter(Boolean)) {
+        for (const key of ['calls', 'promptTokens', 'cachedPromptTokens', 'completionTokens', 'totalTokens', 'cost', 'cacheHits']) {
+            total[key] += usage[key] || 0;
+        }
+        total.unpricedModels.push(...(usage.unpricedModels || []).filter(model => !total.unpricedModels.includes(model)));
+    }
+    return { ...roundUsage(total), currency: 'USD' };
+}
+
+// Usage meter of one job. `state` ({ total, periods }) lives in the job checkpoint so a resumed job keeps its counts;
+// onChange receives the summary after every recorded call. forPeriod() hands out the { reserve, record, recordCacheHit } interface
+// used by generateValidatedSummary and the providers.
+function createUsageMeter(state, tokenBudget = null, onChange = () => {}) {
+    state.total = state.total || createEmptyUsage();
+    state.periods = state.periods || {}; // { "Monthly January 2024": usage }
+    let reservedTokens = 0; // Estimates of the calls in progress
+
+    const addTokens = (usage, model, tokens, cost) => {
+        usage.calls++;
+        usage.promptTokens += tokens.promptTokens;
+        usage.cachedPromptTokens += tokens.cachedPromptTokens;
+        usage.completionTokens += tokens.completionTokens;
+        usage.totalTokens += tokens.promptTokens + tokens.completionTokens;
+        if (cost !== null) {
+            usage.cost += cost;
+        } else if (!usage.unpricedModels.includes(model)) {
+            usage.unpricedModels.push(model);
+        }
+    };
+
+    const meter = {
+        // Reserves the estimate of a call about to start. Returns the function that releases it when the call ends.
+        reserve(estimatedTokens, label) {
+            if (tokenBudget && state.total.totalTokens + reservedTokens + estimatedTokens > tokenBudget) {
+                throw new TokenBudgetExceededError(`Token budget of ${tokenBudget} would be exceeded by ${label} ` +
+                    `(~${estimatedTokens} tokens; ${state.total.totalTokens} used, ${reservedTokens} reserved by calls in progress).`);
+            }
+            reservedTokens += estimatedTokens;
+            let released = false;
+            return () => {
+                if (released) return;
+                released = true;
+                reservedTokens -= estimatedTokens;
+            };
+        },
+        record(model, tokens, periodId = null) {
+            const price = getModelPrice(model);
+            const cost = price
+                ? ((tokens.promptTokens - tokens.cachedPromptTokens) * price.input
+                    + tokens.cachedPromptTokens * (price.cachedInput ?? price.input)
+                    + tokens.completionTokens * price.output) / 1e6
+                : null;
+            if (!price && !state.total.unpricedModels.includes(model)) {
+                console.warn(`[Usage] No price for model "${model}"; its tokens are counted without cost. Add it to LLM_PRICES.`);
+            }
+            addTokens(state.total, model, tokens, cost);
+            if (periodId) {
+                state.periods[periodId] = state.periods[periodId] || createEmptyUsage();
+                addTokens(state.periods[periodId], model, tokens, cost);
+            }
+            onChange(meter.summary());
+        },
+        // A result reused from the AI result cache: no tokens or cost
+        recordCacheHit(periodId = null) {
+            state.total.cacheHits = (state.total.cacheHits || 0) + 1;
+            if (periodId) {
+                state.periods[periodId] = state.periods[periodId] || createEmptyUsage();
+                state.periods[periodId].cacheHits = (state.periods[periodId].cacheHits || 0) + 1;
+            }
+            onChange(meter.summary());
+        },
+        forPeriod(category, period) {
+            const periodId = `${category} ${period}`;
+            return {
+                reserve: meter.reserve,
+                record: (model, tokens) => meter.record(model, tokens, periodId),
+                recordCacheHit: () => meter.recordCacheHit(periodId)
+            };
+        },
+        getPeriod(category, period) {
+            const usage = state.periods[`${category} ${period}`];
+            return usage ? roundUsage(usage) : null;
+        },
+        summary() {
+            const periods = Object.fromEntries(Object.entries(state.periods).map(([periodId, usage]) => [periodId, roundUsage(usage)]));
+            return { ...roundUsage(state.total), currency: 'USD', tokenBudget, periods };
+        }
+    };
+    return meter;
+}
+
+
+module.exports = {
+    llmPrices, TokenBudgetExceededError, readOpenAiUsage, estimateCallTokens, sumUsage, createUsageMeter
+};
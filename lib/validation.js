@@ -0,0 +1,260 @@
+/*
+ * Validation of request input (callback URLs, function schemas, account IDs, date ranges) and of AI function output
+ * against the active function schema.
+ */
+
+const fs = require("fs-extra");
+const { DEFAULT_FUNCTIONS_FILE, CALLBACK_ALLOWED_HOSTS, BATCH_MAX_ACCOUNTS } = require('./config');
+
+
+// --- Default Function Schemas ---
+// Versioned schemas shipped with the service. Used unless the request overrides them via monthJSON / qtrJSON.
+const { version: DEFAULT_FUNCTIONS_VERSION, functions: defaultFunctions } = fs.readJsonSync(DEFAULT_FUNCTIONS_FILE);
+
+
+// --- Request Parsing Helpers ---
+// Throws unless callbackUrl is an http(s) URL whose host is in CALLBACK_ALLOWED_HOSTS
+// (any host when the list is empty, which startup only allows with INBOUND_AUTH=none).
+// "*.example.com" entries match subdomains.
+function validateCallbackUrl(callbackUrl) {
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch (e) {
+        throw new Error(`Invalid callbackUrl "${callbackUrl}".`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`callbackUrl must be an http(s) URL (got "${url.protocol}").`);
+    }
+    if (CALLBACK_ALLOWED_HOSTS.length === 0) return;
+    const host = url.hostname.toLowerCase();
+    const allowed = CALLBACK_ALLOWED_HOSTS.some(entry => entry.startsWith('*.') ? host.endsWith(entry.substring(1)) : host === entry);
+    if (!allowed) {
+        throw new Error(`callbackUrl host "${host}" is not in CALLBACK_ALLOWED_HOSTS.`);
+    }
+}
+
+// Resolves the function schemas of a request: the bundled defaults unless monthJSON / qtrJSON / yearJSON override them.
+// Throws on invalid JSON or a custom schema without 'name' and 'parameters'.
+function parseFunctionSchemas({ monthJSON, qtrJSON, yearJSON }) {
+    // Find default schemas - these will be used unless overridden
+    let monthlyFuncSchema = defaultFunctions.find(f => f.name === 'generate_monthly_activity_summary');
+    let quarterlyFuncSchema = defaultFunctions.find(f => f.name === 'generate_quarterly_activity_summary');
+    let yearlyFuncSchema = defaultFunctions.find(f => f.name === 'generate_yearly_activity_summary');
+
+    // --- Override default schemas if valid custom schemas are provided ---
+    if (monthJSON) {
+        const customMonthSchema = JSON.parse(monthJSON);
+        // Basic validation of the custom schema
+        if (!customMonthSchema || typeof customMonthSchema !== 'object' || !customMonthSchema.name || !customMonthSchema.parameters) {
+            throw new Error("Provided monthJSON schema is invalid or missing required 'name' or 'parameters' properties.");
+        }
+        // Optional: More rigorous validation if needed
+        monthlyFuncSchema = customMonthSchema; // Use the custom schema
+        console.log("Using custom monthly function schema from request.");
+    }
+     if (qtrJSON) {
+        const customQtrSchema = JSON.parse(qtrJSON);
+        // Basic validation
+        if (!customQtrSchema || typeof customQtrSchema !== 'object' || !customQtrSchema.name || !customQtrSchema.parameters) {
+             throw new Error("Provided qtrJSON schema is invalid or missing required 'name' or 'parameters' properties.");
+        }
+        quarterlyFuncSchema = customQtrSchema; // Use the custom schema
+        console.log("Using custom quarterly function schema from request.");
+    }
+    if (yearJSON) {
+        const customYearSchema = JSON.parse(yearJSON);
+        // Basic validation
+        if (!customYearSchema || typeof customYearSchema !== 'object' || !customYearSchema.name || !customYearSchema.parameters) {
+            throw new Error("Provided yearJSON schema is invalid or missing required 'name' or 'parameters' properties.");
+        }
+        yearlyFuncSchema = customYearSchema; // Use the custom schema
+        console.log("Using custom yearly function schema from request.");
+    }
+    return { monthlyFuncSchema, quarterlyFuncSchema, yearlyFuncSchema };
+}
+
+// Normalizes the accountIds of a batch request: an array, a JSON array string or a comma-separated string.
+// Duplicates are dropped; throws on an empty or oversized list or a value that is not a Salesforce ID.
+function parseAccountIdList(accountIds) {
+    let ids = accountIds;
+    if (typeof ids === 'string') {
+        ids = ids.trim().startsWith('[') ? JSON.parse(ids) : ids.split(',');
+    }
+    if (!Array.isArray(ids)) {
+        throw new Error("accountIds must be an array of Account IDs.");
+    }
+    ids = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+    if (ids.length === 0) {
+        throw new Error("accountIds must contain at least one Account ID.");
+    }
+    if (ids.length > BATCH_MAX_ACCOUNTS) {
+        throw new Error(`accountIds contains ${ids.length} accounts; the maximum per batch is ${BATCH_MAX_ACCOUNTS}.`);
+    }
+    const invalid = ids.filter(id => !isSalesforceId(id));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid Account ID(s) in accountIds: ${invalid.slice(0, 10).join(', ')}`);
+    }
+    return ids;
+}
+
+// Validates the optional preview date range (YYYY-MM-DD strings). Returns null when neither bound is given.
+function parseDateRange(startDate, endDate) {
+    if (!startDate && !endDate) return null;
+    for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+        if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime()))) {
+            throw new Error(`Invalid ${name} "${value}". Expected a date in YYYY-MM-DD format.`);
+        }
+    }
+    if (startDate && endDate && startDate > endDate) {
+        throw new Error(`startDate ${startDate} is after endDate ${endDate}.`);
+    }
+    return { startDate: startDate || null, endDate: endDate || null };
+}
+
+// Checks for a 15 or 18 character Salesforce record ID (safe to embed in SOQL)
+function isSalesforceId(value) {
+    return typeof value === 'string' && /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(value);
+}
+
+
+// --- AI Output Validation ---
+// Error raised when AI function output cannot be parsed or does not match the active schema
+class SchemaValidationError extends Error {
+    constructor(message, validationErrors) {
+        super(message);
+        this.name = 'SchemaValidationError';
+        this.validationErrors = validationErrors || [];
+    }
+}
+
+// Validates parsed function arguments against the function schema's parameters.
+// Empty arrays/objects are filled in for missing containers; missing or mistyped scalars are reported.
+// Returns { value, errors, repaired }
+function validateAndRepairSummary(summaryObj, functionSchema) {
+    const rootSchema = functionSchema.parameters || {};
+    const value = repairAgainstSchema(summaryObj, rootSchema, rootSchema);
+    const errors = validateAgainstSchema(value, rootSchema, rootSchema, '$');
+    const repaired = JSON.stringify(value) !== JSON.stringify(summaryObj);
+    return { value, errors, repaired };
+}
+
+// Resolves local "#/..." $ref pointers against the root schema
+function resolveSchemaRef(schema, rootSchema) {
+    if (schema && typeof schema.$ref === 'string' && schema.$ref.startsWith('#/')) {
+        const target = schema.$ref.substring(2).split('/').reduce((node, key) => (node ? node[key] : undefined), rootSchema);
+        return target || {};
+    }
+    return schema || {};
+}
+
+// Returns the JSON schema type name of a value ('integer' for whole numbers)
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesSchemaType(value, type) {
+    if (!type) return true;
+    const actualType = getJsonType(value);
+    return [].concat(type).some(t => t === actualType || (t === 'number' && actualType === 'integer'));
+}
+
+// Minimal JSON schema validator covering the keywords used by the function schemas
+// (type, properties, required, items, enum, pattern, minItems, local $ref)
+function validateAgainstSchema(value, schema, rootSchema, pointer) {
+    const node = resolveSchemaRef(schema, rootSchema);
+    const errors = [];
+
+    if (value === undefined) {
+        return errors;
+    }
+    if (!matchesSchemaType(value, node.type)) {
+        errors.push(`${pointer}: expected ${[].concat(node.type).join('|')}, got ${getJsonType(value)}`);
+        return errors;
+    }
+    if (Array.isArray(node.enum) && !node.enum.includes(value)) {
+        errors.push(`${pointer}: value ${JSON.stringify(value)} is not one of ${node.enum.join(', ')}`);
+    }
+    if (typeof value === 'string' && node.pattern && !new RegExp(node.pattern).test(value)) {
+        errors.push(`${pointer}: value "${value}" does not match pattern ${node.pattern}`);
+    }
+    if (Array.isArray(value)) {
+        if (typeof node.minItems === 'number' && value.length < node.minItems) {
+            errors.push(`${pointer}: expected at least ${node.minItems} item(s), got ${value.length}`);
+        }
+        if (node.items) {
+            value.forEach((item, index) => errors.push(...validateAgainstSchema(item, node.items, rootSchema, `${pointer}[${index}]`)));
+        }
+    } else if (getJsonType(value) === 'object') {
+        for (const key of node.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${pointer}.${key}: missing required property`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(node.properties || {})) {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validateAgainstSchema(value[key], propertySchema, rootSchema, `${pointer}.${key}`));
+            }
+        }
+    }
+    return errors;
+}
+
+// Returns a repaired copy of the value: coerces numeric strings, stringifies scalars where strings are expected,
+// wraps single values into arrays, normalises enum casing and fills in missing required arrays/objects.
+function repairAgainstSchema(value, schema, rootSchema) {
+    const node = resolveSchemaRef(schema, rootSchema);
+    const expectedTypes = [].concat(node.type || []);
+    const expects = type => expectedTypes.includes(type);
+
+    if (value === undefined || value === null) {
+        if (expects('null')) return value;
+        if (expects('array')) return [];
+        if (expects('object')) return repairAgainstSchema({}, node, rootSchema);
+        return value; // Scalars cannot be invented; leave for validation to report
+    }
+    if (expectedTypes.length === 0 || matchesSchemaType(value, node.type)) {
+        if (Array.isArray(value)) {
+            return node.items ? value.map(item => repairAgainstSchema(item, node.items, rootSchema)) : value;
+        }
+        if (getJsonType(value) === 'object') {
+            const repairedObj = { ...value };
+            for (const [key, propertySchema] of Object.entries(node.properties || {})) {
+                if (repairedObj[key] !== undefined || (node.required || []).includes(key)) {
+                    const repairedValue = repairAgainstSchema(repairedObj[key], propertySchema, rootSchema);
+                    if (repairedValue !== undefined) repairedObj[key] = repairedValue;
+                }
+            }
+            return repairedObj;
+        }
+        if (typeof value === 'string' && Array.isArray(node.enum) && !node.enum.includes(value)) {
+            const enumMatch = node.enum.find(option => typeof option === 'string' && option.toLowerCase() === value.trim().toLowerCase());
+            return enumMatch !== undefined ? enumMatch : value;
+        }
+        return value;
+    }
+    // Type mismatch: attempt a safe coercion
+    if ((expects('integer') || expects('number')) && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        const numericValue = Number(value);
+        return expects('integer') && !expects('number') ? Math.round(numericValue) : numericValue;
+    }
+    if (expects('integer') && typeof value === 'number') {
+        return Math.round(value);
+    }
+    if (expects('string') && (typeof value === 'number' || typeof value === 'boolean')) {
+        return repairAgainstSchema(String(value), node, rootSchema);
+    }
+    if (expects('array') && !Array.isArray(value)) {
+        return repairAgainstSchema([value], node, rootSchema);
+    }
+    return value;
+}
+
+
+module.exports = {
+    DEFAULT_FUNCTIONS_VERSION, validateCallbackUrl, parseFunctionSchemas, parseAccountIdList, parseDateRange,
+    isSalesforceId, SchemaValidationError, validateAndRepairSummary, resolveSchemaRef
+};
@@ -0,0 +1,108 @@
+// AI result cache (lib/ai-cache) on the memory store, driven through generateValidatedSummary with a stub provider:
+// reuse of identical runs, the per-request bypass, the TTL and the encryption of cached entries.
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    AI_CACHE_STORE: 'memory',
+    AI_CACHE_TTL_SECONDS: '60'
+});
+
+const { aiResultCache, getAiResultCacheKey } = require('../lib/ai-cache');
+const { generateValidatedSummary } = require('../lib/llm');
+
+const SUMMARIZER = { name: 'Monthly Summarizer', instructions: 'Summarize the activities.', model: 'test-model' };
+const FUNCTION_SCHEMA = { name: 'generate_monthly_activity_summary', parameters: { type: 'object', properties: {} } };
+const PROMPT = 'Summarize January 2024.';
+
+let provider;
+let activities;
+
+beforeEach(() => {
+    let calls = 0;
+    provider = {
+        name: 'stub',
+        generate: mock.fn(async () => ({ summary: `Call ${++calls}: met Jane Doe about the renewal` }))
+    };
+    // Unique per test, so every test starts with an empty cache entry
+    activities = [{ Id: `00T${Date.now()}${Math.random()}`, Subject: 'Renewal call' }];
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+function generate(bypassCache = false) {
+    return generateValidatedSummary(activities, provider, SUMMARIZER, PROMPT, FUNCTION_SCHEMA, null, bypassCache);
+}
+
+test('reuses the cached result of an identical run', async () => {
+    const first = await generate();
+    const second = await generate();
+
+    assert.deepEqual(second, first);
+    assert.equal(provider.generate.mock.callCount(), 1);
+});
+
+test('a different prompt is a different cache entry', async () => {
+    await generate();
+    await generateValidatedSummary(activities, provider, SUMMARIZER, 'Summarize February 2024.', FUNCTION_SCHEMA);
+
+    assert.equal(provider.generate.mock.callCount(), 2);
+});
+
+test('bypassCache regenerates the result and caches the fresh one', async () => {
+    await generate();
+    const fresh = await generate(true);
+    const reused = await generate();
+
+    assert.equal(provider.generate.mock.callCount(), 2);
+    assert.equal(fresh.summary, 'Call 2: met Jane Doe about the renewal');
+    assert.deepEqual(reused, fresh);
+});
+
+test('regenerates the result once the TTL has passed', async () => {
+    await generate();
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + 61 * 1000);
+
+    const result = await generate();
+
+    assert.equal(provider.generate.mock.callCount(), 2);
+    assert.equal(result.summary, 'Call 2: met Jane Doe about the renewal');
+});
+
+test('stores results encrypted with the queue key', async () => {
+    await generate();
+
+    const stored = await aiResultCache.get(getAiResultCacheKey(activities, provider, SUMMARIZER, PROMPT, FUNCTION_SCHEMA));
+
+    assert.match(stored, /^enc:v1:/);
+    assert.doesNotMatch(stored, /Jane Doe/);
+});
+
+test('ignores entries that were cached unencrypted', async () => {
+    const key = getAiResultCacheKey(activities, provider, SUMMARIZER, PROMPT, FUNCTION_SCHEMA);
+    await aiResultCache.set(key, { result: { summary: 'Planted' }, createdAt: new Date().toISOString() }, 60);
+
+    const result = await generate();
+
+    assert.equal(result.summary, 'Call 1: met Jane Doe about the renewal');
+});
+
+test('the cache is off unless AI_CACHE_STORE is set, or redis when REDIS_URL is', () => {
+    const defaultStore = env => execFileSync(process.execPath, ['-p', "require('./lib/config').AI_CACHE_STORE_TYPE"], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, AI_CACHE_STORE: '', ...env },
+        encoding: 'utf8'
+    }).trim();
+
+    assert.equal(defaultStore({ REDIS_URL: '' }), 'off');
+    assert.equal(defaultStore({ REDIS_URL: 'redis://127.0.0.1:1' }), 'redis');
+});
@@ -0,0 +1,156 @@
+// Assistant configuration drift: reconcileAssistant under each ASSISTANT_RECONCILE mode, with a stub OpenAI client,
+// and GET /admin/assistants/drift on the Express app with the assistants API mocked. Startup does not run here, so
+// no assistant is created or retrieved. Stores are in memory; the file queue lives in a temporary directory.
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ADMIN_KEY = 'admin-key';
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assistants-queue-'));
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    ENABLE_ASSISTANTS: 'true',
+    OPENAI_API_KEY: 'sk-test',
+    OPENAI_MODEL: 'gpt-4o',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    JOB_STORE: 'memory',
+    JOB_EVENTS_BACKEND: 'memory',
+    AI_CACHE_STORE: 'off',
+    QUEUE_DIR: queueDir,
+    ADMIN_API_KEY: ADMIN_KEY
+});
+delete process.env.ASSISTANT_RECONCILE;
+
+const { app, reconcileAssistant } = require('../index');
+const { openai } = require('../lib/llm');
+
+const DESIRED = {
+    name: 'Salesforce Monthly Summarizer',
+    instructions: 'Summarize the month.',
+    model: 'gpt-4o',
+    tools: [{ type: 'file_search' }, { type: 'function' }]
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// An assistant as the API returns it, with the desired configuration unless overridden
+function assistant(overrides = {}) {
+    return { id: 'asst_monthly', object: 'assistant', ...DESIRED, tools: [{ type: 'function', function: null }, { type: 'file_search' }], ...overrides };
+}
+
+function stubClient(update = async (id, params) => ({ ...assistant(params), id })) {
+    return { beta: { assistants: { update: mock.fn(update) } } };
+}
+
+// --- Reconciliation ---
+
+test('leaves an assistant that matches the configuration alone, whatever the order of its tools', async () => {
+    const client = stubClient();
+    const current = assistant();
+
+    assert.equal(await reconcileAssistant(client, current, DESIRED), current);
+    assert.equal(client.beta.assistants.update.mock.callCount(), 0);
+});
+
+test('updates a drifted assistant in place by default', async () => {
+    const client = stubClient();
+
+    const reconciled = await reconcileAssistant(client, assistant({ model: 'gpt-4-turbo', instructions: 'Old instructions.', tools: [{ type: 'function' }] }), DESIRED);
+
+    assert.equal(client.beta.assistants.update.mock.callCount(), 1);
+    assert.deepEqual(client.beta.assistants.update.mock.calls[0].arguments, ['asst_monthly', DESIRED]);
+    assert.equal(reconciled.model, 'gpt-4o');
+    assert.equal(reconciled.instructions, 'Summarize the month.');
+});
+
+test('keeps the current configuration when the update fails', async () => {
+    const client = stubClient(async () => { throw new Error('500 server error'); });
+    const current = assistant({ model: 'gpt-4-turbo' });
+
+    assert.equal(await reconcileAssistant(client, current, DESIRED), current);
+});
+
+test('only reports drift with ASSISTANT_RECONCILE=check and ignores it with off', () => {
+    // ASSISTANT_RECONCILE is read when the app loads, so each mode runs in its own process
+    const reconcileIn = mode => {
+        const script = `
+            const { reconcileAssistant } = require('./index');
+            const client = { beta: { assistants: { update: async () => { throw new Error('updated'); } } } };
+            reconcileAssistant(client, ${JSON.stringify(assistant({ model: 'gpt-4-turbo' }))}, ${JSON.stringify(DESIRED)})
+                .then(result => { console.log('RESULT ' + JSON.stringify(result)); process.exit(0); });`;
+        return execFileSync(process.execPath, ['-e', script], {
+            cwd: path.join(__dirname, '..'),
+            env: { ...process.env, ASSISTANT_RECONCILE: mode },
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+            timeout: 30000
+        });
+    };
+
+    for (const mode of ['check', 'off']) {
+        const output = reconcileIn(mode);
+        const result = JSON.parse(output.split('\n').find(line => line.startsWith('RESULT ')).substring('RESULT '.length));
+        assert.equal(result.model, 'gpt-4-turbo', mode);
+    }
+});
+
+// --- Drift report ---
+
+test('GET /admin/assistants/drift reports the differences of each tier without changing anything', async () => {
+    // The tiers are retrieved in order: monthly, quarterly, yearly
+    const retrieved = [
+        { id: 'asst_monthly', name: 'Salesforce Monthly Summarizer', model: 'gpt-4-turbo', tools: [{ type: 'function' }] },
+        { id: 'asst_quarterly', name: 'Salesforce Quarterly Summarizer', model: 'gpt-4o', tools: [{ type: 'file_search' }, { type: 'function' }] },
+        { id: 'asst_yearly', name: 'Renamed', model: 'gpt-4o', tools: [{ type: 'file_search' }, { type: 'function' }] }
+    ];
+    let retrievals = 0;
+    mock.method(openai.beta.assistants, 'retrieve', async () => retrieved[retrievals++]);
+    const update = mock.method(openai.beta.assistants, 'update', async () => { throw new Error('The drift check must not update assistants'); });
+
+    const response = await fetch(`${baseUrl}/admin/assistants/drift`, { headers: { 'X-Admin-Key': ADMIN_KEY } });
+
+    assert.equal(response.status, 200);
+    const { reconcile, assistants } = await response.json();
+    assert.equal(reconcile, 'update');
+    assert.deepEqual(assistants.map(({ tier, drift }) => [tier, drift.map(({ field }) => field)]), [
+        ['monthly', ['model', 'instructions', 'tools']],
+        ['quarterly', ['instructions']],
+        ['yearly', ['name', 'instructions']]
+    ]);
+    assert.deepEqual(assistants[0].drift.find(({ field }) => field === 'tools'), {
+        field: 'tools', actual: ['function'], expected: ['file_search', 'function']
+    });
+    assert.ok(assistants.every(({ inSync }) => inSync === false));
+    assert.equal(update.mock.callCount(), 0);
+});
+
+test('GET /admin/assistants/drift answers 502 when the assistants cannot be retrieved', async () => {
+    mock.method(openai.beta.assistants, 'retrieve', async () => { throw new Error('Connection error.'); });
+
+    const response = await fetch(`${baseUrl}/admin/assistants/drift`, { headers: { 'X-Admin-Key': ADMIN_KEY } });
+
+    assert.equal(response.status, 502);
+    assert.match((await response.json()).error, /Connection error/);
+});
@@ -0,0 +1,131 @@
+// Batch endpoint end to end: POST /generatesummary/batch on the Express app, then the queued batch run the way the
+// worker runs it (runQueuedJob) against the mock LLM provider and a stubbed Salesforce connection. A local HTTP
+// server receives the callbacks. Stores are in memory; the file queue lives in a temporary directory.
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-queue-'));
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    JOB_STORE: 'memory',
+    JOB_EVENTS_BACKEND: 'memory',
+    AI_CACHE_STORE: 'off',
+    QUEUE_DIR: queueDir
+});
+
+const jsforce = require('jsforce');
+const { app, runQueuedJob } = require('../index');
+const { createJobQueue } = require('../lib/queue');
+
+const SUCCEEDING_ACCOUNT_ID = '001000000000001AAA';
+const FAILING_ACCOUNT_ID = '001000000000002AAA';
+
+const queue = createJobQueue('file');
+let appServer;
+let callbackServer;
+let baseUrl;
+let callbackUrl;
+let callbacks; // Parsed bodies of every callback received
+
+before(async () => {
+    appServer = app.listen(0, '127.0.0.1');
+    callbackServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            callbacks.push(JSON.parse(body));
+            res.end('{}');
+        });
+    });
+    callbackServer.listen(0, '127.0.0.1');
+    await Promise.all([appServer, callbackServer].map(server => new Promise(resolve => server.once('listening', resolve))));
+    baseUrl = `http://127.0.0.1:${appServer.address().port}`;
+    callbackUrl = `http://127.0.0.1:${callbackServer.address().port}/callback`;
+});
+
+after(() => {
+    appServer.close();
+    callbackServer.close();
+    fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    callbacks = [];
+    // The activity query of the second account fails, so that account fails as a whole
+    mock.method(jsforce.Connection.prototype, 'query', async soql => {
+        if (soql.includes('FROM Task')) {
+            if (soql.includes(FAILING_ACCOUNT_ID)) throw new Error('INVALID_QUERY_FILTER_OPERATOR');
+            const records = [{ Id: '00T000000000001', Subject: 'Renewal call', Description: 'Discussed the renewal.', CreatedDate: '2024-01-10T10:00:00Z' }];
+            return { done: true, totalSize: records.length, records };
+        }
+        return { done: true, totalSize: 0, records: [] };
+    });
+    mock.method(jsforce.Connection.prototype, 'sobject', () => ({
+        create: async records => records.map((record, index) => ({ id: `a0X00000000000${index}`, success: true, errors: [] }))
+    }));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// Posts a batch for both accounts and runs its queue entry to completion; resolves to the batch ID
+async function runBatch(sendCallback) {
+    const response = await fetch(`${baseUrl}/generatesummary/batch`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer caller-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            accountIds: [SUCCEEDING_ACCOUNT_ID, FAILING_ACCOUNT_ID],
+            callbackUrl,
+            userPrompt: 'Summarize the activities of {{Month}} {{Year}}.',
+            userPromptQtr: 'Summarize the quarter {{Quarter}} {{Year}}.',
+            queryText: "SELECT Id, Subject, Description, CreatedDate FROM Task WHERE WhatId = '{{AccountId}}'",
+            loggedinUserId: '005000000000001AAA',
+            timeZone: 'UTC',
+            sendCallback
+        })
+    });
+    assert.equal(response.status, 202);
+    const { batchId } = await response.json();
+
+    const entry = await queue.claim('test-worker', 60000);
+    assert.equal(entry.id, batchId);
+    await runQueuedJob(entry, 'test-worker');
+    return batchId;
+}
+
+async function getJob(id) {
+    const response = await fetch(`${baseUrl}/jobs/${id}`, { headers: { Authorization: 'Bearer caller-token' } });
+    return response.json();
+}
+
+test('sends one consolidated callback with every account outcome when sendCallback is Yes', async () => {
+    const batchId = await runBatch('Yes');
+
+    assert.equal(callbacks.length, 1, 'no per-account callbacks');
+    const [callback] = callbacks;
+    assert.equal(callback.batchId, batchId);
+    assert.equal(callback.accountId, null);
+    assert.equal(callback.processResult, 'PartialSuccess');
+    assert.deepEqual(callback.accountCounts, { total: 2, succeeded: 1, partial: 0, failed: 1 });
+    assert.deepEqual(callback.results.map(result => [result.accountId, result.status]), [
+        [SUCCEEDING_ACCOUNT_ID, 'Success'],
+        [FAILING_ACCOUNT_ID, 'Failed']
+    ]);
+});
+
+test('sends no callback at all when sendCallback is not Yes, even when accounts fail', async () => {
+    const batchId = await runBatch('No');
+
+    assert.equal(callbacks.length, 0);
+    const batch = await getJob(batchId);
+    assert.equal(batch.outcome, 'PartialSuccess');
+    assert.equal(batch.results.length, 2);
+});
@@ -0,0 +1,192 @@
+// Callback delivery (lib/callbacks) to a local HTTP server: the signature header, retries, dead-lettering of
+// undeliverable callbacks, and the admin endpoints that list and replay them on the Express app. Stores are in
+// memory; the file queue lives in a temporary directory.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const SIGNING_SECRET = 'callback-signing-secret';
+const ADMIN_KEY = 'admin-key';
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'callbacks-queue-'));
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    JOB_STORE: 'memory',
+    JOB_EVENTS_BACKEND: 'memory',
+    AI_CACHE_STORE: 'off',
+    QUEUE_DIR: queueDir,
+    CALLBACK_SIGNING_SECRET: SIGNING_SECRET,
+    CALLBACK_MAX_ATTEMPTS: '3',
+    CALLBACK_RETRY_BASE_DELAY_MS: '1',
+    ADMIN_API_KEY: ADMIN_KEY
+});
+delete process.env.DEAD_LETTER_STORE;
+
+const { app } = require('../index');
+const { deadLetterStore, sendCallbackResponse } = require('../lib/callbacks');
+
+const ACCOUNT_ID = '001000000000001AAA';
+const USER_ID = '005000000000001AAA';
+
+let appServer;
+let callbackServer;
+let baseUrl;
+let callbackUrl;
+let responses; // Status codes the callback server answers with, in order; 200 once they run out
+let received; // { headers, body } of every callback request
+
+before(async () => {
+    appServer = app.listen(0, '127.0.0.1');
+    callbackServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = responses.shift() || 200;
+            res.end('{}');
+        });
+    });
+    callbackServer.listen(0, '127.0.0.1');
+    await Promise.all([appServer, callbackServer].map(server => new Promise(resolve => server.once('listening', resolve))));
+    baseUrl = `http://127.0.0.1:${appServer.address().port}`;
+    callbackUrl = `http://127.0.0.1:${callbackServer.address().port}/callback`;
+});
+
+after(() => {
+    appServer.close();
+    callbackServer.close();
+    fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    responses = [];
+    received = [];
+    for (const deadLetter of await deadLetterStore.list()) {
+        await deadLetterStore.remove(deadLetter.id);
+    }
+});
+
+function sendCallback(accessToken = 'caller-token') {
+    return sendCallbackResponse(ACCOUNT_ID, callbackUrl, USER_ID, accessToken, 'Success', 'Summaries saved.', { jobId: 'job-1' });
+}
+
+function admin(method, url, body) {
+    return fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'X-Admin-Key': ADMIN_KEY, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+}
+
+function expectedSignature({ headers, body }) {
+    return `sha256=${crypto.createHmac('sha256', SIGNING_SECRET).update(`${headers['x-callback-timestamp']}.${body}`).digest('hex')}`;
+}
+
+test('signs the callback body with CALLBACK_SIGNING_SECRET and sends the caller token', async () => {
+    await sendCallback();
+
+    assert.equal(received.length, 1);
+    const [request] = received;
+    assert.equal(request.headers['x-callback-signature'], expectedSignature(request));
+    assert.ok(Math.abs(Number(request.headers['x-callback-timestamp']) - Date.now() / 1000) < 60);
+    assert.equal(request.headers.authorization, 'Bearer caller-token');
+    assert.deepEqual(JSON.parse(request.body), {
+        accountId: ACCOUNT_ID,
+        loggedinUserId: USER_ID,
+        status: 'Completed',
+        processResult: 'Success',
+        message: 'Summaries saved.',
+        jobId: 'job-1'
+    });
+});
+
+test('retries server errors and rate limits until the callback is delivered', async () => {
+    responses = [503, 429];
+
+    await sendCallback();
+
+    assert.equal(received.length, 3);
+    assert.deepEqual(await deadLetterStore.list(), []);
+});
+
+test('dead-letters a callback that fails every attempt, without its access token', async () => {
+    responses = [500, 500, 500];
+
+    await sendCallback();
+
+    assert.equal(received.length, 3);
+    const [deadLetter] = await deadLetterStore.list();
+    assert.equal(deadLetter.jobId, 'job-1');
+    assert.equal(deadLetter.attempts, 3);
+    assert.equal(deadLetter.lastError.status, 500);
+    assert.equal(deadLetter.accessToken, undefined);
+    assert.doesNotMatch(JSON.stringify(deadLetter), /caller-token/);
+});
+
+test('does not retry a callback the receiver rejects', async () => {
+    responses = [400];
+
+    await sendCallback();
+
+    assert.equal(received.length, 1);
+    const [deadLetter] = await deadLetterStore.list();
+    assert.equal(deadLetter.attempts, 1);
+    assert.equal(deadLetter.lastError.status, 400);
+});
+
+test('lists dead letters to admins only', async () => {
+    responses = [400];
+    await sendCallback();
+
+    const listed = await admin('GET', `/admin/callbacks/dead-letters?accountId=${ACCOUNT_ID}`);
+    const unauthorized = await fetch(`${baseUrl}/admin/callbacks/dead-letters`, { headers: { 'X-Admin-Key': 'wrong-key' } });
+
+    assert.equal(listed.status, 200);
+    assert.deepEqual((await listed.json()).deadLetters.map(deadLetter => deadLetter.callbackUrl), [callbackUrl]);
+    assert.equal(unauthorized.status, 401);
+});
+
+test('replays a dead letter with the token given by the admin and removes it once delivered', async () => {
+    responses = [400];
+    await sendCallback();
+    const [deadLetter] = await deadLetterStore.list();
+
+    const response = await admin('POST', `/admin/callbacks/dead-letters/${deadLetter.id}/replay`, { accessToken: 'fresh-token' });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { status: 'delivered', id: deadLetter.id });
+    const replayed = received[1];
+    assert.equal(replayed.body, received[0].body);
+    assert.equal(replayed.headers.authorization, 'Bearer fresh-token');
+    assert.equal(replayed.headers['x-callback-signature'], expectedSignature(replayed));
+    assert.equal(await deadLetterStore.get(deadLetter.id), null);
+});
+
+test('keeps a dead letter whose replay fails, recording the attempt', async () => {
+    responses = [400, 503];
+    await sendCallback();
+    const [deadLetter] = await deadLetterStore.list();
+
+    // Signed only: no access token is needed while CALLBACK_SIGNING_SECRET is set
+    const response = await admin('POST', `/admin/callbacks/dead-letters/${deadLetter.id}/replay`);
+
+    assert.equal(response.status, 502);
+    assert.equal(received.length, 2, 'a replay is a single attempt');
+    assert.equal(received[1].headers.authorization, undefined);
+    const stored = await deadLetterStore.get(deadLetter.id);
+    assert.equal(stored.attempts, 2);
+    assert.equal(stored.lastError.status, 503);
+});
+
+test('answers 404 when replaying an unknown dead letter', async () => {
+    const response = await admin('POST', '/admin/callbacks/dead-letters/no-such-id/replay', {});
+
+    assert.equal(response.status, 404);
+});
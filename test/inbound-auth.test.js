@@ -0,0 +1,101 @@
+// Inbound request authentication (lib/inbound-auth) with INBOUND_AUTH=salesforce. A local HTTP server plays the
+// userinfo endpoint of two registered orgs; only the first is in INBOUND_ALLOWED_ORG_IDS.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ALLOWED_ORG_ID = '00D000000000001AAA';
+const FOREIGN_ORG_ID = '00D000000000002AAA';
+// Bearer token -> the org and user its userinfo response names
+const TOKEN_OWNERS = {
+    'allowed-token': { organization_id: ALLOWED_ORG_ID, user_id: '005000000000001AAA', preferred_username: 'user@allowed.example.com' },
+    'foreign-token': { organization_id: FOREIGN_ORG_ID, user_id: '005000000000002AAA', preferred_username: 'user@foreign.example.com' }
+};
+
+const BASE_ENV = {
+    LLM_PROVIDER: 'mock',
+    INBOUND_AUTH: 'salesforce',
+    CALLBACK_ALLOWED_HOSTS: '*.my.salesforce.com',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key'
+};
+
+let server;
+let requireInboundAuth;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const owner = TOKEN_OWNERS[(req.headers.authorization || '').replace(/^Bearer /, '')];
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url !== '/services/oauth2/userinfo' || !owner) {
+            res.statusCode = 401;
+            return res.end(JSON.stringify({ error: 'invalid_token' }));
+        }
+        res.end(JSON.stringify(owner));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    Object.assign(process.env, BASE_ENV, {
+        SF_LOGIN_URL: baseUrl,
+        INBOUND_ALLOWED_ORG_IDS: ALLOWED_ORG_ID,
+        SF_ORGS: JSON.stringify({ [ALLOWED_ORG_ID]: { instanceUrl: baseUrl }, [FOREIGN_ORG_ID]: { instanceUrl: baseUrl } })
+    });
+    ({ requireInboundAuth } = require('../lib/inbound-auth'));
+});
+
+after(() => {
+    server.close();
+});
+
+// Runs the middleware for a POST to /generatesummary; resolves to { next: true } or { status, body }
+function authenticate(accessToken, body) {
+    const req = { method: 'POST', path: '/generatesummary', headers: {}, accessToken, body };
+    return new Promise(resolve => {
+        const res = {
+            status(code) {
+                return { json: payload => resolve({ status: code, body: payload, req }) };
+            }
+        };
+        requireInboundAuth(req, res, () => resolve({ next: true, req }));
+    });
+}
+
+test('accepts a token of an allowed org and exposes the verified user', async () => {
+    const result = await authenticate('allowed-token', { orgId: ALLOWED_ORG_ID });
+
+    assert.equal(result.next, true);
+    assert.deepEqual(result.req.inboundAuth, {
+        method: 'salesforce', orgId: ALLOWED_ORG_ID, userId: '005000000000001AAA', username: 'user@allowed.example.com'
+    });
+});
+
+test('rejects a valid token of a foreign org that targets an allowed org', async () => {
+    const result = await authenticate('foreign-token', { orgId: ALLOWED_ORG_ID });
+
+    assert.equal(result.status, 401);
+});
+
+test('rejects a foreign org that targets itself, even when it is registered', async () => {
+    const result = await authenticate('foreign-token', { orgId: FOREIGN_ORG_ID });
+
+    assert.equal(result.status, 401);
+});
+
+test('rejects a token the org does not recognize', async () => {
+    const result = await authenticate('unknown-token', { orgId: ALLOWED_ORG_ID });
+
+    assert.equal(result.status, 401);
+});
+
+test('the web process refuses to start with INBOUND_AUTH=salesforce and no org allowlist', () => {
+    const result = spawnSync(process.execPath, ['-e', "require('./lib/config')"], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...BASE_ENV, PATH: process.env.PATH, SF_LOGIN_URL: 'https://example.my.salesforce.com', INBOUND_ALLOWED_ORG_IDS: '' },
+        encoding: 'utf8'
+    });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /INBOUND_ALLOWED_ORG_IDS is required/);
+});
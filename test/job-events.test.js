@@ -0,0 +1,147 @@
+// The Server-Sent Events stream of a job (GET /jobs/:id/events), served by the Express app on a local port. Jobs run
+// the way the worker runs them (runQueuedJob) against the mock LLM provider and a stubbed Salesforce connection.
+// Stores and the event bus are in memory; the file queue lives in a temporary directory.
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-events-queue-'));
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    JOB_STORE: 'memory',
+    JOB_EVENTS_BACKEND: 'memory',
+    AI_CACHE_STORE: 'off',
+    QUEUE_DIR: queueDir
+});
+
+const jsforce = require('jsforce');
+const { app, runQueuedJob } = require('../index');
+const { createJobQueue } = require('../lib/queue');
+
+const ACCOUNT_ID = '001000000000001AAA';
+
+const queue = createJobQueue('file');
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    mock.method(jsforce.Connection.prototype, 'query', async soql => {
+        if (soql.includes('FROM Task')) {
+            const records = [{ Id: '00T000000000001', Subject: 'Renewal call', CreatedDate: '2024-01-10T10:00:00Z' }];
+            return { done: true, totalSize: records.length, records };
+        }
+        return { done: true, totalSize: 0, records: [] };
+    });
+    mock.method(jsforce.Connection.prototype, 'sobject', () => ({
+        create: async records => records.map((record, index) => ({ id: `a0X00000000000${index}`, success: true, errors: [] }))
+    }));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+async function postSummary() {
+    const response = await fetch(`${baseUrl}/generatesummary`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer caller-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            accountId: ACCOUNT_ID,
+            callbackUrl: 'https://example.my.salesforce.com/callback',
+            userPrompt: 'Summarize the activities of {{Month}} {{Year}}.',
+            userPromptQtr: 'Summarize the quarter {{Quarter}} {{Year}}.',
+            queryText: `SELECT Id, Subject, CreatedDate FROM Task WHERE WhatId = '${ACCOUNT_ID}'`,
+            loggedinUserId: '005000000000001AAA',
+            timeZone: 'UTC'
+        })
+    });
+    return (await response.json()).jobId;
+}
+
+async function runNextQueuedJob() {
+    const entry = await queue.claim('test-worker', 60000);
+    await runQueuedJob(entry, 'test-worker');
+}
+
+function openEventStream(jobId) {
+    return fetch(`${baseUrl}/jobs/${jobId}/events`, { headers: { Authorization: 'Bearer caller-token' } });
+}
+
+// Parses a complete event stream into [{ id, type, data }], skipping keep-alive comments
+function parseEvents(text) {
+    return text.split('\n\n').filter(block => block.startsWith('id:')).map(block => {
+        const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+test('does not accept the access token in the query string', async () => {
+    const response = await fetch(`${baseUrl}/jobs/00000000-0000-0000-0000-000000000000/events?access_token=caller-token`);
+
+    assert.equal(response.status, 401);
+});
+
+test('answers 404 for an unknown job when the token is in the Authorization header', async () => {
+    const response = await fetch(`${baseUrl}/jobs/00000000-0000-0000-0000-000000000000/events`, {
+        headers: { Authorization: 'Bearer caller-token' }
+    });
+
+    assert.equal(response.status, 404);
+});
+
+test('streams the snapshot, then the progress of the job until it completes', async () => {
+    const jobId = await postSummary();
+    const response = await openEventStream(jobId);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    const streamed = response.text(); // Ends when the server closes the stream after the last event
+
+    await runNextQueuedJob();
+    const events = parseEvents(await streamed);
+
+    assert.deepEqual(events.map(event => event.id), events.map((event, index) => index + 1));
+    assert.equal(events[0].type, 'snapshot');
+    assert.equal(events[0].data.id, jobId);
+    assert.equal(events[0].data.status, 'queued');
+    const types = events.map(event => event.type);
+    assert.equal(events.find(event => event.type === 'records_fetched').data.recordCount, 1);
+    assert.ok(types.indexOf('period_started') < types.indexOf('period_completed'));
+    assert.deepEqual(events.filter(event => event.type === 'period_completed').map(event => [event.data.category, event.data.period]), [
+        ['Monthly', 'January 2024'],
+        ['Quarterly', 'Q1 2024']
+    ]);
+    assert.deepEqual(events.filter(event => event.type === 'saved').map(event => [event.data.category, event.data.saveSummary.status]), [
+        ['Monthly', 'Success'],
+        ['Quarterly', 'Success']
+    ]);
+    assert.ok(events.some(event => event.type === 'stage' && event.data.stage === 'fetching'));
+    const last = events.at(-1);
+    assert.deepEqual([last.type, last.data.jobId, last.data.outcome], ['completed', jobId, 'Success']);
+});
+
+test('sends the snapshot and the outcome of a finished job, then closes the stream', async () => {
+    const jobId = await postSummary();
+    await runNextQueuedJob();
+
+    const events = parseEvents(await (await openEventStream(jobId)).text());
+
+    assert.deepEqual(events.map(event => event.type), ['snapshot', 'completed']);
+    assert.equal(events[0].data.status, 'completed');
+    assert.deepEqual(events[1].data, { jobId, outcome: 'Success', error: null });
+});
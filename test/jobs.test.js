@@ -0,0 +1,154 @@
+// Job IDs and the job status API (GET /jobs/:id, GET /jobs) on the Express app. Jobs are posted to
+// /generatesummary and run the way the worker runs them (runQueuedJob) against the mock LLM provider and a stubbed
+// Salesforce connection. Stores are in memory; the file queue lives in a temporary directory.
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-queue-'));
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    JOB_STORE: 'memory',
+    JOB_EVENTS_BACKEND: 'memory',
+    AI_CACHE_STORE: 'off',
+    QUEUE_DIR: queueDir
+});
+
+const jsforce = require('jsforce');
+const { app, runQueuedJob } = require('../index');
+const { createJobQueue } = require('../lib/queue');
+const { getJobOwner, isJobVisibleTo } = require('../lib/inbound-auth');
+
+const ACCOUNT_ID = '001000000000001AAA';
+const OTHER_ACCOUNT_ID = '001000000000002AAA';
+
+const queue = createJobQueue('file');
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    mock.method(jsforce.Connection.prototype, 'query', async soql => {
+        if (soql.includes('FROM Task')) {
+            const records = [
+                { Id: '00T000000000001', Subject: 'Kickoff', CreatedDate: '2024-01-10T10:00:00Z' },
+                { Id: '00T000000000002', Subject: 'Renewal call', CreatedDate: '2024-02-12T10:00:00Z' }
+            ];
+            return { done: true, totalSize: records.length, records };
+        }
+        return { done: true, totalSize: 0, records: [] };
+    });
+    mock.method(jsforce.Connection.prototype, 'sobject', () => ({
+        create: async records => records.map((record, index) => ({ id: `a0X00000000000${index}`, success: true, errors: [] }))
+    }));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { Authorization: 'Bearer caller-token', 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function postSummary(accountId) {
+    return request('POST', '/generatesummary', {
+        accountId,
+        callbackUrl: 'https://example.my.salesforce.com/callback',
+        userPrompt: 'Summarize the activities of {{Month}} {{Year}}.',
+        userPromptQtr: 'Summarize the quarter {{Quarter}} {{Year}}.',
+        queryText: `SELECT Id, Subject, CreatedDate FROM Task WHERE WhatId = '${accountId}'`,
+        loggedinUserId: '005000000000001AAA',
+        timeZone: 'UTC'
+    });
+}
+
+async function runNextQueuedJob() {
+    const entry = await queue.claim('test-worker', 60000);
+    await runQueuedJob(entry, 'test-worker');
+    return entry.id;
+}
+
+test('acknowledges a summary request with a job ID whose status reads queued', async () => {
+    const { status, body } = await postSummary(ACCOUNT_ID);
+
+    assert.equal(status, 202);
+    assert.equal(body.statusUrl, `/jobs/${body.jobId}`);
+    const job = await request('GET', body.statusUrl);
+    assert.equal(job.status, 200);
+    assert.equal(job.body.id, body.jobId);
+    assert.equal(job.body.accountId, ACCOUNT_ID);
+    assert.equal(job.body.status, 'queued');
+    assert.equal(job.body.stage, 'queued');
+    await runNextQueuedJob();
+});
+
+test('reports stage, progress, timings and outcome of a finished job', async () => {
+    const { body: { jobId } } = await postSummary(ACCOUNT_ID);
+    assert.equal(await runNextQueuedJob(), jobId);
+
+    const { body: job } = await request('GET', `/jobs/${jobId}`);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.stage, 'completed');
+    assert.equal(job.outcome, 'Success');
+    assert.equal(job.recordCount, 2);
+    assert.equal(job.attempts, 1);
+    assert.deepEqual(job.progress.Monthly, { total: 2, completed: 2, failed: 0 });
+    assert.deepEqual(job.progress.Quarterly, { total: 1, completed: 1, failed: 0 });
+    assert.equal(job.periods['Monthly January 2024'].status, 'completed');
+    assert.ok(job.timings.monthly.durationMs >= 0);
+    assert.ok(job.completedAt);
+});
+
+test('lists jobs newest first, filtered by account', async () => {
+    const { body: { jobId: first } } = await postSummary(ACCOUNT_ID);
+    await runNextQueuedJob();
+    const { body: { jobId: other } } = await postSummary(OTHER_ACCOUNT_ID);
+    await runNextQueuedJob();
+    const { body: { jobId: second } } = await postSummary(ACCOUNT_ID);
+    await runNextQueuedJob();
+
+    const { body } = await request('GET', `/jobs?accountId=${ACCOUNT_ID}&limit=2`);
+
+    assert.deepEqual(body.jobs.map(job => job.id), [second, first]);
+    assert.ok(!body.jobs.some(job => job.id === other));
+});
+
+test('answers 404 for an unknown job', async () => {
+    const { status } = await request('GET', '/jobs/00000000-0000-0000-0000-000000000000');
+
+    assert.equal(status, 404);
+});
+
+test('jobs are only visible to the caller that started them once inbound auth is on', () => {
+    const alice = { method: 'salesforce', orgId: '00D000000000001AAA', userId: '005000000000001AAA' };
+    const bob = { method: 'salesforce', orgId: '00D000000000001AAA', userId: '005000000000002AAA' };
+    const job = { owner: getJobOwner(alice) };
+
+    assert.equal(job.owner, 'salesforce:00D000000000001AAA:005000000000001AAA');
+    assert.equal(isJobVisibleTo(job, alice), true);
+    assert.equal(isJobVisibleTo(job, bob), false);
+    assert.equal(isJobVisibleTo(job, { method: 'hmac' }), false);
+    assert.equal(isJobVisibleTo({ owner: null }, { method: 'none' }), true);
+});
@@ -0,0 +1,164 @@
+// LLM call pooling (lib/llm): the FIFO concurrency limiter, and the retries, backoff and timeouts runLlmCall applies
+// to every provider call, driven through generateValidatedSummary with a stub provider. The pool holds one call.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    AI_CACHE_STORE: 'off',
+    LLM_CONCURRENCY: '1',
+    LLM_MAX_RETRIES: '2',
+    LLM_RETRY_BASE_DELAY_MS: '1',
+    LLM_RETRY_MAX_DELAY_MS: '300',
+    LLM_CALL_TIMEOUT_MS: '100'
+});
+
+const { generateValidatedSummary, createConcurrencyLimiter } = require('../lib/llm');
+
+const SUMMARIZER = { name: 'Monthly Summarizer', instructions: 'Summarize the activities.', model: 'test-model' };
+const FUNCTION_SCHEMA = { name: 'generate_monthly_activity_summary', parameters: { type: 'object', properties: {} } };
+
+// A provider whose nth call (from 1) runs outcomes[n - 1](signal), or returns a summary once they run out.
+// Every call start and end is appended to events.
+function stubProvider(outcomes, events = []) {
+    let calls = 0;
+    return {
+        name: 'stub',
+        events,
+        get calls() { return calls; },
+        async generate(activities, summarizer, userPrompt, functionSchema, { signal }) {
+            const call = ++calls;
+            events.push(`${userPrompt} start`);
+            try {
+                return outcomes[call - 1] ? await outcomes[call - 1](signal) : { summary: `${userPrompt} done` };
+            } finally {
+                events.push(`${userPrompt} end`);
+            }
+        }
+    };
+}
+
+function generate(provider, prompt = 'A') {
+    return generateValidatedSummary([], provider, SUMMARIZER, prompt, FUNCTION_SCHEMA);
+}
+
+function apiError(status, headers = {}, code = undefined) {
+    return Object.assign(new Error(`${status} error`), { status, headers, code });
+}
+
+// --- Concurrency limiter ---
+
+test('runs at most `limit` tasks at once and starts waiting tasks in order', async () => {
+    const limiter = createConcurrencyLimiter(2);
+    const started = [];
+    const finish = {};
+    const task = name => () => new Promise(resolve => {
+        started.push(name);
+        finish[name] = resolve;
+    });
+
+    const runs = ['a', 'b', 'c', 'd'].map(name => limiter.run(task(name)));
+    await new Promise(setImmediate);
+    assert.deepEqual(started, ['a', 'b']);
+    assert.equal(limiter.active, 2);
+    assert.equal(limiter.pending, 2);
+
+    finish.b('b');
+    await new Promise(setImmediate);
+    assert.deepEqual(started, ['a', 'b', 'c']);
+
+    finish.a('a');
+    finish.c('c');
+    await new Promise(setImmediate);
+    finish.d('d');
+    assert.deepEqual(await Promise.all(runs), ['a', 'b', 'c', 'd']);
+    assert.equal(limiter.active, 0);
+});
+
+test('frees the slot of a task that fails', async () => {
+    const limiter = createConcurrencyLimiter(1);
+
+    await assert.rejects(limiter.run(async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await limiter.run(async () => 'next'), 'next');
+    await new Promise(setImmediate);
+    assert.equal(limiter.active, 0);
+});
+
+// --- Retries and backoff ---
+
+test('retries server errors and rate limits until the call succeeds', async () => {
+    const provider = stubProvider([
+        async () => { throw apiError(500); },
+        async () => { throw apiError(429); }
+    ]);
+
+    const result = await generate(provider);
+
+    assert.equal(result.summary, 'A done');
+    assert.equal(provider.calls, 3);
+});
+
+test('gives up after LLM_MAX_RETRIES retries', async () => {
+    const failure = async () => { throw apiError(503); };
+    const provider = stubProvider([failure, failure, failure, failure]);
+
+    await assert.rejects(generate(provider), /503 error/);
+    assert.equal(provider.calls, 3);
+});
+
+test('does not retry request errors or an exhausted quota', async () => {
+    const badRequest = stubProvider([async () => { throw apiError(400); }]);
+    const noQuota = stubProvider([async () => { throw apiError(429, {}, 'insufficient_quota'); }]);
+
+    await assert.rejects(generate(badRequest), /400 error/);
+    await assert.rejects(generate(noQuota), /429 error/);
+    assert.equal(badRequest.calls, 1);
+    assert.equal(noQuota.calls, 1);
+});
+
+test('waits as long as Retry-After asks, capped at LLM_RETRY_MAX_DELAY_MS', async () => {
+    const provider = stubProvider([async () => { throw apiError(429, { 'retry-after': '10' }); }]);
+    const startedAt = Date.now();
+
+    await generate(provider);
+
+    const elapsedMs = Date.now() - startedAt;
+    assert.ok(elapsedMs >= 290 && elapsedMs < 2000, `waited ${elapsedMs}ms`);
+});
+
+test('releases the pool slot while a call waits to retry', async () => {
+    const events = [];
+    const provider = stubProvider([async () => { throw apiError(429, { 'retry-after-ms': '50' }); }], events);
+
+    const first = generate(provider, 'A');
+    await new Promise(setImmediate);
+    const second = generate(provider, 'B');
+    await Promise.all([first, second]);
+
+    // B runs in the slot A gave up while waiting, before A's retry
+    assert.deepEqual(events, ['A start', 'A end', 'B start', 'B end', 'A start', 'A end']);
+});
+
+// --- Timeouts ---
+
+test('aborts a call that exceeds LLM_CALL_TIMEOUT_MS, frees its slot and retries it', async () => {
+    const events = [];
+    let abortReason;
+    const provider = stubProvider([
+        // Never settles on its own; only the timeout ends it
+        signal => new Promise(() => signal.addEventListener('abort', () => { abortReason = signal.reason; }))
+    ], events);
+
+    const first = generate(provider, 'A');
+    await new Promise(setImmediate);
+    const second = generate(provider, 'B');
+
+    assert.equal((await second).summary, 'B done');
+    assert.equal((await first).summary, 'A done');
+    assert.equal(abortReason.name, 'LlmTimeoutError');
+    assert.match(abortReason.message, /timed out after 100ms/);
+    assert.deepEqual(events, ['A start', 'B start', 'B end', 'A start', 'A end']);
+});
@@ -0,0 +1,163 @@
+// Period helpers of lib/periods: fiscal years and quarters, bucketing activity dates by time zone, and ISO weeks.
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key'
+});
+delete process.env.DEFAULT_TIMEZONE;
+delete process.env.FISCAL_YEAR_START_MONTH;
+delete process.env.FISCAL_YEAR_NAMING;
+
+const {
+    getQuarterFromMonthIndex, getFiscalYear, getFiscalQuarterStartDate, parseFiscalYearOptions, resolveFiscalYearConfig,
+    getActivityDateParts, resolveTimeZone, getIsoWeekInfo, groupActivitiesByIsoWeek
+} = require('../lib/periods');
+
+const USER_ID = '005000000000001AAA';
+
+// A connection whose User query answers with the given TimeZoneSidKey (or fails when it is an Error)
+function connectionWithUserTimeZone(timeZoneSidKey) {
+    return {
+        query: mock.fn(async () => {
+            if (timeZoneSidKey instanceof Error) throw timeZoneSidKey;
+            return { records: [{ TimeZoneSidKey: timeZoneSidKey }] };
+        })
+    };
+}
+
+// --- Fiscal years ---
+
+test('numbers quarters from the fiscal start month', () => {
+    assert.deepEqual([0, 2, 3, 11].map(monthIndex => getQuarterFromMonthIndex(monthIndex)), ['Q1', 'Q1', 'Q2', 'Q4']);
+    // Fiscal year starting in February: January is the last month of Q4, February opens Q1
+    assert.deepEqual([0, 1, 4, 10].map(monthIndex => getQuarterFromMonthIndex(monthIndex, 2)), ['Q4', 'Q1', 'Q2', 'Q4']);
+    // Fiscal year starting in October
+    assert.deepEqual([9, 11, 0, 8].map(monthIndex => getQuarterFromMonthIndex(monthIndex, 10)), ['Q1', 'Q1', 'Q2', 'Q4']);
+    assert.equal(getQuarterFromMonthIndex(12), 'Unknown');
+});
+
+test('labels fiscal years by the year they end or start in', () => {
+    const endNamed = { startMonth: 4, naming: 'end' };
+    const startNamed = { startMonth: 4, naming: 'start' };
+
+    // April 2024 - March 2025
+    assert.equal(getFiscalYear(2024, 3, endNamed), 2025);
+    assert.equal(getFiscalYear(2025, 2, endNamed), 2025);
+    assert.equal(getFiscalYear(2024, 3, startNamed), 2024);
+    assert.equal(getFiscalYear(2025, 2, startNamed), 2024);
+    // A January start is the calendar year whichever naming is used
+    assert.equal(getFiscalYear(2024, 0, { startMonth: 1, naming: 'end' }), 2024);
+    assert.equal(getFiscalYear(2024, 11, { startMonth: 1, naming: 'start' }), 2024);
+});
+
+test('finds the calendar start date of a fiscal quarter, across year boundaries', () => {
+    const endNamed = { startMonth: 11, naming: 'end' };
+
+    // FY2025 runs November 2024 - October 2025
+    assert.equal(getFiscalQuarterStartDate(2025, 'Q1', endNamed), '2024-11-01');
+    assert.equal(getFiscalQuarterStartDate(2025, 'Q2', endNamed), '2025-02-01');
+    assert.equal(getFiscalQuarterStartDate(2025, 'Q4', endNamed), '2025-08-01');
+    assert.equal(getFiscalQuarterStartDate(2024, 'Q2', { startMonth: 11, naming: 'start' }), '2025-02-01');
+    assert.equal(getFiscalQuarterStartDate(2024, 'Q3', { startMonth: 1, naming: 'end' }), '2024-07-01');
+});
+
+test('validates the fiscal year request options', () => {
+    assert.deepEqual(parseFiscalYearOptions('4', 'start'), { startMonth: 4, naming: 'start' });
+    assert.deepEqual(parseFiscalYearOptions('ORG', undefined), { startMonth: 'org', naming: undefined });
+    assert.deepEqual(parseFiscalYearOptions('', null), { startMonth: undefined, naming: undefined });
+    assert.throws(() => parseFiscalYearOptions('13'), /Invalid fiscalYearStartMonth "13"/);
+    assert.throws(() => parseFiscalYearOptions('2.5'), /Invalid fiscalYearStartMonth/);
+    assert.throws(() => parseFiscalYearOptions(undefined, 'middle'), /Invalid fiscalYearNaming "middle"/);
+});
+
+test('reads the fiscal year settings of the org when the start month is "org"', async () => {
+    const conn = { query: mock.fn(async () => ({ records: [{ FiscalYearStartMonth: 7, UsesStartDateAsFiscalYearName: true }] })) };
+
+    assert.deepEqual(await resolveFiscalYearConfig(conn, { startMonth: 'org' }, 'acct'), { startMonth: 7, naming: 'start' });
+    assert.deepEqual(await resolveFiscalYearConfig(conn, { startMonth: 'org', naming: 'end' }, 'acct'), { startMonth: 7, naming: 'end' });
+    assert.deepEqual(await resolveFiscalYearConfig(conn, { startMonth: 2 }, 'acct'), { startMonth: 2, naming: 'end' });
+    assert.deepEqual(await resolveFiscalYearConfig(conn, {}, 'acct'), { startMonth: 1, naming: 'end' });
+    assert.equal(conn.query.mock.callCount(), 2);
+});
+
+// --- Time zones ---
+
+test('buckets a datetime by the calendar date in the job time zone', () => {
+    const createdDate = '2024-02-01T03:00:00.000+0000';
+
+    assert.deepEqual(getActivityDateParts(createdDate, 'UTC'), { year: 2024, monthIndex: 1, day: 1 });
+    assert.deepEqual(getActivityDateParts(createdDate, 'America/New_York'), { year: 2024, monthIndex: 0, day: 31 });
+    assert.deepEqual(getActivityDateParts('2023-12-31T20:00:00.000+0000', 'Asia/Tokyo'), { year: 2024, monthIndex: 0, day: 1 });
+});
+
+test('applies the daylight saving offset in effect at the instant', () => {
+    // New York is UTC-4 on October 31 (EDT) and UTC-5 on November 30 (EST)
+    assert.deepEqual(getActivityDateParts('2024-11-01T03:30:00.000Z', 'America/New_York'), { year: 2024, monthIndex: 9, day: 31 });
+    assert.deepEqual(getActivityDateParts('2024-12-01T04:30:00.000Z', 'America/New_York'), { year: 2024, monthIndex: 10, day: 30 });
+    assert.deepEqual(getActivityDateParts('2024-12-01T05:30:00.000Z', 'America/New_York'), { year: 2024, monthIndex: 11, day: 1 });
+    // London switches to BST (UTC+1) on March 31, 2024
+    assert.deepEqual(getActivityDateParts('2024-03-31T23:30:00.000Z', 'Europe/London'), { year: 2024, monthIndex: 3, day: 1 });
+    assert.deepEqual(getActivityDateParts('2024-03-30T23:30:00.000Z', 'Europe/London'), { year: 2024, monthIndex: 2, day: 30 });
+});
+
+test('does not shift date-only values and rejects unparseable ones', () => {
+    assert.deepEqual(getActivityDateParts('2024-01-31', 'Pacific/Auckland'), { year: 2024, monthIndex: 0, day: 31 });
+    assert.deepEqual(getActivityDateParts('2024-02-29', 'America/Los_Angeles'), { year: 2024, monthIndex: 1, day: 29 });
+    assert.equal(getActivityDateParts('not a date', 'UTC'), null);
+});
+
+test('defaults to UTC without reading the user record', async () => {
+    const conn = connectionWithUserTimeZone('America/Chicago');
+
+    assert.equal(await resolveTimeZone(conn, undefined, USER_ID, 'acct'), 'UTC');
+    assert.equal(await resolveTimeZone(conn, 'Europe/Berlin', USER_ID, 'acct'), 'Europe/Berlin');
+    assert.equal(conn.query.mock.callCount(), 0);
+});
+
+test('"user" opts in to the requesting user\'s TimeZoneSidKey', async () => {
+    const conn = connectionWithUserTimeZone('America/Chicago');
+
+    assert.equal(await resolveTimeZone(conn, 'user', USER_ID, 'acct'), 'America/Chicago');
+    assert.match(conn.query.mock.calls[0].arguments[0], new RegExp(`FROM User WHERE Id = '${USER_ID}'`));
+});
+
+test('falls back to UTC for invalid zones and unreadable user settings', async () => {
+    assert.equal(await resolveTimeZone(connectionWithUserTimeZone('America/Chicago'), 'Mars/Olympus_Mons', USER_ID, 'acct'), 'UTC');
+    assert.equal(await resolveTimeZone(connectionWithUserTimeZone('Not/AZone'), 'user', USER_ID, 'acct'), 'UTC');
+    assert.equal(await resolveTimeZone(connectionWithUserTimeZone(new Error('INVALID_SESSION_ID')), 'user', USER_ID, 'acct'), 'UTC');
+    assert.equal(await resolveTimeZone(connectionWithUserTimeZone('America/Chicago'), 'user', "x' OR Id != '", 'acct'), 'UTC');
+});
+
+// --- ISO weeks ---
+
+test('numbers ISO weeks from Monday, in the year of their Thursday', () => {
+    // Wednesday, January 31, 2024: the week's Thursday is February 1, so it rolls up into February
+    assert.deepEqual(getIsoWeekInfo(2024, 0, 31), { isoYear: 2024, week: 'W05', weekStart: '2024-01-29', rollupYear: 2024, rollupMonthIndex: 1 });
+    // Monday, December 30, 2024 opens week 1 of 2025
+    assert.deepEqual(getIsoWeekInfo(2024, 11, 30), { isoYear: 2025, week: 'W01', weekStart: '2024-12-30', rollupYear: 2025, rollupMonthIndex: 0 });
+    // Friday, January 1, 2021 is in the last week of 2020, which has 53
+    assert.deepEqual(getIsoWeekInfo(2021, 0, 1), { isoYear: 2020, week: 'W53', weekStart: '2020-12-28', rollupYear: 2020, rollupMonthIndex: 11 });
+    // A Sunday closes the week that started six days before
+    assert.equal(getIsoWeekInfo(2024, 1, 4).weekStart, '2024-01-29');
+});
+
+test('groups activities by ISO week in date order, using the job time zone and date field', () => {
+    const activities = [
+        { Id: 'a', ActivityDate: '2024-02-06' },
+        { Id: 'b', ActivityDate: '2024-01-30' },
+        { Id: 'c', ActivityDate: '2024-02-01' }
+    ];
+    assert.deepEqual(groupActivitiesByIsoWeek(activities, 'UTC', 'ActivityDate').map(({ week, weekStart, activities }) => [week, weekStart, activities.map(activity => activity.Id)]), [
+        ['W05', '2024-01-29', ['b', 'c']],
+        ['W06', '2024-02-05', ['a']]
+    ]);
+
+    // 02:00 UTC on Monday, February 5 is still Sunday in New York
+    const mondayInUtc = [{ Id: 'd', CreatedDate: '2024-02-05T02:00:00.000Z' }];
+    assert.equal(groupActivitiesByIsoWeek(mondayInUtc)[0].week, 'W06');
+    assert.equal(groupActivitiesByIsoWeek(mondayInUtc, 'America/New_York')[0].week, 'W05');
+});
@@ -0,0 +1,146 @@
+// POST /previewsummary on the Express app: summaries generated by the mock LLM provider from a stubbed Salesforce
+// connection are returned (or kept on the job with wait=false) and never saved. Stores are in memory; the file queue
+// lives in a temporary directory.
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-queue-'));
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    JOB_STORE: 'memory',
+    JOB_EVENTS_BACKEND: 'memory',
+    AI_CACHE_STORE: 'off',
+    QUEUE_DIR: queueDir
+});
+
+const jsforce = require('jsforce');
+const { app } = require('../index');
+
+const ACCOUNT_ID = '001000000000001AAA';
+
+let server;
+let baseUrl;
+let taskQueryError; // Thrown by the activity query when set
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    taskQueryError = null;
+    mock.method(jsforce.Connection.prototype, 'query', async soql => {
+        if (soql.includes('FROM Task')) {
+            if (taskQueryError) throw taskQueryError;
+            const records = [
+                { Id: '00T000000000001', Subject: 'Kickoff', Description: 'Kickoff meeting.', CreatedDate: '2024-01-10T10:00:00Z' },
+                { Id: '00T000000000002', Subject: 'Renewal call', Description: 'Discussed the renewal.', CreatedDate: '2024-02-12T10:00:00Z' },
+                { Id: '00T000000000003', Subject: 'Follow-up', Description: 'Sent the quote.', CreatedDate: '2024-02-20T10:00:00Z' }
+            ];
+            return { done: true, totalSize: records.length, records };
+        }
+        return { done: true, totalSize: 0, records: [] };
+    });
+    mock.method(jsforce.Connection.prototype, 'sobject', () => {
+        throw new Error('A preview must not write to Salesforce');
+    });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { Authorization: 'Bearer caller-token', 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function preview(body = {}) {
+    return request('POST', '/previewsummary', {
+        accountId: ACCOUNT_ID,
+        userPrompt: 'Summarize the activities of {{Month}} {{Year}}.',
+        userPromptQtr: 'Summarize the quarter {{Quarter}} {{Year}}.',
+        queryText: `SELECT Id, Subject, Description, CreatedDate FROM Task WHERE WhatId = '${ACCOUNT_ID}'`,
+        loggedinUserId: '005000000000001AAA',
+        timeZone: 'UTC',
+        ...body
+    });
+}
+
+test('returns the summaries of every period without saving them', async () => {
+    const { status, body } = await preview();
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'Success');
+    assert.equal(jsforce.Connection.prototype.sobject.mock.callCount(), 0);
+    assert.deepEqual(body.preview.Monthly.map(entry => [entry.period, entry.startdate, entry.count]), [
+        ['Jan 2024', '2024-01-01', 1],
+        ['Feb 2024', '2024-02-01', 2]
+    ]);
+    assert.deepEqual(body.preview.Quarterly.map(entry => [entry.period, entry.count]), [['Q1 2024', 3]]);
+    assert.match(body.preview.Monthly[0].summary.summary, /^<p>Mock summary/);
+    assert.deepEqual(body.generationFailures, []);
+
+    const { body: job } = await request('GET', `/jobs/${body.jobId}`);
+    assert.equal(job.status, 'completed');
+});
+
+test('only summarizes the activities between startDate and endDate', async () => {
+    const { status, body } = await preview({ startDate: '2024-02-15', endDate: '2024-02-29' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.dateRange, { startDate: '2024-02-15', endDate: '2024-02-29' });
+    assert.deepEqual(body.preview.Monthly.map(entry => [entry.period, entry.count]), [['Feb 2024', 1]]);
+});
+
+test('with wait=false, answers 202 and keeps the preview on the job', async () => {
+    const { status, body } = await preview({ wait: false });
+
+    assert.equal(status, 202);
+    assert.equal(body.statusUrl, `/jobs/${body.jobId}`);
+    let job;
+    for (let poll = 0; poll < 100; poll++) {
+        ({ body: job } = await request('GET', body.statusUrl));
+        if (job.status === 'completed' || job.status === 'failed') break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.preview.Monthly.map(entry => entry.period), ['Jan 2024', 'Feb 2024']);
+});
+
+test('rejects missing parameters and invalid date ranges with 400', async () => {
+    const missing = await preview({ userPromptQtr: undefined });
+    const invalidDate = await preview({ startDate: '2024-02-30x' });
+    const reversed = await preview({ startDate: '2024-03-01', endDate: '2024-02-01' });
+
+    assert.equal(missing.status, 400);
+    assert.equal(invalidDate.status, 400);
+    assert.match(invalidDate.body.error, /Invalid startDate/);
+    assert.equal(reversed.status, 400);
+    assert.match(reversed.body.error, /is after endDate/);
+});
+
+test('answers 401 when Salesforce rejects the caller token', async () => {
+    taskQueryError = Object.assign(new Error('Session expired or invalid'), { errorCode: 'INVALID_SESSION_ID' });
+
+    const { status, body } = await preview();
+
+    assert.equal(status, 401);
+    assert.equal(body.status, 'Failed');
+});
@@ -0,0 +1,385 @@
+// Runs processSummary end to end against the mock LLM provider and a stubbed Salesforce connection
+// (jsforce.Connection query / sobject calls answered in memory). Stores are in memory and the file queue, which
+// loading the app creates, lives in a temporary directory; nothing is sent over the network.
+const { test, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-summary-queue-'));
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    JOB_STORE: 'memory',
+    AI_CACHE_STORE: 'off',
+    JOB_EVENTS_BACKEND: 'memory',
+    LLM_RETRY_BASE_DELAY_MS: '1',
+    CHUNK_TOKEN_BUDGET: '20000',
+    QUEUE_DIR: queueDir
+});
+delete process.env.ACTIVITY_FIELDS;
+delete process.env.ACTIVITY_DATE_FIELD;
+
+const jsforce = require('jsforce');
+const { processSummary, parseSummaryOptions, getLlmProvider } = require('../index');
+const { parseFunctionSchemas, SchemaValidationError } = require('../lib/validation');
+
+const ACCOUNT_ID = '001000000000001AAA';
+const USER_ID = '005000000000001AAA';
+
+let activities;
+let savedRecords;
+let generateCalls;
+let storedSummaries; // Timeline_Summary__c records already in the org
+let orgHasFingerprintField;
+
+// Answers the queries processSummary makes and records every summary it saves
+function stubSalesforce() {
+    mock.method(jsforce.Connection.prototype, 'query', async soql => {
+        if (soql.includes('FROM Organization')) {
+            return { done: true, totalSize: 1, records: [{ FiscalYearStartMonth: 1, UsesStartDateAsFiscalYearName: true }] };
+        }
+        if (soql.includes('FROM Task')) {
+            return { done: true, totalSize: activities.length, records: activities };
+        }
+        if (soql.includes('FROM Timeline_Summary__c') && soql.includes('Summary_Category__c IN (')) {
+            // Stored summaries of every category ({{PreviousSummary}} and incremental fingerprints)
+            if (!orgHasFingerprintField && soql.includes('Activity_Fingerprint__c')) {
+                throw Object.assign(new Error("No such column 'Activity_Fingerprint__c' on entity 'Timeline_Summary__c'"), { errorCode: 'INVALID_FIELD' });
+            }
+            return { done: true, totalSize: storedSummaries.length, records: storedSummaries };
+        }
+        if (soql.includes('FROM Timeline_Summary__c')) {
+            // Existing record IDs of one category, looked up before saving
+            const records = storedSummaries.filter(record => soql.includes(`Summary_Category__c = '${record.Summary_Category__c}'`));
+            return { done: true, totalSize: records.length, records };
+        }
+        return { done: true, totalSize: 0, records: [] };
+    });
+    const save = operation => async records => records.map(record => {
+        const id = record.Id || `a0X${String(savedRecords.length + 1).padStart(12, '0')}`;
+        savedRecords.push({ ...record, Id: id, operation });
+        return { id, success: true, errors: [] };
+    });
+    mock.method(jsforce.Connection.prototype, 'sobject', () => ({ create: save('create'), update: save('update') }));
+}
+
+// Records the prompts and activities every LLM call receives. Calls for which shouldFail(call) returns true
+// fail schema validation instead of returning the mock output.
+function spyOnMockProvider(shouldFail = () => false) {
+    const provider = getLlmProvider('mock');
+    const generate = provider.generate;
+    mock.method(provider, 'generate', async function (batch, summarizer, userPrompt, functionSchema, options) {
+        const call = { functionName: functionSchema.name, userPrompt, activities: batch };
+        generateCalls.push(call);
+        if (shouldFail(call)) {
+            throw new SchemaValidationError('Invalid function arguments', ['$.summary: expected string']);
+        }
+        return generate.call(this, batch, summarizer, userPrompt, functionSchema, options);
+    });
+}
+
+function activity(id, createdDate, description = 'Discussed the renewal.') {
+    return { Id: id, Subject: `Call ${id}`, Description: description, CreatedDate: createdDate };
+}
+
+function runSummary(requestOptions = {}, processOptions = {}) {
+    return processSummary({
+        accountId: ACCOUNT_ID,
+        accessToken: 'caller-token',
+        userPrompt: 'Summarize the activities of {{Month}} {{Year}}.',
+        userPromptQtr: 'Summarize the quarter {{Quarter}} {{Year}}.',
+        queryText: `SELECT Id, Subject, Description, CreatedDate FROM Task WHERE WhatId = '${ACCOUNT_ID}'`,
+        loggedinUserId: USER_ID,
+        ...parseFunctionSchemas({}),
+        summaryOptions: parseSummaryOptions({ timeZone: 'UTC', ...requestOptions }),
+        ...processOptions
+    });
+}
+
+function monthlyCalls() {
+    return generateCalls.filter(call => call.functionName === 'generate_monthly_activity_summary');
+}
+
+beforeEach(() => {
+    activities = [];
+    savedRecords = [];
+    generateCalls = [];
+    storedSummaries = [];
+    orgHasFingerprintField = true;
+    stubSalesforce();
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+after(() => {
+    fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+test('summarizes each month and its quarter and saves them', async () => {
+    spyOnMockProvider();
+    activities = [activity('00T000000000001', '2024-01-10T10:00:00Z'), activity('00T000000000002', '2024-02-12T10:00:00Z')];
+
+    const result = await runSummary();
+
+    assert.equal(result.status, 'Success');
+    assert.deepEqual(savedRecords.map(record => record.Summary_Category__c).sort(), ['Monthly', 'Monthly', 'Quarterly']);
+    assert.equal(monthlyCalls().length, 2);
+    assert.equal(result.salesforceIdentity.identity, 'caller');
+});
+
+test('groups months into the quarters of the requested fiscal year', async () => {
+    spyOnMockProvider();
+    // With a February start, January 2024 closes FY2024 and February 2024 opens FY2025
+    activities = [activity('00T000000000001', '2024-01-10T10:00:00Z'), activity('00T000000000002', '2024-02-12T10:00:00Z')];
+
+    const result = await runSummary({ fiscalYearStartMonth: 2, fiscalYearNaming: 'end' });
+
+    assert.equal(result.status, 'Success');
+    const quarters = savedRecords.filter(record => record.Summary_Category__c === 'Quarterly')
+        .map(record => [record.Year__c, record.FY_Quarter__c, record.Month_Date__c])
+        .sort((a, b) => a[2].localeCompare(b[2]));
+    assert.deepEqual(quarters, [['2024', 'Q4', '2023-11-01'], ['2025', 'Q1', '2024-02-01']]);
+});
+
+test('aggregates the quarterly summaries of each fiscal year into a yearly summary', async () => {
+    spyOnMockProvider();
+    activities = [
+        activity('00T000000000001', '2024-01-10T10:00:00Z'),
+        activity('00T000000000002', '2024-08-12T10:00:00Z'),
+        activity('00T000000000003', '2025-02-03T10:00:00Z')
+    ];
+
+    // As in a request body: userPromptYear sets the yearly prompt and implies includeYearly
+    const userPromptYear = 'Summarize the year {{Year}} from {{PeriodStart}} to {{PeriodEnd}}.';
+    const result = await runSummary({ userPromptYear }, { userPromptYear });
+
+    assert.equal(result.status, 'Success');
+    const yearlyCalls = generateCalls.filter(call => call.functionName === 'generate_yearly_activity_summary');
+    assert.equal(yearlyCalls.length, 2);
+    const call2024 = yearlyCalls.find(call => call.userPrompt.startsWith('Summarize the year 2024'));
+    assert.match(call2024.userPrompt, /from 2024-01-01 to 2024-12-31/);
+    assert.deepEqual(JSON.parse(call2024.userPrompt.split('```json')[1].split('```')[0]).map(quarter => quarter.quarter), ['Q1', 'Q3']);
+    assert.equal(call2024.activities, null);
+    const years = savedRecords.filter(record => record.Summary_Category__c === 'Yearly')
+        .map(record => [record.Year__c, record.Month_Date__c, record.Month__c, record.FY_Quarter__c]);
+    assert.deepEqual(years.sort(), [['2024', '2024-01-01', null, null], ['2025', '2025-01-01', null, null]]);
+});
+
+test('generates no yearly summaries unless the request asks for them', async () => {
+    spyOnMockProvider();
+    activities = [activity('00T000000000001', '2024-01-10T10:00:00Z')];
+
+    await runSummary({ includeYearly: false });
+
+    assert.ok(!generateCalls.some(call => call.functionName === 'generate_yearly_activity_summary'));
+    assert.ok(!savedRecords.some(record => record.Summary_Category__c === 'Yearly'));
+});
+
+test('weekly granularity summarizes each ISO week and rolls the weeks up into the month of their Thursday', async () => {
+    spyOnMockProvider();
+    // Tuesday, January 30 and Thursday, February 1 share week 5, whose Thursday is in February
+    activities = [
+        activity('00T000000000001', '2024-01-10T10:00:00Z'),
+        activity('00T000000000002', '2024-01-30T10:00:00Z'),
+        activity('00T000000000003', '2024-02-01T10:00:00Z')
+    ];
+
+    const result = await runSummary({ granularity: 'weekly', userPromptWeek: 'Summarize the week {{Week}} from {{WeekStart}}.' });
+
+    assert.equal(result.status, 'Success');
+    const weekPrompts = monthlyCalls().filter(call => call.activities).map(call => call.userPrompt);
+    assert.deepEqual(weekPrompts.sort(), [
+        'Summarize the week W02 2024 from 2024-01-08. Use startdate 2024-01-08 in the output.',
+        'Summarize the week W05 2024 from 2024-01-29. Use startdate 2024-01-29 in the output.'
+    ]);
+    const rollup = monthlyCalls().find(call => !call.activities && call.userPrompt.includes('February'));
+    assert.deepEqual(JSON.parse(rollup.userPrompt.split('```json')[1].split('```')[0]).map(week => week.week), ['W05']);
+    const saved = category => savedRecords.filter(record => record.Summary_Category__c === category)
+        .map(record => [record.Month__c, record.Month_Date__c, record.Number_of_Records__c]).sort();
+    assert.deepEqual(saved('Weekly'), [[null, '2024-01-08', 1], [null, '2024-01-29', 2]]);
+    assert.deepEqual(saved('Monthly'), [['February', '2024-02-01', 2], ['January', '2024-01-01', 1]]);
+});
+
+test('re-runs a call whose output fails schema validation, listing the errors in the retry prompt', async () => {
+    let failures = 1;
+    spyOnMockProvider(call => call.functionName === 'generate_monthly_activity_summary' && failures-- > 0);
+    activities = [activity('00T000000000001', '2024-01-10T10:00:00Z')];
+
+    const result = await runSummary();
+
+    assert.equal(result.status, 'Success');
+    const calls = monthlyCalls();
+    assert.equal(calls.length, 2);
+    assert.doesNotMatch(calls[0].userPrompt, /did not match its schema/);
+    assert.match(calls[1].userPrompt, /did not match its schema:\n- \$\.summary: expected string/);
+    assert.equal(savedRecords.filter(record => record.Summary_Category__c === 'Monthly').length, 1);
+});
+
+test('records a month that still fails validation after the retry as a generation failure', async () => {
+    // Every call for January fails, including its retry
+    spyOnMockProvider(call => !!call.activities?.some(item => item.Id === '00T000000000001'));
+    activities = [activity('00T000000000001', '2024-01-10T10:00:00Z'), activity('00T000000000002', '2024-02-12T10:00:00Z')];
+
+    const result = await runSummary();
+
+    assert.equal(result.status, 'PartialSuccess');
+    assert.equal(monthlyCalls().filter(call => call.activities[0].Id === '00T000000000001').length, 2);
+    assert.equal(savedRecords.filter(record => record.Summary_Category__c === 'Monthly').length, 1);
+});
+
+test('sends only the requested activity fields, flattened and renamed, and buckets by activityDateField', async () => {
+    spyOnMockProvider();
+    activities = [
+        { Id: '00T000000000001', Subject: 'Kickoff', Description: 'Internal notes', CreatedDate: '2024-01-10T10:00:00Z', ActivityDate: '2024-03-05', Who: { Name: 'Jane Doe' } },
+        // Without an ActivityDate the activity cannot be bucketed
+        { Id: '00T000000000002', Subject: 'Follow-up', CreatedDate: '2024-01-11T10:00:00Z', ActivityDate: null, Who: null }
+    ];
+
+    const result = await runSummary({ activityFields: 'Subject,Who.Name:ContactName', activityDateField: 'ActivityDate' });
+
+    assert.equal(result.status, 'Success');
+    assert.equal(monthlyCalls().length, 1);
+    assert.deepEqual(monthlyCalls()[0].activities, [{ Id: '00T000000000001', Subject: 'Kickoff', ContactName: 'Jane Doe', ActivityDate: '2024-03-05' }]);
+    assert.deepEqual(savedRecords.filter(record => record.Summary_Category__c === 'Monthly').map(record => record.Month__c), ['March']);
+});
+
+test('parses activityFields lists and maps, always keeping Id and the date field', () => {
+    const projection = options => parseSummaryOptions({ timeZone: 'UTC', ...options }).activityProjection;
+
+    assert.deepEqual(projection({}), {
+        fields: ['Id', 'Description', 'Subject', 'CreatedDate'].map(field => ({ field, as: field })),
+        dateField: 'CreatedDate',
+        dateKey: 'CreatedDate'
+    });
+    assert.deepEqual(projection({ activityFields: { Subject: 'Title', ActivityDate: 'Due' }, activityDateField: 'activitydate' }), {
+        fields: [{ field: 'Id', as: 'Id' }, { field: 'Subject', as: 'Title' }, { field: 'ActivityDate', as: 'Due' }],
+        dateField: 'activitydate',
+        dateKey: 'Due'
+    });
+    assert.deepEqual(projection({ activityFields: '["Subject", {"field": "Owner.Name", "as": "Owner"}]' }).fields.map(({ as }) => as), ['Id', 'Subject', 'Owner', 'CreatedDate']);
+});
+
+test('rejects activity projections that are malformed or would lose the activity ID', () => {
+    const projection = options => parseSummaryOptions({ timeZone: 'UTC', ...options });
+
+    assert.throws(() => projection({ activityFields: 'Id:ActivityId,Subject' }), /cannot rename Id/);
+    assert.throws(() => projection({ activityFields: 'Subject:Name,Who.Name:Name' }), /more than one field to "Name"/);
+    assert.throws(() => projection({ activityFields: 'Subject,Who..Name' }), /Invalid activityFields entry "Who..Name"/);
+    assert.throws(() => projection({ activityFields: ' , ' }), /at least one field/);
+    assert.throws(() => projection({ activityDateField: 'CreatedDate; DROP' }), /Invalid activityDateField/);
+});
+
+test('splits an oversized month into batches (map) and merges their summaries (reduce)', async () => {
+    spyOnMockProvider();
+    // Six activities of ~60k characters: too large for one prompt, and one per 80k-character batch
+    const longDescription = 'Renewal discussion notes. '.repeat(2400);
+    activities = Array.from({ length: 6 }, (_, i) => activity(`00T00000000000${i}`, `2024-03-0${i + 1}T10:00:00Z`, longDescription));
+
+    const result = await runSummary({ chunkingStrategy: 'map_reduce' });
+
+    assert.equal(result.status, 'Success');
+    const calls = monthlyCalls();
+    const mapCalls = calls.filter(call => /This is batch \d+ of 6/.test(call.userPrompt));
+    const reduceCalls = calls.filter(call => call.userPrompt.includes('Merge the following'));
+    assert.equal(mapCalls.length, 6);
+    assert.deepEqual(mapCalls.map(call => call.activities.length), [1, 1, 1, 1, 1, 1]);
+    assert.equal(reduceCalls.length, 1);
+    assert.equal(reduceCalls[0].activities, null);
+    const month = savedRecords.find(record => record.Summary_Category__c === 'Monthly');
+    assert.equal(JSON.parse(month.Summary__c).activityCount, 6);
+});
+
+test('never sends redacted values to the model', async () => {
+    spyOnMockProvider();
+    activities = [activity('00T000000000001', '2024-01-10T10:00:00Z', 'Follow up with jane.doe@example.com on the renewal.')];
+
+    const result = await runSummary({ redactPii: true });
+
+    assert.equal(result.status, 'Success');
+    assert.ok(generateCalls.length > 0);
+    for (const call of generateCalls) {
+        assert.doesNotMatch(call.userPrompt + JSON.stringify(call.activities), /jane\.doe@example\.com/);
+    }
+});
+
+test('incremental runs regenerate only the periods whose activities changed', async () => {
+    spyOnMockProvider();
+    activities = [
+        { ...activity('00T000000000001', '2024-01-10T10:00:00Z'), LastModifiedDate: '2024-01-10T10:00:00Z' },
+        { ...activity('00T000000000002', '2024-04-12T10:00:00Z'), LastModifiedDate: '2024-04-12T10:00:00Z' }
+    ];
+    await runSummary({ incremental: true });
+    storedSummaries = savedRecords;
+    savedRecords = [];
+    generateCalls = [];
+    activities[1] = { ...activities[1], Description: 'Renewal signed.', LastModifiedDate: '2024-05-02T09:00:00Z' };
+
+    const result = await runSummary({ incremental: true });
+
+    assert.equal(result.status, 'Success');
+    assert.match(result.message, /2 unchanged period\(s\) skipped/);
+    assert.equal(monthlyCalls().length, 1);
+    assert.match(monthlyCalls()[0].userPrompt, /April 2024/);
+    const saved = savedRecords.map(record => [record.operation, record.Summary_Category__c, record.Month__c || record.FY_Quarter__c]);
+    assert.deepEqual(saved.sort(), [['update', 'Monthly', 'April'], ['update', 'Quarterly', 'Q2']]);
+    const april = storedSummaries.find(record => record.Month__c === 'April');
+    assert.notEqual(savedRecords.find(record => record.Month__c === 'April').Activity_Fingerprint__c, april.Activity_Fingerprint__c);
+});
+
+test('{{PreviousSummary}} reads stored summaries without querying the fingerprint field outside incremental mode', async () => {
+    spyOnMockProvider();
+    orgHasFingerprintField = false;
+    storedSummaries = [{
+        Id: 'a0X000000000001', Summary_Category__c: 'Monthly', Month__c: 'December', Year__c: 2023,
+        Summary__c: JSON.stringify({ summary: 'December renewal talks.' })
+    }];
+    activities = [activity('00T000000000001', '2024-01-10T10:00:00Z')];
+
+    const result = await runSummary({}, { userPrompt: 'Summarize {{Month}} {{Year}}. Last month: {{PreviousSummary}}' });
+
+    assert.equal(result.status, 'Success');
+    assert.match(monthlyCalls()[0].userPrompt, /Last month: December renewal talks\./);
+});
+
+// --- Token budget and usage ---
+
+test('reports the tokens used by each period', async () => {
+    spyOnMockProvider();
+    activities = [activity('00T000000000001', '2024-01-10T10:00:00Z'), activity('00T000000000002', '2024-02-12T10:00:00Z')];
+
+    const result = await runSummary();
+
+    assert.equal(result.status, 'Success');
+    assert.equal(result.usage.calls, 3);
+    assert.equal(result.usage.tokenBudget, null);
+    assert.equal(result.usage.currency, 'USD');
+    assert.deepEqual(Object.keys(result.usage.periods).sort(), ['Monthly February 2024', 'Monthly January 2024', 'Quarterly Q1 2024']);
+    const periods = Object.values(result.usage.periods);
+    assert.ok(periods.every(period => period.calls === 1 && period.promptTokens > 0 && period.completionTokens > 0));
+    assert.equal(result.usage.totalTokens, periods.reduce((total, period) => total + period.totalTokens, 0));
+});
+
+test('stops the job before a call that would exceed tokenBudget', async () => {
+    spyOnMockProvider();
+    activities = [activity('00T000000000001', '2024-01-10T10:00:00Z'), activity('00T000000000002', '2024-02-12T10:00:00Z')];
+
+    const result = await runSummary({ tokenBudget: 100 });
+
+    assert.equal(result.status, 'Failed');
+    assert.match(result.message, /Token budget of 100 would be exceeded by generate_monthly_activity_summary/);
+    assert.equal(generateCalls.length, 0);
+    assert.equal(savedRecords.length, 0);
+});
+
+test('rejects a tokenBudget that is not a positive integer', () => {
+    assert.equal(parseSummaryOptions({ timeZone: 'UTC', tokenBudget: '5000' }).tokenBudget, 5000);
+    for (const tokenBudget of [0, -1, 1.5, 'lots']) {
+        assert.throws(() => parseSummaryOptions({ timeZone: 'UTC', tokenBudget }), /Invalid tokenBudget/, String(tokenBudget));
+    }
+});
@@ -0,0 +1,196 @@
+// Prompt templates (lib/prompt-templates): rendering, template errors and period helpers, then the stored template
+// library (/admin/templates) and a job that uses one (templateId), run the way the worker runs it (runQueuedJob)
+// against the mock LLM provider and a stubbed Salesforce connection. Stores are in memory; the file queue lives in a
+// temporary directory.
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_KEY = 'admin-key';
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-templates-queue-'));
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    JOB_STORE: 'memory',
+    JOB_EVENTS_BACKEND: 'memory',
+    AI_CACHE_STORE: 'off',
+    QUEUE_DIR: queueDir,
+    ADMIN_API_KEY: ADMIN_KEY
+});
+delete process.env.PROMPT_TEMPLATE_STORE;
+
+const jsforce = require('jsforce');
+const { app, runQueuedJob, getLlmProvider } = require('../index');
+const { createJobQueue } = require('../lib/queue');
+const {
+    parsePromptTemplate, renderPromptTemplate, getPromptTemplateVariables, getSummaryText, getPeriodEndDate
+} = require('../lib/prompt-templates');
+
+const ACCOUNT_ID = '001000000000001AAA';
+
+const queue = createJobQueue('file');
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+function admin(method, url, body) {
+    return fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'X-Admin-Key': ADMIN_KEY, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+}
+
+// --- Rendering ---
+
+test('replaces every occurrence of a variable and renders unknown ones empty', () => {
+    assert.equal(renderPromptTemplate('{{Month}} {{ Year }}: {{Month}}{{Missing}}.', { Month: 'March', Year: 2024 }), 'March 2024: March.');
+    assert.equal(renderPromptTemplate('Count {{ActivityCount}}', { ActivityCount: 0 }), 'Count 0');
+});
+
+test('keeps #if blocks for set variables and #unless blocks for unset ones', () => {
+    const template = '{{#if Industry}}Industry: {{Industry}}.{{else}}No industry.{{/if}}{{#unless PreviousSummary}} First period.{{/unless}}';
+
+    assert.equal(renderPromptTemplate(template, { Industry: 'Energy', PreviousSummary: 'Earlier' }), 'Industry: Energy.');
+    for (const unset of [undefined, null, '', 0, false, 'false', 'FALSE']) {
+        assert.equal(renderPromptTemplate(template, { Industry: unset }), 'No industry. First period.');
+    }
+});
+
+test('nests conditionals', () => {
+    const template = '{{#if A}}a{{#if B}}b{{else}}!b{{/if}}{{/if}}';
+
+    assert.equal(renderPromptTemplate(template, { A: 1, B: 1 }), 'ab');
+    assert.equal(renderPromptTemplate(template, { A: 1 }), 'a!b');
+    assert.equal(renderPromptTemplate(template, { B: 1 }), '');
+});
+
+test('rejects empty, unbalanced and misplaced tags, naming the template', () => {
+    assert.throws(() => parsePromptTemplate('Hello {{ }}', 'userPrompt'), /^Error: userPrompt: empty tag \{\{ \}\}\.$/);
+    assert.throws(() => parsePromptTemplate('{{#if}}x{{/if}}', 'userPrompt'), /userPrompt: \{\{#if\}\} needs a variable name/);
+    assert.throws(() => parsePromptTemplate('{{#if A}}x', 'userPromptQtr'), /userPromptQtr: \{\{#if A\}\} is not closed/);
+    assert.throws(() => parsePromptTemplate('x{{/if}}'), /template: unexpected \{\{\/if\}\}/);
+    assert.throws(() => parsePromptTemplate('{{#if A}}x{{/unless}}'), /unexpected \{\{\/unless\}\}/);
+    assert.throws(() => parsePromptTemplate('{{#if A}}x{{else}}y{{else}}z{{/if}}'), /unexpected \{\{else\}\}/);
+    assert.throws(() => parsePromptTemplate('{{else}}'), /unexpected \{\{else\}\}/);
+});
+
+test('lists the variables a template uses, including those in conditions', () => {
+    const variables = getPromptTemplateVariables('{{Month}}{{#if Industry}}{{OwnerName}}{{else}}{{AccountName}}{{/if}}');
+
+    assert.deepEqual([...variables].sort(), ['AccountName', 'Industry', 'Month', 'OwnerName']);
+});
+
+test('computes the last day of a period and reads the summary text of an output', () => {
+    assert.equal(getPeriodEndDate('2024-01-01', 1), '2024-01-31');
+    assert.equal(getPeriodEndDate('2024-02-01', 1), '2024-02-29');
+    assert.equal(getPeriodEndDate('2023-11-01', 3), '2024-01-31');
+    assert.equal(getPeriodEndDate('2024-12-30', 0, 7), '2025-01-05');
+    assert.equal(getSummaryText({ summary: '<p>Month</p>' }), '<p>Month</p>');
+    assert.equal(getSummaryText({ yearlySummary: [{ quarters: [{ summary: '<p>Quarter</p>' }] }] }), '<p>Quarter</p>');
+    assert.equal(getSummaryText(null), '');
+});
+
+// --- Template library ---
+
+test('creates, versions, lists and deletes stored template sets', async () => {
+    const created = await admin('PUT', '/admin/templates/renewals', { description: 'Renewals', userPrompt: 'Month {{Month}}' });
+    const updated = await admin('PUT', '/admin/templates/renewals', { userPrompt: 'Month {{Month}} {{Year}}', userPromptQtr: 'Quarter {{Quarter}}' });
+
+    assert.equal(created.status, 201);
+    assert.equal((await created.json()).version, 1);
+    assert.equal(updated.status, 200);
+    const template = await updated.json();
+    assert.equal(template.version, 2);
+    assert.equal(template.userPromptQtr, 'Quarter {{Quarter}}');
+    assert.equal(template.description, null);
+    assert.ok((await (await admin('GET', '/admin/templates')).json()).templates.some(stored => stored.id === 'renewals'));
+    assert.deepEqual(await (await admin('GET', '/admin/templates/renewals')).json(), template);
+
+    assert.equal((await admin('DELETE', '/admin/templates/renewals')).status, 204);
+    assert.equal((await admin('GET', '/admin/templates/renewals')).status, 404);
+    assert.equal((await admin('DELETE', '/admin/templates/renewals')).status, 404);
+});
+
+test('refuses invalid template IDs, empty sets and malformed templates', async () => {
+    const invalidId = await admin('PUT', '/admin/templates/bad%20id', { userPrompt: 'Month {{Month}}' });
+    const empty = await admin('PUT', '/admin/templates/empty', { description: 'Nothing' });
+    const malformed = await admin('PUT', '/admin/templates/malformed', { userPromptQtr: '{{#unless Industry}}x' });
+    const notText = await admin('PUT', '/admin/templates/numbers', { userPrompt: 42 });
+
+    assert.equal(invalidId.status, 400);
+    assert.equal(empty.status, 400);
+    assert.equal(malformed.status, 400);
+    assert.match((await malformed.json()).error, /userPromptQtr: \{\{#unless Industry\}\} is not closed/);
+    assert.equal(notText.status, 400);
+    assert.equal((await admin('GET', '/admin/templates/malformed')).status, 404);
+});
+
+test('a job with templateId renders the stored prompts and records the template version', async () => {
+    await admin('PUT', '/admin/templates/account-review', {
+        userPrompt: 'Review {{AccountName}}{{#if Industry}} ({{Industry}}){{/if}} for {{Month}} {{Year}}: {{ActivityCount}} activities from {{PeriodStart}} to {{PeriodEnd}}.',
+        userPromptQtr: 'Review {{Quarter}} {{Year}}.'
+    });
+    mock.method(jsforce.Connection.prototype, 'query', async soql => {
+        if (soql.includes('FROM Account')) {
+            return { done: true, totalSize: 1, records: [{ Name: 'Acme', Industry: null, Owner: { Name: 'Sam Lee' } }] };
+        }
+        if (soql.includes('FROM Task')) {
+            const records = [{ Id: '00T000000000001', Subject: 'Renewal call', CreatedDate: '2024-02-12T10:00:00Z' }];
+            return { done: true, totalSize: records.length, records };
+        }
+        return { done: true, totalSize: 0, records: [] };
+    });
+    mock.method(jsforce.Connection.prototype, 'sobject', () => ({
+        create: async records => records.map((record, index) => ({ id: `a0X00000000000${index}`, success: true, errors: [] }))
+    }));
+    const provider = getLlmProvider('mock');
+    const prompts = [];
+    const generate = provider.generate;
+    mock.method(provider, 'generate', function (activities, summarizer, userPrompt, ...rest) {
+        prompts.push(userPrompt);
+        return generate.call(this, activities, summarizer, userPrompt, ...rest);
+    });
+
+    // The stored set fills in the prompts the request leaves out
+    const response = await fetch(`${baseUrl}/generatesummary`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer caller-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            accountId: ACCOUNT_ID,
+            callbackUrl: 'https://example.my.salesforce.com/callback',
+            templateId: 'account-review',
+            queryText: `SELECT Id, Subject, CreatedDate FROM Task WHERE WhatId = '${ACCOUNT_ID}'`,
+            loggedinUserId: '005000000000001AAA',
+            timeZone: 'UTC'
+        })
+    });
+    assert.equal(response.status, 202);
+    const { jobId } = await response.json();
+    await runQueuedJob(await queue.claim('test-worker', 60000), 'test-worker');
+
+    assert.ok(prompts.some(prompt => prompt.startsWith('Review Acme for February 2024: 1 activities from 2024-02-01 to 2024-02-29.')));
+    assert.ok(prompts.some(prompt => prompt.startsWith('Review Q1 2024.')));
+    const job = await (await fetch(`${baseUrl}/jobs/${jobId}`, { headers: { Authorization: 'Bearer caller-token' } })).json();
+    assert.equal(job.outcome, 'Success');
+    assert.deepEqual(job.promptTemplate, { id: 'account-review', version: 1 });
+});
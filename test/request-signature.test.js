@@ -0,0 +1,89 @@
+// Inbound request authentication (lib/inbound-auth) with INBOUND_AUTH=hmac: the signature over timestamp, method,
+// URL and raw body, the timestamp window, replayed signatures and secret rotation. The replay guard is in memory.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'hmac',
+    INBOUND_SIGNING_SECRET: 'current-secret,previous-secret',
+    INBOUND_SIGNATURE_TOLERANCE_SECONDS: '300',
+    INBOUND_REPLAY_STORE: 'memory',
+    CALLBACK_ALLOWED_HOSTS: '*.my.salesforce.com',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key'
+});
+
+const { requireInboundAuth } = require('../lib/inbound-auth');
+
+const BODY = Buffer.from(JSON.stringify({ accountId: '001000000000001AAA' }));
+const EMPTY = Buffer.alloc(0);
+let nextTimestamp = Math.floor(Date.now() / 1000);
+
+// Signs a request the way callers do; each call gets its own timestamp so signatures never repeat by accident
+function sign({ method = 'POST', url = '/generatesummary', body = BODY, secret = 'current-secret', timestamp } = {}) {
+    const ts = String(timestamp ?? nextTimestamp--);
+    const signature = crypto.createHmac('sha256', secret).update(`${ts}.${method}.${url}.`).update(body).digest('hex');
+    return { 'x-request-timestamp': ts, 'x-request-signature': `sha256=${signature}` };
+}
+
+// Runs the middleware; resolves to { next: true, req } or { status }
+function authenticate({ method = 'POST', url = '/generatesummary', body = BODY, headers }) {
+    const req = { method, originalUrl: url, path: url.split('?')[0], headers, rawBody: body, body: {}, query: {} };
+    return new Promise(resolve => {
+        const res = { status: code => ({ json: () => resolve({ status: code }) }) };
+        requireInboundAuth(req, res, () => resolve({ next: true, req }));
+    });
+}
+
+test('accepts a request signed over its timestamp, method, URL and body', async () => {
+    const result = await authenticate({ headers: sign() });
+
+    assert.equal(result.next, true);
+    assert.deepEqual(result.req.inboundAuth, { method: 'hmac', secretIndex: 0 });
+});
+
+test('accepts a GET signed over its path and query with an empty body', async () => {
+    const url = '/jobs/00000000-0000-0000-0000-000000000000?orgId=00D000000000001AAA';
+    const headers = sign({ method: 'GET', url, body: EMPTY });
+
+    const result = await authenticate({ method: 'GET', url, body: EMPTY, headers });
+
+    assert.equal(result.next, true);
+});
+
+test('accepts signatures made with a previous secret during rotation', async () => {
+    const result = await authenticate({ headers: sign({ secret: 'previous-secret' }) });
+
+    assert.equal(result.req.inboundAuth.secretIndex, 1);
+});
+
+test('rejects a signature replayed against another method or URL', async () => {
+    const headers = sign({ method: 'GET', url: '/jobs/job-1', body: EMPTY });
+
+    assert.equal((await authenticate({ method: 'DELETE', url: '/jobs/job-1', body: EMPTY, headers })).status, 401);
+    assert.equal((await authenticate({ method: 'GET', url: '/jobs/job-2', body: EMPTY, headers })).status, 401);
+});
+
+test('rejects a tampered body, an unknown secret and missing headers', async () => {
+    const tampered = Buffer.from(JSON.stringify({ accountId: '001000000000002AAA' }));
+
+    assert.equal((await authenticate({ body: tampered, headers: sign() })).status, 401);
+    assert.equal((await authenticate({ headers: sign({ secret: 'unknown-secret' }) })).status, 401);
+    assert.equal((await authenticate({ headers: {} })).status, 401);
+});
+
+test('rejects timestamps outside the tolerance window', async () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    assert.equal((await authenticate({ headers: sign({ timestamp: now - 301 }) })).status, 401);
+    assert.equal((await authenticate({ headers: sign({ timestamp: now + 301 }) })).status, 401);
+});
+
+test('rejects a signature that was already accepted once', async () => {
+    const headers = sign();
+
+    assert.equal((await authenticate({ headers })).next, true);
+    assert.equal((await authenticate({ headers })).status, 401);
+});
@@ -0,0 +1,173 @@
+// Server-side Salesforce auth against a local HTTP server that plays both the OAuth token endpoint and the REST API.
+// Covers the client_credentials, JWT bearer and refresh token flows, re-authentication on a 401 for 'server' orgs,
+// and the caller's own session, which is never refreshed.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const ORG_ID = '00D000000000001AAA';
+const INTEGRATION_USER_ID = '005000000000009AAA';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+let server;
+let baseUrl;
+let tokenRequests; // Form parameters of every token request
+let apiRequests; // Bearer token of every REST API request
+let issuedTokens = 0;
+const expiredTokens = new Set();
+let createSalesforceConnection;
+let isSalesforceSessionError;
+
+// Checks a JWT bearer assertion the way Salesforce does: RS256 signature of the connected app certificate, and claims
+function verifyJwtAssertion(assertion) {
+    const [header, claims, signature] = assertion.split('.');
+    const valid = crypto.createVerify('RSA-SHA256').update(`${header}.${claims}`).verify(publicKey, signature, 'base64url');
+    return valid ? JSON.parse(Buffer.from(claims, 'base64url').toString()) : null;
+}
+
+function handleTokenRequest(params, res) {
+    tokenRequests.push(params);
+    const rejected = (params.grant_type === 'client_credentials' && params.client_secret !== 'cc-secret')
+        || (params.grant_type === 'refresh_token' && params.refresh_token !== 'stored-refresh-token')
+        || (params.grant_type === 'urn:ietf:params:oauth:grant-type:jwt-bearer' && verifyJwtAssertion(params.assertion)?.sub !== 'integration@example.com');
+    if (rejected) {
+        res.statusCode = 400;
+        return res.end(JSON.stringify({ error: 'invalid_grant', error_description: 'authentication failure' }));
+    }
+    issuedTokens++;
+    res.end(JSON.stringify({
+        access_token: `server-token-${issuedTokens}`,
+        instance_url: baseUrl,
+        id: `${baseUrl}/id/${ORG_ID}/${INTEGRATION_USER_ID}`,
+        token_type: 'Bearer'
+    }));
+}
+
+function handleApiRequest(req, res) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    apiRequests.push(token);
+    if (expiredTokens.has(token) || (!token.startsWith('server-token-') && token !== 'caller-token')) {
+        res.statusCode = 401;
+        return res.end(JSON.stringify([{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }]));
+    }
+    res.end(JSON.stringify({ done: true, totalSize: 1, records: [{ Id: '001000000000001AAA', Name: 'Acme' }] }));
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            res.setHeader('Content-Type', 'application/json');
+            if (req.method === 'POST' && req.url === '/services/oauth2/token') {
+                return handleTokenRequest(Object.fromEntries(new URLSearchParams(body)), res);
+            }
+            handleApiRequest(req, res);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // The org registry is read from the environment when the module loads
+    const serverOrg = { loginUrl: baseUrl, sessionMode: 'server', clientId: 'connected-app' };
+    Object.assign(process.env, {
+        LLM_PROVIDER: 'mock',
+        INBOUND_AUTH: 'none',
+        QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+        SF_LOGIN_URL: baseUrl,
+        SF_ORGS: JSON.stringify({
+            clientCredentials: { ...serverOrg, authFlow: 'client_credentials', clientSecret: 'cc-secret' },
+            clientCredentialsBadSecret: { ...serverOrg, authFlow: 'client_credentials', clientSecret: 'wrong' },
+            jwt: { ...serverOrg, authFlow: 'jwt', username: 'integration@example.com', privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) },
+            refreshToken: { ...serverOrg, authFlow: 'refresh_token', refreshToken: 'stored-refresh-token' },
+            expiring: { ...serverOrg, authFlow: 'client_credentials', clientSecret: 'cc-secret' }
+        })
+    });
+    ({ createSalesforceConnection, isSalesforceSessionError } = require('../lib/salesforce-auth'));
+});
+
+after(() => {
+    server.close();
+});
+
+beforeEach(() => {
+    tokenRequests = [];
+    apiRequests = [];
+});
+
+const signedCaller = { method: 'hmac', orgId: null, userId: null, username: null };
+
+async function connectAndQuery(orgKey) {
+    const { conn, identity } = await createSalesforceConnection({ orgKey }, 'caller-token', 'test', signedCaller);
+    const result = await conn.query('SELECT Id, Name FROM Account');
+    return { identity, result };
+}
+
+test('client_credentials: requests a token with the consumer key and secret and runs as the integration user', async () => {
+    const { identity, result } = await connectAndQuery('clientCredentials');
+
+    assert.deepEqual(tokenRequests, [{ grant_type: 'client_credentials', client_id: 'connected-app', client_secret: 'cc-secret' }]);
+    assert.equal(result.records[0].Name, 'Acme');
+    assert.match(apiRequests[0], /^server-token-/);
+    assert.deepEqual(identity, { org: 'clientCredentials', identity: 'integration', userId: INTEGRATION_USER_ID, username: null, authenticatedBy: 'hmac' });
+});
+
+test('client_credentials: a rejected secret fails with the token endpoint reason', async () => {
+    await assert.rejects(
+        createSalesforceConnection({ orgKey: 'clientCredentialsBadSecret' }, 'caller-token', 'test', signedCaller),
+        /client_credentials authentication failed for org clientCredentialsBadSecret: authentication failure/
+    );
+    assert.equal(apiRequests.length, 0);
+});
+
+test('jwt: posts a signed assertion for the integration user', async () => {
+    const { identity } = await connectAndQuery('jwt');
+
+    assert.equal(tokenRequests.length, 1);
+    assert.equal(tokenRequests[0].grant_type, 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+    const claims = verifyJwtAssertion(tokenRequests[0].assertion);
+    assert.ok(claims, 'the assertion signature verifies with the certificate key');
+    assert.equal(claims.iss, 'connected-app');
+    assert.equal(claims.aud, baseUrl);
+    assert.ok(claims.exp > Date.now() / 1000);
+    assert.equal(identity.username, 'integration@example.com');
+});
+
+test('refresh_token: exchanges the stored refresh token', async () => {
+    const { identity } = await connectAndQuery('refreshToken');
+
+    assert.deepEqual(tokenRequests, [{ grant_type: 'refresh_token', client_id: 'connected-app', refresh_token: 'stored-refresh-token' }]);
+    assert.equal(identity.identity, 'integration');
+});
+
+test('server orgs re-authenticate on a 401 and retry the request with the new token', async () => {
+    const { conn } = await createSalesforceConnection({ orgKey: 'expiring' }, 'caller-token', 'test', signedCaller);
+    const firstToken = conn.accessToken;
+    expiredTokens.add(firstToken);
+
+    const result = await conn.query('SELECT Id, Name FROM Account');
+
+    assert.equal(result.records.length, 1);
+    assert.equal(tokenRequests.length, 2);
+    assert.equal(apiRequests[0], firstToken);
+    assert.notEqual(apiRequests[1], firstToken);
+    assert.equal(conn.accessToken, apiRequests[1]);
+});
+
+test('a rejected caller token fails with a session error instead of switching to server credentials', async () => {
+    const { conn, identity } = await createSalesforceConnection(null, 'expired-caller-token', 'test', { method: 'salesforce', userId: '005000000000001AAA' });
+
+    await assert.rejects(conn.query('SELECT Id FROM Account'), error => isSalesforceSessionError(error));
+    assert.deepEqual(apiRequests, ['expired-caller-token']);
+    assert.equal(tokenRequests.length, 0);
+    assert.equal(identity.identity, 'caller');
+});
+
+test('server orgs refuse requests that were not signed', async () => {
+    await assert.rejects(
+        createSalesforceConnection({ orgKey: 'jwt' }, 'caller-token', 'test', { method: 'salesforce' }),
+        error => error.statusCode === 403
+    );
+    assert.equal(tokenRequests.length, 0);
+});
@@ -0,0 +1,261 @@
+// Saving summaries to Salesforce through processSummary: matching existing records, per-record save outcomes and the
+// run status they add up to, over the sObject Collections REST API and Bulk API 2.0 (used here above 2 records). The
+// mock LLM provider writes the summaries; jsforce.Connection query, sobject and bulk2 calls are answered in memory.
+const { test, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'salesforce-save-queue-'));
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    JOB_STORE: 'memory',
+    JOB_EVENTS_BACKEND: 'memory',
+    AI_CACHE_STORE: 'off',
+    QUEUE_DIR: queueDir,
+    BULK_API_THRESHOLD: '2'
+});
+delete process.env.SUMMARY_UPSERT_MODE;
+
+const jsforce = require('jsforce');
+const { processSummary, parseSummaryOptions } = require('../index');
+const { parseFunctionSchemas } = require('../lib/validation');
+
+const ACCOUNT_ID = '001000000000001AAA';
+const BulkV2 = new jsforce.Connection({ instanceUrl: 'https://example.my.salesforce.com', accessToken: 'token' }).bulk2.constructor;
+
+let activities;
+let storedSummaries; // Timeline_Summary__c records already in the org
+let restSaves; // { operation, records } of every sObject Collections call
+let bulkJobs; // Options of every Bulk API 2.0 ingest job
+let restResult; // (record, operation) -> save result of one record
+let bulkResults; // (job) -> { successfulResults, failedResults, unprocessedRecords }
+let lookupQueries; // SOQL of every existing-record lookup
+
+beforeEach(() => {
+    activities = [];
+    storedSummaries = [];
+    restSaves = [];
+    bulkJobs = [];
+    lookupQueries = [];
+    restResult = (record, operation) => ({ id: record.Id || `a0X${operation}${restSaves.length}`, success: true, errors: [] });
+    bulkResults = job => ({
+        successfulResults: job.input.map((record, index) => ({ ...record, sf__Id: record.Id || `a0XBULK00000${index}`, sf__Created: String(!record.Id) })),
+        failedResults: [],
+        unprocessedRecords: []
+    });
+    mock.method(jsforce.Connection.prototype, 'query', async soql => {
+        if (soql.includes('FROM Task')) {
+            return { done: true, totalSize: activities.length, records: activities };
+        }
+        if (soql.includes('FROM Timeline_Summary__c') && !soql.includes('Summary_Category__c IN (')) {
+            lookupQueries.push(soql);
+            const records = storedSummaries.filter(record => soql.includes(`Summary_Category__c = '${record.Summary_Category__c}'`));
+            return { done: true, totalSize: records.length, records };
+        }
+        return { done: true, totalSize: 0, records: [] };
+    });
+    const save = operation => async records => {
+        restSaves.push({ operation, records });
+        return records.map(record => restResult(record, operation));
+    };
+    mock.method(jsforce.Connection.prototype, 'sobject', () => ({ create: save('create'), update: save('update') }));
+    mock.method(BulkV2.prototype, 'loadAndWaitForResults', async job => {
+        bulkJobs.push(job);
+        return bulkResults(job);
+    });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+after(() => {
+    fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+function activity(id, createdDate) {
+    return { Id: id, Subject: `Call ${id}`, Description: 'Discussed the renewal.', CreatedDate: createdDate };
+}
+
+// One activity in each of January, February and March 2024: three monthly records and one quarterly record
+function activitiesOfQ1() {
+    return [
+        activity('00T000000000001', '2024-01-10T10:00:00Z'),
+        activity('00T000000000002', '2024-02-12T10:00:00Z'),
+        activity('00T000000000003', '2024-03-14T10:00:00Z')
+    ];
+}
+
+function runSummary(summaryRecordsMap = []) {
+    return processSummary({
+        accountId: ACCOUNT_ID,
+        accessToken: 'caller-token',
+        userPrompt: 'Summarize the activities of {{Month}} {{Year}}.',
+        userPromptQtr: 'Summarize the quarter {{Quarter}} {{Year}}.',
+        queryText: `SELECT Id, Subject, Description, CreatedDate FROM Task WHERE WhatId = '${ACCOUNT_ID}'`,
+        loggedinUserId: '005000000000001AAA',
+        ...parseFunctionSchemas({}),
+        summaryOptions: parseSummaryOptions({ timeZone: 'UTC' }),
+        summaryRecordsMap
+    });
+}
+
+function outcomes(result) {
+    return result.saveResults.map(({ category, period, operation, success, recordId, errors }) => [category, period, operation, success, recordId, errors]);
+}
+
+function storedSummary(id, fields) {
+    return { Id: id, Month__c: null, FY_Quarter__c: null, Year__c: '2024', Month_Date__c: null, ...fields };
+}
+
+// --- Existing records ---
+
+test('updates the summaries already saved for the account and creates the rest', async () => {
+    activities = activitiesOfQ1().slice(0, 2);
+    storedSummaries = [
+        storedSummary('a0X000000000JAN', { Summary_Category__c: 'Monthly', Month__c: 'January', Month_Date__c: '2024-01-01' }),
+        storedSummary('a0X000000000Q1A', { Summary_Category__c: 'Quarterly', FY_Quarter__c: 'Q1', Month_Date__c: '2024-01-01' }),
+        // Another year's January is a different period
+        storedSummary('a0X000000023JAN', { Summary_Category__c: 'Monthly', Month__c: 'January', Year__c: '2023', Month_Date__c: '2023-01-01' })
+    ];
+
+    const result = await runSummary();
+
+    assert.match(lookupQueries[0], new RegExp(`WHERE Parent_Id__c = '${ACCOUNT_ID}' AND Summary_Category__c = 'Monthly'`));
+    assert.deepEqual(outcomes(result).map(([category, period, operation, , recordId]) => [category, period, operation, recordId]), [
+        ['Monthly', 'Feb 2024', 'create', 'a0Xcreate1'],
+        ['Monthly', 'Jan 2024', 'update', 'a0X000000000JAN'],
+        ['Quarterly', 'Q1 2024', 'update', 'a0X000000000Q1A']
+    ]);
+});
+
+test('updates the most recently modified record when a period was saved twice', async () => {
+    activities = activitiesOfQ1().slice(0, 1);
+    // The lookup orders by LastModifiedDate, newest first
+    storedSummaries = [
+        storedSummary('a0X0000000NEWER', { Summary_Category__c: 'Monthly', Month__c: 'January', Month_Date__c: '2024-01-01' }),
+        storedSummary('a0X0000000OLDER', { Summary_Category__c: 'Monthly', Month__c: 'January', Month_Date__c: '2024-01-01' })
+    ];
+
+    const result = await runSummary();
+
+    assert.match(lookupQueries[0], /ORDER BY LastModifiedDate DESC/);
+    assert.deepEqual(outcomes(result).find(([category]) => category === 'Monthly').slice(2, 5), ['update', true, 'a0X0000000NEWER']);
+});
+
+test('a record ID from the caller\'s summaryMap wins over the lookup, matching the period case-insensitively', async () => {
+    activities = activitiesOfQ1().slice(0, 2);
+    storedSummaries = [storedSummary('a0X000000000JAN', { Summary_Category__c: 'Monthly', Month__c: 'January', Month_Date__c: '2024-01-01' })];
+
+    const result = await runSummary([{ key: 'JAN 2024', value: 'a0X00000000MAP1' }, { key: 'q1 2024', value: 'a0X00000000MAP2' }]);
+
+    assert.deepEqual(outcomes(result).map(([category, period, operation, , recordId]) => [category, period, operation, recordId]), [
+        ['Monthly', 'Feb 2024', 'create', 'a0Xcreate1'],
+        ['Monthly', 'Jan 2024', 'update', 'a0X00000000MAP1'],
+        ['Quarterly', 'Q1 2024', 'update', 'a0X00000000MAP2']
+    ]);
+});
+
+// --- sObject Collections REST API ---
+
+test('reports an outcome per saved period and Success when every record saves', async () => {
+    activities = activitiesOfQ1().slice(0, 2);
+
+    const result = await runSummary();
+
+    assert.equal(result.status, 'Success');
+    assert.deepEqual(result.saveSummary, { status: 'Success', total: 3, succeeded: 3, failed: 0 });
+    assert.deepEqual(outcomes(result).map(([category, period, operation, success]) => [category, period, operation, success]), [
+        ['Monthly', 'Jan 2024', 'create', true],
+        ['Monthly', 'Feb 2024', 'create', true],
+        ['Quarterly', 'Q1 2024', 'create', true]
+    ]);
+    assert.equal(bulkJobs.length, 0);
+});
+
+test('a record rejected by Salesforce makes the run PartialSuccess and keeps its errors', async () => {
+    activities = activitiesOfQ1().slice(0, 2);
+    restResult = (record, operation) => (record.Month__c === 'February'
+        ? { success: false, errors: [{ statusCode: 'FIELD_CUSTOM_VALIDATION_EXCEPTION', message: 'Summary is required', fields: ['Summary__c'] }] }
+        : { id: `a0X${operation}${record.Month__c || record.FY_Quarter__c}`, success: true, errors: [] });
+
+    const result = await runSummary();
+
+    assert.equal(result.status, 'PartialSuccess');
+    assert.match(result.message, /1 of 3 period\(s\) failed/);
+    assert.deepEqual(outcomes(result).find(([, period]) => period === 'Feb 2024'),
+        ['Monthly', 'Feb 2024', 'create', false, null, ['FIELD_CUSTOM_VALIDATION_EXCEPTION: Summary is required (Summary__c)']]);
+});
+
+test('the run fails when no record saves', async () => {
+    activities = activitiesOfQ1().slice(0, 1);
+    restResult = () => ({ success: false, errors: [{ statusCode: 'INSUFFICIENT_ACCESS', message: 'No access' }] });
+
+    const result = await runSummary();
+
+    assert.equal(result.status, 'Failed');
+    assert.deepEqual(result.saveSummary, { status: 'Failed', total: 2, succeeded: 0, failed: 2 });
+});
+
+// --- Bulk API 2.0 ---
+
+test('saves more than BULK_API_THRESHOLD records with a Bulk API 2.0 ingest job', async () => {
+    activities = activitiesOfQ1();
+
+    const result = await runSummary();
+
+    assert.equal(result.status, 'Success');
+    assert.deepEqual(bulkJobs.map(job => [job.object, job.operation, job.input.length]), [['Timeline_Summary__c', 'insert', 3]]);
+    // The single quarterly record stays under the threshold
+    assert.deepEqual(restSaves.map(({ operation, records }) => [operation, records[0].Summary_Category__c]), [['create', 'Quarterly']]);
+    assert.deepEqual(outcomes(result).filter(([category]) => category === 'Monthly').map(([, period, , success, recordId]) => [period, success, recordId]), [
+        ['Jan 2024', true, 'a0XBULK000000'],
+        ['Feb 2024', true, 'a0XBULK000001'],
+        ['Mar 2024', true, 'a0XBULK000002']
+    ]);
+});
+
+test('maps Bulk API 2.0 result rows back to their periods, whatever their order', async () => {
+    activities = activitiesOfQ1();
+    // Rows come back without the input order: March succeeded, February failed, January was never processed
+    bulkResults = ({ input }) => ({
+        successfulResults: [{ ...input[2], Number_of_Records__c: '1', sf__Id: 'a0XMAR', sf__Created: 'true' }],
+        failedResults: [{ ...input[1], Number_of_Records__c: '1', sf__Id: '', sf__Error: 'STRING_TOO_LONG:Summary: data value too large:--' }],
+        unprocessedRecords: [input[0]]
+    });
+
+    const result = await runSummary();
+
+    assert.equal(result.status, 'PartialSuccess');
+    assert.deepEqual(outcomes(result).filter(([category]) => category === 'Monthly'), [
+        ['Monthly', 'Jan 2024', 'create', false, null, ['Record was not processed by the Bulk API 2.0 job']],
+        ['Monthly', 'Feb 2024', 'create', false, null, ['STRING_TOO_LONG:Summary: data value too large:--']],
+        ['Monthly', 'Mar 2024', 'create', true, 'a0XMAR', []]
+    ]);
+});
+
+test('matches Bulk API 2.0 update rows by record ID, in its 15 or 18 character form', async () => {
+    activities = activitiesOfQ1();
+    storedSummaries = ['January', 'February', 'March'].map((month, index) => ({
+        Id: `a0X00000000000${index + 1}AAA`, Month__c: month, Year__c: '2024', FY_Quarter__c: null, Month_Date__c: `2024-0${index + 1}-01`, Summary_Category__c: 'Monthly'
+    }));
+    bulkResults = ({ input }) => ({
+        successfulResults: input.slice().reverse().map(record => ({ sf__Id: record.Id.substring(0, 15), sf__Created: 'false' })),
+        failedResults: [],
+        unprocessedRecords: []
+    });
+
+    const result = await runSummary();
+
+    assert.deepEqual(bulkJobs.map(job => job.operation), ['update']);
+    assert.deepEqual(outcomes(result).filter(([category]) => category === 'Monthly').map(([, period, operation, success, recordId]) => [period, operation, success, recordId]), [
+        ['Jan 2024', 'update', true, 'a0X000000000001'],
+        ['Feb 2024', 'update', true, 'a0X000000000002'],
+        ['Mar 2024', 'update', true, 'a0X000000000003']
+    ]);
+});
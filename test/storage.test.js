@@ -0,0 +1,52 @@
+// Shared Redis client of lib/storage: TLS options derived from REDIS_URL and REDIS_TLS_INSECURE.
+// The clients point at a closed local port and are disconnected before they connect.
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key'
+});
+
+let client;
+
+// Configuration is read when the modules load, so each test loads them afresh
+function loadStorage(env) {
+    Object.assign(process.env, env);
+    delete require.cache[require.resolve('../lib/config')];
+    delete require.cache[require.resolve('../lib/storage')];
+    return require('../lib/storage');
+}
+
+afterEach(() => {
+    client?.disconnect();
+    client = null;
+    delete process.env.REDIS_TLS_INSECURE;
+});
+
+test('a rediss:// URL gets a TLS client that verifies certificates', () => {
+    const { getRedisClient } = loadStorage({ REDIS_URL: 'rediss://127.0.0.1:1' });
+
+    client = getRedisClient();
+
+    assert.deepEqual(client.options.tls, {});
+    assert.equal(getRedisClient(), client, 'the client is shared');
+});
+
+test('REDIS_TLS_INSECURE skips certificate verification', () => {
+    const { getRedisClient } = loadStorage({ REDIS_URL: 'rediss://127.0.0.1:1', REDIS_TLS_INSECURE: 'true' });
+
+    client = getRedisClient();
+
+    assert.deepEqual(client.options.tls, { rejectUnauthorized: false });
+});
+
+test('a redis:// URL connects without TLS', () => {
+    const { getRedisClient } = loadStorage({ REDIS_URL: 'redis://127.0.0.1:1' });
+
+    client = getRedisClient();
+
+    assert.equal(client.options.tls, undefined);
+});
@@ -0,0 +1,83 @@
+// Request guards shared by POST /generatesummary, /generatesummary/batch and /previewsummary, exercised on the
+// Express app: stored prompt templates (templateId) and the readiness of the requested provider. Nothing is queued.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'summary-endpoints-queue-'));
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    OPENAI_API_KEY: 'sk-test', // Lets requests pick the assistants provider; the assistants are never created
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    JOB_STORE: 'memory',
+    JOB_EVENTS_BACKEND: 'memory',
+    AI_CACHE_STORE: 'off',
+    QUEUE_DIR: queueDir
+});
+
+const { app } = require('../index');
+
+const ACCOUNT_ID = '001000000000001AAA';
+// A valid body for each endpoint
+const ENDPOINTS = {
+    '/generatesummary': { accountId: ACCOUNT_ID, callbackUrl: 'https://example.my.salesforce.com/callback' },
+    '/generatesummary/batch': { accountIds: [ACCOUNT_ID], callbackUrl: 'https://example.my.salesforce.com/callback' },
+    '/previewsummary': { accountId: ACCOUNT_ID }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(queueDir, { recursive: true, force: true });
+});
+
+async function post(endpoint, body) {
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer caller-token', 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            ...ENDPOINTS[endpoint],
+            userPrompt: 'Summarize the activities of {{Month}} {{Year}}.',
+            userPromptQtr: 'Summarize the quarter {{Quarter}} {{Year}}.',
+            queryText: "SELECT Id, Subject, CreatedDate FROM Task WHERE WhatId = '{{AccountId}}'",
+            loggedinUserId: '005000000000001AAA',
+            ...body
+        })
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+for (const endpoint of Object.keys(ENDPOINTS)) {
+    test(`${endpoint} rejects an unknown templateId with 400`, async () => {
+        const result = await post(endpoint, { templateId: 'no-such-template' });
+
+        assert.equal(result.status, 400);
+        assert.match(result.body.error, /Unknown templateId "no-such-template"/);
+    });
+
+    test(`${endpoint} rejects a malformed prompt template with 400`, async () => {
+        const result = await post(endpoint, { userPrompt: 'Summarize {{#if Industry}}the industry.' });
+
+        assert.equal(result.status, 400);
+        assert.match(result.body.error, /is not closed/);
+    });
+
+    test(`${endpoint} answers 500 when the assistants provider is requested but not ready`, async () => {
+        const result = await post(endpoint, { provider: 'assistants' });
+
+        assert.equal(result.status, 500);
+        assert.match(result.body.error, /Assistants not ready/);
+    });
+}
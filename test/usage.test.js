@@ -0,0 +1,153 @@
+// Token usage and cost accounting (lib/usage): the price table, the per-job usage meter with its token budget, and
+// the helpers that read, estimate and add up usage.
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    SF_LOGIN_URL: 'https://example.my.salesforce.com',
+    INBOUND_AUTH: 'none',
+    QUEUE_ENCRYPTION_KEY: 'test-queue-key',
+    LLM_PRICES: JSON.stringify({ 'custom-model': { input: 1, output: 2 } }),
+    COMPLETION_TOKEN_ESTIMATE: '100'
+});
+
+const {
+    llmPrices, TokenBudgetExceededError, readOpenAiUsage, estimateCallTokens, sumUsage, createUsageMeter
+} = require('../lib/usage');
+
+const TOKENS = { promptTokens: 1000, cachedPromptTokens: 200, completionTokens: 500 };
+
+// --- Price table ---
+
+test('adds the LLM_PRICES entries to the default prices', () => {
+    assert.deepEqual(llmPrices['custom-model'], { input: 1, output: 2 });
+    assert.deepEqual(llmPrices['gpt-4o'], { input: 2.5, cachedInput: 1.25, output: 10 });
+});
+
+test('refuses to start with a price entry that lacks input or output prices', () => {
+    const result = spawnSync(process.execPath, ['-e', "require('./lib/usage')"], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, LLM_PRICES: JSON.stringify({ 'custom-model': { input: 1 } }) },
+        encoding: 'utf8',
+        timeout: 30000
+    });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Invalid LLM price table\. Model "custom-model": input and output prices/);
+});
+
+// --- Usage meter ---
+
+test('prices calls per period and per job, cached prompt tokens at the cached rate', () => {
+    const onChange = mock.fn();
+    const meter = createUsageMeter({}, null, onChange);
+
+    meter.forPeriod('Monthly', 'January 2024').record('gpt-4o', TOKENS);
+    meter.forPeriod('Monthly', 'January 2024').record('gpt-4o-2024-08-06', TOKENS); // Dated versions use the base model price
+    meter.forPeriod('Quarterly', 'Q1 2024').record('gpt-4o-mini-2024-07-18', { promptTokens: 1000000, cachedPromptTokens: 0, completionTokens: 0 });
+
+    // (800 * 2.5 + 200 * 1.25 + 500 * 10) / 1e6 per gpt-4o call; gpt-4o-mini, not gpt-4o, prices the last one
+    assert.deepEqual(meter.getPeriod('Monthly', 'January 2024'), {
+        calls: 2, promptTokens: 2000, cachedPromptTokens: 400, completionTokens: 1000, totalTokens: 3000, cost: 0.0145, cacheHits: 0, unpricedModels: []
+    });
+    const summary = meter.summary();
+    assert.equal(summary.calls, 3);
+    assert.equal(summary.totalTokens, 1003000);
+    assert.equal(summary.cost, 0.1645);
+    assert.equal(summary.currency, 'USD');
+    assert.deepEqual(Object.keys(summary.periods), ['Monthly January 2024', 'Quarterly Q1 2024']);
+    assert.equal(onChange.mock.callCount(), 3);
+    assert.deepEqual(onChange.mock.calls[2].arguments[0], summary);
+});
+
+test('counts the tokens of unpriced models without cost and lists the models', () => {
+    const meter = createUsageMeter({});
+
+    meter.forPeriod('Monthly', 'January 2024').record('my-azure-deployment', TOKENS);
+    meter.forPeriod('Monthly', 'January 2024').record('my-azure-deployment', TOKENS);
+
+    const summary = meter.summary();
+    assert.equal(summary.totalTokens, 3000);
+    assert.equal(summary.cost, 0);
+    assert.deepEqual(summary.unpricedModels, ['my-azure-deployment']);
+    assert.deepEqual(summary.periods['Monthly January 2024'].unpricedModels, ['my-azure-deployment']);
+});
+
+test('counts cache hits without tokens', () => {
+    const meter = createUsageMeter({});
+
+    meter.forPeriod('Monthly', 'January 2024').recordCacheHit();
+
+    assert.equal(meter.summary().cacheHits, 1);
+    assert.equal(meter.summary().calls, 0);
+    assert.equal(meter.getPeriod('Monthly', 'January 2024').cacheHits, 1);
+});
+
+test('keeps its counts in the given state, so a resumed job continues from them', () => {
+    const state = {};
+    createUsageMeter(state).record('gpt-4o', TOKENS);
+
+    const resumed = createUsageMeter(state);
+    resumed.record('gpt-4o', TOKENS);
+
+    assert.equal(resumed.summary().calls, 2);
+    assert.equal(resumed.summary().totalTokens, 3000);
+});
+
+// --- Token budget ---
+
+test('refuses calls whose estimate would exceed the budget, counting used and reserved tokens', () => {
+    const meter = createUsageMeter({}, 5000);
+
+    meter.record('gpt-4o', TOKENS); // 1500 used
+    const release = meter.reserve(3000, 'generate_monthly_activity_summary'); // 4500 used or reserved
+    assert.throws(() => meter.reserve(600, 'generate_quarterly_activity_summary'), error => error instanceof TokenBudgetExceededError
+        && /Token budget of 5000 would be exceeded by generate_quarterly_activity_summary \(~600 tokens; 1500 used, 3000 reserved/.test(error.message));
+
+    release();
+    release(); // Releasing twice frees the tokens once
+    assert.doesNotThrow(() => meter.reserve(3500, 'generate_quarterly_activity_summary'));
+    assert.throws(() => meter.reserve(1, 'generate_yearly_activity_summary'), TokenBudgetExceededError);
+    assert.equal(meter.summary().tokenBudget, 5000);
+});
+
+test('does not limit calls without a budget', () => {
+    const meter = createUsageMeter({});
+
+    assert.doesNotThrow(() => meter.reserve(Number.MAX_SAFE_INTEGER, 'generate_monthly_activity_summary'));
+    assert.equal(meter.summary().tokenBudget, null);
+});
+
+// --- Helpers ---
+
+test('reads OpenAI usage objects and estimates the tokens of a call', () => {
+    assert.deepEqual(readOpenAiUsage({ prompt_tokens: 120, completion_tokens: 30, prompt_tokens_details: { cached_tokens: 64 } }), {
+        promptTokens: 120, cachedPromptTokens: 64, completionTokens: 30
+    });
+    assert.deepEqual(readOpenAiUsage(undefined), { promptTokens: 0, cachedPromptTokens: 0, completionTokens: 0 });
+
+    const activities = [{ Id: '00T000000000001' }];
+    const functionSchema = { name: 'f' };
+    const chars = 'Prompt'.length + 'Instructions'.length + JSON.stringify(functionSchema).length + JSON.stringify(activities, null, 2).length;
+    assert.equal(estimateCallTokens(activities, { instructions: 'Instructions' }, 'Prompt', functionSchema), Math.ceil(chars / 4) + 100);
+});
+
+test('adds up the usage of several jobs', () => {
+    const first = createUsageMeter({});
+    first.record('gpt-4o', TOKENS);
+    first.record('unpriced', TOKENS);
+    const second = createUsageMeter({});
+    second.record('gpt-4o', TOKENS);
+    second.record('unpriced', TOKENS);
+    second.recordCacheHit();
+
+    const total = sumUsage([first.summary(), null, second.summary()]);
+
+    assert.deepEqual(total, {
+        calls: 4, promptTokens: 4000, cachedPromptTokens: 800, completionTokens: 2000, totalTokens: 6000, cost: 0.0145, cacheHits: 1,
+        unpricedModels: ['unpriced'], currency: 'USD'
+    });
+});